@@ -0,0 +1,161 @@
+// src/abilities.js - Class abilities and spells: lookup, level unlocks, costs, cooldowns and effects.
+
+import { ABILITIES, CLASS_ABILITIES, STATUS_EFFECTS, CombatEvent } from './config.js';
+import { logger, applyColor, COLORS, odds } from './utils.js';
+import { rollDice, withModifier } from './dice.js';
+
+/**
+ * Looks up an ability by its id.
+ * @param {string} id - A key of ABILITIES (e.g. "firebolt").
+ * @returns {object|undefined} The ability, with its id, or undefined if unknown.
+ */
+export function getAbility(id) {
+    return ABILITIES[id] ? { id, ...ABILITIES[id] } : undefined;
+}
+
+/**
+ * Returns the abilities a class has unlocked by the given level, in the order they unlock.
+ * @param {string} className - The class name (see CLASSES).
+ * @param {number} level - The character's level.
+ * @returns {Array<object>} The unlocked abilities (see getAbility).
+ */
+export function getClassAbilities(className, level) {
+    return (CLASS_ABILITIES[className] || [])
+        .filter(unlock => unlock.level <= level)
+        .map(unlock => getAbility(unlock.id))
+        .filter(Boolean);
+}
+
+/**
+ * Returns the abilities a class unlocks at exactly the given level.
+ * @param {string} className - The class name (see CLASSES).
+ * @param {number} level - The level just reached.
+ * @returns {Array<object>} The newly unlocked abilities.
+ */
+export function getAbilitiesUnlockedAt(className, level) {
+    return (CLASS_ABILITIES[className] || [])
+        .filter(unlock => unlock.level === level)
+        .map(unlock => getAbility(unlock.id))
+        .filter(Boolean);
+}
+
+/**
+ * Finds one of the player's unlocked abilities by id, name or 1-based number, e.g.
+ * "second_wind", "second wind" or "2".
+ * @param {Player} player - The player.
+ * @param {string} input - What the player typed.
+ * @returns {object|undefined} The ability, or undefined if the player has no such ability.
+ */
+export function findAbility(player, input) {
+    const text = String(input).trim().toLowerCase();
+    const abilities = player.abilities;
+    if (/^\d+$/.test(text)) {
+        return abilities[parseInt(text, 10) - 1];
+    }
+    const key = text.replace(/[\s']+/g, '_');
+    return abilities.find(ability => ability.id === key || ability.name.toLowerCase() === text);
+}
+
+/**
+ * Returns the dice an ability rolls for the player, including its stat and level scaling.
+ * Weapon abilities add their dice to the player's weapon attack.
+ * @param {Player} player - The player using the ability.
+ * @param {object} ability - The ability (see getAbility).
+ * @returns {string} The dice expression, e.g. "1d10+5".
+ */
+export function getAbilityDice(player, ability) {
+    if (ability.effect === 'weapon') {
+        return `${player.attackDamage}+${ability.dice}`;
+    }
+    const { stat, multiplier = 1, per_level: perLevel = 0 } = ability.scaling || {};
+    const bonus = (stat ? player.stats.getBonus(stat) * multiplier : 0) + player.level.value * perLevel;
+    return withModifier(ability.dice, bonus);
+}
+
+/**
+ * Describes an ability for listings, e.g. "Firebolt - 3 MP, 1d10+5 damage: Hurl a mote...".
+ * @param {Player} player - The player who has the ability.
+ * @param {object} ability - The ability.
+ * @returns {string} The description.
+ */
+export function describeAbility(player, ability) {
+    const cooldown = ability.cooldown > 0 ? `, cooldown ${ability.cooldown}` : '';
+    const amount = ability.effect === 'heal' ? 'healing' : 'damage';
+    const remaining = player.getCooldown(ability.id);
+    const ready = remaining > 0 ? applyColor(` (ready in ${remaining} turn${remaining === 1 ? '' : 's'})`, COLORS.DIM) : '';
+    const status = ability.status ? ` (${ability.status_chance < 1 ? 'may inflict' : 'inflicts'} ${STATUS_EFFECTS[ability.status].name})` : '';
+    return `${applyColor(ability.name, COLORS.CYAN)} - ${ability.mp_cost} MP${cooldown}, ${getAbilityDice(player, ability)} ${amount}${status}: ${ability.description}${ready}`;
+}
+
+/**
+ * Applies an ability's status effect (if it has one) to a target it hit, with the ability's status_chance.
+ * @param {CombatEngine} combat - The fight.
+ * @param {object} ability - The ability that hit.
+ * @param {Monster} target - The target that was hit.
+ */
+function inflictStatus(combat, ability, target) {
+    if (ability.status && !target.hpBar.isEmpty() && odds(ability.status_chance ?? 1)) {
+        combat.applyStatus(target, ability.status);
+    }
+}
+
+// How each kind of effect is resolved. Each handler receives the fight, the player, the
+// ability, its dice and the target; what happens is reported through the fight's events.
+const EFFECT_HANDLERS = {
+    // Magic damage that ignores the target's defense
+    damage(combat, player, ability, dice, target) {
+        const result = combat.attack(player, target, { dice, autoHit: ability.auto_hit, ignoreDefense: true, source: ability.name });
+        if (result.type === CombatEvent.HIT) {
+            inflictStatus(combat, ability, target);
+        }
+    },
+
+    // A weapon attack with extra dice; the target's defense applies
+    weapon(combat, player, ability, dice, target) {
+        const result = combat.attack(player, target, { dice, autoHit: ability.auto_hit, source: ability.name, weapon: true });
+        if (result.type === CombatEvent.HIT) {
+            inflictStatus(combat, ability, target);
+        }
+    },
+
+    heal(combat, player, ability, dice, target) {
+        combat.heal(target, Math.max(1, rollDice(dice)));
+    }
+};
+
+/**
+ * Uses one of the player's abilities: checks its MP cost and cooldown, spends the MP, starts
+ * the cooldown and applies its effect to the monster or to the player, depending on its target.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Player} player - The player using the ability.
+ * @param {object} ability - An unlocked ability (see findAbility).
+ * @param {Monster} monster - The monster being fought.
+ * @returns {boolean} True if the ability was used, false if it could not be used (the turn is not spent).
+ */
+export function useAbility(combat, player, ability, monster) {
+    const handler = EFFECT_HANDLERS[ability.effect];
+    if (!handler) {
+        logger.error(`${ability.name} has an unknown effect '${ability.effect}'.`);
+        return false;
+    }
+    const remaining = player.getCooldown(ability.id);
+    if (remaining > 0) {
+        logger.warn(`${ability.name} is not ready yet (${remaining} more turn${remaining === 1 ? '' : 's'}).`);
+        return false;
+    }
+    if (player.mpBar.value < ability.mp_cost) {
+        logger.warn(`Not enough MP for ${ability.name} (needs ${ability.mp_cost}, have ${player.mpBar.value}).`);
+        return false;
+    }
+    const target = ability.target === 'self' ? player : monster;
+    if (ability.effect === 'heal' && target.hpBar.isFull()) {
+        logger.warn(`${target.name} is already at full health.`);
+        return false;
+    }
+
+    player.mpBar.value -= ability.mp_cost;
+    player.startCooldown(ability);
+    combat.emit(CombatEvent.ABILITY, { combatant: player, ability, target });
+    handler(combat, player, ability, getAbilityDice(player, ability), target);
+    return true;
+}
\ No newline at end of file
@@ -0,0 +1,212 @@
+// src/balance.js - The game's balance: the numbers behind combat, levelling and monster strength,
+// loaded from a JSON file (balance.json) with named difficulty presets that adjust them.
+
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { validateSchema } from './structured_output.js';
+import { DICE_PATTERN } from './dice.js';
+import { logger } from './utils.js';
+
+// The balance file used unless another is given (e.g. with --balance)
+const DEFAULT_BALANCE_FILE = fileURLToPath(new URL('../balance.json', import.meta.url));
+
+// A value that grows with the level: min and max at level 1, and how much each rises per level
+const RANGE_SCHEMA = {
+    type: 'object',
+    required: ['min', 'max', 'min_per_level', 'max_per_level'],
+    additionalProperties: false,
+    properties: {
+        min: { type: 'number', minimum: 1 },
+        max: { type: 'number', minimum: 1 },
+        min_per_level: { type: 'number', minimum: 0 },
+        max_per_level: { type: 'number', minimum: 0 },
+        cap: { type: 'number', minimum: 1 }
+    }
+};
+
+const COMBAT_PROPERTIES = {
+    base_hit_chance: { type: 'number', minimum: 0, maximum: 100 },                   // Hit chance (%) of every attack, before DEX
+    base_evasion_rate: { type: 'number', minimum: 0, maximum: 100 },                 // Chance (%) to dodge an attack, before DEX
+    base_critical_chance: { type: 'number', minimum: 0, maximum: 100 },              // Critical hit chance (%); critical hits roll their damage dice twice
+    base_attack_bonus: { type: 'integer', minimum: 0 },                              // Flat damage added to every player weapon attack
+    monster_damage_dice: { type: 'string', pattern: DICE_PATTERN, format: 'dice' },  // Damage dice of a monster's attack, before its STR bonus
+    base_flee_chance: { type: 'number', minimum: 0, maximum: 95 },                   // Chance (%) for the player to escape from a fight, before DEX
+    monster_flee_chance: { type: 'number', minimum: 0, maximum: 100 },               // Chance (%) that a fleeing monster gets away
+    initiative_dice: { type: 'string', pattern: DICE_PATTERN, format: 'dice' }       // Rolled with the DEX bonus at the start of a fight
+};
+
+// A difficulty preset: how it shifts the monsters' level and scales their HP and the rewards of a
+// fight, and which combat values it overrides
+const DIFFICULTY_SCHEMA = {
+    type: 'object',
+    required: ['monster_level_offset', 'monster_hp', 'exp', 'gold'],
+    additionalProperties: false,
+    properties: {
+        description: { type: 'string', default: '' },
+        monster_level_offset: { type: 'integer', minimum: -5, maximum: 5 },
+        monster_hp: { type: 'number', minimum: 0.1, maximum: 10 },
+        exp: { type: 'number', minimum: 0, maximum: 10 },
+        gold: { type: 'number', minimum: 0, maximum: 10 },
+        combat: { type: 'object', additionalProperties: false, properties: COMBAT_PROPERTIES, default: {} }
+    }
+};
+
+// Schema for the balance file
+const BALANCE_SCHEMA = {
+    type: 'object',
+    required: ['default_difficulty', 'difficulties', 'level_curve', 'monsters', 'player', 'combat'],
+    additionalProperties: false,
+    properties: {
+        default_difficulty: { type: 'string', minLength: 1 },
+        difficulties: { type: 'object', additionalProperties: DIFFICULTY_SCHEMA },
+        // EXP needed for the next level: base_exp * level ^ exponent
+        level_curve: {
+            type: 'object',
+            required: ['base_exp', 'exponent'],
+            additionalProperties: false,
+            properties: {
+                base_exp: { type: 'number', minimum: 1 },
+                exponent: { type: 'number', minimum: 0, maximum: 3 }
+            }
+        },
+        // A monster's HP and stats at its level (see getDifficultyBand in src/monster.js), its
+        // suggested EXP (base * level ^ exponent) and the hint that tells the LLM how tough to make it
+        monsters: {
+            type: 'object',
+            required: ['hp', 'stats', 'exp', 'hints'],
+            additionalProperties: false,
+            properties: {
+                hp: RANGE_SCHEMA,
+                stats: { ...RANGE_SCHEMA, required: [...RANGE_SCHEMA.required, 'cap'] },
+                exp: {
+                    type: 'object',
+                    required: ['base', 'exponent'],
+                    additionalProperties: false,
+                    properties: {
+                        base: { type: 'number', minimum: 1 },
+                        exponent: { type: 'number', minimum: 0, maximum: 3 }
+                    }
+                },
+                hints: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['from_level', 'text'],
+                        additionalProperties: false,
+                        properties: {
+                            from_level: { type: 'integer', minimum: 1 },
+                            text: { type: 'string', minLength: 1 }
+                        }
+                    }
+                }
+            }
+        },
+        player: {
+            type: 'object',
+            required: ['base_hp', 'base_mp'],
+            additionalProperties: false,
+            properties: {
+                base_hp: { type: 'integer', minimum: 1 }, // Max HP before the class's hit die and CON
+                base_mp: { type: 'integer', minimum: 0 }  // Max MP before the level and the spellcasting stat
+            }
+        },
+        combat: { type: 'object', required: Object.keys(COMBAT_PROPERTIES), additionalProperties: false, properties: COMBAT_PROPERTIES }
+    }
+};
+
+// The balance in effect (see configureBalance); loaded from the default file when first needed
+let activeBalance = null;
+
+/**
+ * Finds a difficulty preset by name, ignoring case (e.g. "Hardcore" finds "hardcore").
+ * @param {Object<string, object>} difficulties - The presets of the balance file, by name.
+ * @param {string} name - The name to look for.
+ * @returns {string|undefined} The preset's name as written in the file, or undefined if there is none.
+ */
+function findDifficulty(difficulties, name) {
+    return Object.keys(difficulties).find(key => key.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Checks what the schema cannot: that the ranges are the right way round, that the hints start at
+ * level 1, that no two difficulties differ only in case and that the default difficulty exists.
+ * @param {object} data - The balance data, validated against BALANCE_SCHEMA.
+ * @returns {string[]} The problems found.
+ */
+function checkConsistency(data) {
+    const errors = [];
+    for (const key of ['hp', 'stats']) {
+        const range = data.monsters[key];
+        if (range.min > range.max) {
+            errors.push(`balance.monsters.${key}.min (${range.min}) must not be greater than its max (${range.max})`);
+        }
+    }
+    if (data.monsters.stats.cap < data.monsters.stats.max) {
+        errors.push(`balance.monsters.stats.cap (${data.monsters.stats.cap}) must not be less than its max (${data.monsters.stats.max})`);
+    }
+    if (!data.monsters.hints.some(hint => hint.from_level === 1)) {
+        errors.push("balance.monsters.hints must include a hint with from_level 1");
+    }
+    const names = Object.keys(data.difficulties).map(name => name.toLowerCase());
+    const duplicates = names.filter((name, i) => names.indexOf(name) !== i);
+    if (duplicates.length > 0) {
+        errors.push(`balance.difficulties must not have names that differ only in case (${[...new Set(duplicates)].join(', ')})`);
+    }
+    if (!findDifficulty(data.difficulties, data.default_difficulty)) {
+        errors.push(`balance.default_difficulty '${data.default_difficulty}' is not one of the difficulties (${Object.keys(data.difficulties).join(', ')})`);
+    }
+    return errors;
+}
+
+/**
+ * Loads and validates a balance file, and selects a difficulty from it. Values out of range are
+ * clamped with a warning; anything else that is wrong stops the game.
+ * @param {object} [options] - Options.
+ * @param {string} [options.file] - Path of the balance file (defaults to balance.json next to main.js).
+ * @param {string} [options.difficulty] - The difficulty preset (defaults to the file's default_difficulty).
+ * @returns {object} The balance now in effect (see getBalance).
+ * @throws {Error} If the file cannot be read, is invalid, or has no such difficulty.
+ */
+export function configureBalance({ file = DEFAULT_BALANCE_FILE, difficulty } = {}) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read balance file '${file}': ${error.message}`);
+    }
+    const { value: data, errors, warnings } = validateSchema(raw, BALANCE_SCHEMA, 'balance');
+    if (errors.length === 0) {
+        errors.push(...checkConsistency(data));
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid balance file '${file}':\n- ${errors.join('\n- ')}`);
+    }
+    warnings.forEach(warning => logger.warn(`Balance file: ${warning}`));
+
+    const name = difficulty ?? data.default_difficulty;
+    const id = findDifficulty(data.difficulties, name);
+    if (!id) {
+        throw new Error(`Unknown difficulty '${name}'. Choose one of: ${Object.keys(data.difficulties).join(', ')}.`);
+    }
+    const { combat: overrides, ...settings } = data.difficulties[id];
+    activeBalance = {
+        difficulty: { id, ...settings },
+        level_curve: data.level_curve,
+        monsters: { ...data.monsters, hints: [...data.monsters.hints].sort((a, b) => a.from_level - b.from_level) },
+        player: data.player,
+        combat: { ...data.combat, ...overrides }
+    };
+    return activeBalance;
+}
+
+/**
+ * Returns the balance in effect, loading the default balance file with its default difficulty if
+ * configureBalance has not been called.
+ * @returns {{difficulty: object, level_curve: object, monsters: object, player: object, combat: object}}
+ *   The balance: the selected difficulty preset (with its id), and the level curve, monster
+ *   scaling, player and combat values with the preset's combat overrides applied.
+ */
+export function getBalance() {
+    return activeBalance ?? configureBalance();
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+// src/camp.js - The rest between fights, where the player can sort out their inventory and gear,
+// trade with a visiting merchant, take on quests, travel to another place and enter a dungeon.
+
+import { CAMP_COMMANDS, readCommand, printHelp } from './commands.js';
+import { logger, applyColor, COLORS } from './utils.js';
+import { visitShop } from './shop.js';
+import { getLocation, printMap, travel } from './world.js';
+import { findDungeon } from './dungeon.js';
+import { printQuestLog, printQuestOffers, acceptQuest, abandonQuest } from './quests.js';
+import { printMemory } from './memory.js';
+import { playerUseItem, playerEquip, playerUnequip, playerDrop, playerInspectItem, playerCompare, printInventory, saveToSlot, loadFromSlot, printSaves } from './player_actions.js';
+
+/**
+ * Lets the player use potions, change gear, tidy their inventory, trade with a visiting merchant,
+ * take on quests from a notice board and travel before the next fight. Reads commands until the
+ * player moves on. A safe place (see LOCATIONS) has no fights, so there the player can only move
+ * on by travelling. In a region with a dungeon (see DUNGEONS), the player can also enter it. In
+ * auto mode the player only stocks up on potions from the merchant, accepts every quest they have
+ * room for, and leaves a safe place by its first road; they never enter a dungeon.
+ * @param {{player: Player, combatCount: number}} game - The current game state.
+ * @param {{auto: boolean}} options - Game options.
+ * @param {Merchant|null} [merchant] - A merchant who has set up shop at the camp, if any.
+ * @param {Quest[]|null} [offers] - The quests on the notice board, or null if there is no board here.
+ * @returns {Promise<'continue'|'delve'|'loaded'|'quit'>} How the rest ended; 'continue' after travelling
+ *   too, and 'delve' to enter the region's dungeon.
+ */
+export async function restAtCamp(game, options, merchant = null, offers = null) {
+    const { player } = game;
+    const here = getLocation(player.location);
+    const dungeon = findDungeon(here.id);
+    if (merchant) {
+        const where = here.safe ? `keeps a shop in ${here.name}` : 'has set up shop by the campfire';
+        logger.info(applyColor(`A merchant, ${merchant.name}, ${where}. ${merchant.description}`, COLORS.CYAN));
+    }
+    if (offers?.length > 0) {
+        logger.info(applyColor(`The notice board has ${offers.length} quest${offers.length === 1 ? '' : 's'} on offer.`, COLORS.CYAN));
+    }
+    if (options.auto) {
+        if (merchant && (await visitShop(player, merchant, options)) === 'quit') {
+            return 'quit';
+        }
+        while (offers?.length > 0 && !player.quests.isFull) {
+            acceptQuest(player, offers, ['1']);
+        }
+        if (here.safe) {
+            travel(player, [here.exits[0]]);
+        }
+        return 'continue';
+    }
+    const moveOn = here.safe ? "Type 'travel <place>' to set off" : "Type 'continue' to press on, 'travel <place>' to go elsewhere";
+    logger.info(applyColor(`${player.name} rests in ${here.name}. ${moveOn}${merchant ? ", 'shop' to trade" : ''}${offers ? ", 'board' for quests" : ''}${dungeon ? ", 'delve' to enter the dungeon" : ''}, 'map' to see the roads, or 'help' for the options.`, COLORS.CYAN));
+    while (true) {
+        const { command, args } = await readCommand(CAMP_COMMANDS, applyColor(`[${here.name}] ${player.name} (HP ${player.hpBar.toString()}, MP ${player.mpBar.toString()}) > `, COLORS.CYAN));
+        switch (command.name) {
+            case 'continue':
+                if (here.safe) {
+                    logger.warn(`There are no monsters in ${here.name}. Type 'travel <place>' to set off.`);
+                    break;
+                }
+                return 'continue';
+            case 'travel':
+                if (travel(player, args)) return 'continue';
+                break;
+            case 'map':
+                printMap(player);
+                break;
+            case 'delve':
+                if (dungeon) return 'delve';
+                logger.warn(`There is no dungeon in ${here.name}. Type 'map' to see where the dungeons are.`);
+                break;
+            case 'shop':
+                if (!merchant) {
+                    logger.warn("There is no merchant at this camp.");
+                } else if (await visitShop(player, merchant, options) === 'quit') {
+                    return 'quit';
+                }
+                break;
+            case 'board':
+                if (offers) {
+                    printQuestOffers(offers);
+                } else {
+                    logger.warn("There is no notice board here. The town has one.");
+                }
+                break;
+            case 'accept':
+                if (offers) {
+                    acceptQuest(player, offers, args);
+                } else {
+                    logger.warn("There is no notice board here. The town has one.");
+                }
+                break;
+            case 'abandon':
+                abandonQuest(player, args);
+                break;
+            case 'quests':
+                printQuestLog(player);
+                break;
+            case 'story':
+                printMemory(player);
+                break;
+            case 'use':
+                playerUseItem(player, args);
+                break;
+            case 'equip':
+                playerEquip(player, args);
+                break;
+            case 'unequip':
+                playerUnequip(player, args);
+                break;
+            case 'drop':
+                playerDrop(player, args);
+                break;
+            case 'inspect':
+                playerInspectItem(player, args);
+                break;
+            case 'compare':
+                playerCompare(player, args);
+                break;
+            case 'sort':
+                player.inventory.sort();
+                printInventory(player);
+                break;
+            case 'inventory':
+                printInventory(player);
+                break;
+            case 'status':
+                player.printStats();
+                player.printBars();
+                printInventory(player);
+                break;
+            case 'save':
+                await saveToSlot(game, args);
+                break;
+            case 'load':
+                if (await loadFromSlot(game, args)) return 'loaded';
+                break;
+            case 'saves':
+                await printSaves();
+                break;
+            case 'help':
+                printHelp(CAMP_COMMANDS);
+                break;
+            case 'quit':
+                return 'quit';
+        }
+    }
+}
\ No newline at end of file
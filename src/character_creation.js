@@ -0,0 +1,202 @@
+// src/character_creation.js - Creates a new player character: name, race, class and stats.
+
+import { RACES, CLASSES, StatType, StatMethod, CHARACTER_CONFIG } from './config.js';
+import { StatsBuilder, pointBuyCost } from './stats.js';
+import { Player } from './player.js';
+import { ask } from './input.js';
+import { logger, applyColor, COLORS } from './utils.js';
+
+/**
+ * Finds an entry of RACES or CLASSES by name (case-insensitive) or by its 1-based number in the list.
+ * @param {Array<{name: string}>} entries - RACES or CLASSES.
+ * @param {string} input - The name or number.
+ * @returns {object|undefined} The matching entry.
+ */
+function findEntry(entries, input) {
+    const text = String(input).trim().toLowerCase();
+    if (/^\d+$/.test(text)) {
+        return entries[parseInt(text, 10) - 1];
+    }
+    return entries.find(entry => entry.name.toLowerCase() === text);
+}
+
+/**
+ * Describes a race's stat bonuses, e.g. "DEX +2, INT +1".
+ * @param {{attr_bonus: Object<string, number>}} race - An entry of RACES.
+ * @returns {string} The description.
+ */
+function describeRace(race) {
+    const bonuses = Object.entries(race.attr_bonus).map(([stat, bonus]) => `${stat} +${bonus}`);
+    return bonuses.join(', ') || 'no stat bonus';
+}
+
+/**
+ * Formats stat scores as "STR 15, DEX 14, ...".
+ * @param {Object<string, number>} scores - A score per stat.
+ * @returns {string} The formatted scores.
+ */
+function formatScores(scores) {
+    return Object.values(StatType).map(stat => `${stat} ${scores[stat]}`).join(', ');
+}
+
+/**
+ * Asks for a line of input, falling back to a default on an empty answer or closed input.
+ * @param {string} question - The prompt text.
+ * @param {string} defaultValue - The value used for an empty answer.
+ * @returns {Promise<string>} The trimmed answer.
+ */
+async function askWithDefault(question, defaultValue) {
+    const answer = await ask(`${question} [${defaultValue}]: `);
+    return answer === null || answer.trim() === '' ? defaultValue : answer.trim();
+}
+
+/**
+ * Lets the player pick an entry of RACES or CLASSES from a numbered list.
+ * @param {string} label - What is being chosen (e.g. "Race").
+ * @param {Array<{name: string}>} entries - The options.
+ * @param {function(object): string} describe - Describes an option.
+ * @param {string} defaultName - The option chosen on an empty answer.
+ * @returns {Promise<object>} The chosen entry.
+ */
+async function chooseEntry(label, entries, describe, defaultName) {
+    logger.info(`--- Choose a ${label} ---`);
+    entries.forEach((entry, i) => logger.info(`${i + 1}. ${applyColor(entry.name, COLORS.CYAN)} (${describe(entry)})`));
+    while (true) {
+        const entry = findEntry(entries, await askWithDefault(`${label}`, defaultName));
+        if (entry) {
+            return entry;
+        }
+        logger.warn(`Please enter a ${label.toLowerCase()} name or a number from 1 to ${entries.length}.`);
+    }
+}
+
+/**
+ * Rolls stats and assigns them by the class's priorities, letting the player reroll.
+ * @param {{attr_priority: string[]}} characterClass - The chosen class.
+ * @param {boolean} interactive - Whether to offer rerolls.
+ * @returns {Promise<StatsBuilder>} A builder holding the assigned scores.
+ */
+async function rollStats(characterClass, interactive) {
+    while (true) {
+        const scores = new StatsBuilder().rollScores();
+        const builder = new StatsBuilder().assignByPriority(scores, characterClass.attr_priority);
+        logger.info(`Rolled ${scores.join(', ')} -> ${formatScores(builder.build().toJSON().values)}`);
+        if (!interactive || !(await askWithDefault("Keep these stats? (y/n)", 'y')).toLowerCase().startsWith('n')) {
+            return builder;
+        }
+    }
+}
+
+/**
+ * Buys stats with the point-buy method. Interactively, the player enters six scores; an empty
+ * answer (or non-interactive creation) uses CHARACTER_CONFIG.POINT_BUY_SPREAD arranged by
+ * the class's priorities.
+ * @param {{attr_priority: string[]}} characterClass - The chosen class.
+ * @param {boolean} interactive - Whether to ask for scores.
+ * @returns {Promise<StatsBuilder>} A builder holding the bought scores.
+ */
+async function buyStats(characterClass, interactive) {
+    const { POINT_BUY_BUDGET, POINT_BUY_MIN, POINT_BUY_MAX, POINT_BUY_SPREAD } = CHARACTER_CONFIG;
+    const suggested = new StatsBuilder().assignByPriority(POINT_BUY_SPREAD, characterClass.attr_priority);
+    if (!interactive) {
+        return suggested;
+    }
+
+    const stats = Object.values(StatType);
+    logger.info(`Spend ${POINT_BUY_BUDGET} points on scores from ${POINT_BUY_MIN} to ${POINT_BUY_MAX} (costs: ${Object.entries(CHARACTER_CONFIG.POINT_BUY_COSTS).map(([score, cost]) => `${score}=${cost}`).join(', ')}).`);
+    logger.info(`Suggested for a ${characterClass.name}: ${formatScores(suggested.build().toJSON().values)}`);
+    while (true) {
+        const answer = await ask(`Scores for ${stats.join(' ')} (Enter for the suggestion): `);
+        if (answer === null || answer.trim() === '') {
+            return suggested;
+        }
+        const values = answer.trim().split(/[\s,]+/).map(Number);
+        if (values.length !== stats.length) {
+            logger.warn(`Please enter ${stats.length} scores, one for each of ${stats.join(', ')}.`);
+            continue;
+        }
+        const scores = Object.fromEntries(stats.map((stat, i) => [stat, values[i]]));
+        try {
+            const builder = new StatsBuilder().pointBuy(scores);
+            logger.info(`Spent ${pointBuyCost(scores)} of ${POINT_BUY_BUDGET} points.`);
+            return builder;
+        } catch (error) {
+            logger.warn(error.message);
+        }
+    }
+}
+
+/**
+ * Creates a new player character. Choices given as options (e.g. from --race) are used as
+ * they are; the rest are asked for interactively, or take their defaults when not interactive.
+ * @param {object} [options] - Character choices.
+ * @param {string} [options.name] - The character's name.
+ * @param {string} [options.race] - A race name or number (see RACES).
+ * @param {string} [options.characterClass] - A class name or number (see CLASSES).
+ * @param {string} [options.statMethod] - 'roll' or 'point-buy' (see StatMethod).
+ * @param {boolean} [options.interactive] - Ask for choices that were not given.
+ * @returns {Promise<Player>} The new player.
+ * @throws {Error} If a given race, class or stat method is unknown, or the name is invalid.
+ */
+export async function createCharacter({ name, race, characterClass, statMethod, interactive = false } = {}) {
+    // Validate the scripted choices before asking anything
+    const raceEntry = race !== undefined ? findEntry(RACES, race) : undefined;
+    if (race !== undefined && !raceEntry) {
+        throw new Error(`Unknown race '${race}'. Choose one of: ${RACES.map(r => r.name).join(', ')}.`);
+    }
+    const classEntry = characterClass !== undefined ? findEntry(CLASSES, characterClass) : undefined;
+    if (characterClass !== undefined && !classEntry) {
+        throw new Error(`Unknown class '${characterClass}'. Choose one of: ${CLASSES.map(c => c.name).join(', ')}.`);
+    }
+    if (statMethod !== undefined && !Object.values(StatMethod).includes(statMethod)) {
+        throw new Error(`Unknown stat method '${statMethod}'. Choose one of: ${Object.values(StatMethod).join(', ')}.`);
+    }
+    if (name !== undefined && (name.trim() === '' || name.trim().length > CHARACTER_CONFIG.MAX_NAME_LENGTH)) {
+        throw new Error(`The name must be 1 to ${CHARACTER_CONFIG.MAX_NAME_LENGTH} characters long.`);
+    }
+
+    if (interactive) {
+        logger.info(applyColor("--- Character Creation ---", COLORS.YELLOW));
+    }
+
+    let chosenName = name?.trim();
+    while (chosenName === undefined && interactive) {
+        const answer = await askWithDefault("Name", CHARACTER_CONFIG.DEFAULT_NAME);
+        if (answer.length <= CHARACTER_CONFIG.MAX_NAME_LENGTH) {
+            chosenName = answer;
+        } else {
+            logger.warn(`The name must be at most ${CHARACTER_CONFIG.MAX_NAME_LENGTH} characters long.`);
+        }
+    }
+    chosenName ??= CHARACTER_CONFIG.DEFAULT_NAME;
+
+    const chosenRace = raceEntry
+        || (interactive ? await chooseEntry("Race", RACES, describeRace, CHARACTER_CONFIG.DEFAULT_RACE) : findEntry(RACES, CHARACTER_CONFIG.DEFAULT_RACE));
+    const chosenClass = classEntry
+        || (interactive
+            ? await chooseEntry("Class", CLASSES, cls => `${cls.attr_priority.join(', ')}; hit die d${cls.hit_die}`, CHARACTER_CONFIG.DEFAULT_CLASS)
+            : findEntry(CLASSES, CHARACTER_CONFIG.DEFAULT_CLASS));
+
+    let method = statMethod;
+    while (method === undefined && interactive) {
+        const answer = (await askWithDefault(`Stats: '${StatMethod.ROLL}' (4d6, drop the lowest) or '${StatMethod.POINT_BUY}' (${CHARACTER_CONFIG.POINT_BUY_BUDGET} points)`, StatMethod.ROLL)).toLowerCase();
+        if (Object.values(StatMethod).includes(answer)) {
+            method = answer;
+        } else {
+            logger.warn(`Please enter '${StatMethod.ROLL}' or '${StatMethod.POINT_BUY}'.`);
+        }
+    }
+    method ??= StatMethod.ROLL;
+
+    const builder = method === StatMethod.POINT_BUY
+        ? await buyStats(chosenClass, interactive)
+        : await rollStats(chosenClass, interactive);
+    builder.applyRacialBonus(chosenRace);
+
+    return new Player({
+        name: chosenName,
+        race: chosenRace.name,
+        characterClass: chosenClass.name,
+        stats: builder.build().toJSON().values
+    });
+}
\ No newline at end of file
@@ -0,0 +1,111 @@
+// src/circuit_breaker.js - A circuit breaker that stops calling a failing service for a while.
+
+// Circuit states
+export const CircuitState = {
+    CLOSED: 'closed',       // Requests flow normally
+    OPEN: 'open',           // Requests are refused until the reset timeout elapses
+    HALF_OPEN: 'half_open'  // One trial request is allowed to check whether the service is back
+};
+
+/**
+ * Tracks consecutive failures of a service. After `failureThreshold` failures in a row the
+ * circuit opens and requests are refused; after `resetTimeoutMs` a single trial request is let
+ * through, which either closes the circuit again or re-opens it.
+ */
+export class CircuitBreaker {
+    /**
+     * @param {object} settings - Breaker settings.
+     * @param {number} settings.failureThreshold - Consecutive failures that open the circuit.
+     * @param {number} settings.resetTimeoutMs - How long the circuit stays open before a trial request.
+     * @param {function(Error): void} [settings.onOpen] - Called when the circuit opens from the closed state.
+     * @param {function(): void} [settings.onClose] - Called when a trial request succeeds and the circuit closes.
+     * @param {function(): number} [settings.now] - Clock function, for tests.
+     */
+    constructor({ failureThreshold, resetTimeoutMs, onOpen = () => {}, onClose = () => {}, now = Date.now }) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.onOpen = onOpen;
+        this.onClose = onClose;
+        this.now = now;
+        this.state = CircuitState.CLOSED;
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false; // Whether the half-open trial request has been let through
+    }
+
+    /**
+     * Tells whether a request may be made now. Moves an open circuit to half-open once the
+     * reset timeout has elapsed, and lets a single trial request through until it is recorded.
+     * @returns {boolean} True if the request may proceed.
+     */
+    allowRequest() {
+        if (this.state === CircuitState.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = CircuitState.HALF_OPEN;
+        }
+        if (this.state === CircuitState.HALF_OPEN) {
+            if (this.trialInFlight) {
+                return false;
+            }
+            this.trialInFlight = true;
+            return true;
+        }
+        return this.state === CircuitState.CLOSED;
+    }
+
+    /**
+     * Returns whether the circuit currently refuses requests. An open circuit whose reset
+     * timeout has elapsed no longer counts, since allowRequest() would let a trial through.
+     * @returns {boolean} True if a request made now would be refused.
+     */
+    isOpen() {
+        return this.state === CircuitState.OPEN && this.now() - this.openedAt < this.resetTimeoutMs;
+    }
+
+    /**
+     * Records a successful request, closing the circuit.
+     */
+    recordSuccess() {
+        const wasHalfOpen = this.state === CircuitState.HALF_OPEN;
+        this.state = CircuitState.CLOSED;
+        this.failures = 0;
+        this.trialInFlight = false;
+        if (wasHalfOpen) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Records a failed request, opening the circuit when the threshold is reached
+     * or when a half-open trial request fails.
+     * @param {Error} error - The failure.
+     */
+    recordFailure(error) {
+        this.failures++;
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.state = CircuitState.OPEN;
+            this.openedAt = this.now();
+            this.trialInFlight = false;
+        } else if (this.state === CircuitState.CLOSED && this.failures >= this.failureThreshold) {
+            this.state = CircuitState.OPEN;
+            this.openedAt = this.now();
+            this.onOpen(error);
+        }
+    }
+
+    /**
+     * Records a request that ended without telling anything about the service (e.g. it was
+     * cancelled), so that a half-open circuit lets another trial request through.
+     */
+    recordAbandoned() {
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Forces the circuit closed and clears the failure count.
+     */
+    reset() {
+        this.state = CircuitState.CLOSED;
+        this.failures = 0;
+        this.trialInFlight = false;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,93 @@
+// src/cli.js - Command-line option parsing for the game.
+
+import { parseArgs } from 'node:util';
+import { NARRATION_CONFIG } from './config.js';
+
+// Supported command-line options (see printUsage for descriptions).
+const CLI_OPTIONS = {
+    auto: { type: 'boolean', default: false },
+    load: { type: 'string' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    'llm-url': { type: 'string' },
+    'mock-script': { type: 'string' },
+    'llm-timeout': { type: 'string' },
+    offline: { type: 'boolean', default: false },
+    seed: { type: 'string' },
+    difficulty: { type: 'string' },
+    balance: { type: 'string' },
+    name: { type: 'string' },
+    race: { type: 'string' },
+    class: { type: 'string' },
+    stats: { type: 'string' },
+    'no-stream': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Parses the command-line arguments into game options.
+ * @param {string[]} [argv] - The raw arguments (defaults to process.argv without node and script path).
+ * @returns {{auto: boolean, load?: string, provider?: string, model?: string, llmUrl?: string, mockScript?: string, llmTimeoutMs?: number, offline: boolean, seed?: string, difficulty?: string, balanceFile?: string, name?: string, race?: string, characterClass?: string, statMethod?: string, stream: boolean, help: boolean}} The parsed options.
+ * @throws {TypeError} If an unknown option or a malformed value is given.
+ */
+export function parseCliOptions(argv = process.argv.slice(2)) {
+    const { values } = parseArgs({ args: argv, options: CLI_OPTIONS, strict: true });
+    let llmTimeoutMs;
+    if (values['llm-timeout'] !== undefined) {
+        llmTimeoutMs = Number(values['llm-timeout']);
+        if (!Number.isInteger(llmTimeoutMs) || llmTimeoutMs <= 0) {
+            throw new TypeError(`--llm-timeout must be a positive number of milliseconds, got "${values['llm-timeout']}".`);
+        }
+    }
+    return {
+        auto: values.auto,
+        load: values.load,
+        provider: values.provider,
+        model: values.model,
+        llmUrl: values['llm-url'],
+        mockScript: values['mock-script'],
+        llmTimeoutMs,
+        offline: values.offline,
+        seed: values.seed,
+        difficulty: values.difficulty,
+        balanceFile: values.balance,
+        name: values.name,
+        race: values.race,
+        characterClass: values.class,
+        statMethod: values.stats,
+        stream: NARRATION_CONFIG.STREAM && !values['no-stream'],
+        help: values.help
+    };
+}
+
+/**
+ * Prints the command-line usage text.
+ */
+export function printUsage() {
+    console.log(`Usage: node main.js [options]
+
+Options:
+  --auto        Run unattended: the player automatically attacks every turn.
+  --load <slot> Continue from a saved game (e.g. --load autosave).
+  --no-stream   Print monster narration only once it is complete, instead of token by token.
+  --offline     Play without an LLM, using the built-in monsters, actions and items.
+  --seed <seed> Seed the random number generator to replay a run (a number or any text).
+  -h, --help    Show this help text.
+
+Balance options:
+  --difficulty <name>    story, normal (default) or hardcore, or another preset of the balance file.
+  --balance <file>       Load combat, levelling and monster scaling from this JSON file instead of balance.json.
+
+Character options (skip the matching character creation questions):
+  --name <name>          Your character's name (default: Arwen).
+  --race <race>          Human, Elf (default), Dwarf, Orc, Goblin, Gnome, Undead, Centaur, Dragonborn or Tiefling.
+  --class <class>        Warrior (default), Mage, Rogue, Cleric, Bard, Paladin, Ranger or Monk.
+  --stats <method>       roll (4d6, drop the lowest; default) or point-buy.
+
+LLM options (also settable with LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL and LLM_API_KEY):
+  --provider <name>      ollama (default), openai, llamacpp or mock.
+  --model <name>         Model name (default: gemma3:latest).
+  --llm-url <url>        Server URL, e.g. http://localhost:11434 for Ollama.
+  --mock-script <file>   JSON file of scripted responses for the mock provider.
+  --llm-timeout <ms>     Give up on an LLM request after this long (default: 60000).`);
+}
\ No newline at end of file
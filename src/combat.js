@@ -0,0 +1,363 @@
+// src/combat.js - The combat engine: runs a fight round by round, resolves attacks the same way
+// for every combatant and reports what happens through events instead of logging it.
+
+import { EventEmitter } from 'node:events';
+import { CombatEvent, CombatOutcome, StatType, ItemEffectType } from './config.js';
+import { odds } from './utils.js';
+import { rollDice } from './dice.js';
+import { takePlayerTurn } from './player_actions.js';
+import { takeMonsterTurn } from './monster_actions.js';
+import { getBalance } from './balance.js';
+
+/**
+ * Resolves one attack without applying it: rolls to hit, for a critical hit and for the damage,
+ * lets the defender try to evade, then reduces the damage by the defender's defense and guard.
+ * @param {{hitChance: number, criticalChance: number}} attacker - The attacker (player, monster or minion).
+ * @param {{evasionRate: number, defense: number, effects: StatusEffects}} defender - The defender.
+ * @param {object} attack - The attack.
+ * @param {string} attack.dice - The damage dice expression (e.g. "1d6+3").
+ * @param {boolean} [attack.autoHit] - The attack cannot miss or be evaded (e.g. Magic Missile).
+ * @param {boolean} [attack.ignoreDefense] - The defender's defense does not apply (e.g. spells).
+ * @returns {{type: string, critical: boolean, damage: number, guarded: boolean}} The outcome:
+ *   type is CombatEvent.MISS, DODGE or HIT, and damage is what gets through (0 unless it hit).
+ */
+export function resolveAttack(attacker, defender, { dice, autoHit = false, ignoreDefense = false }) {
+    if (!autoHit && !odds(attacker.hitChance / 100)) { // Assuming hitChance is out of 100
+        return { type: CombatEvent.MISS, critical: false, damage: 0, guarded: false };
+    }
+    const critical = odds(attacker.criticalChance / 100); // A critical hit rolls the damage dice twice
+    const rolled = Math.max(1, rollDice(dice, { critical }));
+    if (!autoHit && odds(defender.evasionRate / 100)) { // Assuming evasionRate is out of 100
+        return { type: CombatEvent.DODGE, critical, damage: 0, guarded: false };
+    }
+
+    // At least 1 point of damage always gets through the defense and the guard
+    let damage = ignoreDefense ? rolled : Math.max(1, rolled - Math.floor(defender.defense));
+    const reduction = defender.effects.damageReduction;
+    if (reduction > 0) {
+        damage = Math.max(1, Math.floor(damage * (1 - reduction)));
+    }
+    return { type: CombatEvent.HIT, critical, damage, guarded: reduction > 0 };
+}
+
+/**
+ * Runs a fight between the player and one or more monsters. Everyone rolls initiative when the
+ * fight starts, and each round they act in that order; the turns themselves are played by
+ * pluggable functions, so the same engine drives the console game, unattended runs and
+ * simulations. Listen for CombatEvent events to show the fight (see logCombatEvents in
+ * src/combat_log.js).
+ */
+export class CombatEngine extends EventEmitter {
+    /**
+     * @param {object} setup - The fight.
+     * @param {Player} setup.player - The player.
+     * @param {Monster[]} setup.monsters - The monsters of the encounter (see createLLMMonster).
+     * @param {{player: Player, combatCount: number}} [setup.game] - The game state, for saving and loading mid-fight.
+     * @param {{auto: boolean, stream: boolean}} [setup.options] - Game options, passed on to the turn functions.
+     * @param {function(CombatEngine, object): Promise<string>} [setup.playerTurn] - Plays the player's turn and
+     *   resolves to 'done', 'fled', 'loaded' or 'quit' (defaults to takePlayerTurn).
+     * @param {function(CombatEngine, Monster, object): Promise<string>} [setup.monsterTurn] - Plays a monster's
+     *   turn and resolves to 'done' or 'fled' (defaults to takeMonsterTurn).
+     * @param {number} [setup.roundDelayMs] - A pause after each round, to make unattended fights readable.
+     */
+    constructor({ player, monsters, game = { player, combatCount: 0 }, options = {}, playerTurn = takePlayerTurn, monsterTurn = takeMonsterTurn, roundDelayMs = 0 }) {
+        super();
+        this.player = player;
+        this.monsters = monsters;
+        this.game = game;
+        this.options = options;
+        this.playerTurn = playerTurn;
+        this.monsterTurn = monsterTurn;
+        this.roundDelayMs = roundDelayMs;
+        this.round = 0;
+        this.order = [];         // Everyone in turn order, once initiative is rolled
+        this.defeated = [];      // Monsters defeated so far, in the order they fell
+        this.playerTarget = null;
+
+        // Each monster knows its side, so it can heal or buff its allies
+        for (const monster of monsters) {
+            monster.allies = monsters.filter(other => other !== monster);
+        }
+    }
+
+    /**
+     * The monsters still in the fight (neither defeated nor fled).
+     * @returns {Monster[]} The active monsters, in encounter order.
+     */
+    get activeMonsters() {
+        return this.monsters.filter(monster => monster.isActive);
+    }
+
+    /**
+     * The monster the player's attacks and abilities are aimed at: the one they chose, or the
+     * first active monster once that one is out of the fight.
+     * @returns {Monster|undefined} The target, or undefined if no monster is left.
+     */
+    get target() {
+        return this.playerTarget?.isActive ? this.playerTarget : this.activeMonsters[0];
+    }
+
+    /**
+     * Aims the player's attacks and abilities at a monster.
+     * @param {Monster} monster - One of the active monsters.
+     */
+    setTarget(monster) {
+        this.playerTarget = monster;
+    }
+
+    /**
+     * Finds an active monster by its 1-based number in activeMonsters or by (part of) its name,
+     * e.g. "2" or "goblin b".
+     * @param {string} input - What the player typed.
+     * @returns {Monster|undefined} The monster, or undefined if none matches.
+     */
+    findMonster(input) {
+        const text = String(input).trim().toLowerCase();
+        const monsters = this.activeMonsters;
+        if (/^\d+$/.test(text)) {
+            return monsters[parseInt(text, 10) - 1];
+        }
+        return monsters.find(monster => monster.name.toLowerCase() === text)
+            || monsters.find(monster => monster.name.toLowerCase().includes(text));
+    }
+
+    /**
+     * Rolls initiative (INITIATIVE_DICE plus the DEX bonus) for everyone and sets the turn order,
+     * highest first. Ties go to the higher DEX bonus, then to the player.
+     * @returns {Array<Player|Monster>} The turn order.
+     */
+    rollInitiative() {
+        const rolls = [this.player, ...this.monsters].map(combatant => {
+            const bonus = combatant.stats.getBonus(StatType.DEXTERITY);
+            return { combatant, bonus, roll: rollDice(getBalance().combat.initiative_dice) + bonus };
+        });
+        rolls.sort((a, b) => b.roll - a.roll || b.bonus - a.bonus); // Stable, so the player wins remaining ties
+        this.emit(CombatEvent.INITIATIVE, { order: rolls.map(({ combatant, roll }) => ({ combatant, roll })) });
+        this.order = rolls.map(({ combatant }) => combatant);
+        return this.order;
+    }
+
+    /**
+     * Resolves an attack, emits what happened and applies the damage to the defender.
+     * @param {object} attacker - The attacker (player, monster or minion).
+     * @param {Player|Monster} defender - The defender.
+     * @param {object} attack - The attack (see resolveAttack).
+     * @param {string} [attack.source] - The ability making the attack, for messages.
+     * @param {boolean} [attack.weapon] - The attack is made with the attacker's weapon, so the on-hit
+     *   effects of their equipment trigger when it hits (see applyOnHitEffects).
+     * @returns {{type: string, critical: boolean, damage: number, guarded: boolean}} The outcome (see resolveAttack).
+     */
+    attack(attacker, defender, { source = null, weapon = false, ...attack }) {
+        const result = resolveAttack(attacker, defender, attack);
+        const event = { attacker, defender, source, ...result };
+        if (result.critical) {
+            this.emit(CombatEvent.CRIT, event);
+        }
+        this.emit(result.type, event);
+        if (result.type === CombatEvent.HIT) {
+            this.damage(defender, result.damage);
+            if (weapon) {
+                this.applyOnHitEffects(attacker, defender, result.damage);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Triggers the on-hit effects of the attacker's equipment after a weapon hit: elemental
+     * damage (which ignores defense) first, then lifesteal on all the damage dealt, then status
+     * effects. Emits CombatEvent.ITEM_EFFECT for each effect that triggers.
+     * @param {object} attacker - The attacker; only combatants with equipment have on-hit effects.
+     * @param {Player|Monster} defender - The defender that was hit.
+     * @param {number} damage - The damage the hit dealt.
+     */
+    applyOnHitEffects(attacker, defender, damage) {
+        const triggered = attacker.equipment?.onHitEffects ?? [];
+        const ofType = type => triggered.filter(({ effect }) => effect.type === type);
+        let dealt = damage;
+
+        for (const { item, effect } of ofType(ItemEffectType.ELEMENTAL)) {
+            if (defender.hpBar.isEmpty()) break;
+            const amount = Math.max(1, rollDice(effect.dice));
+            this.emit(CombatEvent.ITEM_EFFECT, { attacker, defender, item, effect, amount });
+            this.damage(defender, amount);
+            dealt += amount;
+        }
+        for (const { item, effect } of ofType(ItemEffectType.LIFESTEAL)) {
+            const amount = Math.floor(dealt * effect.percent / 100);
+            if (amount > 0 && attacker.hpBar.value < attacker.hpBar.max) {
+                this.emit(CombatEvent.ITEM_EFFECT, { attacker, defender, item, effect, amount });
+                this.heal(attacker, amount);
+            }
+        }
+        for (const { item, effect } of ofType(ItemEffectType.ON_HIT_STATUS)) {
+            if (!defender.hpBar.isEmpty() && odds(effect.chance / 100)) {
+                this.emit(CombatEvent.ITEM_EFFECT, { attacker, defender, item, effect, amount: 0 });
+                this.applyStatus(defender, effect.status);
+            }
+        }
+    }
+
+    /**
+     * Takes HP from a combatant and emits CombatEvent.DAMAGE. A boss brought down to the
+     * threshold of its next phase enters it (see Monster#advancePhase) and emits CombatEvent.PHASE.
+     * @param {Player|Monster} combatant - The combatant that is hurt.
+     * @param {number} amount - The damage.
+     * @param {string|null} [source] - What dealt it when it was not an attack (e.g. a status effect's name).
+     */
+    damage(combatant, amount, source = null) {
+        combatant.takeDamage(amount);
+        this.emit(CombatEvent.DAMAGE, { combatant, amount, source });
+        if (!combatant.hpBar.isEmpty()) {
+            for (const phase of combatant.advancePhase?.() ?? []) {
+                this.emit(CombatEvent.PHASE, { combatant, phase });
+            }
+        }
+    }
+
+    /**
+     * Restores a combatant's HP and emits CombatEvent.HEAL.
+     * @param {Player|Monster} combatant - The combatant that is healed.
+     * @param {number} amount - The healing.
+     * @param {string|null} [source] - What healed it when it was not an ability or item (e.g. a status effect's name).
+     */
+    heal(combatant, amount, source = null) {
+        combatant.heal(amount);
+        this.emit(CombatEvent.HEAL, { combatant, amount, source });
+    }
+
+    /**
+     * Applies a status effect to a combatant and, unless the effect is quiet, emits CombatEvent.STATUS.
+     * @param {Player|Monster} combatant - The combatant.
+     * @param {string} id - A key of STATUS_EFFECTS (e.g. "poisoned").
+     * @param {object} [overrides] - Changes to the definition for this application (see StatusEffects#apply).
+     * @returns {object} The active effect.
+     */
+    applyStatus(combatant, id, overrides) {
+        const effect = combatant.effects.apply(id, overrides);
+        if (!effect.quiet) {
+            this.emit(CombatEvent.STATUS, { combatant, effect });
+        }
+        return effect;
+    }
+
+    /**
+     * Ticks a combatant's status effects at the start of its turn (see StatusEffects#tick):
+     * emits CombatEvent.STATUS_END for those that ran out, then deals the damage and healing
+     * over time of the rest, stopping if the combatant falls.
+     * @param {Player|Monster} combatant - The combatant whose turn begins.
+     */
+    tickEffects(combatant) {
+        const { expired, active } = combatant.effects.tick();
+        for (const effect of expired.filter(effect => !effect.quiet)) {
+            this.emit(CombatEvent.STATUS_END, { combatant, effect });
+        }
+        for (const effect of active) {
+            if (combatant.hpBar.isEmpty()) {
+                break;
+            }
+            if (effect.damage) {
+                this.damage(combatant, Math.max(1, rollDice(effect.damage) * effect.stacks), effect.name);
+            }
+            if (effect.heal) {
+                this.heal(combatant, Math.max(1, rollDice(effect.heal) * effect.stacks), effect.name);
+            }
+        }
+    }
+
+    /**
+     * Cures a combatant of every harmful status effect (see StatusEffects#removeHarmful) and
+     * emits CombatEvent.STATUS_END for each.
+     * @param {Player|Monster} combatant - The combatant.
+     * @returns {object[]} The effects removed.
+     */
+    removeHarmful(combatant) {
+        const removed = combatant.effects.removeHarmful();
+        for (const effect of removed) {
+            this.emit(CombatEvent.STATUS_END, { combatant, effect });
+        }
+        return removed;
+    }
+
+    /**
+     * Fights until the player falls or leaves, or no monster is left in the fight. Cooldowns and
+     * status effects end with the fight; rewards are left to the caller.
+     * @returns {Promise<{outcome: string, rounds: number, player: Player, monsters: Monster[], defeated: Monster[]}>}
+     *   The result; outcome is one of CombatOutcome, and defeated lists the monsters that fell.
+     */
+    async run() {
+        this.rollInitiative();
+        while (true) {
+            this.round++;
+            this.emit(CombatEvent.ROUND, { round: this.round });
+
+            for (const combatant of this.order) {
+                if (combatant !== this.player && !combatant.isActive) {
+                    continue;
+                }
+                this.emit(CombatEvent.TURN, { combatant });
+                if (combatant === this.player) {
+                    const playerResult = await this.playerTurn(this, this.options);
+                    if (playerResult === 'quit') {
+                        return this.finish(CombatOutcome.QUIT);
+                    }
+                    if (playerResult === 'loaded') {
+                        return this.finish(CombatOutcome.LOADED);
+                    }
+                    if (playerResult === 'fled') {
+                        return this.finish(CombatOutcome.FLED);
+                    }
+                } else if (await this.monsterTurn(this, combatant, this.options) === 'fled') {
+                    combatant.fled = true;
+                }
+
+                // Anyone can fall on anyone's turn, e.g. to poison at the start of their own turn
+                const outcome = this.checkOutcome();
+                if (outcome) {
+                    return this.finish(outcome);
+                }
+            }
+
+            this.emit(CombatEvent.ROUND_END, { round: this.round });
+            if (this.roundDelayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.roundDelayMs));
+            }
+        }
+    }
+
+    /**
+     * Emits a defeat for everyone who has fallen since the last check and decides whether the
+     * fight is over.
+     * @returns {string|null} The outcome (see CombatOutcome) if the fight is over, otherwise null.
+     */
+    checkOutcome() {
+        for (const monster of this.monsters) {
+            if (monster.hpBar.isEmpty() && !this.defeated.includes(monster)) {
+                this.defeated.push(monster);
+                this.emit(CombatEvent.DEFEAT, { combatant: monster });
+            }
+        }
+        if (this.player.hpBar.isEmpty()) {
+            this.emit(CombatEvent.DEFEAT, { combatant: this.player });
+            return CombatOutcome.DEFEAT;
+        }
+        if (this.activeMonsters.length === 0) {
+            return this.defeated.length > 0 ? CombatOutcome.VICTORY : CombatOutcome.MONSTER_FLED;
+        }
+        return null;
+    }
+
+    /**
+     * Ends the fight: the player's cooldowns and status effects are reset, unless the fight was
+     * abandoned for a loaded save or by quitting.
+     * @param {string} outcome - One of CombatOutcome.
+     * @returns {{outcome: string, rounds: number, player: Player, monsters: Monster[], defeated: Monster[]}} The combat result.
+     */
+    finish(outcome) {
+        if (outcome !== CombatOutcome.LOADED && outcome !== CombatOutcome.QUIT) {
+            this.player.resetCooldowns();
+            this.player.effects.clear();
+        }
+        return { outcome, rounds: this.round, player: this.player, monsters: this.monsters, defeated: this.defeated };
+    }
+}
\ No newline at end of file
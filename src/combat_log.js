@@ -0,0 +1,121 @@
+// src/combat_log.js - Shows a CombatEngine's events on the console.
+
+import { CombatEvent, ItemEffectType, LOCATIONS } from './config.js';
+import { logger, applyColor, COLORS } from './utils.js';
+import { describeEffect } from './status_effects.js';
+
+/**
+ * Logs a fight as it happens: the turn order, round headers, whose turn it is, every attack,
+ * ability, status effect, heal and escape attempt, the player's bars (and the monsters' HP in a
+ * group fight) after each round and the end of a defeated combatant.
+ * @param {CombatEngine} combat - The fight to show.
+ */
+export function logCombatEvents(combat) {
+    // The player is shown in green; the monster and its minions in magenta
+    const nameOf = combatant => applyColor(combatant.name, combatant === combat.player ? COLORS.GREEN : COLORS.MAGENTA);
+
+    combat.on(CombatEvent.INITIATIVE, ({ order }) => {
+        logger.info(`Initiative: ${order.map(({ combatant, roll }) => `${nameOf(combatant)} ${roll}`).join(', ')}`);
+    });
+    combat.on(CombatEvent.ROUND, ({ round }) => {
+        logger.info(`\n--- Turn ${round} ---`);
+    });
+    combat.on(CombatEvent.TURN, ({ combatant }) => {
+        logger.info(`${nameOf(combatant)}'s turn!`);
+    });
+    combat.on(CombatEvent.MISS, ({ attacker, defender, source }) => {
+        logger.info(source
+            ? `${nameOf(attacker)}'s ${source} misses ${nameOf(defender)}!`
+            : `${nameOf(attacker)}'s attack on ${nameOf(defender)} missed!`);
+    });
+    combat.on(CombatEvent.CRIT, () => {
+        logger.info(`${applyColor('Critical Hit! ', COLORS.BRIGHT + COLORS.RED)}`);
+    });
+    combat.on(CombatEvent.DODGE, ({ attacker, defender, source }) => {
+        logger.info(`${nameOf(defender)} dodged ${source ? `${nameOf(attacker)}'s ${source}` : `the attack from ${nameOf(attacker)}`}!`);
+    });
+    combat.on(CombatEvent.HIT, ({ attacker, defender, source, damage, guarded }) => {
+        if (guarded) {
+            logger.info(`${nameOf(defender)}'s guard absorbs part of the blow.`);
+        }
+        logger.info(`${nameOf(attacker)}${source ? `'s ${source}` : ''} dealt ${damage} damage to ${nameOf(defender)}.`);
+    });
+    combat.on(CombatEvent.ITEM_EFFECT, ({ attacker, defender, item, effect, amount }) => {
+        const itemName = applyColor(item.name, COLORS.BRIGHT + COLORS.YELLOW);
+        if (effect.type === ItemEffectType.ELEMENTAL) {
+            logger.info(`${nameOf(attacker)}'s ${itemName} deals ${amount} ${effect.element ? `${effect.element} ` : 'bonus '}damage to ${nameOf(defender)}.`);
+        } else if (effect.type === ItemEffectType.LIFESTEAL) {
+            logger.info(`${nameOf(attacker)}'s ${itemName} drains ${amount} HP from ${nameOf(defender)}.`);
+        }
+        // On-hit status effects are announced by their CombatEvent.STATUS
+    });
+    combat.on(CombatEvent.DAMAGE, ({ combatant, amount, source }) => {
+        const taken = source ? `suffers ${amount} damage from ${source}.` : `Took ${amount} damage.`;
+        logger.info(`${nameOf(combatant)}: ${applyColor(taken, COLORS.RED)} Remaining HP: ${combatant.hpBar.toString()}`);
+    });
+    combat.on(CombatEvent.HEAL, ({ combatant, amount, source }) => {
+        logger.info(`${nameOf(combatant)}: Healed for ${amount} HP${source ? ` from ${source}` : ''}. Remaining HP: ${combatant.hpBar.toString()}`);
+    });
+    combat.on(CombatEvent.PHASE, ({ combatant, phase }) => {
+        logger.info(applyColor(`${combatant.name} enters a new phase: ${phase.name}!`, COLORS.BRIGHT + COLORS.RED));
+        if (phase.description) {
+            logger.info(applyColor(phase.description, COLORS.CYAN));
+        }
+        if (phase.ability) {
+            logger.info(`${nameOf(combatant)} gains a new ability: ${combatant.describeAbility(phase.ability)}`);
+        }
+    });
+    combat.on(CombatEvent.ABILITY, ({ combatant, ability, target }) => {
+        const abilityName = applyColor(ability.name, COLORS.CYAN);
+        if (combatant === combat.player) {
+            logger.info(`${nameOf(combatant)} uses ${abilityName}! (MP: ${combatant.mpBar.toString()})`);
+        } else {
+            logger.info(`${nameOf(combatant)} uses ${abilityName}${target !== combatant ? ` on ${nameOf(target)}` : ''}!`);
+        }
+    });
+    combat.on(CombatEvent.MODIFIER, ({ combatant, stat, amount }) => {
+        logger.info(`${nameOf(combatant)}'s ${stat} ${amount >= 0 ? 'rises' : 'drops'} by ${Math.abs(amount)}.`);
+    });
+    combat.on(CombatEvent.SUMMON, ({ combatant, minion }) => {
+        logger.info(`A ${nameOf(minion)} joins ${nameOf(combatant)}'s side!`);
+    });
+    combat.on(CombatEvent.SUMMON_END, ({ minion }) => {
+        logger.info(`${nameOf(minion)} slinks away.`);
+    });
+    combat.on(CombatEvent.STATUS, ({ combatant, effect }) => {
+        logger.info(`${nameOf(combatant)} is affected by ${describeEffect(effect)}.`);
+    });
+    combat.on(CombatEvent.STATUS_END, ({ combatant, effect }) => {
+        logger.info(`${nameOf(combatant)} is no longer affected by ${effect.name}.`);
+    });
+    combat.on(CombatEvent.DEFEND, ({ combatant }) => {
+        logger.info(`${nameOf(combatant)} ${combatant === combat.player ? 'raises their guard!' : 'takes a defensive stance!'}`);
+    });
+    combat.on(CombatEvent.STUNNED, ({ combatant }) => {
+        logger.info(`${nameOf(combatant)} is stunned and cannot act!`);
+    });
+    combat.on(CombatEvent.FLEE, ({ combatant, escaped, from }) => {
+        if (combatant === combat.player) {
+            logger.info(escaped
+                ? `${nameOf(combatant)} escaped from ${from.map(nameOf).join(', ')}!`
+                : `${nameOf(combatant)} failed to escape!`);
+        } else {
+            logger.info(escaped
+                ? `${nameOf(combatant)} escaped and vanished into ${LOCATIONS[combat.player.location].name}!`
+                : `${nameOf(combatant)} tries to flee, but cannot get away!`);
+        }
+    });
+    combat.on(CombatEvent.ROUND_END, () => {
+        combat.player.printBars(); // Display player's HP/MP/EXP bars
+        if (combat.monsters.length > 1) {
+            logger.info(`Monsters: ${combat.activeMonsters.map(monster => `${nameOf(monster)} ${monster.hpBar.toString()}`).join(', ')}`);
+        }
+    });
+    combat.on(CombatEvent.DEFEAT, ({ combatant }) => {
+        if (combatant === combat.player) {
+            logger.error(`${applyColor(combatant.name, COLORS.RED)} has fallen in battle! Game Over.`);
+        } else {
+            logger.info(`${nameOf(combatant)} has been ${applyColor('defeated!', COLORS.GREEN)}`);
+        }
+    });
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+// src/commands.js - Command definitions and parsing for the interactive player prompts.
+
+import { ask } from './input.js';
+import { logger, applyColor, COLORS } from './utils.js';
+
+// Commands for managing the inventory, available both in and between fights.
+const INVENTORY_COMMANDS = [
+    { name: 'use', aliases: ['u', 'item', 'drink', 'read'], usage: 'use <inventory #>', description: 'Drink a potion, read a scroll or equip an item from your inventory.' },
+    { name: 'equip', aliases: ['e', 'wear', 'wield'], usage: 'equip <inventory #> [slot]', description: 'Wear a weapon, armor or accessory from your inventory (optionally in a given slot, e.g. ring 2).' },
+    { name: 'unequip', aliases: ['remove', 'takeoff'], usage: 'unequip <slot>', description: 'Take off the item in a slot (e.g. head, ring 1) and put it in your inventory.' },
+    { name: 'drop', aliases: ['discard'], usage: 'drop <inventory #> [quantity|all]', description: 'Throw away an item (or some of a stack) to free up space.' },
+    { name: 'compare', aliases: ['cmp'], usage: 'compare <inventory #>', description: 'Show how wearing an item would change your stats, against what you wear now.' },
+    { name: 'sort', aliases: [], usage: 'sort', description: 'Sort your inventory by type, rarity and name.' },
+    { name: 'inventory', aliases: ['inv', 'bag'], usage: 'inventory', description: 'List the items you carry.' }
+];
+
+// Commands available to the player during their combat turn.
+export const COMBAT_COMMANDS = [
+    { name: 'attack', aliases: ['a', 'hit'], usage: 'attack [target]', description: 'Attack your target (or the monster given by number or name) with your equipped weapon.' },
+    { name: 'cast', aliases: ['c', 'spell', 'ability', 'skill'], usage: 'cast [ability]', description: 'Use a class ability or spell on your target (costs MP). Without a name, lists your abilities.' },
+    { name: 'target', aliases: ['t'], usage: 'target [monster]', description: 'Aim your attacks and abilities at a monster, by number or name. Without one, lists the monsters.' },
+    ...INVENTORY_COMMANDS,
+    { name: 'defend', aliases: ['d', 'block'], usage: 'defend', description: 'Brace yourself, reducing damage taken until your next turn.' },
+    { name: 'flee', aliases: ['f', 'run'], usage: 'flee', description: 'Try to escape from the battle.' },
+    { name: 'inspect', aliases: ['i', 'look'], usage: 'inspect [monster] | inspect item <#>', description: 'Examine your target (or the monster given by number or name), or an item in your inventory.' },
+    { name: 'status', aliases: ['s', 'stats'], usage: 'status', description: 'Show your stats, equipment, bars and inventory.' },
+    { name: 'quests', aliases: ['journal', 'log'], usage: 'quests', description: 'Show your quest log: your quests, their progress and rewards.' },
+    { name: 'save', aliases: [], usage: 'save [slot]', description: 'Save your progress (the current fight is not saved).' },
+    { name: 'load', aliases: [], usage: 'load [slot]', description: 'Abandon this fight and load a saved game.' },
+    { name: 'saves', aliases: ['slots'], usage: 'saves', description: 'List the saved games.' },
+    { name: 'help', aliases: ['h', '?'], usage: 'help', description: 'List the available commands.' },
+    { name: 'quit', aliases: ['q', 'exit'], usage: 'quit', description: 'Leave the game.' }
+];
+
+// Commands available while resting between fights.
+export const CAMP_COMMANDS = [
+    { name: 'continue', aliases: ['next', 'n', 'go'], usage: 'continue', description: 'Move on to the next fight.' },
+    { name: 'travel', aliases: ['t', 'move', 'walk'], usage: 'travel <place>', description: 'Set off for a place a road leads to from here.' },
+    { name: 'map', aliases: ['m', 'where'], usage: 'map', description: 'Show where you are and where the roads lead.' },
+    { name: 'delve', aliases: ['dungeon', 'enter'], usage: 'delve', description: 'Enter the dungeon below this region, if it has one.' },
+    { name: 'shop', aliases: ['trade', 'merchant'], usage: 'shop', description: 'Trade with the merchant, when one has set up shop at your camp.' },
+    { name: 'board', aliases: ['notices', 'jobs'], usage: 'board', description: 'Read the quests on the notice board, in town.' },
+    { name: 'accept', aliases: ['take'], usage: 'accept <board #>', description: 'Take on a quest from the notice board.' },
+    { name: 'abandon', aliases: [], usage: 'abandon <quest #>', description: 'Give up one of your quests.' },
+    ...INVENTORY_COMMANDS,
+    { name: 'inspect', aliases: ['i', 'look'], usage: 'inspect <inventory #>', description: 'Examine an item in your inventory.' },
+    { name: 'status', aliases: ['s', 'stats'], usage: 'status', description: 'Show your stats, equipment, bars and inventory.' },
+    { name: 'quests', aliases: ['journal', 'log'], usage: 'quests', description: 'Show your quest log: your quests, their progress and rewards.' },
+    { name: 'story', aliases: ['chronicle', 'memory'], usage: 'story', description: 'Recall the story of your campaign so far.' },
+    { name: 'save', aliases: [], usage: 'save [slot]', description: 'Save your progress.' },
+    { name: 'load', aliases: [], usage: 'load [slot]', description: 'Load a saved game.' },
+    { name: 'saves', aliases: ['slots'], usage: 'saves', description: 'List the saved games.' },
+    { name: 'help', aliases: ['h', '?'], usage: 'help', description: 'List the available commands.' },
+    { name: 'quit', aliases: ['q', 'exit'], usage: 'quit', description: 'Leave the game.' }
+];
+
+// Commands available between the floors of a dungeon. A dungeon run cannot be saved.
+export const DUNGEON_COMMANDS = [
+    { name: 'descend', aliases: ['continue', 'next', 'n', 'go', 'down'], usage: 'descend', description: 'Go down to the next floor.' },
+    { name: 'leave', aliases: ['retreat', 'out'], usage: 'leave', description: 'Climb back out of the dungeon, ending the run.' },
+    ...INVENTORY_COMMANDS,
+    { name: 'inspect', aliases: ['i', 'look'], usage: 'inspect <inventory #>', description: 'Examine an item in your inventory.' },
+    { name: 'status', aliases: ['s', 'stats'], usage: 'status', description: 'Show your stats, equipment, bars and inventory.' },
+    { name: 'quests', aliases: ['journal', 'log'], usage: 'quests', description: 'Show your quest log: your quests, their progress and rewards.' },
+    { name: 'story', aliases: ['chronicle', 'memory'], usage: 'story', description: 'Recall the story of your campaign so far.' },
+    { name: 'load', aliases: [], usage: 'load [slot]', description: 'Abandon the dungeon run and load a saved game.' },
+    { name: 'saves', aliases: ['slots'], usage: 'saves', description: 'List the saved games.' },
+    { name: 'help', aliases: ['h', '?'], usage: 'help', description: 'List the available commands.' },
+    { name: 'quit', aliases: ['q', 'exit'], usage: 'quit', description: 'Leave the game.' }
+];
+
+// Commands available while trading with a merchant.
+export const SHOP_COMMANDS = [
+    { name: 'wares', aliases: ['list', 'stock', 'l'], usage: 'wares', description: "List the merchant's goods and prices." },
+    { name: 'buy', aliases: ['b', 'purchase'], usage: 'buy <wares #> [quantity]', description: 'Buy an item (or several from a stack).' },
+    { name: 'sell', aliases: [], usage: 'sell <inventory #> [quantity|all]', description: 'Sell an item from your inventory (one from a stack unless you say how many).' },
+    { name: 'haggle', aliases: ['barter'], usage: 'haggle', description: 'Try to talk the prices down, once per visit (d20 + CHA bonus). Failing makes the merchant less generous.' },
+    { name: 'inspect', aliases: ['i', 'look'], usage: 'inspect <wares #>', description: 'Examine one of the goods.' },
+    { name: 'compare', aliases: ['cmp'], usage: 'compare <wares #>', description: 'Show how wearing one of the goods would change your stats.' },
+    { name: 'inventory', aliases: ['inv', 'bag'], usage: 'inventory', description: 'List the items you carry.' },
+    { name: 'help', aliases: ['h', '?'], usage: 'help', description: 'List the available commands.' },
+    { name: 'leave', aliases: ['back', 'done', 'bye'], usage: 'leave', description: 'Stop trading and return to camp.' },
+    { name: 'quit', aliases: ['q', 'exit'], usage: 'quit', description: 'Leave the game.' }
+];
+
+/**
+ * Parses a line of user input into a command and its arguments.
+ * @param {string} input - The raw line entered by the user.
+ * @param {Array<object>} commands - The command table to match against.
+ * @returns {{command: object, args: string[]}|{error: string}} The matched command, or an error message.
+ */
+export function parseCommand(input, commands) {
+    const words = (input || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return { error: "Please enter a command. Type 'help' to see the options." };
+    }
+    const [word, ...args] = words;
+    const command = commands.find(cmd => cmd.name === word || cmd.aliases.includes(word));
+    if (!command) {
+        return { error: `Unknown command '${word}'. Type 'help' to see the options.` };
+    }
+    return { command, args };
+}
+
+/**
+ * Prints the usage and description of every command in a table.
+ * @param {Array<object>} commands - The command table to print.
+ */
+export function printHelp(commands) {
+    logger.info(`--- Commands ---`);
+    for (const cmd of commands) {
+        const aliases = cmd.aliases.length > 0 ? ` (${cmd.aliases.join(', ')})` : '';
+        logger.info(`${applyColor(cmd.usage, COLORS.CYAN)}${aliases} - ${cmd.description}`);
+    }
+}
+
+/**
+ * Prompts until the user enters a recognised command.
+ * If input is closed (EOF/Ctrl+C), the 'quit' command is returned.
+ * @param {Array<object>} commands - The command table to match against.
+ * @param {string} promptText - The prompt shown before the cursor.
+ * @returns {Promise<{command: object, args: string[]}>} The parsed command.
+ */
+export async function readCommand(commands, promptText = '> ') {
+    while (true) {
+        const line = await ask(promptText);
+        if (line === null) {
+            return { command: commands.find(cmd => cmd.name === 'quit'), args: [] };
+        }
+        const parsed = parseCommand(line, commands);
+        if (parsed.error) {
+            logger.warn(parsed.error);
+            continue;
+        }
+        return parsed;
+    }
+}
\ No newline at end of file
@@ -25,47 +25,578 @@ export const RACES = [
 ];
 
 // Default class settings
+// attr_priority: stats that get the best scores at creation; the first physical stat (STR/DEX)
+// powers weapon attacks and the first mental stat (INT/WIS/CHA) powers spells and MP.
+// hit_die: HP gained per level is half of it.
 export const CLASSES = [
-    { name: 'Warrior', attr_priority: [StatType.STRENGTH, StatType.CONSTITUTION] },
-    { name: 'Mage', attr_priority: [StatType.INTELLIGENCE] },
-    { name: 'Rogue', attr_priority: [StatType.DEXTERITY, StatType.CHARISMA] },
-    { name: 'Cleric', attr_priority: [StatType.WISDOM, StatType.CONSTITUTION] },
-    { name: 'Bard', attr_priority: [StatType.CHARISMA, StatType.DEXTERITY] },
-    { name: 'Paladin', attr_priority: [StatType.STRENGTH, StatType.CHARISMA] },
-    { name: 'Ranger', attr_priority: [StatType.DEXTERITY, StatType.WISDOM] },
-    { name: 'Monk', attr_priority: [StatType.DEXTERITY, StatType.WISDOM] }
+    { name: 'Warrior', attr_priority: [StatType.STRENGTH, StatType.CONSTITUTION], hit_die: 10 },
+    { name: 'Mage', attr_priority: [StatType.INTELLIGENCE], hit_die: 6 },
+    { name: 'Rogue', attr_priority: [StatType.DEXTERITY, StatType.CHARISMA], hit_die: 8 },
+    { name: 'Cleric', attr_priority: [StatType.WISDOM, StatType.CONSTITUTION], hit_die: 8 },
+    { name: 'Bard', attr_priority: [StatType.CHARISMA, StatType.DEXTERITY], hit_die: 8 },
+    { name: 'Paladin', attr_priority: [StatType.STRENGTH, StatType.CHARISMA], hit_die: 10 },
+    { name: 'Ranger', attr_priority: [StatType.DEXTERITY, StatType.WISDOM], hit_die: 10 },
+    { name: 'Monk', attr_priority: [StatType.DEXTERITY, StatType.WISDOM], hit_die: 8 }
 ];
 
-// Base monster types and stats (can be dynamically generated by LLM later)
+// Class abilities (see src/abilities.js). New abilities only need an entry here and in CLASS_ABILITIES.
+//   mp_cost:  MP spent on each use
+//   cooldown: turns the ability must wait before it can be used again (0 = every turn)
+//   target:   'enemy' or 'self'
+//   effect:   'damage' - dice + scaling, ignores defense
+//             'weapon' - a weapon attack with the dice added to the weapon's damage
+//             'heal'   - restores dice + scaling HP
+//   scaling:  bonus added to the roll: the stat's bonus * multiplier + the level * per_level
+//   auto_hit: never misses
+//   status:   a status effect (see STATUS_EFFECTS) the ability inflicts on a hit, with a chance of status_chance
+export const ABILITIES = {
+    power_strike: { name: 'Power Strike', description: 'A heavy blow that puts your whole weight behind the weapon.', mp_cost: 3, cooldown: 1, target: 'enemy', effect: 'weapon', dice: '1d8' },
+    second_wind: { name: 'Second Wind', description: 'Catch your breath and shake off your wounds.', mp_cost: 4, cooldown: 4, target: 'self', effect: 'heal', dice: '1d10', scaling: { stat: StatType.CONSTITUTION, multiplier: 1, per_level: 1 } },
+    firebolt: { name: 'Firebolt', description: 'Hurl a mote of fire that ignores armor.', mp_cost: 3, cooldown: 0, target: 'enemy', effect: 'damage', dice: '1d10', scaling: { stat: StatType.INTELLIGENCE, multiplier: 2, per_level: 1 }, status: 'burning', status_chance: 0.25 },
+    magic_missile: { name: 'Magic Missile', description: 'Three glowing darts that never miss.', mp_cost: 5, cooldown: 1, target: 'enemy', effect: 'damage', dice: '3d4', scaling: { stat: StatType.INTELLIGENCE, multiplier: 1, per_level: 1 }, auto_hit: true },
+    fireball: { name: 'Fireball', description: 'A roaring explosion of flame.', mp_cost: 8, cooldown: 3, target: 'enemy', effect: 'damage', dice: '6d6', scaling: { stat: StatType.INTELLIGENCE, multiplier: 1, per_level: 0 } },
+    sneak_attack: { name: 'Sneak Attack', description: 'Strike where the enemy is not looking.', mp_cost: 3, cooldown: 2, target: 'enemy', effect: 'weapon', dice: '2d6', status: 'bleeding', status_chance: 0.5 },
+    sacred_flame: { name: 'Sacred Flame', description: 'Radiant fire descends on your foe.', mp_cost: 3, cooldown: 0, target: 'enemy', effect: 'damage', dice: '1d8', scaling: { stat: StatType.WISDOM, multiplier: 2, per_level: 1 } },
+    cure_wounds: { name: 'Cure Wounds', description: 'Mend your wounds with divine power.', mp_cost: 4, cooldown: 2, target: 'self', effect: 'heal', dice: '1d8', scaling: { stat: StatType.WISDOM, multiplier: 2, per_level: 1 } },
+    vicious_mockery: { name: 'Vicious Mockery', description: 'Insults laced with subtle enchantment.', mp_cost: 2, cooldown: 0, target: 'enemy', effect: 'damage', dice: '1d6', scaling: { stat: StatType.CHARISMA, multiplier: 2, per_level: 1 } },
+    healing_word: { name: 'Healing Word', description: 'A word of power that closes wounds.', mp_cost: 3, cooldown: 2, target: 'self', effect: 'heal', dice: '1d4', scaling: { stat: StatType.CHARISMA, multiplier: 2, per_level: 1 } },
+    divine_smite: { name: 'Divine Smite', description: 'Channel radiant power through your weapon.', mp_cost: 4, cooldown: 1, target: 'enemy', effect: 'weapon', dice: '2d8' },
+    lay_on_hands: { name: 'Lay on Hands', description: 'A healing touch.', mp_cost: 5, cooldown: 3, target: 'self', effect: 'heal', dice: '2d6', scaling: { stat: StatType.CHARISMA, multiplier: 1, per_level: 2 } },
+    hunters_mark: { name: "Hunter's Mark", description: 'A precise shot that leaves the target exposed.', mp_cost: 2, cooldown: 1, target: 'enemy', effect: 'weapon', dice: '1d6', status: 'exposed', status_chance: 1 },
+    flurry_of_blows: { name: 'Flurry of Blows', description: 'A rapid series of strikes.', mp_cost: 2, cooldown: 1, target: 'enemy', effect: 'weapon', dice: '2d4', status: 'stunned', status_chance: 0.2 }
+};
+
+// Abilities each class learns, and the level at which they unlock
+export const CLASS_ABILITIES = {
+    Warrior: [{ id: 'power_strike', level: 1 }, { id: 'second_wind', level: 2 }],
+    Mage: [{ id: 'firebolt', level: 1 }, { id: 'magic_missile', level: 3 }, { id: 'fireball', level: 5 }],
+    Rogue: [{ id: 'sneak_attack', level: 1 }],
+    Cleric: [{ id: 'sacred_flame', level: 1 }, { id: 'cure_wounds', level: 1 }],
+    Bard: [{ id: 'vicious_mockery', level: 1 }, { id: 'healing_word', level: 2 }],
+    Paladin: [{ id: 'divine_smite', level: 1 }, { id: 'lay_on_hands', level: 2 }],
+    Ranger: [{ id: 'hunters_mark', level: 1 }, { id: 'cure_wounds', level: 3 }],
+    Monk: [{ id: 'flurry_of_blows', level: 1 }, { id: 'second_wind', level: 3 }]
+};
+
+// Character creation settings (see src/character_creation.js)
+export const CHARACTER_CONFIG = {
+    DEFAULT_NAME: 'Arwen',
+    DEFAULT_RACE: 'Elf',
+    DEFAULT_CLASS: 'Warrior',
+    MAX_NAME_LENGTH: 20,
+    POINT_BUY_BUDGET: 27,       // Points to spend on stats with the point-buy method (5e rules)
+    POINT_BUY_MIN: 8,           // Lowest score that can be bought
+    POINT_BUY_MAX: 15,          // Highest score that can be bought (before racial bonuses)
+    POINT_BUY_COSTS: { 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9 },
+    POINT_BUY_SPREAD: [15, 14, 13, 12, 10, 8] // Suggested scores that spend the whole budget
+};
+
+// Ways to determine a new character's stats
+export const StatMethod = {
+    ROLL: 'roll',           // 4d6, drop the lowest, for each stat
+    POINT_BUY: 'point-buy'  // Spend CHARACTER_CONFIG.POINT_BUY_BUDGET points
+};
+
+// Base monster types and stats, scaled by level for offline content (see src/offline_content.js)
 export const MONSTERS = [
-    { name: 'Goblin', base_stats: { HP: 20, STR: 5, DEX: 8, CON: 5, INT: 3, WIS: 3, CHA: 3 }, base_exp: 10, drop_chance: 0.5 },
-    { name: 'Orc', base_stats: { HP: 40, STR: 10, DEX: 6, CON: 8, INT: 2, WIS: 2, CHA: 2 }, base_exp: 25, drop_chance: 0.6 },
-    { name: 'Slime', base_stats: { HP: 15, STR: 3, DEX: 3, CON: 10, INT: 1, WIS: 1, CHA: 1 }, base_exp: 8, drop_chance: 0.4 },
-    { name: 'Dire Wolf', base_stats: { HP: 30, STR: 8, DEX: 10, CON: 6, INT: 4, WIS: 4, CHA: 4 }, base_exp: 20, drop_chance: 0.55 }
+    { name: 'Goblin', base_stats: { HP: 20, STR: 5, DEX: 8, CON: 5, INT: 3, WIS: 3, CHA: 3 }, base_exp: 10, drop_chance: 0.5,
+        special_abilities: [
+            { name: 'Dirty Trick', description: 'Throws sand in the eyes of its foe', effect: 'status', status: 'blinded', duration: 2, uses: 1 },
+            { name: 'Rusty Shiv', description: 'A jab with a filthy blade', effect: 'status', status: 'poisoned', duration: 3, uses: 2 }
+        ] },
+    { name: 'Orc', base_stats: { HP: 40, STR: 10, DEX: 6, CON: 8, INT: 2, WIS: 2, CHA: 2 }, base_exp: 25, drop_chance: 0.6,
+        special_abilities: [
+            { name: 'Brutal Swing', description: 'A reckless overhead blow', effect: 'damage', dice: '2d6', uses: 2 },
+            { name: 'War Cry', description: 'A bellow that fuels its rage', effect: 'buff', stat: 'attack', amount: 2, duration: 3, uses: 1 }
+        ] },
+    { name: 'Slime', base_stats: { HP: 15, STR: 3, DEX: 3, CON: 10, INT: 1, WIS: 1, CHA: 1 }, base_exp: 8, drop_chance: 0.4,
+        special_abilities: [
+            { name: 'Acid Splash', description: 'Spits a glob of corrosive goo', effect: 'damage', dice: '1d8', uses: 2 },
+            { name: 'Ooze Back', description: 'Pulls its scattered goo back together', effect: 'heal', dice: '1d6', uses: 1 }
+        ] },
+    { name: 'Dire Wolf', base_stats: { HP: 30, STR: 8, DEX: 10, CON: 6, INT: 4, WIS: 4, CHA: 4 }, base_exp: 20, drop_chance: 0.55,
+        special_abilities: [
+            { name: 'Pack Howl', description: 'A howl that calls a packmate to its side', effect: 'summon', minion: 'Wolf Pup', dice: '1d4', duration: 3, uses: 1 },
+            { name: 'Hamstring', description: 'Tears at the back of the legs', effect: 'status', status: 'bleeding', duration: 3, uses: 2 }
+        ] }
 ];
 
+// What a monster can do on its turn. The LLM picks one of these (see monsterActionSchema in src/schemas.js).
+export const MonsterActionType = {
+    ATTACK: 'attack',   // A normal attack
+    DEFEND: 'defend',   // Halve the damage taken until the monster's next turn
+    ABILITY: 'ability', // Use one of the monster's special abilities
+    FLEE: 'flee'        // Try to escape; the player gains nothing
+};
+
+// Events a CombatEngine emits (see src/combat.js). Attack events carry
+// { attacker, defender, source, damage, critical, guarded }; source is the ability's name, if any.
+export const CombatEvent = {
+    INITIATIVE: 'initiative', // The turn order was rolled: { order: [{ combatant, roll }] }, highest first
+    ROUND: 'round',           // A new round begins: { round }
+    TURN: 'turn',             // A combatant's turn begins: { combatant }
+    MISS: 'miss',             // An attack missed
+    CRIT: 'crit',             // An attack landed a critical hit (before the dodge check)
+    DODGE: 'dodge',           // The defender evaded an attack
+    HIT: 'hit',               // An attack dealt damage
+    ITEM_EFFECT: 'itemEffect', // A worn item's effect triggered on a weapon hit: { attacker, defender, item, effect, amount }
+    DAMAGE: 'damage',         // A combatant lost HP: { combatant, amount, source } (source names a status effect, if one did it)
+    HEAL: 'heal',             // A combatant regained HP: { combatant, amount, source }
+    PHASE: 'phase',           // A boss entered a new phase: { combatant, phase }
+    ABILITY: 'ability',       // A combatant used an ability: { combatant, ability, target }
+    MODIFIER: 'modifier',     // An ability raised or lowered a combat value: { combatant, stat, amount }
+    SUMMON: 'summon',         // A monster summoned a minion: { combatant, minion }
+    SUMMON_END: 'summonEnd',  // A minion's time is up: { combatant, minion }
+    STATUS: 'status',         // A status effect was applied: { combatant, effect } (not for quiet effects)
+    STATUS_END: 'statusEnd',  // A status effect wore off or was cured: { combatant, effect }
+    DEFEND: 'defend',         // A combatant took a defensive stance: { combatant }
+    STUNNED: 'stunned',       // A combatant lost its turn: { combatant }
+    FLEE: 'flee',             // A combatant tried to flee: { combatant, escaped, from } (from lists the monsters the player fled)
+    ROUND_END: 'roundEnd',    // Everyone has acted: { round }
+    DEFEAT: 'defeat'          // A combatant was defeated: { combatant }
+};
+
+// How a fight ended (the outcome of a CombatEngine's result)
+export const CombatOutcome = {
+    VICTORY: 'victory',           // Every monster was defeated or fled, and at least one was defeated
+    DEFEAT: 'defeat',             // The player was defeated
+    FLED: 'fled',                 // The player escaped
+    MONSTER_FLED: 'monster_fled', // Every monster escaped
+    LOADED: 'loaded',             // A save was loaded mid-fight
+    QUIT: 'quit'                  // The player quit the game
+};
+
+// What a monster's special ability does (see src/monster_actions.js)
+export const MonsterAbilityEffect = {
+    DAMAGE: 'damage',   // An attack that rolls the ability's dice
+    HEAL: 'heal',       // The monster regains the ability's dice in HP
+    BUFF: 'buff',       // Raises the monster's attack or defense by 'amount' for 'duration' turns
+    DEBUFF: 'debuff',   // Lowers the player's attack or defense by 'amount' for 'duration' turns
+    SUMMON: 'summon',   // A minion joins the fight and attacks for the ability's dice for 'duration' turns
+    STATUS: 'status'    // Applies the status effect 'status' (see ABILITY_STATUS_EFFECTS) for 'duration' turns
+};
+
+// Combat values that status effects can change (see STATUS_EFFECTS)
+export const ModifierStat = {
+    ATTACK: 'attack',                 // Added to damage rolls
+    DEFENSE: 'defense',               // Added to defense
+    HIT_CHANCE: 'hitChance',          // Added to the hit chance (%)
+    EVASION_RATE: 'evasionRate',      // Added to the evasion rate (%)
+    CRITICAL_CHANCE: 'criticalChance' // Added to the critical hit chance (%)
+};
+
+// Limits for monster special abilities; abilities from the LLM are clamped into them
+export const MONSTER_ABILITY_CONFIG = {
+    MAX_ABILITIES: 3,
+    DEFAULT_DICE: { damage: '1d8', heal: '1d8', summon: '1d4' }, // Used when an ability has no (or too strong) dice
+    MAX_DAMAGE_FACTOR: 2,   // Damage and heal dice may average at most this many times the monster's attack power
+    MAX_AMOUNT: 4,          // Largest buff/debuff
+    MAX_DURATION: 3,        // Longest buff/debuff/summon, in turns
+    MAX_USES: 3,            // Most uses of one ability per fight
+    DEFAULT_USES: 2,
+    MAX_SUMMONS: 2          // Most minions a monster can have at once
+};
+
+// How the monsters of an encounter are made up (see createLLMMonster)
+export const EncounterFormation = {
+    SOLO: 'solo',     // A single monster
+    PACK: 'pack',     // Several weaker copies of one monster
+    LEADER: 'leader'  // A monster leading weaker minions of another kind
+};
+
+// Encounter generation settings
+export const ENCOUNTER_CONFIG = {
+    MIN_GROUP_LEVEL: 2,     // Groups appear from this player level on; before it every fight is one monster
+    GROUP_CHANCE: 0.3,      // Chance that an encounter is a pack or a leader with minions
+    PACK_SIZE: [2, 3],      // How many monsters a pack has (inclusive range)
+    MINION_COUNT: [1, 2],   // How many minions follow a leader (inclusive range)
+    PACK_FACTOR: 0.4,       // HP, Strength and EXP of each pack member, relative to a lone monster
+    LEADER_FACTOR: 0.7,     // HP, Strength and EXP of a leader, relative to a lone monster
+    MINION_FACTOR: 0.3,     // HP, Strength and EXP of each minion, relative to a lone monster
+    MAX_MONSTERS: 4         // Most monsters in one fight
+};
+
 // Item types (detailed properties can be generated by LLM)
 export const ItemType = {
     WEAPON: 'Weapon',
-    ARMOR: 'Armor',
+    ARMOR: 'Armor',         // Head, body, hands, feet and shields
+    ACCESSORY: 'Accessory', // Rings and amulets
     POTION: 'Potion',
+    SCROLL: 'Scroll',
     MISC: 'Miscellaneous'
 };
 
-// Base experience needed to level up (example of linear progression)
-// In a real game, this could follow a more complex curve.
-export const BASE_EXP_TO_LEVEL_UP = 100;
-export const EXP_PER_LEVEL_MULTIPLIER = 1.5; // Growth rate of required EXP per level
+// Item rarity tiers, from most to least common
+export const ItemRarity = {
+    COMMON: 'common',
+    UNCOMMON: 'uncommon',
+    RARE: 'rare',
+    EPIC: 'epic',
+    LEGENDARY: 'legendary'
+};
+
+// How each rarity looks and how often it drops. A tier's drop weight is weight + level_bonus *
+// player level (never below 0), and it cannot drop before min_level. max_effects caps the item
+// effects of a generated item of that rarity; value multiplies what merchants pay and ask for
+// it (see itemValue); color is a key of COLORS.
+export const RARITY_CONFIG = {
+    common: { name: 'Common', color: 'WHITE', weight: 60, level_bonus: -3, min_level: 1, max_effects: 0, value: 1 },
+    uncommon: { name: 'Uncommon', color: 'GREEN', weight: 30, level_bonus: 1, min_level: 1, max_effects: 1, value: 1.5 },
+    rare: { name: 'Rare', color: 'BLUE', weight: 8, level_bonus: 1.5, min_level: 3, max_effects: 2, value: 2.5 },
+    epic: { name: 'Epic', color: 'MAGENTA', weight: 2, level_bonus: 1, min_level: 5, max_effects: 3, value: 4 },
+    legendary: { name: 'Legendary', color: 'YELLOW', weight: 0, level_bonus: 0.5, min_level: 8, max_effects: 3, value: 6 }
+};
+
+// Potions and scrolls (see src/consumables.js). By effect: heal and restore_mp roll their dice
+// for HP or MP; damage hits the player's target like a spell (ignoring defense); status puts a
+// status effect on the user; cure removes harmful status effects. Items marked combat_only can
+// only be used during a fight. value is the base price in gold (see itemValue).
+export const CONSUMABLES = {
+    healing_potion: { name: 'Healing Potion', type: ItemType.POTION, rarity: ItemRarity.COMMON, effect: 'heal', dice: '2d4+2', value: 15, description: 'A red draught that knits wounds closed.' },
+    greater_healing_potion: { name: 'Greater Healing Potion', type: ItemType.POTION, rarity: ItemRarity.RARE, effect: 'heal', dice: '4d4+4', value: 40, description: 'A deep crimson elixir, warm to the touch.' },
+    mana_potion: { name: 'Mana Potion', type: ItemType.POTION, rarity: ItemRarity.UNCOMMON, effect: 'restore_mp', dice: '2d4+2', value: 20, description: 'A swirling blue tonic that clears the mind.' },
+    antidote: { name: 'Antidote', type: ItemType.POTION, rarity: ItemRarity.COMMON, effect: 'cure', combat_only: true, value: 12, description: 'A bitter herbal brew that purges poison and ailments.' },
+    scroll_of_fire: { name: 'Scroll of Fire', type: ItemType.SCROLL, rarity: ItemRarity.UNCOMMON, effect: 'damage', dice: '3d6', combat_only: true, value: 30, description: 'Reading it aloud unleashes a gout of flame.' },
+    scroll_of_warding: { name: 'Scroll of Warding', type: ItemType.SCROLL, rarity: ItemRarity.UNCOMMON, effect: 'status', status: 'fortified', combat_only: true, value: 25, description: 'Runes of protection that harden your skin.' },
+    scroll_of_might: { name: 'Scroll of Might', type: ItemType.SCROLL, rarity: ItemRarity.RARE, effect: 'status', status: 'empowered', combat_only: true, value: 45, description: 'A battle hymn that lends strength to your arm.' }
+};
+
+// Inventory settings
+export const INVENTORY_CONFIG = {
+    CAPACITY: 20,                // Inventory slots; a stack of potions, scrolls or other items takes one slot
+    MAX_STACK: 10,               // Most items in one stack
+    CONSUMABLE_DROP_CHANCE: 0.35, // Chance that a victory also yields a potion or scroll
+    STARTING_ITEMS: [{ id: 'healing_potion', quantity: 2 }], // Carried by new characters
+    AUTO_POTION_HP: 0.35         // In --auto mode, drink a healing potion below this fraction of max HP
+};
+
+// Merchant settings (see src/shop.js)
+export const SHOP_CONFIG = {
+    VISIT_EVERY: 3,              // A merchant turns up at camp after every this many fights
+    STOCK_SIZE: 4,               // Weapons, armor and accessories for sale
+    CONSUMABLE_STOCK: 3,         // Extra rolls for potions and scrolls, on top of the healing potions always sold
+    BASE_ITEM_VALUE: 10,         // Value of gear with no damage, armor or effects, before rarity
+    VALUE_PER_RATING: 3,         // Gold per point of item rating (roughly a point of average damage)
+    LEVEL_MARKUP: 0.1,           // Prices rise by this fraction per player level above 1
+    SELL_RATIO: 0.4,             // Share of an item's price that the merchant pays for it
+    HAGGLE_DC: 12,               // d20 + CHA bonus must reach this to talk the prices down
+    HAGGLE_DISCOUNT: 0.1,        // Discount (and better selling prices) from a successful haggle...
+    HAGGLE_DISCOUNT_PER_CHA: 0.03, // ...plus this much per point of CHA bonus
+    MAX_HAGGLE_DISCOUNT: 0.3,
+    FAILED_HAGGLE_MARKUP: 0.1,   // A failed haggle raises the prices for the rest of the visit
+    AUTO_POTIONS: 3              // In --auto mode, buy healing potions up to this many
+};
+
+// The places the player can travel between (see src/world.js). exits name the places reachable
+// from each one. Fights are generated from encounter_hint, for a player level_offset levels above
+// the player's own (so harder regions have tougher monsters that give more EXP), and events lists
+// the keys of WORLD_EVENTS that can happen there instead. A safe place has no fights: the player
+// rests at the inn and a merchant is always there. recommended_level is only shown on the map.
+export const LOCATIONS = {
+    town: {
+        name: 'Oakhaven',
+        description: 'A walled market town, with an inn, a smithy and traders from across the realm.',
+        safe: true,
+        exits: ['forest'],
+        recommended_level: 1
+    },
+    forest: {
+        name: 'Whispering Forest',
+        description: 'Old oaks crowd the road, and something is always moving in the undergrowth.',
+        encounter_hint: 'A monster roaming the forest',
+        level_offset: 0,
+        events: ['abandoned_camp', 'healing_spring', 'pit_trap', 'forgotten_cache'],
+        exits: ['town', 'caves', 'ruins'],
+        recommended_level: 1
+    },
+    caves: {
+        name: 'Echoing Caves',
+        description: 'Damp tunnels wind deep under the hills, where the dark hides things that hate the light.',
+        encounter_hint: 'A creature lurking in dark, damp caves',
+        level_offset: 2,
+        events: ['falling_rocks', 'healing_spring', 'forgotten_cache', 'abandoned_camp'],
+        exits: ['forest', 'ruins'],
+        recommended_level: 3
+    },
+    ruins: {
+        name: 'Sunken Ruins',
+        description: 'The broken halls of a fallen kingdom, still watched over by its restless guardians.',
+        encounter_hint: 'A restless guardian of an ancient ruined city',
+        level_offset: 4,
+        events: ['ancient_inscription', 'moonlit_shrine', 'pit_trap', 'forgotten_cache'],
+        exits: ['forest', 'caves'],
+        recommended_level: 5
+    }
+};
+
+// Non-combat events that can happen instead of a fight (see resolveWorldEvent). By effect: gold
+// finds dice gold; heal and restore_mp roll their dice for HP or MP; exp grants dice EXP; item
+// finds a potion or scroll (see rollConsumableDrop); damage is a trap that deals its dice unless
+// the player makes a DEX save (d20 + DEX bonus against dc). A trap never takes the last HP.
+export const WORLD_EVENTS = {
+    abandoned_camp: { effect: 'gold', dice: '2d6', text: 'You come across an abandoned camp. A coin purse lies half-buried in the ashes.' },
+    healing_spring: { effect: 'heal', dice: '2d6', text: 'A clear spring bubbles up between the rocks. You drink deeply.' },
+    moonlit_shrine: { effect: 'restore_mp', dice: '2d4', text: 'Moonlight falls on a forgotten shrine, and your mind grows calm.' },
+    ancient_inscription: { effect: 'exp', dice: '2d10', text: 'You decipher an ancient inscription and learn something of the battles fought here.' },
+    forgotten_cache: { effect: 'item', text: 'Behind a loose stone you find a forgotten cache.' },
+    pit_trap: { effect: 'damage', dice: '1d6', dc: 12, text: 'The ground gives way beneath your feet!' },
+    falling_rocks: { effect: 'damage', dice: '2d4', dc: 13, text: 'Loose stones rain down from the tunnel roof!' }
+};
+
+// World settings
+export const WORLD_CONFIG = {
+    START_LOCATION: 'forest',    // Where new characters start (a key of LOCATIONS)
+    EVENT_CHANCE: 0.25           // Chance that a random event happens instead of a fight
+};
+
+// What a quest asks of the player (see src/quests.js)
+export const QuestType = {
+    KILL: 'kill',         // Defeat a number of monsters of one kind in a place
+    RETRIEVE: 'retrieve', // Find a number of items, carried by the monsters of a place
+    REACH: 'reach'        // Travel to a place
+};
+
+// Quest settings. Rewards are multiplied by the quest's level (the player's level when it is
+// offered, plus the level_offset of its place) and by its size: the number of monsters or items,
+// or REACH_SIZE for a journey.
+export const QUEST_CONFIG = {
+    BOARD_SIZE: 3,               // Quests offered on the notice board in town
+    MAX_ACTIVE: 3,               // Quests the player can take on at once
+    KILL_COUNT: [2, 4],          // How many monsters a kill quest asks for (inclusive range)
+    RETRIEVE_COUNT: [1, 3],      // How many items a retrieve quest asks for (inclusive range)
+    REACH_SIZE: 2,
+    TARGET_ENCOUNTER_CHANCE: 0.5, // Chance that a fight in a kill quest's place is against its kind of monster
+    ITEM_FIND_CHANCE: 0.5,       // Chance that a victory in a retrieve quest's place yields one of its items
+    EXP_PER_LEVEL: 8,            // Reward EXP per quest level and unit of size
+    GOLD_PER_LEVEL: 5,           // Reward gold per quest level and unit of size
+    REWARD_RARITY_LEVELS: 2      // The reward item's rarity is rolled as if the player were this many levels higher
+};
+
+// Dungeons below the regions of the world map (see src/dungeon.js). Each has a number of floors
+// of monsters matching encounter_hint, one fight per floor, and a boss matching boss_hint at the
+// bottom. The entrance is in the region given by location, whose level_offset the floors build on.
+export const DUNGEONS = {
+    barrow: {
+        name: 'Barrow of the Thorn King',
+        description: 'A grass-grown mound among the oaks, its stone door pried open from within.',
+        location: 'forest',
+        encounter_hint: 'An undead guardian of an ancient barrow',
+        boss_hint: 'The Thorn King, an undead warlord wreathed in brambles who rules the barrow',
+        floors: 3,
+        recommended_level: 3
+    },
+    deep: {
+        name: 'The Hollow Deep',
+        description: 'A shaft at the back of the caves that drops into an older, hungrier dark.',
+        location: 'caves',
+        encounter_hint: 'A monster of the lightless depths far below the caves',
+        boss_hint: 'The Brood Mother, a vast many-legged horror nesting at the bottom of the deep',
+        floors: 3,
+        recommended_level: 5
+    },
+    sanctum: {
+        name: 'The Drowned Sanctum',
+        description: 'Flooded stairs below the ruins lead down to the temple the fallen kingdom built last.',
+        location: 'ruins',
+        encounter_hint: 'A drowned temple guardian, still serving its dead gods',
+        boss_hint: 'The Drowned Prophet, the last high priest of the fallen kingdom, bound to the sanctum by a curse',
+        floors: 4,
+        recommended_level: 7
+    }
+};
+
+// Dungeon run settings
+export const DUNGEON_CONFIG = {
+    LEVEL_OFFSET_PER_FLOOR: 1,     // Each floor's monsters are pitched this many levels above the last
+    BOSS_HP_FACTOR: 2,             // The boss has this many times the HP of a monster of its level...
+    BOSS_EXP_FACTOR: 3,            // ...and gives this many times the EXP
+    PHASE_THRESHOLDS: [0.6, 0.3],  // The boss enters a new phase when its HP falls to these fractions
+    BOSS_LOOT_RARITY: ItemRarity.RARE, // The boss always drops an item at least this rare
+    FLOOR_RECOVERY: 0.25           // Fraction of max HP and MP recovered between floors (no full rest)
+};
+
+// The kinds of event the campaign memory records (see src/memory.js)
+export const MemoryEventKind = {
+    FIGHT: 'fight',           // A fight won, fled or lost to monsters that got away
+    NEAR_DEATH: 'near_death', // A fight the player barely survived
+    ITEM: 'item',             // A weapon, armor or accessory found or given
+    TRAVEL: 'travel',         // Arriving at a place
+    QUEST: 'quest',           // A quest completed
+    DUNGEON: 'dungeon'        // How a dungeon run ended
+};
+
+// Campaign memory settings. Prompts are reminded of the summary and the most recent events, so
+// the context they get is bounded by MAX_SUMMARY_CHARS + CONTEXT_EVENTS * MAX_EVENT_CHARS.
+export const MEMORY_CONFIG = {
+    MAX_EVENTS: 12,           // Once more events than this are recorded, the older ones are summarised
+    KEEP_RECENT: 4,           // Events kept word for word when the rest are summarised
+    CONTEXT_EVENTS: 5,        // The most recent events included in prompts
+    MAX_EVENT_CHARS: 160,     // Longer events are cut short
+    MAX_SUMMARY_CHARS: 700,   // Longer summaries are cut short
+    NEAR_DEATH_HP: 0.2        // A fight the player survived below this fraction of max HP is a near-death
+};
+
+// Where an item is worn. Rings fit either ring slot (see EQUIPMENT_SLOTS).
+export const ItemSlot = {
+    MAIN_HAND: 'main_hand',
+    OFF_HAND: 'off_hand',
+    HEAD: 'head',
+    BODY: 'body',
+    HANDS: 'hands',
+    FEET: 'feet',
+    RING: 'ring',
+    AMULET: 'amulet'
+};
+
+// Kinds of structured item effects (see src/item_effects.js). Stat bonuses and critical bonuses
+// apply while the item is worn; the others trigger whenever the wearer hits with a weapon.
+export const ItemEffectType = {
+    STAT_BONUS: 'stat_bonus',       // stat, amount: raises (or lowers) a stat
+    ELEMENTAL: 'elemental',         // element, dice: extra damage that ignores defense
+    LIFESTEAL: 'lifesteal',         // percent: heals the wearer for part of the damage dealt
+    ON_HIT_STATUS: 'on_hit_status', // status, chance: may inflict a status effect
+    CRIT_BONUS: 'crit_bonus'        // percent: adds to the critical hit chance
+};
+
+// Elements of elemental item damage (flavor only: monsters have no resistances)
+export const DamageElement = {
+    FIRE: 'fire',
+    COLD: 'cold',
+    LIGHTNING: 'lightning',
+    ACID: 'acid',
+    POISON: 'poison',
+    RADIANT: 'radiant',
+    NECROTIC: 'necrotic'
+};
 
-// Game constants
-export const GAME_CONSTANTS = {
-    BASE_HIT_CHANCE: 90,        // Base hit chance (%)
-    BASE_EVASION_RATE: 5,       // Base evasion rate (%)
-    BASE_CRITICAL_CHANCE: 5,    // Base critical hit chance (%)
-    CRITICAL_MULTIPLIER: 1.5,   // Critical hit damage multiplier
+// The player's equipment slots in display order, and the kind of item each one holds
+export const EQUIPMENT_SLOTS = [
+    { id: 'main_hand', name: 'Main Hand', holds: ItemSlot.MAIN_HAND },
+    { id: 'off_hand', name: 'Off Hand', holds: ItemSlot.OFF_HAND },
+    { id: 'head', name: 'Head', holds: ItemSlot.HEAD },
+    { id: 'body', name: 'Body', holds: ItemSlot.BODY },
+    { id: 'hands', name: 'Hands', holds: ItemSlot.HANDS },
+    { id: 'feet', name: 'Feet', holds: ItemSlot.FEET },
+    { id: 'ring1', name: 'Ring 1', holds: ItemSlot.RING },
+    { id: 'ring2', name: 'Ring 2', holds: ItemSlot.RING },
+    { id: 'amulet', name: 'Amulet', holds: ItemSlot.AMULET }
+];
+
+// Equipment limits, enforced on generated items
+export const EQUIPMENT_CONFIG = {
+    // Most armor class a single piece can give, by where it is worn; weapons and accessories give none
+    MAX_ARMOR: { off_hand: 2, head: 1, body: 3, hands: 1, feet: 1 },
+    MAX_STAT_BONUS: 2,       // Largest bonus (or penalty) an item can give to one stat
+    MAX_WEAPON_DICE: 4,      // Most dice a weapon's damage may roll
+    MAX_WEAPON_AVERAGE: 4.5, // Highest average damage of a weapon found at level 1 (1d8)...
+    WEAPON_AVERAGE_PER_LEVEL: 0.5, // ...raised by this much for each level after the first
+    DEFAULT_WEAPON: { name: "Worn Dagger", type: 'Weapon', slot: 'main_hand', damage: "1d4", effect: "None" }
+};
+
+// Combat values, the level curve and how monsters scale with level are in balance.json (see
+// src/balance.js), with the difficulty presets that adjust them.
+
+// How a status effect behaves when it is applied again while still active
+export const StatusStacking = {
+    REFRESH: 'refresh', // The duration restarts
+    STACK: 'stack',     // Adds a stack (up to max_stacks); modifiers and per-turn dice are multiplied by the stacks
+    EXTEND: 'extend'    // The new duration is added to the remaining one
+};
 
-    PLAYER_BASE_HP: 15,         // Player's base starting HP
-    PLAYER_BASE_MP: 10,         // Player's base starting MP
+// Status effects (see src/status_effects.js). New effects only need an entry here.
+//   duration:         default number of the owner's turns the effect lasts (0 = until the owner's next turn)
+//   max_duration:     longest allowed duration
+//   modifiers:        changes to combat values while active (see ModifierStat)
+//   damage / heal:    dice rolled at the start of each of the owner's turns (damage or healing over time)
+//   damage_reduction: fraction of incoming damage blocked while active
+//   skip_turn:        the owner loses its turns while active
+//   beneficial:       helps its owner; monsters use beneficial effects on themselves and harmful ones on the player
+//   quiet:            not announced when applied or when it wears off
+export const STATUS_EFFECTS = {
+    defending: { name: 'Defending', duration: 0, stacking: StatusStacking.REFRESH, damage_reduction: 0.5, beneficial: true, quiet: true },
+    buff: { name: 'Buff', duration: 2, stacking: StatusStacking.REFRESH, beneficial: true },     // Generic; abilities give it a name and modifiers
+    debuff: { name: 'Debuff', duration: 2, stacking: StatusStacking.REFRESH },                   // Generic; abilities give it a name and modifiers
+    poisoned: { name: 'Poisoned', duration: 3, stacking: StatusStacking.STACK, max_stacks: 3, damage: '1d4' },
+    burning: { name: 'Burning', duration: 2, stacking: StatusStacking.REFRESH, damage: '1d6' },
+    bleeding: { name: 'Bleeding', duration: 3, stacking: StatusStacking.STACK, max_stacks: 5, damage: '1d2' },
+    regenerating: { name: 'Regenerating', duration: 3, stacking: StatusStacking.EXTEND, max_duration: 6, heal: '1d4', beneficial: true },
+    stunned: { name: 'Stunned', duration: 1, max_duration: 1, stacking: StatusStacking.REFRESH, skip_turn: true },
+    weakened: { name: 'Weakened', duration: 2, stacking: StatusStacking.REFRESH, modifiers: { attack: -2 } },
+    exposed: { name: 'Exposed', duration: 2, stacking: StatusStacking.REFRESH, modifiers: { defense: -2 } },
+    blinded: { name: 'Blinded', duration: 2, stacking: StatusStacking.REFRESH, modifiers: { hitChance: -25 } },
+    empowered: { name: 'Empowered', duration: 2, stacking: StatusStacking.REFRESH, modifiers: { attack: 2 }, beneficial: true },
+    fortified: { name: 'Fortified', duration: 2, stacking: StatusStacking.REFRESH, modifiers: { defense: 2 }, beneficial: true },
+    hasted: { name: 'Hasted', duration: 2, stacking: StatusStacking.REFRESH, modifiers: { evasionRate: 15, hitChance: 5 }, beneficial: true }
+};
+
+// Status effects that abilities may apply (the rest are used by the engine itself)
+export const ABILITY_STATUS_EFFECTS = ['poisoned', 'burning', 'bleeding', 'regenerating', 'stunned', 'weakened', 'exposed', 'blinded', 'empowered', 'fortified', 'hasted'];
+
+// Limits and defaults for item effects, enforced on generated and parsed items
+export const ITEM_EFFECT_CONFIG = {
+    MAX_EFFECTS: 3,                  // Most effects one item can have
+    DEFAULT_ELEMENTAL_DICE: '1d4',
+    MAX_ELEMENTAL_AVERAGE: 3.5,      // Elemental dice averaging more than this (1d6) are replaced by the default
+    DEFAULT_LIFESTEAL: 10,           // Percent of the damage dealt
+    MAX_LIFESTEAL: 25,
+    DEFAULT_STATUS_CHANCE: 10,       // Percent per weapon hit
+    MAX_STATUS_CHANCE: 25,
+    DEFAULT_CRIT_BONUS: 5,           // Percentage points of critical hit chance
+    MAX_CRIT_BONUS: 10,
+    // Status effects a weapon hit can inflict: the harmful ones that abilities can inflict
+    ON_HIT_STATUSES: ABILITY_STATUS_EFFECTS.filter(id => !STATUS_EFFECTS[id].beneficial)
+};
+
+// Supported LLM backends (see src/llm_client.js)
+export const LLM_PROVIDERS = {
+    OLLAMA: 'ollama',       // Ollama's /api/generate endpoint
+    OPENAI: 'openai',       // Any OpenAI-compatible /v1/chat/completions endpoint
+    LLAMACPP: 'llamacpp',   // llama.cpp server's /completion endpoint
+    MOCK: 'mock'            // Deterministic scripted responses, no network needed
+};
+
+// Default LLM settings. Each can be overridden with environment variables
+// (LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL, LLM_API_KEY) or command-line options.
+export const LLM_CONFIG = {
+    PROVIDER: LLM_PROVIDERS.OLLAMA,
+    MODEL: 'gemma3:latest',
+    REPAIR_RETRIES: 2,      // How many times an invalid JSON response is sent back to the model for correction
+    REQUEST_TIMEOUT_MS: 60000,   // Per-request timeout (CPU-only machines can be slow)
+    MAX_RETRIES: 2,              // Retries for transient failures (connection errors, timeouts, 429/5xx)
+    RETRY_BASE_DELAY_MS: 500,    // First retry delay; doubles with each further retry
+    CIRCUIT_FAILURE_THRESHOLD: 3, // Consecutive failed calls before switching to offline content
+    CIRCUIT_RESET_MS: 60000,     // How long to stay offline before trying the LLM again
+    // System prompt sent with every structured (JSON) generation request
+    SYSTEM_PROMPT: 'You are the Game Master of a D&D style text adventure. Always answer with a single JSON value that matches the requested format, and nothing else.',
+    // Sampling temperature per generation purpose; higher values give more varied content
+    TEMPERATURES: {
+        monster: 0.9,
+        action: 0.7,
+        item: 0.8,
+        merchant: 0.9,
+        quest: 0.9,
+        boss: 0.9,
+        memory: 0.3,
+        default: 0.7
+    },
+    BASE_URLS: {
+        [LLM_PROVIDERS.OLLAMA]: 'http://localhost:11434',
+        [LLM_PROVIDERS.OPENAI]: 'https://api.openai.com',
+        [LLM_PROVIDERS.LLAMACPP]: 'http://localhost:8080'
+    }
+};
+
+// Streaming narration settings (see src/narration.js)
+export const NARRATION_CONFIG = {
+    STREAM: true,           // Print monster narration token by token (disable with --no-stream)
+    TIMEOUT_MS: 30000       // Cancel a streamed request that takes longer than this
+};
+
+// Save file settings
+export const SAVE_CONFIG = {
+    DIRECTORY: 'saves',         // Directory (relative to the working directory) holding save files
+    DEFAULT_SLOT: 'slot1',      // Slot used by 'save'/'load' when no slot name is given
+    AUTOSAVE_SLOT: 'autosave'   // Slot written automatically after each victory
 };
 
 // Logging levels
@@ -84,7 +615,4 @@ export const DEFAULT_PLAYER_STATS = {
     [StatType.INTELLIGENCE]: 10,
     [StatType.WISDOM]: 10,
     [StatType.CHARISMA]: 10
-};
-
-// Player's default base HP (used in player.js)
-export const DEFAULT_PLAYER_BASE_HP = GAME_CONSTANTS.PLAYER_BASE_HP;
\ No newline at end of file
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+// src/consumables.js - Potions and scrolls: creating them, describing them and using them in
+// and out of combat.
+
+import { CONSUMABLES, STATUS_EFFECTS, ItemRarity } from './config.js';
+import { logger, applyColor, COLORS, choice } from './utils.js';
+import { rollDice } from './dice.js';
+import { rollRarity, compareRarity, formatItemName } from './rarity.js';
+
+/**
+ * Creates a stack of a consumable from the CONSUMABLES table.
+ * @param {string} id - A key of CONSUMABLES (e.g. "healing_potion").
+ * @param {number} [quantity] - How many.
+ * @returns {{id: string, name: string, type: string, rarity: string, quantity: number}} The item.
+ * @throws {Error} If the id is unknown.
+ */
+export function createConsumable(id, quantity = 1) {
+    const definition = CONSUMABLES[id];
+    if (!definition) {
+        throw new Error(`Unknown consumable '${id}'.`);
+    }
+    return { id, name: definition.name, type: definition.type, rarity: definition.rarity, quantity: Math.max(1, Math.round(quantity) || 1) };
+}
+
+/**
+ * Looks up what a consumable does.
+ * @param {object} item - An inventory item.
+ * @returns {object|undefined} Its CONSUMABLES entry, or undefined if it is not a known consumable.
+ */
+export function getConsumable(item) {
+    return item?.id ? CONSUMABLES[item.id] : undefined;
+}
+
+/**
+ * Describes what a consumable does, e.g. "Heals 2d4+2 HP" or "3d6 damage to your target, combat only".
+ * @param {object} item - A consumable item.
+ * @returns {string} The description; empty if the item is not a known consumable.
+ */
+export function describeConsumable(item) {
+    const consumable = getConsumable(item);
+    if (!consumable) {
+        return '';
+    }
+    const text = {
+        heal: `Heals ${consumable.dice} HP`,
+        restore_mp: `Restores ${consumable.dice} MP`,
+        cure: 'Removes harmful status effects',
+        damage: `${consumable.dice} damage to your target`,
+        status: `Grants ${STATUS_EFFECTS[consumable.status]?.name}`
+    }[consumable.effect] || consumable.effect;
+    return consumable.combat_only ? `${text}, combat only` : text;
+}
+
+/**
+ * Picks a potion or scroll for a drop: a rarity is rolled (see rollRarity), and the item is one
+ * of the rarest consumables that are not rarer than that.
+ * @param {number} playerLevel - The current level of the player.
+ * @returns {object} The item (a stack of one).
+ */
+export function rollConsumableDrop(playerLevel) {
+    const rarity = rollRarity(playerLevel);
+    const ids = Object.keys(CONSUMABLES).filter(id => compareRarity(CONSUMABLES[id].rarity, rarity) <= 0);
+    const best = ids.reduce((rarest, id) => compareRarity(CONSUMABLES[id].rarity, rarest) > 0 ? CONSUMABLES[id].rarity : rarest, ItemRarity.COMMON);
+    return createConsumable(choice(ids.filter(id => CONSUMABLES[id].rarity === best)));
+}
+
+// Why a kind of consumable would be wasted right now (e.g. a healing potion at full HP), if it would
+const WASTE_CHECKS = {
+    heal: player => (player.hpBar.value >= player.hpBar.max ? `${applyColor(player.name, COLORS.GREEN)} is already at full health.` : null),
+    restore_mp: player => (player.mpBar.value >= player.mpBar.max ? `${applyColor(player.name, COLORS.GREEN)}'s mana is already full.` : null)
+};
+
+// How each kind of consumable is used. Each handler receives the player, the consumable's
+// definition and the fight (null between fights, which combat_only consumables are never used
+// in); in a fight, what happens is reported through its events.
+const CONSUMABLE_EFFECTS = {
+    heal(player, consumable, combat) {
+        const amount = Math.max(1, rollDice(consumable.dice));
+        if (combat) {
+            combat.heal(player, amount);
+            return;
+        }
+        player.heal(amount);
+        logger.info(`${applyColor(player.name, COLORS.GREEN)}: Recovered ${amount} HP. Remaining HP: ${player.hpBar.toString()}`);
+    },
+
+    restore_mp(player, consumable) {
+        const amount = Math.max(1, rollDice(consumable.dice));
+        player.mpBar.value += amount;
+        logger.info(`${applyColor(player.name, COLORS.GREEN)}: Recovered ${amount} MP. Remaining MP: ${player.mpBar.toString()}`);
+    },
+
+    cure(player, consumable, combat) {
+        if (combat.removeHarmful(player).length === 0) {
+            logger.info("Nothing happens: there was nothing to cure.");
+        }
+    },
+
+    // Like a spell: it cannot miss and ignores the target's defense
+    damage(player, consumable, combat) {
+        combat.attack(player, combat.target, { dice: consumable.dice, autoHit: true, ignoreDefense: true, source: consumable.name });
+    },
+
+    status(player, consumable, combat) {
+        combat.applyStatus(player, consumable.status);
+    }
+};
+
+/**
+ * Uses one potion or scroll from the player's inventory.
+ * @param {Player} player - The player.
+ * @param {object} item - The consumable, as held in the inventory.
+ * @param {CombatEngine|null} [combat] - The fight, or null between fights.
+ * @returns {boolean} True if it was used (and one was taken from the stack), false if it cannot
+ *   be used now or would be wasted.
+ */
+export function useConsumable(player, item, combat = null) {
+    const consumable = getConsumable(item);
+    const handler = CONSUMABLE_EFFECTS[consumable?.effect];
+    if (!handler) {
+        logger.warn(`${item.name} cannot be used.`);
+        return false;
+    }
+    if (consumable.combat_only && !combat) {
+        logger.warn(`${item.name} can only be used in combat.`);
+        return false;
+    }
+    const wasted = WASTE_CHECKS[consumable.effect]?.(player);
+    if (wasted) {
+        logger.warn(wasted);
+        return false;
+    }
+    logger.info(`${applyColor(player.name, COLORS.GREEN)} uses ${formatItemName(item)}!`);
+    handler(player, consumable, combat);
+    player.inventory.remove(item, 1);
+    return true;
+}
\ No newline at end of file
@@ -0,0 +1,247 @@
+// src/dice.js - Parses, rolls and evaluates dice expressions such as "1d8+2" or "4d6dl1".
+
+import { getRandomIntInclusive } from './utils.js';
+
+// Regular expression source matching a whole dice expression, for use in JSON schemas; it accepts
+// what parseDice does, except that it cannot tell whether a term keeps or drops more dice than it
+// rolls ("2d6kh3"). Schemas check that with format 'dice' (see validateSchema).
+// A term is dice ("2d6", "d20", "4d6kh3") or a flat number; terms are joined by + or -.
+const TERM_SOURCE = '(?:(?:\\d*[1-9]\\d*)?[dD]\\d*[1-9]\\d*(?:[kKdD][hHlL]\\d+)?|\\d+)';
+export const DICE_PATTERN = `^\\s*[+-]?\\s*${TERM_SOURCE}(?: *[+-]\\s*${TERM_SOURCE})*\\s*$`;
+
+const TERM_REGEX = /([+-]?)\s*(?:(\d*)d(\d+)(?:([kd])([hl])(\d+))?|(\d+))/giy;
+
+/**
+ * Parses a dice expression. Supported syntax (case-insensitive, spaces allowed):
+ *   NdM      - roll N dice with M sides (N defaults to 1), e.g. "2d6", "d20"
+ *   NdMkhK   - keep the highest K dice (klK keeps the lowest), e.g. "2d20kh1" for advantage
+ *   NdMdlK   - drop the lowest K dice (dhK drops the highest), e.g. "4d6dl1" for stat rolls
+ *   K        - a flat modifier
+ * Terms are combined with + and -, e.g. "1d8+1d6+3".
+ * @param {string} notation - The dice expression.
+ * @returns {{dice: Array<{sign: number, count: number, sides: number, keep: number, keepHighest: boolean}>, modifier: number}}
+ *   The dice terms (keep is how many dice count towards the total) and the sum of the flat modifiers.
+ * @throws {Error} If the expression is malformed.
+ */
+export function parseDice(notation) {
+    if (typeof notation !== 'string' || notation.trim() === '') {
+        throw new Error(`Invalid dice expression: "${notation}"`);
+    }
+    const text = notation.trim();
+    const dice = [];
+    let modifier = 0;
+
+    TERM_REGEX.lastIndex = 0;
+    while (TERM_REGEX.lastIndex < text.length) {
+        const start = TERM_REGEX.lastIndex;
+        const match = TERM_REGEX.exec(text);
+        // Every term after the first must be joined with an explicit sign
+        if (!match || (start > 0 && !match[1])) {
+            throw new Error(`Invalid dice expression: "${notation}"`);
+        }
+        const [, signText, countText, sidesText, keepMode, keepEnd, keepText, flatText] = match;
+        const sign = signText === '-' ? -1 : 1;
+
+        if (flatText !== undefined) {
+            modifier += sign * parseInt(flatText, 10);
+        } else {
+            const count = countText ? parseInt(countText, 10) : 1;
+            const sides = parseInt(sidesText, 10);
+            if (count < 1 || sides < 1) {
+                throw new Error(`Invalid dice expression: "${notation}" (dice need a count and sides of at least 1)`);
+            }
+            let keep = count;
+            let keepHighest = true;
+            if (keepMode) {
+                const amount = parseInt(keepText, 10);
+                const highest = keepEnd.toLowerCase() === 'h';
+                if (keepMode.toLowerCase() === 'k') {
+                    keep = amount;
+                    keepHighest = highest;
+                } else {
+                    // Dropping the lowest dice keeps the highest ones, and vice versa
+                    keep = count - amount;
+                    keepHighest = !highest;
+                }
+                if (keep < 0 || keep > count) {
+                    throw new Error(`Invalid dice expression: "${notation}" (cannot keep or drop more dice than are rolled)`);
+                }
+            }
+            dice.push({ sign, count, sides, keep, keepHighest });
+        }
+        // Allow spaces between terms
+        while (text[TERM_REGEX.lastIndex] === ' ') {
+            TERM_REGEX.lastIndex++;
+        }
+    }
+    return { dice, modifier };
+}
+
+/**
+ * Checks whether a string is a valid dice expression.
+ * @param {string} notation - The text to check.
+ * @returns {boolean} True if parseDice() accepts it.
+ */
+export function isValidDice(notation) {
+    try {
+        parseDice(notation);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Counts the dice a dice expression rolls, e.g. 3 for "2d6+1d4" or 4 for "4d6dl1".
+ * @param {string} notation - The dice expression.
+ * @returns {number} The number of dice.
+ * @throws {Error} If the expression is malformed.
+ */
+export function countDice(notation) {
+    return parseDice(notation).dice.reduce((sum, term) => sum + term.count, 0);
+}
+
+/**
+ * Doubles the dice of an expression for a critical hit (5e style): the number of dice rolled
+ * and kept doubles, flat modifiers do not.
+ * @param {ReturnType<typeof parseDice>} expression - A parsed expression.
+ * @returns {ReturnType<typeof parseDice>} The critical version.
+ */
+function toCritical({ dice, modifier }) {
+    return { dice: dice.map(term => ({ ...term, count: term.count * 2, keep: term.keep * 2 })), modifier };
+}
+
+/**
+ * Rolls a parsed expression once.
+ * @param {ReturnType<typeof parseDice>} expression - A parsed expression.
+ * @returns {{total: number, rolls: Array<{sides: number, values: number[], kept: number[]}>}} The total and each term's dice.
+ */
+function rollExpression({ dice, modifier }) {
+    let total = modifier;
+    const rolls = [];
+    for (const term of dice) {
+        const values = Array.from({ length: term.count }, () => getRandomIntInclusive(1, term.sides));
+        const sorted = [...values].sort((a, b) => term.keepHighest ? b - a : a - b);
+        const kept = sorted.slice(0, term.keep);
+        total += term.sign * kept.reduce((sum, value) => sum + value, 0);
+        rolls.push({ sides: term.sides, values, kept });
+    }
+    return { total, rolls };
+}
+
+/**
+ * Rolls a dice expression.
+ * @param {string} notation - The dice expression (see parseDice).
+ * @param {object} [options] - Roll options.
+ * @param {boolean} [options.critical] - Roll twice as many dice (a critical hit).
+ * @param {boolean} [options.advantage] - Roll the whole expression twice and keep the higher total.
+ * @param {boolean} [options.disadvantage] - Roll the whole expression twice and keep the lower total.
+ *   Advantage and disadvantage together cancel out.
+ * @returns {{notation: string, total: number, rolls: Array<{sides: number, values: number[], kept: number[]}>, discarded?: number}}
+ *   The total, each term's dice (all values rolled and those that counted) and, with
+ *   advantage or disadvantage, the total that was discarded.
+ * @throws {Error} If the expression is malformed.
+ */
+export function roll(notation, { critical = false, advantage = false, disadvantage = false } = {}) {
+    let expression = parseDice(notation);
+    if (critical) {
+        expression = toCritical(expression);
+    }
+    const first = rollExpression(expression);
+    if (advantage === disadvantage) {
+        return { notation, ...first };
+    }
+    const second = rollExpression(expression);
+    const [chosen, other] = (second.total > first.total) === advantage ? [second, first] : [first, second];
+    return { notation, ...chosen, discarded: other.total };
+}
+
+/**
+ * Rolls a dice expression and returns only the total.
+ * @param {string} diceNotation - The dice expression (e.g. "1d8", "2d6+3").
+ * @param {object} [options] - Roll options (see roll).
+ * @returns {number} The result of the roll.
+ */
+export function rollDice(diceNotation, options) {
+    return roll(diceNotation, options).total;
+}
+
+/**
+ * Computes the binomial coefficient C(n, k).
+ * @param {number} n - The number of items.
+ * @param {number} k - The number chosen.
+ * @returns {number} The coefficient.
+ */
+function binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+        result = result * (n - k + i) / i;
+    }
+    return result;
+}
+
+/**
+ * Computes the expected sum of the kept dice of one term, using the order statistics of
+ * `count` independent dice.
+ * @param {{count: number, sides: number, keep: number, keepHighest: boolean}} term - A dice term.
+ * @returns {number} The expected sum.
+ */
+function expectedTermValue({ count, sides, keep, keepHighest }) {
+    if (keep === count) {
+        return count * (sides + 1) / 2;
+    }
+    let total = 0;
+    // Ranks are 1 (lowest die) to count (highest die)
+    const firstRank = keepHighest ? count - keep + 1 : 1;
+    for (let rank = firstRank; rank < firstRank + keep; rank++) {
+        // E[X] = sum over x of P(X >= x); the rank-th lowest die is >= x when
+        // at least (count - rank + 1) dice are >= x
+        for (let x = 1; x <= sides; x++) {
+            const p = (sides - x + 1) / sides;
+            for (let j = count - rank + 1; j <= count; j++) {
+                total += binomial(count, j) * p ** j * (1 - p) ** (count - j);
+            }
+        }
+    }
+    return total;
+}
+
+/**
+ * Computes the average result of a dice expression, e.g. 4.5 for "1d8" or 7 for "2d4+2".
+ * Use it to compare weapons whose damage uses different dice.
+ * @param {string} notation - The dice expression.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.critical] - Average a critical hit instead.
+ * @returns {number} The expected value.
+ * @throws {Error} If the expression is malformed.
+ */
+export function expectedValue(notation, { critical = false } = {}) {
+    let expression = parseDice(notation);
+    if (critical) {
+        expression = toCritical(expression);
+    }
+    return expression.dice.reduce((sum, term) => sum + term.sign * expectedTermValue(term), expression.modifier);
+}
+
+/**
+ * Compares two dice expressions by their average result.
+ * @param {string} a - The first dice expression.
+ * @param {string} b - The second dice expression.
+ * @returns {number} A positive number if `a` is better on average, negative if `b` is, 0 if equal.
+ */
+export function compareDice(a, b) {
+    return expectedValue(a) - expectedValue(b);
+}
+
+/**
+ * Appends a flat modifier to a dice expression, e.g. ("1d6", 3) -> "1d6+3".
+ * @param {string} notation - The dice expression.
+ * @param {number} modifier - The modifier to add; 0 leaves the expression unchanged.
+ * @returns {string} The combined expression.
+ */
+export function withModifier(notation, modifier) {
+    if (modifier === 0) {
+        return notation;
+    }
+    return `${notation}${modifier > 0 ? '+' : '-'}${Math.abs(modifier)}`;
+}
\ No newline at end of file
@@ -0,0 +1,205 @@
+// src/dungeon.js - Dungeon runs: a descent through floors of ever tougher monsters to a boss,
+// without the full rest that follows a victory elsewhere, and a summary of the run at the end.
+
+import { DUNGEONS, DUNGEON_CONFIG, CombatOutcome, MemoryEventKind } from './config.js';
+import { DUNGEON_COMMANDS, readCommand, printHelp } from './commands.js';
+import { logger, applyColor, COLORS } from './utils.js';
+import { formatItemName } from './rarity.js';
+import { getLocation } from './world.js';
+import { fightEncounter } from './encounter.js';
+import { printQuestLog } from './quests.js';
+import { printMemory } from './memory.js';
+import { playerUseItem, playerEquip, playerUnequip, playerDrop, playerInspectItem, playerCompare, printInventory, loadFromSlot, printSaves } from './player_actions.js';
+
+/**
+ * Finds the dungeon whose entrance is in a region.
+ * @param {string} locationId - A key of LOCATIONS.
+ * @returns {object|undefined} The DUNGEONS entry with its id, or undefined if the region has none.
+ */
+export function findDungeon(locationId) {
+    const id = Object.keys(DUNGEONS).find(key => DUNGEONS[key].location === locationId);
+    return id ? { id, ...DUNGEONS[id] } : undefined;
+}
+
+/**
+ * Takes the player down through a dungeon: one fight per floor, each pitched
+ * DUNGEON_CONFIG.LEVEL_OFFSET_PER_FLOOR levels above the last (on top of the region's
+ * level_offset), then the boss (see createBoss) at the level of the last floor, who always drops
+ * an item of at least BOSS_LOOT_RARITY. Victories do not restore the player here: between floors
+ * they only recover FLOOR_RECOVERY of their HP and MP, and may leave. Whoever makes it out is
+ * fully restored.
+ * @param {{player: Player, combatCount: number}} game - The current game state.
+ * @param {object} options - Parsed command-line options (see parseCliOptions).
+ * @param {object} dungeon - The dungeon (see findDungeon).
+ * @returns {Promise<string>} How the run ended: CombatOutcome.VICTORY if the boss was defeated,
+ *   FLED if the player left (or ran from a fight) before that, or DEFEAT, LOADED or QUIT.
+ */
+export async function runDungeon(game, options, dungeon) {
+    const { player } = game;
+    const region = getLocation(dungeon.location);
+    const run = { floor: 0, floorsCleared: 0, bossDefeated: false, defeated: 0, rounds: 0, exp: 0, gold: 0, loot: [] };
+
+    logger.info(applyColor(`\n=== ${dungeon.name} ===`, COLORS.BRIGHT + COLORS.CYAN));
+    logger.info(applyColor(dungeon.description, COLORS.CYAN));
+    if (player.level.value < dungeon.recommended_level) {
+        logger.warn(`Few return from ${dungeon.name}. Adventurers are advised to be level ${dungeon.recommended_level} or higher.`);
+    }
+
+    let outcome = CombatOutcome.FLED;
+    while (run.floor <= dungeon.floors) {
+        run.floor++;
+        const boss = run.floor > dungeon.floors;
+        const result = await fightEncounter(game, options, {
+            title: boss ? `${dungeon.name}, the boss's lair` : `${dungeon.name}, floor ${run.floor}/${dungeon.floors}`,
+            locationId: region.id,
+            hint: boss ? dungeon.boss_hint : dungeon.encounter_hint,
+            levelOffset: (region.level_offset || 0) + Math.min(run.floor, dungeon.floors) * DUNGEON_CONFIG.LEVEL_OFFSET_PER_FLOOR,
+            boss,
+            restore: false,
+            lootRarity: boss ? DUNGEON_CONFIG.BOSS_LOOT_RARITY : null
+        });
+        outcome = result.outcome;
+        if (outcome === CombatOutcome.LOADED || outcome === CombatOutcome.QUIT) {
+            return outcome;
+        }
+        run.defeated += result.defeated.length;
+        run.rounds += result.rounds;
+        run.exp += result.exp;
+        run.gold += result.gold;
+        run.loot.push(...result.loot);
+        // A floor whose monsters got away counts as cleared; a boss that got away does not
+        if (outcome === CombatOutcome.DEFEAT || outcome === CombatOutcome.FLED || boss) {
+            run.bossDefeated = boss && outcome === CombatOutcome.VICTORY;
+            break;
+        }
+        run.floorsCleared++;
+
+        const rest = await restBetweenFloors(game, options, dungeon, run.floor);
+        if (rest === 'quit') {
+            return CombatOutcome.QUIT;
+        }
+        if (rest === 'loaded') {
+            return CombatOutcome.LOADED;
+        }
+        if (rest === 'leave') {
+            outcome = CombatOutcome.FLED;
+            break;
+        }
+    }
+
+    printRunSummary(dungeon, run, outcome);
+    if (outcome === CombatOutcome.DEFEAT) {
+        return outcome;
+    }
+    player.memory.record(MemoryEventKind.DUNGEON, run.bossDefeated
+        ? `Conquered ${dungeon.name}: all ${dungeon.floors} floors and the boss.`
+        : `Climbed back out of ${dungeon.name} after clearing ${run.floorsCleared} of its ${dungeon.floors} floors.`);
+    player.hpBar.value = player.hpBar.max;
+    player.mpBar.value = player.mpBar.max;
+    logger.info(applyColor(`${player.name} climbs back out of ${dungeon.name} and rests. Health and mana are restored.`, COLORS.BRIGHT + COLORS.GREEN));
+    return run.bossDefeated ? CombatOutcome.VICTORY : CombatOutcome.FLED;
+}
+
+/**
+ * Lets the player catch their breath after a floor: they recover DUNGEON_CONFIG.FLOOR_RECOVERY
+ * of their HP and MP, and can use items and change gear before going deeper or leaving. In auto
+ * mode the player always goes deeper.
+ * @param {{player: Player, combatCount: number}} game - The current game state.
+ * @param {{auto: boolean}} options - Game options.
+ * @param {object} dungeon - The dungeon (see findDungeon).
+ * @param {number} floor - The floor just cleared.
+ * @returns {Promise<'descend'|'leave'|'loaded'|'quit'>} What the player chose.
+ */
+async function restBetweenFloors(game, options, dungeon, floor) {
+    const { player } = game;
+    player.hpBar.value += Math.ceil(player.hpBar.max * DUNGEON_CONFIG.FLOOR_RECOVERY);
+    player.mpBar.value += Math.ceil(player.mpBar.max * DUNGEON_CONFIG.FLOOR_RECOVERY);
+    logger.info(applyColor(`${player.name} catches their breath. (HP ${player.hpBar.toString()}, MP ${player.mpBar.toString()})`, COLORS.CYAN));
+    if (options.auto) {
+        return 'descend';
+    }
+    const next = floor < dungeon.floors ? `floor ${floor + 1}` : "the boss's lair";
+    logger.info(applyColor(`Type 'descend' to go down to ${next}, 'leave' to climb back out, or 'help' for the options.`, COLORS.CYAN));
+    while (true) {
+        const { command, args } = await readCommand(DUNGEON_COMMANDS, applyColor(`[${dungeon.name}, floor ${floor}] ${player.name} (HP ${player.hpBar.toString()}, MP ${player.mpBar.toString()}) > `, COLORS.CYAN));
+        switch (command.name) {
+            case 'descend':
+            case 'leave':
+            case 'quit':
+                return command.name;
+            case 'use':
+                playerUseItem(player, args);
+                break;
+            case 'equip':
+                playerEquip(player, args);
+                break;
+            case 'unequip':
+                playerUnequip(player, args);
+                break;
+            case 'drop':
+                playerDrop(player, args);
+                break;
+            case 'inspect':
+                playerInspectItem(player, args);
+                break;
+            case 'compare':
+                playerCompare(player, args);
+                break;
+            case 'sort':
+                player.inventory.sort();
+                printInventory(player);
+                break;
+            case 'inventory':
+                printInventory(player);
+                break;
+            case 'status':
+                player.printStats();
+                player.printBars();
+                printInventory(player);
+                break;
+            case 'quests':
+                printQuestLog(player);
+                break;
+            case 'story':
+                printMemory(player);
+                break;
+            case 'load':
+                if (await loadFromSlot(game, args)) return 'loaded';
+                break;
+            case 'saves':
+                await printSaves();
+                break;
+            case 'help':
+                printHelp(DUNGEON_COMMANDS);
+                break;
+        }
+    }
+}
+
+/**
+ * Prints how a dungeon run went: how deep the player got and what they gained.
+ * @param {object} dungeon - The dungeon (see findDungeon).
+ * @param {{floor: number, floorsCleared: number, bossDefeated: boolean, defeated: number, rounds: number, exp: number, gold: number, loot: object[]}} run - The run.
+ * @param {string} outcome - How the last fight (or the rest after it) ended (see CombatOutcome).
+ */
+function printRunSummary(dungeon, run, outcome) {
+    const where = run.floor > dungeon.floors ? "in the boss's lair" : `on floor ${run.floor}`;
+    let result;
+    if (run.bossDefeated) {
+        result = applyColor("Cleared! The boss has fallen.", COLORS.BRIGHT + COLORS.GREEN);
+    } else if (outcome === CombatOutcome.DEFEAT) {
+        result = applyColor(`Fell ${where}.`, COLORS.RED);
+    } else if (outcome === CombatOutcome.FLED && run.floorsCleared < run.floor) {
+        result = applyColor(`Escaped ${where}.`, COLORS.YELLOW);
+    } else if (run.floor > dungeon.floors) {
+        result = applyColor("The boss got away.", COLORS.YELLOW);
+    } else {
+        result = applyColor(`Left after floor ${run.floor}.`, COLORS.YELLOW);
+    }
+    logger.info(applyColor(`\n=== Run Summary: ${dungeon.name} ===`, COLORS.BRIGHT + COLORS.CYAN));
+    logger.info(`Result: ${result}`);
+    logger.info(`Floors cleared: ${run.floorsCleared}/${dungeon.floors}, boss ${run.bossDefeated ? 'defeated' : 'not defeated'}`);
+    logger.info(`Monsters defeated: ${run.defeated} in ${run.rounds} round${run.rounds === 1 ? '' : 's'}`);
+    logger.info(`EXP gained: ${run.exp}, gold gained: ${run.gold}`);
+    logger.info(`Loot: ${run.loot.length > 0 ? run.loot.map(formatItemName).join(', ') : 'none'}`);
+}
\ No newline at end of file
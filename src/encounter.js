@@ -0,0 +1,134 @@
+// src/encounter.js - Runs a fight, from generating the monsters to handing out the rewards of a
+// victory. Used for the fights in the regions of the world map and on the floors of a dungeon.
+
+import { SAVE_CONFIG, CombatOutcome, CombatEvent, INVENTORY_CONFIG, RARITY_CONFIG } from './config.js';
+import { createLLMMonster, createBoss } from './monster.js';
+import { CombatEngine } from './combat.js';
+import { logCombatEvents } from './combat_log.js';
+import { logger, applyColor, COLORS, getRandomIntInclusive, odds } from './utils.js';
+import { rollRarity, compareRarity } from './rarity.js';
+import { rollConsumableDrop } from './consumables.js';
+import { saveToSlot, pickUp } from './player_actions.js';
+import { generateLootItem, receiveItem } from './loot.js';
+import { trackQuests } from './quests.js';
+import { rememberFight, rememberItem } from './memory.js';
+import { getBalance } from './balance.js';
+
+// Pause after each round of an unattended fight, to keep it readable
+const ROUND_DELAY_MS = 1000;
+
+/**
+ * Runs one fight and hands out the rewards of a victory: EXP, gold, a roll for an item drop made
+ * by the toughest monster defeated, a roll for a potion or scroll and the items of retrieve quests.
+ * The monsters are generated and narrated with the campaign so far in mind, and how the fight went
+ * is added to it (see src/memory.js).
+ * @param {{player: Player, combatCount: number}} game - The current game state.
+ * @param {object} options - Parsed command-line options (see parseCliOptions).
+ * @param {object} encounter - The fight.
+ * @param {string} encounter.title - Where it happens, for the header (e.g. "Whispering Forest").
+ * @param {string} encounter.locationId - The region it happens in, for quests (see trackQuests).
+ * @param {string} encounter.hint - What the monsters are (see createLLMMonster), or who the boss is.
+ * @param {number} [encounter.levelOffset] - Pitches the monsters this many levels above the player's level.
+ * @param {string|null} [encounter.kind] - A kind of monster the encounter must be (see createLLMMonster).
+ * @param {boolean} [encounter.boss] - The fight is against a dungeon boss (see createBoss).
+ * @param {boolean} [encounter.restore] - Fully restore the player's HP and MP after a victory.
+ * @param {string|null} [encounter.lootRarity] - Guarantees an item drop at least this rare (see ItemRarity).
+ * @returns {Promise<{outcome: string, rounds: number, defeated: Monster[], exp: number, gold: number, loot: object[]}>}
+ *   How the fight ended (see CombatOutcome), and what the player gained from it.
+ */
+export async function fightEncounter(game, options, { title, locationId, hint, levelOffset = 0, kind = null, boss = false, restore = true, lootRarity = null }) {
+    const { player } = game;
+    game.combatCount++;
+    logger.info(`\n--- New Combat #${game.combatCount}: ${title} ---`);
+
+    // Generate the encounter via LLM, passing the player's level for difficulty scaling, the
+    // hint and level offset for the kind of monsters found there, and the kind of monster a kill
+    // quest asks for (some of the time), and the campaign so far for continuity
+    const context = player.memory.toPrompt();
+    const monsters = boss
+        ? [await createBoss(player.level.value, hint, player.title, { levelOffset, context })]
+        : await createLLMMonster(player.level.value, hint, player.title, { levelOffset, kind, context });
+    const monsterNames = monsters.map(monster => monster.name).join(', ');
+
+    logger.info(applyColor(`A battle with ${monsterNames} begins!`, COLORS.RED));
+    // The monsters' descriptions are generated along with the monster objects,
+    // so we can use them directly (pack members share one).
+    for (const description of new Set(monsters.map(monster => monster.description))) {
+        logger.info(applyColor(`Description: ${description}`, COLORS.MAGENTA));
+    }
+
+    // Combat Phase
+    const combat = new CombatEngine({
+        player,
+        monsters,
+        game,
+        options,
+        roundDelayMs: options.auto ? ROUND_DELAY_MS : 0
+    });
+    logCombatEvents(combat);
+    trackQuests(combat, player, locationId);
+    // The lowest the player's HP falls, checked between turns, to remember a narrow escape
+    let lowestHp = player.hpBar.value;
+    const checkHp = () => { lowestHp = Math.min(lowestHp, player.hpBar.value); };
+    combat.on(CombatEvent.TURN, checkHp);
+    combat.on(CombatEvent.ROUND_END, checkHp);
+    const { outcome, rounds, defeated } = await combat.run();
+    checkHp();
+    const result = { outcome, rounds, defeated, exp: 0, gold: 0, loot: [] };
+    rememberFight(player, { title, outcome, monsters, defeated, lowestHp });
+
+    // Process combat results (if any monster is defeated)
+    if (outcome === CombatOutcome.FLED) {
+        logger.info(applyColor("You live to fight another day, but gain nothing from this battle.", COLORS.YELLOW));
+    } else if (outcome === CombatOutcome.MONSTER_FLED) {
+        logger.info(applyColor(`${monsterNames} got away. There is nothing to gain from this battle.`, COLORS.YELLOW));
+    } else if (outcome === CombatOutcome.VICTORY) {
+        // Monsters that fled give nothing; the difficulty preset scales what the rest give
+        const { difficulty } = getBalance();
+        result.exp = Math.round(defeated.reduce((sum, monster) => sum + monster.baseExp, 0) * difficulty.exp);
+        result.gold = Math.round(defeated.reduce(sum => sum + getRandomIntInclusive(5, 15), 0) * difficulty.gold); // A random amount of gold per monster
+        player.gainExp(result.exp);
+        player.gold += result.gold;
+
+        if (restore) {
+            // Fully restore the player's health and mana after a victorious battle.
+            logger.info(applyColor(`Victory! ${player.name}'s health and mana are restored.`, COLORS.BRIGHT + COLORS.GREEN));
+            player.hpBar.value = player.hpBar.max; // Restore HP to max
+            player.mpBar.value = player.mpBar.max; // Restore MP to max
+        } else {
+            logger.info(applyColor("Victory!", COLORS.BRIGHT + COLORS.GREEN));
+        }
+
+        // Item drop check: one roll per fight, made by the toughest monster defeated
+        const monster = defeated.reduce((toughest, candidate) => candidate.baseExp > toughest.baseExp ? candidate : toughest);
+        if (lootRarity || odds(monster.dropChance)) {
+            const rolled = rollRarity(player.level.value);
+            const rarity = lootRarity && compareRarity(rolled, lootRarity) < 0 ? lootRarity : rolled;
+            const { name: rarityLabel } = RARITY_CONFIG[rarity];
+            logger.info(`${applyColor(monster.name, COLORS.MAGENTA)} dropped ${/^[aeiou]/i.test(rarityLabel) ? 'an' : 'a'} ${rarityLabel.toLowerCase()} item!`);
+            // The LLM makes the item; it is worn if it beats what is worn in its slot
+            const item = await generateLootItem(player, rarity);
+            receiveItem(player, item);
+            rememberItem(player, item, `dropped by ${monster.name} in ${title}`);
+            result.loot.push(item);
+        } else {
+            logger.info(`${applyColor(monster.name, COLORS.MAGENTA)} did not drop anything.`);
+        }
+
+        // A separate roll for a potion or scroll
+        if (odds(INVENTORY_CONFIG.CONSUMABLE_DROP_CHANCE)) {
+            const item = rollConsumableDrop(player.level.value);
+            pickUp(player, item);
+            result.loot.push(item);
+        }
+
+        // The monsters may have carried what a retrieve quest is looking for
+        player.quests.searchForItems(locationId);
+
+        player.printBars(); // Show final status after combat rewards
+
+        // Autosave so a crash or Ctrl+C doesn't wipe the run
+        await saveToSlot(game, [SAVE_CONFIG.AUTOSAVE_SLOT]);
+    }
+    return result;
+}
\ No newline at end of file
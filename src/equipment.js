@@ -0,0 +1,294 @@
+// src/equipment.js - The player's worn gear: weapons, armor and accessories in equipment slots,
+// and the armor class and stat modifiers they give.
+
+import { ItemType, ItemSlot, ItemEffectType, ItemRarity, EQUIPMENT_SLOTS, EQUIPMENT_CONFIG, ITEM_EFFECT_CONFIG, RARITY_CONFIG } from './config.js';
+import { isValidDice, countDice, expectedValue } from './dice.js';
+import { parseItemEffectText, normalizeItemEffect, describeItemEffect, rateItemEffect } from './item_effects.js';
+import { rarityForEffects } from './rarity.js';
+
+// Item types that can be worn
+const EQUIPPABLE_TYPES = [ItemType.WEAPON, ItemType.ARMOR, ItemType.ACCESSORY];
+
+// Where an item goes when it does not say (or names a slot its type cannot use)
+const DEFAULT_SLOTS = {
+    [ItemType.WEAPON]: ItemSlot.MAIN_HAND,
+    [ItemType.ARMOR]: ItemSlot.BODY,
+    [ItemType.ACCESSORY]: ItemSlot.RING
+};
+
+// The slots each equippable type may use
+const SLOTS_BY_TYPE = {
+    [ItemType.WEAPON]: [ItemSlot.MAIN_HAND], // No dual wielding: the off hand is for shields
+    [ItemType.ARMOR]: [ItemSlot.OFF_HAND, ItemSlot.HEAD, ItemSlot.BODY, ItemSlot.HANDS, ItemSlot.FEET],
+    [ItemType.ACCESSORY]: [ItemSlot.RING, ItemSlot.AMULET]
+};
+
+/**
+ * Checks whether an item can be worn.
+ * @param {object} item - The item.
+ * @returns {boolean} True for weapons, armor and accessories.
+ */
+export function isEquippable(item) {
+    return EQUIPPABLE_TYPES.includes(item?.type);
+}
+
+/**
+ * The highest average damage a new weapon may have at a level: EQUIPMENT_CONFIG.MAX_WEAPON_AVERAGE
+ * at level 1, plus WEAPON_AVERAGE_PER_LEVEL for each level after it.
+ * @param {number} level - The player's level.
+ * @returns {number} The highest average damage (e.g. 4.5, as for "1d8").
+ */
+export function maxWeaponAverage(level) {
+    const { MAX_WEAPON_AVERAGE, WEAPON_AVERAGE_PER_LEVEL } = EQUIPMENT_CONFIG;
+    return MAX_WEAPON_AVERAGE + WEAPON_AVERAGE_PER_LEVEL * (Math.max(1, level) - 1);
+}
+
+/**
+ * Checks a weapon's damage dice: invalid dice, more than EQUIPMENT_CONFIG.MAX_WEAPON_DICE dice
+ * or, for a new weapon, an average above maxWeaponAverage are replaced by the default weapon's.
+ * @param {string} damage - The weapon's damage dice.
+ * @param {number} [level] - The player's level when the weapon is new; without it the average is not limited.
+ * @returns {string} Damage dice the weapon may use.
+ */
+function weaponDamage(damage, level) {
+    const { MAX_WEAPON_DICE, DEFAULT_WEAPON } = EQUIPMENT_CONFIG;
+    const usable = isValidDice(damage) && countDice(damage) <= MAX_WEAPON_DICE
+        && (level === undefined || expectedValue(damage) <= maxWeaponAverage(level));
+    return usable ? damage : DEFAULT_WEAPON.damage;
+}
+
+/**
+ * Makes an item safe to equip: gives it a slot its type can use, replaces weapon dice that are
+ * invalid or too strong (see weaponDamage), clamps armor into EQUIPMENT_CONFIG and normalizes
+ * its effects (see normalizeItemEffect). An item without structured effects gets them read from
+ * its effect text (see parseItemEffectText), and the text keeps only the flavor. An item with a rarity keeps at most that rarity's
+ * max_effects effects; an item without one (e.g. from an older save) gets the lowest rarity
+ * that fits its effects. Items that cannot be worn are returned unchanged, and normalizing
+ * twice changes nothing, so it is safe on loaded items.
+ * @param {object} item - The item from the LLM, the offline tables or a save file.
+ * @param {number} [level] - The player's level, for a new item (loot or a merchant's stock), to
+ *   limit its weapon damage to maxWeaponAverage.
+ * @returns {object} The normalized item.
+ */
+export function normalizeItem(item, level) {
+    if (!isEquippable(item)) {
+        return item;
+    }
+    const { MAX_ARMOR } = EQUIPMENT_CONFIG;
+    const slot = SLOTS_BY_TYPE[item.type].includes(item.slot) ? item.slot : DEFAULT_SLOTS[item.type];
+    const normalized = { ...item, slot, effect: item.effect || "None" };
+
+    if (item.type === ItemType.WEAPON) {
+        normalized.damage = weaponDamage(item.damage, level);
+    } else {
+        delete normalized.damage;
+    }
+
+    const armor = Math.min(MAX_ARMOR[slot] || 0, Math.max(0, Math.round(item.armor) || 0));
+    if (armor > 0) {
+        normalized.armor = armor;
+    } else {
+        delete normalized.armor;
+    }
+
+    if (Array.isArray(item.effects) && item.effects.length > 0) {
+        normalized.effects = item.effects.map(normalizeItemEffect).filter(Boolean).slice(0, ITEM_EFFECT_CONFIG.MAX_EFFECTS);
+    } else {
+        const parsed = parseItemEffectText(normalized.effect);
+        normalized.effects = parsed.effects;
+        normalized.effect = parsed.rest;
+    }
+    if (Object.values(ItemRarity).includes(item.rarity)) {
+        normalized.effects = normalized.effects.slice(0, RARITY_CONFIG[item.rarity].max_effects);
+    } else {
+        normalized.rarity = rarityForEffects(normalized.effects.length);
+    }
+    return normalized;
+}
+
+/**
+ * Describes what an item does, e.g. "Damage 1d8, STR +1, +1d4 fire damage" or "Armor 2".
+ * @param {object} item - The item.
+ * @returns {string} The description; empty for an item with no numbers.
+ */
+export function describeItemStats(item) {
+    const parts = [];
+    if (item.damage) parts.push(`Damage ${item.damage}`);
+    if (item.armor) parts.push(`Armor ${item.armor}`);
+    for (const effect of item.effects || []) {
+        parts.push(describeItemEffect(effect));
+    }
+    if (item.effect && item.effect !== "None") parts.push(item.effect);
+    return parts.join(', ');
+}
+
+/**
+ * Rates an item, to decide whether it is better than what is worn in the same slot (and what
+ * it is worth to a merchant): the average damage of a weapon, plus two points per point of
+ * armor, plus its effects (see rateItemEffect).
+ * @param {object} item - The item.
+ * @returns {number} The rating; higher is better.
+ */
+export function rateItem(item) {
+    const damage = item.damage ? expectedValue(item.damage) : 0;
+    const effects = (item.effects || []).reduce((sum, effect) => sum + rateItemEffect(effect), 0);
+    return damage + (item.armor || 0) * 2 + effects;
+}
+
+/**
+ * The items a player is wearing, one per equipment slot (see EQUIPMENT_SLOTS).
+ */
+export class Equipment {
+    /**
+     * @param {Object<string, object>} [slots] - Worn items by slot id (e.g. { main_hand: {...} }),
+     *   as produced by toJSON(). Unknown slots are ignored.
+     */
+    constructor(slots = {}) {
+        this.slots = {};
+        for (const { id } of EQUIPMENT_SLOTS) {
+            this.slots[id] = slots[id] ? normalizeItem(slots[id]) : null;
+        }
+    }
+
+    /**
+     * Gets the item in a slot.
+     * @param {string} slotId - The slot id (e.g. "main_hand").
+     * @returns {object|null} The item, or null if the slot is empty.
+     */
+    get(slotId) {
+        return this.slots[slotId] || null;
+    }
+
+    /**
+     * Every worn item with its slot, in display order.
+     * @returns {Array<{slot: object, item: object}>} The slots (entries of EQUIPMENT_SLOTS) that hold an item.
+     */
+    get worn() {
+        return EQUIPMENT_SLOTS.filter(slot => this.slots[slot.id]).map(slot => ({ slot, item: this.slots[slot.id] }));
+    }
+
+    /**
+     * The total armor class of the worn items; it adds to the wearer's defense.
+     * @returns {number} The armor class.
+     */
+    get armorClass() {
+        return this.worn.reduce((sum, { item }) => sum + (item.armor || 0), 0);
+    }
+
+    /**
+     * The effects of every worn item.
+     * @returns {Array<{item: object, effect: object}>} Each effect with the item that has it.
+     */
+    get effects() {
+        return this.worn.flatMap(({ item }) => (item.effects || []).map(effect => ({ item, effect })));
+    }
+
+    /**
+     * The stat bonuses of the worn items, added up per stat.
+     * @returns {Object<string, number>} Bonuses by StatType (e.g. { STR: 2, DEX: -1 }).
+     */
+    get statModifiers() {
+        const modifiers = {};
+        for (const { effect } of this.effects) {
+            if (effect.type === ItemEffectType.STAT_BONUS) {
+                modifiers[effect.stat] = (modifiers[effect.stat] || 0) + effect.amount;
+            }
+        }
+        return modifiers;
+    }
+
+    /**
+     * The critical hit chance the worn items add.
+     * @returns {number} Percentage points.
+     */
+    get criticalBonus() {
+        return this.effects.reduce((sum, { effect }) => sum + (effect.type === ItemEffectType.CRIT_BONUS ? effect.percent : 0), 0);
+    }
+
+    /**
+     * The effects that trigger when the wearer hits with a weapon (elemental damage, lifesteal
+     * and on-hit status effects).
+     * @returns {Array<{item: object, effect: object}>} Each effect with the item that has it.
+     */
+    get onHitEffects() {
+        const onHit = [ItemEffectType.ELEMENTAL, ItemEffectType.LIFESTEAL, ItemEffectType.ON_HIT_STATUS];
+        return this.effects.filter(({ effect }) => onHit.includes(effect.type));
+    }
+
+    /**
+     * Picks the slot an item would go into: an empty slot that holds its kind, otherwise the
+     * one with the weakest item (which matters for the two ring slots).
+     * @param {object} item - A normalized, equippable item.
+     * @returns {string} The slot id.
+     */
+    slotFor(item) {
+        const candidates = EQUIPMENT_SLOTS.filter(slot => slot.holds === item.slot).map(slot => slot.id);
+        return candidates.find(id => !this.slots[id])
+            || candidates.reduce((weakest, id) => rateItem(this.slots[id]) < rateItem(this.slots[weakest]) ? id : weakest);
+    }
+
+    /**
+     * Checks whether an item would be an improvement: its slot is empty or it rates higher than
+     * the item it would replace.
+     * @param {object} item - A normalized, equippable item.
+     * @returns {boolean} True if the item is worth wearing.
+     */
+    isUpgrade(item) {
+        const current = this.slots[this.slotFor(item)];
+        return !current || rateItem(item) > rateItem(current);
+    }
+
+    /**
+     * Puts an item into a slot.
+     * @param {object} item - A normalized, equippable item.
+     * @param {string} [slotId] - The slot; defaults to slotFor(item).
+     * @returns {object|null} The item it replaced, if any.
+     * @throws {Error} If the slot cannot hold the item.
+     */
+    equip(item, slotId = this.slotFor(item)) {
+        const slot = EQUIPMENT_SLOTS.find(candidate => candidate.id === slotId);
+        if (!slot || slot.holds !== item.slot) {
+            throw new Error(`${item.name} cannot be worn in slot '${slotId}'.`);
+        }
+        const replaced = this.slots[slotId];
+        this.slots[slotId] = item;
+        return replaced;
+    }
+
+    /**
+     * Empties a slot.
+     * @param {string} slotId - The slot id.
+     * @returns {object|null} The item that was in it, if any.
+     */
+    unequip(slotId) {
+        const item = this.slots[slotId] || null;
+        this.slots[slotId] = null;
+        return item;
+    }
+
+    /**
+     * Finds a slot from what the player typed: its id or name ("ring2", "ring 2", "main hand"),
+     * the start of one ("main", "off") or (part of) the name of the item in it.
+     * @param {string} input - What the player typed.
+     * @returns {string|undefined} The slot id, or undefined if none matches.
+     */
+    findSlot(input) {
+        const compact = text => text.toLowerCase().replace(/[\s_-]+/g, '');
+        const text = compact(String(input));
+        if (!text) {
+            return undefined;
+        }
+        const slot = EQUIPMENT_SLOTS.find(({ id, name }) => compact(id) === text || compact(name) === text)
+            || EQUIPMENT_SLOTS.find(({ id }) => compact(id).startsWith(text))
+            || EQUIPMENT_SLOTS.find(({ id }) => this.slots[id] && compact(this.slots[id].name).includes(text));
+        return slot?.id;
+    }
+
+    /**
+     * Returns a serializable form of the worn items (for saving/loading).
+     * @returns {Object<string, object>} The items by slot id; empty slots are left out.
+     */
+    toJSON() {
+        return Object.fromEntries(Object.entries(this.slots).filter(([, item]) => item));
+    }
+}
\ No newline at end of file
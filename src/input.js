@@ -0,0 +1,112 @@
+// src/input.js - Line-based terminal input for interactive play.
+
+import readline from 'node:readline';
+
+let rl = null;            // Shared readline interface, created on first use
+let inputClosed = false;  // True once stdin has ended (EOF or Ctrl+C)
+const bufferedLines = []; // Lines received before anyone asked for them (e.g. piped input)
+let pendingResolve = null; // Resolver of the question currently waiting for an answer
+
+/**
+ * Lazily creates the shared readline interface.
+ * Lines are buffered so that input piped in faster than it is consumed is not lost.
+ * @returns {readline.Interface} The readline interface bound to stdin/stdout.
+ */
+function getInterface() {
+    if (!rl) {
+        rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.on('line', line => {
+            if (pendingResolve) {
+                const resolve = pendingResolve;
+                pendingResolve = null;
+                if (!rl.terminal) {
+                    process.stdout.write(`${line}\n`); // Echo piped input, as a terminal would
+                }
+                resolve(line);
+            } else {
+                bufferedLines.push(line);
+            }
+        });
+        rl.on('close', () => {
+            inputClosed = true;
+            rl = null;
+            // Unblock a pending question so the game can shut down cleanly.
+            if (pendingResolve) {
+                const resolve = pendingResolve;
+                pendingResolve = null;
+                resolve(null);
+            }
+        });
+    }
+    return rl;
+}
+
+/**
+ * Asks the user a question and waits for a line of input.
+ * @param {string} question - The prompt text to display.
+ * @returns {Promise<string|null>} The entered line, or null if input has been closed.
+ */
+export function ask(question) {
+    if (bufferedLines.length > 0) {
+        process.stdout.write(`${question}${bufferedLines[0]}\n`); // Echo scripted input for readability
+        return Promise.resolve(bufferedLines.shift());
+    }
+    if (inputClosed) {
+        return Promise.resolve(null);
+    }
+    const iface = getInterface();
+    return new Promise(resolve => {
+        pendingResolve = resolve;
+        iface.setPrompt(question);
+        iface.prompt();
+    });
+}
+
+/**
+ * Calls back when the user presses any key, until the returned function is called.
+ * Only works when stdin is a terminal; otherwise the callback is never called. Ctrl+C still
+ * interrupts the game: in raw mode the terminal no longer turns it into a SIGINT, so it is sent here.
+ * @param {function(): void} callback - Called on each keypress.
+ * @returns {function(): void} Stops watching and discards the typed keys.
+ */
+export function watchKeypress(callback) {
+    if (!process.stdin.isTTY || inputClosed) {
+        return () => {};
+    }
+    // Without an active readline interface, stdin must be put into raw mode to see single keys.
+    const ownsRawMode = !rl;
+    if (ownsRawMode) {
+        readline.emitKeypressEvents(process.stdin);
+        process.stdin.setRawMode(true);
+        process.stdin.resume();
+    }
+    const stop = () => {
+        process.stdin.off('keypress', onKeypress);
+        if (ownsRawMode) {
+            process.stdin.setRawMode(false);
+            process.stdin.pause();
+        } else if (rl) {
+            rl.write(null, { ctrl: true, name: 'u' }); // Clear the key(s) from the pending input line
+        }
+    };
+    const onKeypress = (text, key) => {
+        // With a readline interface active, readline handles Ctrl+C itself
+        if (ownsRawMode && key?.ctrl && key.name === 'c') {
+            stop(); // Restore the terminal before the process goes
+            process.kill(process.pid, 'SIGINT');
+            return;
+        }
+        callback();
+    };
+    process.stdin.on('keypress', onKeypress);
+    return stop;
+}
+
+/**
+ * Closes the shared readline interface so the process can exit.
+ */
+export function closeInput() {
+    if (rl) {
+        rl.close();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+// src/inventory.js - The player's pack: a limited number of slots, with potions, scrolls and
+// other small items stacking in one slot.
+
+import { ItemType, ItemRarity, INVENTORY_CONFIG } from './config.js';
+import { isEquippable, normalizeItem } from './equipment.js';
+import { getConsumable, createConsumable } from './consumables.js';
+import { compareRarity } from './rarity.js';
+
+// Item types that stack; each stack takes one slot
+const STACKABLE_TYPES = [ItemType.POTION, ItemType.SCROLL, ItemType.MISC];
+
+// The order of item types when the inventory is sorted
+const TYPE_ORDER = [ItemType.WEAPON, ItemType.ARMOR, ItemType.ACCESSORY, ItemType.POTION, ItemType.SCROLL, ItemType.MISC];
+
+/**
+ * Checks whether an item stacks with others of its kind.
+ * @param {object} item - The item.
+ * @returns {boolean} True for potions, scrolls and miscellaneous items.
+ */
+export function isStackable(item) {
+    return STACKABLE_TYPES.includes(item?.type);
+}
+
+/**
+ * Makes an item safe to keep in the inventory: gear is normalized (see normalizeItem), known
+ * consumables are rebuilt from CONSUMABLES, and everything gets a rarity and, if it stacks, a quantity.
+ * @param {object} item - The item from a drop or a save file.
+ * @returns {object} The normalized item.
+ */
+export function normalizeInventoryItem(item) {
+    if (isEquippable(item)) {
+        return normalizeItem(item);
+    }
+    if (getConsumable(item)) {
+        return createConsumable(item.id, item.quantity);
+    }
+    const normalized = { ...item, rarity: Object.values(ItemRarity).includes(item.rarity) ? item.rarity : ItemRarity.COMMON };
+    if (isStackable(item)) {
+        normalized.quantity = Math.max(1, Math.round(item.quantity) || 1);
+    }
+    return normalized;
+}
+
+/**
+ * Items of the same kind stack: consumables by id, other stackable items by name.
+ * @param {object} item - A stackable item.
+ * @returns {string} The key shared by items that stack together.
+ */
+function stackKey(item) {
+    return item.id || item.name;
+}
+
+/**
+ * The items a player carries (but is not wearing). Each entry takes one slot; a stackable
+ * entry has a quantity of up to INVENTORY_CONFIG.MAX_STACK.
+ */
+export class Inventory {
+    /**
+     * @param {object[]} [items] - The items, as produced by toJSON(). Saves from before the
+     *   capacity limit may hold more items than fit; they are all kept.
+     * @param {number} [capacity] - The number of slots.
+     */
+    constructor(items = [], capacity = INVENTORY_CONFIG.CAPACITY) {
+        this.capacity = capacity;
+        this.items = items.map(normalizeInventoryItem);
+    }
+
+    /**
+     * The number of slots in use.
+     * @returns {number} The slots in use.
+     */
+    get length() {
+        return this.items.length;
+    }
+
+    /**
+     * Whether every slot is in use. A full inventory can still take items that fit on an existing stack.
+     * @returns {boolean} True if no slot is free.
+     */
+    get isFull() {
+        return this.items.length >= this.capacity;
+    }
+
+    /**
+     * Gets the entry in a slot.
+     * @param {number} index - The 0-based slot index.
+     * @returns {object|undefined} The item, or undefined if the slot is empty or out of range.
+     */
+    get(index) {
+        return this.items[index];
+    }
+
+    /**
+     * Finds the first entry matching a condition.
+     * @param {function(object): boolean} predicate - The condition.
+     * @returns {object|undefined} The item, or undefined if none matches.
+     */
+    find(predicate) {
+        return this.items.find(predicate);
+    }
+
+    /**
+     * Adds items, topping up existing stacks before starting new ones.
+     * @param {object} item - The item (normalized on the way in).
+     * @param {number} [quantity] - How many, for stackable items; defaults to the item's own quantity.
+     * @returns {number} How many were added; less than asked when the inventory is full.
+     */
+    add(item, quantity = item.quantity ?? 1) {
+        const entry = normalizeInventoryItem(item);
+        if (!isStackable(entry)) {
+            if (this.isFull) {
+                return 0;
+            }
+            this.items.push(entry);
+            return 1;
+        }
+
+        let left = quantity;
+        for (const stack of this.items.filter(other => isStackable(other) && stackKey(other) === stackKey(entry))) {
+            const moved = Math.min(left, INVENTORY_CONFIG.MAX_STACK - stack.quantity);
+            if (moved > 0) {
+                stack.quantity += moved;
+                left -= moved;
+            }
+        }
+        while (left > 0 && !this.isFull) {
+            const moved = Math.min(left, INVENTORY_CONFIG.MAX_STACK);
+            this.items.push({ ...entry, quantity: moved });
+            left -= moved;
+        }
+        return quantity - left;
+    }
+
+    /**
+     * Takes items out of the inventory.
+     * @param {object} item - An entry of the inventory.
+     * @param {number} [quantity] - How many to take from a stack; the whole entry by default.
+     * @returns {number} How many were removed (0 if the item is not in the inventory).
+     */
+    remove(item, quantity = item.quantity ?? 1) {
+        const index = this.items.indexOf(item);
+        if (index === -1) {
+            return 0;
+        }
+        if (!isStackable(item) || quantity >= item.quantity) {
+            this.items.splice(index, 1);
+            return item.quantity ?? 1;
+        }
+        item.quantity -= quantity;
+        return quantity;
+    }
+
+    /**
+     * Sorts the inventory: weapons, armor and accessories first, then potions, scrolls and other
+     * items; within a type, the rarest first, then by name.
+     */
+    sort() {
+        this.items.sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)
+            || compareRarity(b.rarity, a.rarity)
+            || a.name.localeCompare(b.name));
+    }
+
+    [Symbol.iterator]() {
+        return this.items[Symbol.iterator]();
+    }
+
+    /**
+     * Returns a serializable form of the inventory (for saving/loading).
+     * @returns {object[]} The items.
+     */
+    toJSON() {
+        return this.items;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,194 @@
+// src/item_effects.js - Structured item effects: checking the ones the LLM generates, reading the
+// ones it (or an older save) only describes in words, and describing them to the player.
+
+import { ItemEffectType, DamageElement, StatType, STATUS_EFFECTS, EQUIPMENT_CONFIG, ITEM_EFFECT_CONFIG } from './config.js';
+import { isValidDice, expectedValue } from './dice.js';
+
+// Words that name a stat in free text (e.g. "+1 STR", "+2 to Wisdom")
+const STAT_WORDS = {
+    str: StatType.STRENGTH, strength: StatType.STRENGTH,
+    dex: StatType.DEXTERITY, dexterity: StatType.DEXTERITY, agility: StatType.DEXTERITY,
+    con: StatType.CONSTITUTION, constitution: StatType.CONSTITUTION,
+    int: StatType.INTELLIGENCE, intelligence: StatType.INTELLIGENCE,
+    wis: StatType.WISDOM, wisdom: StatType.WISDOM,
+    cha: StatType.CHARISMA, charisma: StatType.CHARISMA
+};
+
+// Words that name an element in free text (e.g. "+1d4 frost damage")
+const ELEMENT_WORDS = {
+    fire: DamageElement.FIRE, flame: DamageElement.FIRE,
+    cold: DamageElement.COLD, frost: DamageElement.COLD, ice: DamageElement.COLD,
+    lightning: DamageElement.LIGHTNING, shock: DamageElement.LIGHTNING, thunder: DamageElement.LIGHTNING,
+    acid: DamageElement.ACID,
+    poison: DamageElement.POISON,
+    radiant: DamageElement.RADIANT, holy: DamageElement.RADIANT,
+    necrotic: DamageElement.NECROTIC, shadow: DamageElement.NECROTIC
+};
+
+// Verbs that name an on-hit status in free text (e.g. "may poison", "15% chance to bleed")
+const STATUS_WORDS = {
+    poison: 'poisoned', burn: 'burning', ignite: 'burning', bleed: 'bleeding', stun: 'stunned',
+    daze: 'stunned', weaken: 'weakened', blind: 'blinded', expose: 'exposed'
+};
+
+const STAT_PATTERN = Object.keys(STAT_WORDS).join('|');
+
+// How common effect phrasings are read, tried in order on each clause of the text. The first
+// number in the clause (or dice, for damage) sets the effect's size; without one, the default is used.
+const TEXT_PATTERNS = [
+    {
+        // "+1 STR", "-1 to Dexterity", "STR +2"
+        pattern: new RegExp(`([+-]\\d+)\\s*(?:to\\s+)?(${STAT_PATTERN})\\b|\\b(${STAT_PATTERN})\\s*([+-]\\d+)`),
+        build: match => ({ type: ItemEffectType.STAT_BONUS, stat: STAT_WORDS[match[2] || match[3]], amount: Number(match[1] || match[4]) })
+    },
+    {
+        // "+5% critical chance", "keen edge"
+        pattern: /crit|\bkeen\b/,
+        build: (match, clause) => ({ type: ItemEffectType.CRIT_BONUS, percent: firstNumber(clause) })
+    },
+    {
+        // "lifesteal 10%", "drains life", "vampiric"
+        pattern: /life\s*steal|drain|vampir|leech/,
+        build: (match, clause) => ({ type: ItemEffectType.LIFESTEAL, percent: firstNumber(clause) })
+    },
+    {
+        // "+1d4 fire damage", "deals frost damage"
+        pattern: new RegExp(`\\b(${Object.keys(ELEMENT_WORDS).join('|')})\\s+damage`),
+        build: (match, clause) => ({ type: ItemEffectType.ELEMENTAL, element: ELEMENT_WORDS[match[1]], dice: firstDice(clause) })
+    },
+    {
+        // "bonus damage to monsters", "+2 damage"
+        pattern: /\bdamage\b/,
+        build: (match, clause) => ({ type: ItemEffectType.ELEMENTAL, dice: firstDice(clause) ?? firstNumber(clause)?.toString() })
+    },
+    {
+        // "10% chance to bleed", "may poison", "stuns on hit"
+        pattern: new RegExp(`\\b(${Object.keys(STATUS_WORDS).join('|')})(?:s|es|d|ed|ing)?\\b`),
+        build: (match, clause) => ({ type: ItemEffectType.ON_HIT_STATUS, status: STATUS_WORDS[match[1]], chance: firstNumber(clause) })
+    }
+];
+
+/**
+ * Finds the first plain number in a clause (not part of dice).
+ * @param {string} clause - The text.
+ * @returns {number|undefined} The number, without its sign, or undefined if there is none.
+ */
+function firstNumber(clause) {
+    const match = clause.match(/(?<![\dd])(\d+)(?![\dd])/);
+    return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Finds the first dice expression in a clause (e.g. "1d6").
+ * @param {string} clause - The text.
+ * @returns {string|undefined} The dice, or undefined if there are none.
+ */
+function firstDice(clause) {
+    return clause.match(/\d+d\d+/)?.[0];
+}
+
+/**
+ * Reads structured effects out of an item's free-text effect, e.g. "+1 STR, bonus damage to
+ * monsters". Clauses separated by commas, semicolons or "and" are read one at a time.
+ * @param {string} text - The item's effect text.
+ * @returns {{effects: object[], rest: string}} The normalized effects, and the clauses that
+ *   describe no effect (flavor such as "Glows faintly in the dark"), or "None".
+ */
+export function parseItemEffectText(text) {
+    const effects = [];
+    const rest = [];
+    if (!text || /^none$/i.test(text.trim())) {
+        return { effects, rest: "None" };
+    }
+    for (const clause of text.split(/[,;]|\band\b/i).map(part => part.trim()).filter(Boolean)) {
+        const lower = clause.toLowerCase();
+        const rule = TEXT_PATTERNS.find(({ pattern }) => pattern.test(lower));
+        const effect = rule && normalizeItemEffect(rule.build(lower.match(rule.pattern), lower));
+        if (effect) {
+            effects.push(effect);
+        } else {
+            rest.push(clause);
+        }
+    }
+    return { effects: effects.slice(0, ITEM_EFFECT_CONFIG.MAX_EFFECTS), rest: rest.join(', ') || "None" };
+}
+
+/**
+ * Makes an effect safe to apply: fills in missing numbers, clamps them into
+ * ITEM_EFFECT_CONFIG and replaces dice that are invalid or too strong.
+ * @param {object} effect - The effect from the LLM, the text parser or a save file.
+ * @returns {object|null} The effect, or null if it cannot be used (unknown type, stat or status).
+ */
+export function normalizeItemEffect(effect) {
+    const config = ITEM_EFFECT_CONFIG;
+    const clamp = (value, fallback, min, max) => Math.min(max, Math.max(min, Math.round(value) || fallback));
+    switch (effect?.type) {
+        case ItemEffectType.STAT_BONUS: {
+            const amount = clamp(effect.amount, 0, -EQUIPMENT_CONFIG.MAX_STAT_BONUS, EQUIPMENT_CONFIG.MAX_STAT_BONUS);
+            return Object.values(StatType).includes(effect.stat) && amount !== 0 ? { type: effect.type, stat: effect.stat, amount } : null;
+        }
+        case ItemEffectType.ELEMENTAL: {
+            const usable = isValidDice(effect.dice) && expectedValue(effect.dice) <= config.MAX_ELEMENTAL_AVERAGE;
+            const normalized = { type: effect.type, dice: usable ? effect.dice : config.DEFAULT_ELEMENTAL_DICE };
+            if (Object.values(DamageElement).includes(effect.element)) {
+                normalized.element = effect.element;
+            }
+            return normalized;
+        }
+        case ItemEffectType.LIFESTEAL:
+            return { type: effect.type, percent: clamp(effect.percent, config.DEFAULT_LIFESTEAL, 1, config.MAX_LIFESTEAL) };
+        case ItemEffectType.ON_HIT_STATUS:
+            return config.ON_HIT_STATUSES.includes(effect.status)
+                ? { type: effect.type, status: effect.status, chance: clamp(effect.chance, config.DEFAULT_STATUS_CHANCE, 1, config.MAX_STATUS_CHANCE) }
+                : null;
+        case ItemEffectType.CRIT_BONUS:
+            return { type: effect.type, percent: clamp(effect.percent, config.DEFAULT_CRIT_BONUS, 1, config.MAX_CRIT_BONUS) };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Describes an effect for the player, e.g. "STR +1", "+1d4 fire damage" or "15% chance to inflict Bleeding".
+ * @param {object} effect - A normalized effect.
+ * @returns {string} The description.
+ */
+export function describeItemEffect(effect) {
+    switch (effect.type) {
+        case ItemEffectType.STAT_BONUS:
+            return `${effect.stat} ${effect.amount >= 0 ? '+' : ''}${effect.amount}`;
+        case ItemEffectType.ELEMENTAL:
+            return `+${effect.dice} ${effect.element ? `${effect.element} ` : ''}damage`;
+        case ItemEffectType.LIFESTEAL:
+            return `Lifesteal ${effect.percent}%`;
+        case ItemEffectType.ON_HIT_STATUS:
+            return `${effect.chance}% chance to inflict ${STATUS_EFFECTS[effect.status].name}`;
+        case ItemEffectType.CRIT_BONUS:
+            return `Critical +${effect.percent}%`;
+        default:
+            return effect.type;
+    }
+}
+
+/**
+ * Rates an effect in the same points as Equipment compares items: roughly one point per point
+ * of average damage a hit gains.
+ * @param {object} effect - A normalized effect.
+ * @returns {number} The rating.
+ */
+export function rateItemEffect(effect) {
+    switch (effect.type) {
+        case ItemEffectType.STAT_BONUS:
+            return effect.amount * 2;
+        case ItemEffectType.ELEMENTAL:
+            return expectedValue(effect.dice);
+        case ItemEffectType.LIFESTEAL:
+            return effect.percent / 5;
+        case ItemEffectType.ON_HIT_STATUS:
+            return effect.chance / 5;
+        case ItemEffectType.CRIT_BONUS:
+            return effect.percent / 2;
+        default:
+            return 0;
+    }
+}
\ No newline at end of file
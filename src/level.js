@@ -1,10 +1,6 @@
 // src/level.js - Class for managing player level and experience.
 
-// Define constants for experience required to level up here.
-const LEVEL_CONSTANTS = {
-    BASE_EXP_TO_NEXT_LEVEL: 100, // Base experience needed for the next level
-    EXP_MULTIPLIER_PER_LEVEL: 1.5 // Experience multiplier per level
-};
+import { getBalance } from './balance.js';
 
 export class Level {
     constructor(initialLevel = 1, initialExp = 0) {
@@ -14,12 +10,13 @@ export class Level {
     }
 
     /**
-     * Calculates the experience required for the next level up.
+     * Calculates the experience required for the next level up (see level_curve in the balance file).
      * @returns {number} Total experience required for the next level.
      */
     calculateExpToNextLevel() {
-        // Increases in a manner like (base_exp * (level * multiplier_per_level))
-        return Math.floor(LEVEL_CONSTANTS.BASE_EXP_TO_NEXT_LEVEL * (this.value * LEVEL_CONSTANTS.EXP_MULTIPLIER_PER_LEVEL));
+        // Increases in a manner like (base_exp * level ^ exponent)
+        const { base_exp: baseExp, exponent } = getBalance().level_curve;
+        return Math.floor(baseExp * this.value ** exponent);
     }
 
     /**
@@ -55,4 +52,15 @@ export class Level {
         // Recalculate the experience needed for the new next level
         this.expToNextLevel = this.calculateExpToNextLevel();
     }
+
+    /**
+     * Returns a serializable form of the Level object (for saving/loading).
+     * @returns {object} The serialized data.
+     */
+    toJSON() {
+        return {
+            value: this.value,
+            exp: this.exp
+        };
+    }
 }
\ No newline at end of file
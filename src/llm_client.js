@@ -0,0 +1,170 @@
+// src/llm_client.js - Selects the configured LLM provider and exposes a single text-generation call.
+
+import { LLM_CONFIG, LLM_PROVIDERS } from './config.js';
+import { LLMError, LLMErrorKind, isTransientError } from './providers/llm_error.js';
+import { OllamaProvider } from './providers/ollama_provider.js';
+import { OpenAIProvider } from './providers/openai_provider.js';
+import { LlamaCppProvider } from './providers/llamacpp_provider.js';
+import { MockProvider, loadMockScript } from './providers/mock_provider.js';
+import { CircuitBreaker } from './circuit_breaker.js';
+import { logger, applyColor, COLORS } from './utils.js';
+
+export { LLMError, LLMErrorKind };
+
+let activeProvider = null; // The provider used by generateText()
+let requestTimeoutMs = LLM_CONFIG.REQUEST_TIMEOUT_MS;
+let offlineMode = false; // Set by --offline: never contact the LLM
+
+// Switches the game to offline content after repeated failures, with a single warning
+// instead of an error for every monster, action and item.
+const circuitBreaker = new CircuitBreaker({
+    failureThreshold: LLM_CONFIG.CIRCUIT_FAILURE_THRESHOLD,
+    resetTimeoutMs: LLM_CONFIG.CIRCUIT_RESET_MS,
+    onOpen: error => logger.warn(applyColor(
+        `The LLM is unavailable (${error.message}). Switching to offline content; ` +
+        `will try again in ${Math.round(LLM_CONFIG.CIRCUIT_RESET_MS / 1000)} seconds.`, COLORS.YELLOW)),
+    onClose: () => logger.info(applyColor("The LLM is reachable again. Resuming generated content.", COLORS.YELLOW))
+});
+
+/**
+ * Creates a provider instance from settings.
+ * @param {object} settings - Provider settings.
+ * @param {string} settings.provider - One of the LLM_PROVIDERS values.
+ * @param {string} settings.model - The model name.
+ * @param {string} settings.baseUrl - The server URL.
+ * @param {string} [settings.apiKey] - API key for OpenAI-compatible servers.
+ * @param {object} [settings.mockScript] - Scripted responses for the mock provider.
+ * @returns {object} A provider with a generate(prompt, options) method.
+ * @throws {LLMError} If the provider name is unknown.
+ */
+export function createProvider({ provider, model, baseUrl, apiKey, mockScript }) {
+    switch (provider) {
+        case LLM_PROVIDERS.OLLAMA:
+            return new OllamaProvider({ baseUrl, model });
+        case LLM_PROVIDERS.OPENAI:
+            return new OpenAIProvider({ baseUrl, model, apiKey });
+        case LLM_PROVIDERS.LLAMACPP:
+            return new LlamaCppProvider({ baseUrl });
+        case LLM_PROVIDERS.MOCK:
+            return new MockProvider(mockScript ? { script: mockScript } : {});
+        default:
+            throw new LLMError(LLMErrorKind.CONFIG, `Unknown LLM provider '${provider}'. Choose one of: ${Object.values(LLM_PROVIDERS).join(', ')}.`);
+    }
+}
+
+/**
+ * Configures the provider used by generateText(). Explicit options take precedence over
+ * the LLM_* environment variables, which take precedence over LLM_CONFIG.
+ * @param {object} [options] - Overrides, typically from the command line.
+ * @param {string} [options.provider] - The provider name.
+ * @param {string} [options.model] - The model name.
+ * @param {string} [options.baseUrl] - The server URL.
+ * @param {string} [options.mockScript] - Path to a JSON script for the mock provider.
+ * @param {number} [options.timeoutMs] - Per-request timeout; defaults to LLM_CONFIG.REQUEST_TIMEOUT_MS.
+ * @param {boolean} [options.offline] - Never contact the LLM; all content comes from offline generators.
+ * @returns {Promise<object>} The configured provider.
+ * @throws {LLMError} If the provider is unknown or the mock script cannot be read.
+ */
+export async function configureLLM({ provider, model, baseUrl, mockScript, timeoutMs, offline = false } = {}) {
+    offlineMode = offline;
+    requestTimeoutMs = timeoutMs || LLM_CONFIG.REQUEST_TIMEOUT_MS;
+    circuitBreaker.reset();
+    const providerName = provider || process.env.LLM_PROVIDER || LLM_CONFIG.PROVIDER;
+    activeProvider = createProvider({
+        provider: providerName,
+        model: model || process.env.LLM_MODEL || LLM_CONFIG.MODEL,
+        baseUrl: baseUrl || process.env.LLM_BASE_URL || LLM_CONFIG.BASE_URLS[providerName] || '',
+        apiKey: process.env.LLM_API_KEY,
+        mockScript: mockScript ? await loadMockScript(mockScript) : undefined
+    });
+    return activeProvider;
+}
+
+/**
+ * Returns the active provider, creating the default one on first use.
+ * @returns {object} The active provider.
+ */
+export function getProvider() {
+    if (!activeProvider) {
+        activeProvider = createProvider({
+            provider: LLM_CONFIG.PROVIDER,
+            model: LLM_CONFIG.MODEL,
+            baseUrl: LLM_CONFIG.BASE_URLS[LLM_CONFIG.PROVIDER]
+        });
+    }
+    return activeProvider;
+}
+
+/**
+ * Replaces the active provider (e.g. with a MockProvider in tests).
+ * @param {object} provider - An object with a generate(prompt, options) method.
+ */
+export function setProvider(provider) {
+    activeProvider = provider;
+    circuitBreaker.reset();
+}
+
+/**
+ * Returns whether the LLM is off, either by request (--offline) or after repeated failures.
+ * Callers use this to go straight to offline content instead of waiting for a refused request.
+ * @returns {boolean} True in offline mode and while the circuit breaker refuses requests.
+ */
+export function isLLMOffline() {
+    return offlineMode || circuitBreaker.isOpen();
+}
+
+/**
+ * Generates text with the active provider. Never throws: failures are returned as a typed error.
+ * Transient failures are retried with exponential backoff (LLM_CONFIG.MAX_RETRIES); after
+ * LLM_CONFIG.CIRCUIT_FAILURE_THRESHOLD failed calls in a row, calls fail immediately with an
+ * UNAVAILABLE error until LLM_CONFIG.CIRCUIT_RESET_MS has passed.
+ * @param {string} prompt - The prompt to send to the model.
+ * @param {object} [options] - Generation options, passed through to the provider.
+ * @param {string} [options.purpose] - What is being generated (e.g. 'monster', 'action', 'item').
+ * @param {object|string} [options.format] - A JSON schema the output must follow, or 'json' for any JSON.
+ * @param {string} [options.system] - A system prompt.
+ * @param {number} [options.temperature] - The sampling temperature.
+ * @param {number} [options.seed] - A sampling seed, where the provider supports one.
+ * @param {function(string): void} [options.onToken] - Receives text as it is streamed (see the providers).
+ * @param {AbortSignal} [options.signal] - Cancels the request when signalled.
+ * @returns {Promise<{ok: true, text: string}|{ok: false, error: LLMError}>} The generation result.
+ */
+export async function generateText(prompt, options = {}) {
+    const provider = getProvider();
+    if (offlineMode) {
+        return { ok: false, error: new LLMError(LLMErrorKind.UNAVAILABLE, "The game is running in offline mode.", { provider: provider.name }) };
+    }
+    if (!circuitBreaker.allowRequest()) {
+        return { ok: false, error: new LLMError(LLMErrorKind.UNAVAILABLE, "The LLM is offline after repeated failures.", { provider: provider.name }) };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        let streamed = false; // A stream that already printed text cannot be retried transparently
+        const onToken = options.onToken && (chunk => {
+            streamed = true;
+            options.onToken(chunk);
+        });
+        try {
+            const text = await provider.generate(prompt, { ...options, onToken, timeoutMs: requestTimeoutMs });
+            circuitBreaker.recordSuccess();
+            return { ok: true, text };
+        } catch (error) {
+            const llmError = error instanceof LLMError
+                ? error
+                : new LLMError(LLMErrorKind.BAD_RESPONSE, error.message, { provider: provider.name });
+
+            if (isTransientError(llmError) && attempt < LLM_CONFIG.MAX_RETRIES && !streamed && !options.signal?.aborted) {
+                const delay = LLM_CONFIG.RETRY_BASE_DELAY_MS * 2 ** attempt;
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+            // Cancellations and configuration mistakes say nothing about the server's health
+            if (llmError.kind !== LLMErrorKind.CANCELLED && llmError.kind !== LLMErrorKind.CONFIG) {
+                circuitBreaker.recordFailure(llmError);
+            } else {
+                circuitBreaker.recordAbandoned();
+            }
+            return { ok: false, error: llmError };
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+// src/loot.js - Generates the weapons, armor and accessories the player finds or is given, and
+// hands them to the player.
+
+import { DamageElement, ITEM_EFFECT_CONFIG, RARITY_CONFIG } from './config.js';
+import { isLLMOffline, LLMErrorKind } from './llm_client.js';
+import { generateStructured } from './structured_output.js';
+import { itemSchema } from './schemas.js';
+import { generateOfflineItem } from './offline_content.js';
+import { normalizeItem, maxWeaponAverage } from './equipment.js';
+import { pickUp } from './player_actions.js';
+import { logger } from './utils.js';
+
+/**
+ * Generates a weapon, armor or accessory of a given rarity with the LLM, suited to the player's
+ * class and the campaign so far (see CampaignMemory). Offline, or if the LLM fails, the item is
+ * built from templates (see generateOfflineItem).
+ * @param {Player} player - The player who gets the item.
+ * @param {string} rarity - The item's rarity (see ItemRarity).
+ * @param {string} [occasion] - How the player comes by the item, for the LLM (e.g. "a reward for a quest").
+ * @returns {Promise<object>} The normalized item (see normalizeItem).
+ */
+export async function generateLootItem(player, rarity, occasion = 'found after a fight') {
+    const { name: rarityLabel, max_effects: maxEffects } = RARITY_CONFIG[rarity];
+    const level = player.level.value;
+    const memory = player.memory.toPrompt();
+    // Prompt for the LLM to generate a D&D-style weapon, armor or accessory in JSON format.
+    const itemPrompt = `
+    Please generate an item for a D&D-style game in JSON format: a weapon, a piece of armor or an accessory.
+    The item is ${occasion} by ${player.name}, a level ${level} ${player.title}; make it suit their class.${memory ? `\n${memory}` : ''}
+    Weapons ("type": "Weapon", "slot": "main_hand") have "damage" dice such as "1d6", averaging at most ${maxWeaponAverage(level)} (e.g. "1d8" averages 4.5).
+    Armor ("type": "Armor") is worn on "head", "body", "hands" or "feet", or is a shield ("off_hand"), and has an "armor" value:
+    up to 3 for body armor, 2 for shields and 1 elsewhere.
+    Accessories ("type": "Accessory") are a "ring" or an "amulet" and have no damage or armor.
+    This is a ${rarityLabel.toLowerCase()} item, so give it at most ${maxEffects} "effects"${maxEffects === 0 ? ' (and make it a weapon or armor)' : ''}; keep them modest:
+    - { "type": "stat_bonus", "stat": "STR", "amount": 1 } raises a stat (STR, DEX, CON, INT, WIS or CHA) by -2 to +2
+    - { "type": "elemental", "element": "fire", "dice": "1d4" } adds damage on each weapon hit
+      (elements: ${Object.values(DamageElement).join(', ')}; at most 1d6)
+    - { "type": "lifesteal", "percent": 10 } heals the wearer for up to 25% of the damage of each weapon hit
+    - { "type": "on_hit_status", "status": "bleeding", "chance": 10 } may inflict a status on each weapon hit
+      (statuses: ${ITEM_EFFECT_CONFIG.ON_HIT_STATUSES.join(', ')}; chance up to 25%)
+    - { "type": "crit_bonus", "percent": 5 } adds up to 10% critical hit chance
+    Generate only a single item and follow this format strictly:
+    {
+      "name": "Item Name",
+      "type": "Armor",
+      "slot": "body",
+      "armor": 2,
+      "effects": [{ "type": "stat_bonus", "stat": "CON", "amount": 1 }],
+      "effect": "Flavor text (e.g., glows faintly in the dark)"
+    }
+    Your response must only contain the JSON code block. Do not include any other explanations.
+    `;
+    // Call the LLM and validate the response against the item schema
+    let newItem = null;
+    if (!isLLMOffline()) {
+        const itemResult = await generateStructured(itemPrompt, itemSchema(level), { purpose: 'item' });
+        if (itemResult.ok) {
+            newItem = itemResult.data;
+        } else if (itemResult.error.kind !== LLMErrorKind.UNAVAILABLE) {
+            logger.error("Error during item generation:", itemResult.error.message);
+        }
+    }
+    // Offline, or if the LLM failed, use an item built from templates instead
+    return normalizeItem({ ...(newItem || generateOfflineItem(level, rarity)), rarity }, level);
+}
+
+/**
+ * Gives the player a piece of gear: it is worn if its slot is free or it beats what is worn
+ * there (e.g., "2d4" beats "1d6"), and goes to the inventory otherwise.
+ * @param {Player} player - The player.
+ * @param {object} item - A normalized, equippable item.
+ */
+export function receiveItem(player, item) {
+    if (player.equipment.isUpgrade(item)) {
+        player.equip(item);
+    } else {
+        pickUp(player, item);
+    }
+}
\ No newline at end of file
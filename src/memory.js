@@ -0,0 +1,207 @@
+// src/memory.js - The campaign memory: the key events of the player's adventure (fights, near-deaths,
+// loot, journeys), condensed into a summary by the LLM as they pile up, so that the generation and
+// narration prompts can be reminded of the story so far.
+
+import { MEMORY_CONFIG, MemoryEventKind, CombatOutcome } from './config.js';
+import { isLLMOffline, LLMErrorKind } from './llm_client.js';
+import { generateStructured } from './structured_output.js';
+import { MEMORY_SCHEMA } from './schemas.js';
+import { logger, applyColor, COLORS } from './utils.js';
+import { rarityName } from './rarity.js';
+
+/**
+ * Cuts a text short to a number of characters.
+ * @param {string} text - The text.
+ * @param {number} max - The most characters to keep.
+ * @param {boolean} [keepEnd] - Keep the end of the text rather than the start.
+ * @returns {string} The text, with "..." where it was cut.
+ */
+function clip(text, max, keepEnd = false) {
+    if (text.length <= max) {
+        return text;
+    }
+    return keepEnd ? `...${text.slice(-(max - 3)).trimStart()}` : `${text.slice(0, max - 3).trimEnd()}...`;
+}
+
+/**
+ * What the LLM remembers of a player's campaign: a summary of the story so far, and the events
+ * since it was written, oldest first.
+ */
+export class CampaignMemory {
+    /**
+     * @param {{summary: string, events: {kind: string, text: string}[]}} [data] - The memory, as produced by toJSON().
+     */
+    constructor({ summary = '', events = [] } = {}) {
+        this.summary = summary;
+        this.events = events.filter(event => event?.text).map(({ kind, text }) => ({ kind, text }));
+    }
+
+    /**
+     * Whether enough events have piled up to be summarised (see MEMORY_CONFIG.MAX_EVENTS).
+     * @returns {boolean} True if condenseMemory should summarise them.
+     */
+    get needsSummary() {
+        return this.events.length > MEMORY_CONFIG.MAX_EVENTS;
+    }
+
+    /**
+     * Records an event.
+     * @param {string} kind - What kind of event it is (see MemoryEventKind).
+     * @param {string} text - What happened, in a sentence (e.g. "Defeated Mossback Goblin in the Whispering Forest.").
+     */
+    record(kind, text) {
+        this.events.push({ kind, text: clip(text, MEMORY_CONFIG.MAX_EVENT_CHARS) });
+    }
+
+    /**
+     * Replaces the oldest events with a new summary that covers them.
+     * @param {number} count - How many of the oldest events the summary covers.
+     * @param {string} summary - The summary of the story up to and including them.
+     */
+    summarize(count, summary) {
+        this.events = this.events.slice(count);
+        this.summary = clip(summary.trim(), MEMORY_CONFIG.MAX_SUMMARY_CHARS);
+    }
+
+    /**
+     * Describes the campaign so far for a prompt: the summary and the last
+     * MEMORY_CONFIG.CONTEXT_EVENTS events.
+     * @returns {string} The lines to add to a prompt, or an empty string if nothing has happened yet.
+     */
+    toPrompt() {
+        const recent = this.events.slice(-MEMORY_CONFIG.CONTEXT_EVENTS);
+        if (!this.summary && recent.length === 0) {
+            return '';
+        }
+        const lines = ["The campaign so far, for continuity (refer to it where it fits, but do not retell it):"];
+        if (this.summary) {
+            lines.push(this.summary);
+        }
+        if (recent.length > 0) {
+            lines.push("Recent events:", ...recent.map(event => `- ${event.text}`));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Returns a serializable form of the memory (for saving/loading).
+     * @returns {{summary: string, events: {kind: string, text: string}[]}} The memory data.
+     */
+    toJSON() {
+        return { summary: this.summary, events: this.events };
+    }
+}
+
+/**
+ * Names the monsters of a fight, counting the members of a pack once (e.g. "Mossback Goblin (3)").
+ * @param {Monster[]} monsters - The monsters.
+ * @returns {string} Their names.
+ */
+function describeFoes(monsters) {
+    const counts = new Map();
+    for (const monster of monsters) {
+        const name = monster.name.replace(/ [A-Z]$/, ''); // Pack members are lettered (see createGroupMembers)
+        counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    return [...counts].map(([name, count]) => count > 1 ? `${name} (${count})` : name).join(', ');
+}
+
+/**
+ * Records how a fight went in the player's memory: who was defeated and who got away, and
+ * whether the player nearly died (see MEMORY_CONFIG.NEAR_DEATH_HP). A fight that was lost,
+ * abandoned for a saved game or quit is not recorded.
+ * @param {Player} player - The player.
+ * @param {object} fight - The fight.
+ * @param {string} fight.title - Where it happened (e.g. "Whispering Forest").
+ * @param {string} fight.outcome - How it ended (see CombatOutcome).
+ * @param {Monster[]} fight.monsters - The monsters in it.
+ * @param {Monster[]} fight.defeated - The monsters that fell.
+ * @param {number} fight.lowestHp - The lowest the player's HP fell.
+ */
+export function rememberFight(player, { title, outcome, monsters, defeated, lowestHp }) {
+    const escaped = monsters.filter(monster => !defeated.includes(monster));
+    if (outcome === CombatOutcome.VICTORY) {
+        const away = escaped.length > 0 ? ` ${describeFoes(escaped)} got away.` : '';
+        player.memory.record(MemoryEventKind.FIGHT, `Defeated ${describeFoes(defeated)} in ${title}.${away}`);
+    } else if (outcome === CombatOutcome.FLED) {
+        player.memory.record(MemoryEventKind.FIGHT, `Fled from ${describeFoes(escaped)} in ${title}.`);
+    } else if (outcome === CombatOutcome.MONSTER_FLED) {
+        player.memory.record(MemoryEventKind.FIGHT, `${describeFoes(monsters)} escaped from ${player.name} in ${title}.`);
+    } else {
+        return;
+    }
+    if (lowestHp <= player.hpBar.max * MEMORY_CONFIG.NEAR_DEATH_HP) {
+        player.memory.record(MemoryEventKind.NEAR_DEATH, `Nearly died fighting ${describeFoes(monsters)} in ${title}, down to ${lowestHp} HP.`);
+    }
+}
+
+/**
+ * Records a piece of gear the player came by in their memory.
+ * @param {Player} player - The player.
+ * @param {object} item - The item.
+ * @param {string} how - How the player came by it (e.g. "dropped by Mossback Goblin").
+ */
+export function rememberItem(player, item, how) {
+    const rarity = rarityName(item.rarity).toLowerCase();
+    player.memory.record(MemoryEventKind.ITEM, `Gained ${item.name}, ${/^[aeiou]/.test(rarity) ? 'an' : 'a'} ${rarity} ${item.type.toLowerCase()}, ${how}.`);
+}
+
+/**
+ * Once enough events have piled up in the player's memory, has the LLM fold all but the last
+ * MEMORY_CONFIG.KEEP_RECENT of them into the summary. Offline, or if the LLM fails, the events
+ * other than routine fights are appended to the summary as they are, and its oldest part is cut off.
+ * @param {Player} player - The player.
+ */
+export async function condenseMemory(player) {
+    const { memory } = player;
+    if (!memory.needsSummary) {
+        return;
+    }
+    const older = memory.events.slice(0, -MEMORY_CONFIG.KEEP_RECENT);
+    const prompt = `
+    You keep the chronicle of a D&D-style campaign whose hero is ${player.name}, a level ${player.level.value} ${player.title}.
+    The story so far: ${memory.summary || "(the adventure has just begun)"}
+    What happened next, oldest first:
+    ${older.map(event => `- ${event.text}`).join('\n    ')}
+    Rewrite the story so far so that it includes what happened next, in at most ${MEMORY_CONFIG.MAX_SUMMARY_CHARS} characters.
+    Keep the names of notable foes, items and places, and the times the hero nearly died; leave out routine fights.
+    Write in the past tense and the third person. Follow this format strictly:
+    { "summary": "The story so far." }
+    Your response must only contain the JSON code block. Do not include any other explanations.
+    `;
+
+    let summary = null;
+    if (!isLLMOffline()) {
+        logger.info(applyColor("Requesting LLM to summarise the campaign so far", COLORS.YELLOW));
+        const result = await generateStructured(prompt, MEMORY_SCHEMA, { purpose: 'memory' });
+        if (result.ok) {
+            summary = result.data.summary;
+        } else if (result.error.kind !== LLMErrorKind.UNAVAILABLE) {
+            logger.error("Error during campaign summary:", result.error.message);
+        }
+    }
+    // Offline, or if the LLM failed, the newest events are kept at the expense of the oldest
+    const notable = older.filter(event => event.kind !== MemoryEventKind.FIGHT).map(event => event.text);
+    summary ||= clip([memory.summary, ...notable].filter(Boolean).join(' '), MEMORY_CONFIG.MAX_SUMMARY_CHARS, true);
+    memory.summarize(older.length, summary);
+}
+
+/**
+ * Prints what the campaign memory holds: the story so far and the events since.
+ * @param {Player} player - The player.
+ */
+export function printMemory(player) {
+    const { memory } = player;
+    logger.info(applyColor(`--- The Story of ${player.name} ---`, COLORS.BRIGHT + COLORS.CYAN));
+    if (!memory.summary && memory.events.length === 0) {
+        logger.info("Nothing worth telling has happened yet.");
+        return;
+    }
+    if (memory.summary) {
+        logger.info(memory.summary);
+    }
+    for (const event of memory.events) {
+        const color = event.kind === MemoryEventKind.NEAR_DEATH ? COLORS.RED : COLORS.CYAN;
+        logger.info(`  ${applyColor('-', color)} ${event.text}`);
+    }
+}
\ No newline at end of file
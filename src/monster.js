@@ -1,10 +1,17 @@
 // src/monster.js - Defines the monster character, including LLM generation.
 
-import { StatType, GAME_CONSTANTS } from './config.js'; // MONSTERS are no longer used directly
+import { StatType, MonsterActionType, MonsterAbilityEffect, ModifierStat, MONSTER_ABILITY_CONFIG, STATUS_EFFECTS, ABILITY_STATUS_EFFECTS, EncounterFormation, ENCOUNTER_CONFIG, DUNGEON_CONFIG } from './config.js';
 import { Bar } from './bar.js';
 import { Stats } from './stats.js';
-import { applyColor, COLORS, logger } from './utils.js';
-import { getGemmaResponse } from './ollama_client.js'; // Import Ollama client
+import { applyColor, COLORS, logger, odds, choice, getRandomIntInclusive } from './utils.js';
+import { generateStructured } from './structured_output.js';
+import { expectedValue, withModifier, isValidDice } from './dice.js';
+import { monsterSchema, monsterActionSchema, bossSchema } from './schemas.js';
+import { StatusEffects } from './status_effects.js';
+import { generateNarrated, readPartialStringField } from './narration.js';
+import { LLMErrorKind, isLLMOffline } from './llm_client.js';
+import { generateOfflineMonster, generateOfflineBoss, generateOfflineBossPhases, chooseOfflineAction } from './offline_content.js';
+import { getBalance } from './balance.js';
 
 export class Monster {
     constructor(monsterData) {
@@ -15,7 +22,6 @@ export class Monster {
         this.description = monsterData.description || "An ordinary monster."; // Description provided by LLM
         this.baseExp = monsterData.base_exp || 10; // From LLM or default
         this.dropChance = monsterData.drop_chance || 0.5; // From LLM or default
-        this.specialAbilities = monsterData.special_abilities || []; // Special abilities from LLM
 
         // Initialize stats
         const { HP, ...coreStats } = monsterData.stats; // HP is managed separately, excluded from Stats class
@@ -24,6 +30,29 @@ export class Monster {
         // Initialize HP bar
         this.hpBar = new Bar(monsterData.hp, monsterData.hp);
 
+        // Its place in the encounter: 'boss', 'leader', 'minion' or null for a lone monster or pack member
+        this.role = monsterData.role || null;
+
+        // Combat state: status effects (such as a defensive stance or buffs), summoned minions,
+        // the other monsters of the encounter (set by the CombatEngine) and whether it got away
+        this.effects = new StatusEffects();
+        this.summons = [];
+        this.allies = [];
+        this.fled = false;
+
+        // Special abilities from the LLM, with their numbers made safe to apply (see normalizeAbility)
+        const maxAverage = Math.max(expectedValue(MONSTER_ABILITY_CONFIG.DEFAULT_DICE.damage), this.attackPower * MONSTER_ABILITY_CONFIG.MAX_DAMAGE_FACTOR);
+        this.specialAbilities = (monsterData.special_abilities || [])
+            .slice(0, MONSTER_ABILITY_CONFIG.MAX_ABILITIES)
+            .map(ability => normalizeAbility(ability, maxAverage));
+
+        // A boss's phases, entered as its HP falls (see advancePhase), and how many it has entered
+        this.phases = (monsterData.phases || [])
+            .filter(phase => phase.threshold > 0 && phase.threshold < 1)
+            .sort((a, b) => b.threshold - a.threshold)
+            .map(phase => normalizePhase(phase, maxAverage));
+        this.phase = 0;
+
         logger.info(`${applyColor('A new monster', COLORS.MAGENTA)} ${this.name} (HP: ${this.hpBar.toString()}) appears!`);
     }
 
@@ -31,111 +60,381 @@ export class Monster {
         return this.hpBar.max;
     }
 
-    get attackPower() {
-        return Math.max(1, this.stats.get(StatType.STRENGTH) || 5);
+    get damageDice() {
+        // Natural attack = Monster damage dice + (Strength - 4) + status effects, averaging about the monster's Strength
+        return withModifier(getBalance().combat.monster_damage_dice, (this.stats.get(StatType.STRENGTH) || 5) - 4 + this.effects.modifier(ModifierStat.ATTACK));
     }
 
+    get attackPower() {
+        // Average damage of an attack
+        return Math.floor(Math.max(1, expectedValue(this.damageDice)));
+    }
 
     get defense() {
-        return Math.max(0, (this.stats.get(StatType.CONSTITUTION) || 1) / 2);
+        return Math.max(0, (this.stats.get(StatType.CONSTITUTION) || 1) / 2 + this.effects.modifier(ModifierStat.DEFENSE));
+    }
+
+    get isActive() {
+        // Still in the fight: neither defeated nor fled
+        return !this.hpBar.isEmpty() && !this.fled;
+    }
+
+    get livingAllies() {
+        return this.allies.filter(ally => ally.isActive);
+    }
+
+    get healTargets() {
+        // The monster and its allies that are hurt, most wounded (by HP fraction) first
+        return [this, ...this.livingAllies]
+            .filter(monster => !monster.hpBar.isFull())
+            .sort((a, b) => a.hpBar.value / a.hpBar.max - b.hpBar.value / b.hpBar.max);
+    }
+
+    get availableAbilities() {
+        // Abilities with uses left that would do something right now
+        return this.specialAbilities.filter(ability => ability.usesLeft > 0
+            && !(ability.effect === MonsterAbilityEffect.HEAL && this.healTargets.length === 0)
+            && !(ability.effect === MonsterAbilityEffect.SUMMON && this.summons.length >= MONSTER_ABILITY_CONFIG.MAX_SUMMONS));
     }
 
     get hitChance() {
-        return GAME_CONSTANTS.BASE_HIT_CHANCE;
+        return getBalance().combat.base_hit_chance + this.effects.modifier(ModifierStat.HIT_CHANCE);
     }
 
     get evasionRate() {
-        return GAME_CONSTANTS.BASE_EVASION_RATE;
+        return getBalance().combat.base_evasion_rate + this.effects.modifier(ModifierStat.EVASION_RATE);
     }
 
     get criticalChance() {
-        return GAME_CONSTANTS.BASE_CRITICAL_CHANCE;
+        return getBalance().combat.base_critical_chance + this.effects.modifier(ModifierStat.CRITICAL_CHANCE);
+    }
+
+    get isDefending() {
+        return this.effects.has('defending');
+    }
+
+    get currentPhase() {
+        // The last phase the monster entered, or null before the first (and for monsters without phases)
+        return this.phases[this.phase - 1] || null;
     }
 
     // --- Action Methods ---
+    // Damage and healing only change the HP; the CombatEngine reports them (see CombatEngine#damage)
     takeDamage(amount) {
         this.hpBar.value -= amount;
-        logger.info(`${applyColor(this.name, COLORS.MAGENTA)}: ${applyColor(`Took ${amount} damage.`, COLORS.RED)} Remaining HP: ${this.hpBar.toString()}`);
-        if (this.hpBar.isEmpty()) {
-            logger.info(`${applyColor(this.name, COLORS.RED)} was defeated.`);
-            return true;
+    }
+
+    /**
+     * Enters every phase whose HP threshold the monster has fallen to. A phase raises its attack
+     * or defense for the rest of the fight and may give it a new special ability; healing does
+     * not undo a phase.
+     * @returns {object[]} The phases entered, in order.
+     */
+    advancePhase() {
+        const entered = [];
+        while (this.phase < this.phases.length && this.hpBar.value <= this.hpBar.max * this.phases[this.phase].threshold) {
+            const phase = this.phases[this.phase++];
+            this.effects.apply('buff', { key: `phase ${this.phase}`, name: phase.name, modifiers: { [phase.stat]: phase.amount }, turns: Infinity });
+            if (phase.ability) {
+                this.specialAbilities.push(phase.ability);
+            }
+            entered.push(phase);
         }
-        return false;
+        return entered;
+    }
+
+    heal(amount) {
+        this.hpBar.value += amount;
+    }
+
+    /**
+     * Finds one of the monster's special abilities by name (case-insensitive).
+     * @param {string} name - The ability name.
+     * @returns {object|undefined} The ability, or undefined if the monster has none by that name.
+     */
+    findAbility(name) {
+        const text = String(name || '').trim().toLowerCase();
+        return this.specialAbilities.find(ability => ability.name.toLowerCase() === text);
+    }
+
+    /**
+     * Finds the monster itself or one of its active allies by name (case-insensitive).
+     * @param {string} name - The name.
+     * @returns {Monster|undefined} The monster, or undefined if none on its side has that name.
+     */
+    findAlly(name) {
+        const text = String(name || '').trim().toLowerCase();
+        return [this, ...this.livingAllies].find(monster => monster.name.toLowerCase() === text);
+    }
+
+    /**
+     * Describes what a special ability does, e.g. "Brutal Swing: deals 2d6 damage (2 uses left) - A reckless overhead blow".
+     * @param {object} ability - One of the monster's abilities.
+     * @returns {string} The description.
+     */
+    describeAbility(ability) {
+        const turns = `${ability.duration} turn${ability.duration === 1 ? '' : 's'}`;
+        const effects = {
+            [MonsterAbilityEffect.DAMAGE]: `deals ${ability.dice} damage`,
+            [MonsterAbilityEffect.HEAL]: `heals ${this.allies.length > 0 ? 'itself or an ally for ' : ''}${ability.dice} HP`,
+            [MonsterAbilityEffect.BUFF]: `raises ${this.allies.length > 0 ? 'its own or an ally\'s' : 'its'} ${ability.stat} by ${ability.amount} for ${turns}`,
+            [MonsterAbilityEffect.DEBUFF]: `lowers the foe's ${ability.stat} by ${ability.amount} for ${turns}`,
+            [MonsterAbilityEffect.SUMMON]: `summons a ${ability.minion} that attacks for ${ability.dice} for ${turns}`,
+            [MonsterAbilityEffect.STATUS]: `${STATUS_EFFECTS[ability.status]?.beneficial ? 'gains' : 'inflicts'} ${STATUS_EFFECTS[ability.status]?.name} for ${turns}`
+        };
+        const description = ability.description ? ` - ${ability.description}` : '';
+        return `${ability.name}: ${effects[ability.effect]} (${ability.usesLeft} use${ability.usesLeft === 1 ? '' : 's'} left)${description}`;
     }
 
-    async chooseAction(player) {
-        // Prompt for the LLM to decide the monster's action
-        const actionPrompt = `You are a D&D Game Master. The monster ${this.name} is fighting ${player.name} (${player.hpBar.toString()}). The monster's current HP is ${this.hpBar.toString()}, and its special abilities are ${this.specialAbilities.join(', ') || 'none'}. Decide the monster's action for the next turn (e.g., attack, use a specific skill, bolster defense, attempt to flee) and provide the action type in JSON format along with a description.
-JSON format: {"action_type": "attack", "description": "Description of the attack."}
+    /**
+     * Asks the LLM to choose and narrate the monster's next action, reminding it of the campaign
+     * so far (see CampaignMemory). Offline, or if the LLM fails, the action is picked by
+     * chooseOfflineAction() instead.
+     * @param {Player} player - The player the monster is fighting.
+     * @param {object} [options] - Options.
+     * @param {boolean} [options.stream] - Print the narration token by token as it is generated.
+     * @returns {Promise<{type: string, ability?: object, target?: Monster}>} The action for the game to execute (see resolveAction).
+     */
+    async chooseAction(player, { stream = false } = {}) {
+        if (isLLMOffline()) {
+            return this.chooseBuiltInAction(player);
+        }
+
+        // Prompt for the LLM to decide the monster's action, limited to what the engine can carry out
+        const abilities = this.availableAbilities;
+        const allies = this.livingAllies;
+        const schema = monsterActionSchema(abilities.map(ability => ability.name), allies.length > 0 ? [this, ...allies].map(monster => monster.name) : []);
+        const abilityList = abilities.length > 0
+            ? abilities.map(ability => `- ${this.describeAbility(ability)}`).join('\n')
+            : '(none left)';
+        const allyList = allies.map(ally => `${ally.name} (${ally.hpBar.toString()}${ally.effects.list.length > 0 ? `, ${ally.effects.toString(false)}` : ''})`).join(', ');
+        const phase = this.currentPhase;
+        const memory = player.memory.toPrompt();
+        const actionPrompt = `You are a D&D Game Master. The monster ${this.name} is fighting ${player.name} the ${player.title} (${player.hpBar.toString()}). The monster's current HP is ${this.hpBar.toString()}.${phase ? `\nIt is in its "${phase.name}" phase: ${phase.description || 'it fights harder than before.'} Let its actions show it.` : ''}${memory ? `\n${memory}` : ''}
+Active effects: ${this.name}: ${this.effects.toString(false) || 'none'}; ${player.name}: ${player.effects.toString(false) || 'none'}.${allies.length > 0 ? `\nIts allies in this fight: ${allyList}.` : ''}
+Its special abilities:
+${abilityList}
+Decide the monster's action for the next turn. action_type must be one of: ${schema.properties.action_type.enum.join(', ')}.
+- attack: a normal attack. defend: brace to halve the damage it takes until its next turn. flee: try to escape (only if the fight is going badly).${abilities.length > 0 ? '\n- ability: use one of the special abilities above; put its exact name in "ability".' : ''}${allies.length > 0 ? '\n- For a heal or buff ability, put the exact name of the monster it is for (itself or an ally) in "target".' : ''}
+Provide the action in JSON format along with a short description.
+JSON format: {"action_type": "attack", "description": "Description of the action."}
 Your response must only contain the JSON code block. Do not include any other explanations.`;
 
-        let llmResponse;
-        try {
-            llmResponse = await getGemmaResponse(actionPrompt, 'gemma3:latest');
-            let jsonString = llmResponse.trim();
-            if (jsonString.startsWith("```json")) {
-                jsonString = jsonString.substring(7, jsonString.lastIndexOf("```")).trim();
-            } else if (jsonString.startsWith("```")) {
-                jsonString = jsonString.substring(3, jsonString.lastIndexOf("```")).trim();
+        let actionData;
+        if (stream) {
+            // Narration is printed while it streams; pressing a key or a timeout cuts it short.
+            const narrated = await generateNarrated(actionPrompt, schema, { purpose: 'action' });
+            // If the request was cancelled after the action type arrived, it can still be used
+            const partialActionType = narrated.cancelled ? readPartialStringField(narrated.result.text, 'action_type') : null;
+            if (narrated.result.ok) {
+                actionData = narrated.result.data;
+                if (!narrated.narrationComplete) {
+                    // The streamed attempt was repaired, so the final description hasn't been shown yet
+                    logger.info(applyColor(`\n${actionData.description}`, COLORS.CYAN));
+                }
+            } else if (partialActionType) {
+                actionData = {
+                    action_type: partialActionType,
+                    ability: readPartialStringField(narrated.result.text, 'ability'),
+                    target: readPartialStringField(narrated.result.text, 'target'),
+                    description: narrated.narrated
+                };
+            } else {
+                warnActionFallback(this.name, narrated.result.error);
+                return this.chooseBuiltInAction(player);
             }
-            const actionData = JSON.parse(jsonString);
-
+        } else {
+            const result = await generateStructured(actionPrompt, schema, { purpose: 'action' });
+            if (!result.ok) {
+                warnActionFallback(this.name, result.error);
+                return this.chooseBuiltInAction(player);
+            }
+            actionData = result.data;
             logger.info(applyColor(`\n${actionData.description}`, COLORS.CYAN)); // Action described by the LLM
-            
-            // Determine the actual game logic based on the action_type suggested by the LLM
-            // Note: The game logic uses English keywords.
-            if (actionData.action_type.toLowerCase() === 'attack') {
-                return { type: 'attack', target: player };
-            } else if (actionData.action_type.toLowerCase() === 'defend' || actionData.action_type.toLowerCase().includes('defense')) {
-                logger.info(`${this.name} takes a defensive stance!`);
-                return { type: 'defend' };
+        }
+        return this.resolveAction(actionData);
+    }
+
+    /**
+     * Picks, narrates and resolves an action without the LLM (see chooseOfflineAction).
+     * @param {Player} player - The player the monster is fighting.
+     * @returns {{type: string, ability?: object}} The action for the game to execute.
+     */
+    chooseBuiltInAction(player) {
+        const actionData = chooseOfflineAction(this, player);
+        logger.info(applyColor(`\n${actionData.description}`, COLORS.CYAN));
+        return this.resolveAction(actionData);
+    }
+
+    /**
+     * Turns an action response into the action the game executes (see takeMonsterTurn).
+     * Unknown action types, and abilities the monster doesn't have or has used up, become attacks, as
+     * does fleeing for a boss, which fights to the end.
+     * Heals and buffs go to the named ally; without one (or if it can't be healed), a heal goes
+     * to the most wounded monster on its side and a buff to the monster itself.
+     * @param {{action_type: string, ability?: string, target?: string}} actionData - The action chosen by the LLM or the offline rules.
+     * @returns {{type: string, ability?: object, target?: Monster}} The action type (see MonsterActionType) and,
+     *   for abilities, the ability and the monster it is for (heals and buffs only).
+     */
+    resolveAction(actionData) {
+        const actionType = actionData.action_type.trim().toLowerCase();
+        if (actionType === MonsterActionType.ABILITY) {
+            const ability = this.findAbility(actionData.ability);
+            if (!ability || !this.availableAbilities.includes(ability)) {
+                return { type: MonsterActionType.ATTACK };
+            }
+            const ally = this.findAlly(actionData.target);
+            if (ability.effect === MonsterAbilityEffect.HEAL) {
+                const healTargets = this.healTargets;
+                return { type: MonsterActionType.ABILITY, ability, target: healTargets.includes(ally) ? ally : healTargets[0] };
             }
-            // Add logic for other action types here
-            return { type: 'attack', target: player }; // Default to attack
-        } catch (error) {
-            logger.error("Error during LLM monster action decision or JSON parsing:", error.message);
-            // For debugging, print the raw response if JSON parsing fails.
-            logger.error("Raw LLM Response (parsing failed):", llmResponse);
-            return { type: 'attack', target: player }; // Fallback to a basic attack on error
+            if (ability.effect === MonsterAbilityEffect.BUFF) {
+                return { type: MonsterActionType.ABILITY, ability, target: ally || this };
+            }
+            return { type: MonsterActionType.ABILITY, ability };
+        }
+        if (actionType === MonsterActionType.FLEE && this.role === 'boss') {
+            return { type: MonsterActionType.ATTACK };
         }
+        if (Object.values(MonsterActionType).includes(actionType)) {
+            return { type: actionType };
+        }
+        return { type: MonsterActionType.ATTACK }; // Default to attack
     }
 }
 
 /**
- * Dynamically creates a monster using an LLM.
- * @param {number} playerLevel - The current level of the player.
- * @param {string} generationPromptHint - A hint for the LLM for monster creation (e.g., "A weak monster in the forest", "A mid-boss in a dungeon").
- * @returns {Promise<Monster>} A newly created monster object.
+ * Makes a special ability safe for the engine to apply: fills in missing numbers, clamps
+ * them into MONSTER_ABILITY_CONFIG and replaces dice that are invalid or too strong. Abilities
+ * given as "Name: Description" strings become damage abilities.
+ * @param {object|string} ability - The ability from the LLM or the MONSTERS table.
+ * @param {number} maxAverage - The highest average roll allowed for the ability's dice.
+ * @returns {object} The ability, with `usesLeft` set to its uses.
  */
-export async function createLLMMonster(playerLevel, generationPromptHint = "A small forest monster") {
-    // Provide difficulty adjustment tips based on player level
-    let difficultyHint = "";
-    let minHp, maxHp, minStat, maxStat, baseExp;
-
-    if (playerLevel <= 3) {
-        difficultyHint = "Please create a monster with low HP and stats, easy for a novice player to handle.";
-        minHp = 10; maxHp = 25;
-        minStat = 5; maxStat = 12;
-        baseExp = 10 + (playerLevel - 1) * 5;
-    } else if (playerLevel <= 7) {
-        difficultyHint = "Please create a monster with moderate HP and stats, suitable for an intermediate player.";
-        minHp = 25; maxHp = 50;
-        minStat = 8; maxStat = 15;
-        baseExp = 20 + (playerLevel - 3) * 10;
-    } else {
-        difficultyHint = "Please create a challenging monster with high HP and stats for an experienced player.";
-        minHp = 50; maxHp = 100;
-        minStat = 12; maxStat = 18;
-        baseExp = 50 + (playerLevel - 7) * 15;
+function normalizeAbility(ability, maxAverage) {
+    if (typeof ability === 'string') {
+        const [name, ...description] = ability.split(':');
+        ability = { name: name.trim(), description: description.join(':').trim(), effect: MonsterAbilityEffect.DAMAGE };
     }
+    const { DEFAULT_DICE, MAX_AMOUNT, MAX_DURATION, MAX_USES, DEFAULT_USES } = MONSTER_ABILITY_CONFIG;
+    const clamp = (value, fallback, max) => Math.min(max, Math.max(1, Math.round(value) || fallback));
+    const effect = Object.values(MonsterAbilityEffect).includes(ability.effect) ? ability.effect : MonsterAbilityEffect.DAMAGE;
+    const normalized = {
+        name: ability.name,
+        description: ability.description || '',
+        effect,
+        duration: clamp(ability.duration, 2, MAX_DURATION),
+        uses: clamp(ability.uses, DEFAULT_USES, MAX_USES)
+    };
+    if (DEFAULT_DICE[effect]) {
+        const usable = isValidDice(ability.dice) && expectedValue(ability.dice) <= maxAverage;
+        normalized.dice = usable ? ability.dice : DEFAULT_DICE[effect];
+    }
+    if (effect === MonsterAbilityEffect.BUFF || effect === MonsterAbilityEffect.DEBUFF) {
+        normalized.stat = [ModifierStat.ATTACK, ModifierStat.DEFENSE].includes(ability.stat) ? ability.stat : ModifierStat.ATTACK;
+        normalized.amount = clamp(ability.amount, 2, MAX_AMOUNT);
+    }
+    if (effect === MonsterAbilityEffect.SUMMON) {
+        normalized.minion = ability.minion || 'Minion';
+    }
+    if (effect === MonsterAbilityEffect.STATUS) {
+        normalized.status = ABILITY_STATUS_EFFECTS.includes(ability.status) ? ability.status : 'weakened';
+        normalized.duration = Math.min(normalized.duration, STATUS_EFFECTS[normalized.status].max_duration ?? MAX_DURATION);
+    }
+    normalized.usesLeft = normalized.uses;
+    return normalized;
+}
+
+/**
+ * Makes a boss phase safe to apply: a stat the engine knows, an amount within
+ * MONSTER_ABILITY_CONFIG.MAX_AMOUNT, and a new ability (if any) normalized like the others.
+ * @param {object} phase - The phase from the LLM or the offline tables, with its HP threshold.
+ * @param {number} maxAverage - The highest average roll allowed for the ability's dice.
+ * @returns {{threshold: number, name: string, description: string, stat: string, amount: number, ability: object|null}} The phase.
+ */
+function normalizePhase(phase, maxAverage) {
+    return {
+        threshold: phase.threshold,
+        name: phase.name || 'Enraged',
+        description: phase.description || '',
+        stat: [ModifierStat.ATTACK, ModifierStat.DEFENSE].includes(phase.stat) ? phase.stat : ModifierStat.ATTACK,
+        amount: Math.min(MONSTER_ABILITY_CONFIG.MAX_AMOUNT, Math.max(1, Math.round(phase.amount) || 2)),
+        ability: phase.ability?.name ? normalizeAbility(phase.ability, maxAverage) : null
+    };
+}
+
+/**
+ * Warns that the LLM did not choose an action. Stays quiet while the LLM is offline, since
+ * that has already been reported once.
+ * @param {string} monsterName - The acting monster.
+ * @param {Error} error - Why no action was chosen.
+ */
+function warnActionFallback(monsterName, error) {
+    if (error.kind !== LLMErrorKind.UNAVAILABLE) {
+        logger.warn(`LLM could not decide ${monsterName}'s action (${error.message}). Using a built-in action.`);
+    }
+}
+
+/**
+ * Explains the special abilities the engine can carry out, for the monster generation prompts.
+ * @returns {string} The explanation, indented to fit into a prompt.
+ */
+function abilityInstructions() {
+    return `Each ability has an effect, one of: damage (an attack with "dice", e.g. "2d6"), heal (regains "dice" HP),
+    buff (raises its own "stat", attack or defense, by "amount" 1-${MONSTER_ABILITY_CONFIG.MAX_AMOUNT} for "duration" 1-${MONSTER_ABILITY_CONFIG.MAX_DURATION} turns),
+    debuff (lowers the player's "stat" by "amount" for "duration" turns), summon (a "minion" that attacks for "dice" for "duration" turns)
+    or status (inflicts the "status" ${ABILITY_STATUS_EFFECTS.filter(id => !STATUS_EFFECTS[id].beneficial).join(', ')} on the player,
+    or gains ${ABILITY_STATUS_EFFECTS.filter(id => STATUS_EFFECTS[id].beneficial).join(', ')} itself, for "duration" turns).
+    "uses" (1-${MONSTER_ABILITY_CONFIG.MAX_USES}) is how often it can be used per fight.`;
+}
+
+/**
+ * Returns the HP, stat and EXP ranges for monsters at the player's level, with a hint for the LLM.
+ * HP and stats grow steadily with the level (stats up to a cap) and EXP along a curve, as set in
+ * the balance file; the difficulty preset shifts the level and scales the HP (see getBalance).
+ * @param {number} playerLevel - The current level of the player.
+ * @returns {{difficultyHint: string, minHp: number, maxHp: number, minStat: number, maxStat: number, baseExp: number}} The difficulty band.
+ */
+function getDifficultyBand(playerLevel) {
+    const { monsters, difficulty } = getBalance();
+    const { hp, stats, exp, hints } = monsters;
+    const level = Math.max(1, playerLevel + difficulty.monster_level_offset);
+    const levelsAbove1 = level - 1;
+
+    const minHp = Math.max(1, Math.round((hp.min + hp.min_per_level * levelsAbove1) * difficulty.monster_hp));
+    const maxHp = Math.max(minHp, Math.round((hp.max + hp.max_per_level * levelsAbove1) * difficulty.monster_hp));
+    const maxStat = Math.round(Math.min(stats.cap, stats.max + stats.max_per_level * levelsAbove1));
+    const minStat = Math.round(Math.min(maxStat, stats.min + stats.min_per_level * levelsAbove1));
+    const baseExp = Math.max(1, Math.round(exp.base * level ** exp.exponent));
+    const { text: difficultyHint } = hints.findLast(hint => hint.from_level <= level);
+
+    return { difficultyHint, minHp, maxHp, minStat, maxStat, baseExp };
+}
+
+/**
+ * Generates the data for one kind of monster with the LLM. Offline, or if generation fails, a
+ * level-scaled monster from the MONSTERS table is used instead (see generateOfflineMonster).
+ * @param {number} playerLevel - The current level of the player.
+ * @param {string} generationPromptHint - A hint for the LLM for monster creation.
+ * @param {string} playerTitle - The player's race and class.
+ * @param {object} [options] - Options.
+ * @param {number} [options.levelOffset] - How many levels above the player's the monster is pitched at.
+ * @param {string|null} [options.kind] - A kind of monster it must be (e.g. "wolf"); its name will include it.
+ * @param {string} [options.context] - The campaign so far, for continuity (see CampaignMemory.toPrompt).
+ * @returns {Promise<object>} The monster data, validated against monsterSchema.
+ */
+async function generateMonsterData(playerLevel, generationPromptHint, playerTitle, { levelOffset = 0, kind = null, context = '' } = {}) {
+    const encounterLevel = Math.max(1, playerLevel + levelOffset);
+    const { difficultyHint, ...band } = getDifficultyBand(encounterLevel);
+    const { minHp, maxHp, minStat, maxStat, baseExp } = band;
 
     const prompt = `
-    You are a D&D style Game Master. The player is currently level ${playerLevel}.
-    Create a new monster that fits the description: "${generationPromptHint}".
-    ${difficultyHint}
+    You are a D&D style Game Master. The player is currently a level ${playerLevel} ${playerTitle}.${context ? `\n${context}` : ''}
+    Create a new monster that fits the description: "${generationPromptHint}".${kind ? ` It must be a ${kind}, and its name must include the word "${kind}".` : ''}
+    ${difficultyHint}${encounterLevel > playerLevel ? ` This is a dangerous region: make it as strong as a monster for a level ${encounterLevel} player.` : ''}
     You must provide the monster's stats (HP, STR, DEX, CON, INT, WIS, CHA), name, a short description, and special abilities in JSON format.
     Set HP roughly between ${minHp}-${maxHp}, and stats between ${minStat}-${maxStat}.
-    Write 1-2 special abilities briefly.
+    Give it 1-2 special abilities. ${abilityInstructions()}
     Set base_exp, the base experience for defeating the monster, to around ${baseExp}.
     
     JSON format:
@@ -154,42 +453,178 @@ export async function createLLMMonster(playerLevel, generationPromptHint = "A sm
         "CHA": ${minStat}
       },
       "special_abilities": [
-        "Ability 1: Description",
-        "Ability 2: Description"
+        { "name": "Ability 1", "description": "A short description", "effect": "damage", "dice": "1d8", "uses": 2 },
+        { "name": "Ability 2", "description": "A short description", "effect": "debuff", "stat": "defense", "amount": 2, "duration": 2, "uses": 1 }
       ]
     }
     Your response must only contain the JSON code block. Do not include any other explanations.
     `;
 
-    logger.info(applyColor(`Requesting LLM to generate a monster: (for Lv.${playerLevel}) "${generationPromptHint}"`, COLORS.YELLOW));
-
-    let llmResponse;
-    try {
-        llmResponse = await getGemmaResponse(prompt, 'gemma3:latest');
-        
-        let jsonString = llmResponse.trim();
-        if (jsonString.startsWith("```json")) {
-            jsonString = jsonString.substring(7, jsonString.lastIndexOf("```")).trim();
-        } else if (jsonString.startsWith("```")) {
-            jsonString = jsonString.substring(3, jsonString.lastIndexOf("```")).trim();
+    if (isLLMOffline()) {
+        return generateOfflineMonster(encounterLevel, band, kind);
+    }
+
+    logger.info(applyColor(`Requesting LLM to generate a monster: (for Lv.${encounterLevel}) "${generationPromptHint}"`, COLORS.YELLOW));
+
+    const result = await generateStructured(prompt, monsterSchema(band), { purpose: 'monster' });
+    if (result.ok) {
+        logger.info(applyColor(`LLM generated monster data: ${result.data.name}`, COLORS.YELLOW));
+        return result.data;
+    }
+
+    // While the LLM is offline the fallback is expected, so there is nothing to report
+    if (result.error.kind !== LLMErrorKind.UNAVAILABLE) {
+        logger.error("Error during LLM monster generation:", result.error.message);
+        if (result.text) {
+            logger.error("Raw LLM Response (last attempt):", result.text);
         }
+    }
+    // Fall back to a procedurally generated monster of the same difficulty
+    logger.info(applyColor("Using a built-in monster instead.", COLORS.YELLOW));
+    return generateOfflineMonster(encounterLevel, band, kind);
+}
 
-        const monsterData = JSON.parse(jsonString);
-        logger.info(applyColor(`LLM generated monster data: ${monsterData.name}`, COLORS.YELLOW));
-        return new Monster(monsterData);
+/**
+ * Picks how an encounter is made up. Until MIN_GROUP_LEVEL every fight is against one monster.
+ * @param {number} playerLevel - The current level of the player.
+ * @returns {string} One of EncounterFormation.
+ */
+function chooseFormation(playerLevel) {
+    if (playerLevel < ENCOUNTER_CONFIG.MIN_GROUP_LEVEL || !odds(ENCOUNTER_CONFIG.GROUP_CHANCE)) {
+        return EncounterFormation.SOLO;
+    }
+    return choice([EncounterFormation.PACK, EncounterFormation.LEADER]);
+}
 
-    } catch (error) {
-        logger.error("Error during LLM monster generation or JSON parsing:", error.message);
-        logger.error("Raw LLM Response (parsing failed):", llmResponse);
-        // Return a basic fallback monster appropriate for the player's level on error
+/**
+ * Creates scaled-down copies of a generated monster; several copies are lettered so they can
+ * be told apart (e.g. "Dire Wolf A", "Dire Wolf B").
+ * @param {object} monsterData - The generated monster data.
+ * @param {number} count - How many copies to create.
+ * @param {number} factor - Their HP, Strength and EXP, relative to the generated monster.
+ * @param {string|null} role - Their role in the encounter (see Monster).
+ * @returns {Monster[]} The monsters.
+ */
+function createGroupMembers(monsterData, count, factor, role) {
+    const scale = value => Math.max(1, Math.round(value * factor));
+    return Array.from({ length: count }, (_, i) => {
+        const data = structuredClone(monsterData);
         return new Monster({
-            name: "Error Monster",
-            description: "A monster that failed to generate from the LLM. (Default Fallback)",
-            hp: Math.min(maxHp, 15 + playerLevel * 2),
-            base_exp: baseExp,
-            drop_chance: 0.3,
-            stats: { STR: 5 + Math.floor(playerLevel / 2), DEX: 5 + Math.floor(playerLevel / 2), CON: 5 + Math.floor(playerLevel / 2), INT: 5, WIS: 5, CHA: 5 },
-            special_abilities: []
+            ...data,
+            name: count > 1 ? `${data.name} ${String.fromCharCode(65 + i)}` : data.name,
+            hp: scale(data.hp),
+            base_exp: scale(data.base_exp || 10),
+            stats: { ...data.stats, [StatType.STRENGTH]: scale(data.stats[StatType.STRENGTH] || 5) },
+            role
         });
+    });
+}
+
+/**
+ * Dynamically creates the monsters of an encounter using an LLM: a lone monster, a pack of
+ * weaker copies of one monster, or a leader with weaker minions of another kind (generated with
+ * a second request). Offline, or if generation fails, level-scaled monsters from the MONSTERS
+ * table are created instead (see generateOfflineMonster).
+ * @param {number} playerLevel - The current level of the player.
+ * @param {string} generationPromptHint - A hint for the LLM for monster creation (e.g., "A weak monster in the forest", "A mid-boss in a dungeon").
+ * @param {string} [playerTitle] - The player's race and class (e.g., "Dwarf Cleric"), so the monster can suit them.
+ * @param {object} [options] - Options.
+ * @param {string} [options.formation] - The make-up of the encounter (see EncounterFormation); chosen at random by default.
+ * @param {number} [options.levelOffset] - Pitches the monsters this many levels above the player's
+ *   level, for tougher regions (see LOCATIONS).
+ * @param {string|null} [options.kind] - A kind of monster the encounter must be (e.g. "wolf", for a
+ *   quest); a leader's minions can be anything.
+ * @param {string} [options.context] - The campaign so far, for continuity (see CampaignMemory.toPrompt).
+ * @returns {Promise<Monster[]>} The newly created monsters, the leader (if any) first.
+ */
+export async function createLLMMonster(playerLevel, generationPromptHint = "A small forest monster", playerTitle = "adventurer", { formation = chooseFormation(playerLevel), levelOffset = 0, kind = null, context = '' } = {}) {
+    const { PACK_SIZE, MINION_COUNT, PACK_FACTOR, LEADER_FACTOR, MINION_FACTOR, MAX_MONSTERS } = ENCOUNTER_CONFIG;
+
+    if (formation === EncounterFormation.PACK) {
+        const monsterData = await generateMonsterData(playerLevel, `${generationPromptHint}, one of a pack that hunts together`, playerTitle, { levelOffset, kind, context });
+        const count = Math.min(MAX_MONSTERS, getRandomIntInclusive(...PACK_SIZE));
+        return createGroupMembers(monsterData, count, PACK_FACTOR, null);
+    }
+
+    if (formation === EncounterFormation.LEADER) {
+        const leaderData = await generateMonsterData(playerLevel, `${generationPromptHint}, the leader of a band of lesser creatures`, playerTitle, { levelOffset, kind, context });
+        const [leader] = createGroupMembers(leaderData, 1, LEADER_FACTOR, 'leader');
+        const minionData = await generateMonsterData(playerLevel, `A lesser creature that serves ${leaderData.name}`, playerTitle, { levelOffset, context });
+        const count = Math.min(MAX_MONSTERS - 1, getRandomIntInclusive(...MINION_COUNT));
+        return [leader, ...createGroupMembers(minionData, count, MINION_FACTOR, 'minion')];
+    }
+
+    return [new Monster(await generateMonsterData(playerLevel, generationPromptHint, playerTitle, { levelOffset, kind, context }))];
+}
+
+/**
+ * Creates the boss at the bottom of a dungeon (see DUNGEONS) with the LLM: a single monster with
+ * DUNGEON_CONFIG.BOSS_HP_FACTOR times the HP and BOSS_EXP_FACTOR times the EXP of a monster of
+ * its level, which enters a new phase at each of DUNGEON_CONFIG.PHASE_THRESHOLDS (see
+ * Monster.advancePhase). Phases the LLM leaves out, and the whole boss offline or if generation
+ * fails, come from templates (see generateOfflineBoss).
+ * @param {number} playerLevel - The current level of the player.
+ * @param {string} bossHint - Who the boss is (e.g. "The Thorn King, an undead warlord").
+ * @param {string} [playerTitle] - The player's race and class, so the boss can suit them.
+ * @param {object} [options] - Options.
+ * @param {number} [options.levelOffset] - Pitches the boss this many levels above the player's level.
+ * @param {string} [options.context] - The campaign so far, for continuity (see CampaignMemory.toPrompt).
+ * @returns {Promise<Monster>} The boss.
+ */
+export async function createBoss(playerLevel, bossHint, playerTitle = "adventurer", { levelOffset = 0, context = '' } = {}) {
+    const { BOSS_HP_FACTOR, BOSS_EXP_FACTOR, PHASE_THRESHOLDS } = DUNGEON_CONFIG;
+    const encounterLevel = Math.max(1, playerLevel + levelOffset);
+    const { difficultyHint, ...band } = getDifficultyBand(encounterLevel);
+    Object.assign(band, { minHp: band.minHp * BOSS_HP_FACTOR, maxHp: band.maxHp * BOSS_HP_FACTOR, baseExp: band.baseExp * BOSS_EXP_FACTOR });
+    const { minHp, maxHp, minStat, maxStat, baseExp } = band;
+
+    const prompt = `
+    You are a D&D style Game Master. The player is currently a level ${playerLevel} ${playerTitle}, and has fought their way to the bottom of a dungeon.${context ? `\n${context}` : ''}
+    Create the boss that waits there: "${bossHint}".
+    ${difficultyHint} It is a boss, as strong as a monster for a level ${encounterLevel} player but with far more HP.
+    You must provide the boss's stats (HP, STR, DEX, CON, INT, WIS, CHA), name, a short description, special abilities and phases in JSON format.
+    Set HP roughly between ${minHp}-${maxHp}, and stats between ${minStat}-${maxStat}.
+    Give it 2-3 special abilities. ${abilityInstructions()}
+    The boss changes as it is worn down: give it exactly ${PHASE_THRESHOLDS.length} "phases", entered when its HP falls to ${PHASE_THRESHOLDS.map(threshold => `${Math.round(threshold * 100)}%`).join(' and ')}.
+    Each phase has a "name", a "description" of how the boss changes (one or two sentences), the "stat" (attack or defense)
+    it raises by "amount" (1-${MONSTER_ABILITY_CONFIG.MAX_AMOUNT}) for the rest of the fight, and may unlock a new "ability" (same format as above).
+    Set base_exp to around ${baseExp}.
+
+    JSON format:
+    {
+      "name": "Boss Name",
+      "description": "A short description of the boss",
+      "hp": ${minHp + Math.floor((maxHp - minHp) / 2)},
+      "base_exp": ${baseExp},
+      "stats": { "STR": ${maxStat}, "DEX": ${minStat}, "CON": ${maxStat}, "INT": ${minStat}, "WIS": ${minStat}, "CHA": ${minStat} },
+      "special_abilities": [
+        { "name": "Ability 1", "description": "A short description", "effect": "damage", "dice": "2d6", "uses": 2 }
+      ],
+      "phases": [
+        { "name": "Enraged", "description": "It roars and its blows grow heavier.", "stat": "attack", "amount": 2 },
+        { "name": "Last Stand", "description": "Cornered, it calls on its last reserves.", "stat": "defense", "amount": 3,
+          "ability": { "name": "Dark Mending", "description": "Its wounds close", "effect": "heal", "dice": "2d6", "uses": 1 } }
+      ]
     }
+    Your response must only contain the JSON code block. Do not include any other explanations.
+    `;
+
+    let bossData = null;
+    if (!isLLMOffline()) {
+        logger.info(applyColor(`Requesting LLM to generate a boss: (for Lv.${encounterLevel}) "${bossHint}"`, COLORS.YELLOW));
+        const result = await generateStructured(prompt, bossSchema(band), { purpose: 'boss' });
+        if (result.ok) {
+            logger.info(applyColor(`LLM generated boss data: ${result.data.name}`, COLORS.YELLOW));
+            bossData = result.data;
+        } else if (result.error.kind !== LLMErrorKind.UNAVAILABLE) {
+            logger.error("Error during LLM boss generation:", result.error.message);
+            logger.info(applyColor("Using a built-in boss instead.", COLORS.YELLOW));
+        }
+    }
+    bossData ||= generateOfflineBoss(encounterLevel, band);
+
+    // The game decides when each phase begins; phases the LLM left out come from templates
+    const templates = bossData.phases.length < PHASE_THRESHOLDS.length ? generateOfflineBossPhases(bossData.name) : [];
+    const phases = PHASE_THRESHOLDS.map((threshold, i) => ({ ...(bossData.phases[i] || templates[i]), threshold }));
+    return new Monster({ ...bossData, phases, drop_chance: 1, role: 'boss' });
 }
\ No newline at end of file
@@ -0,0 +1,144 @@
+// src/monster_actions.js - Carries out the actions a monster takes on its combat turn.
+
+import { MonsterActionType, MonsterAbilityEffect, ModifierStat, STATUS_EFFECTS, CombatEvent } from './config.js';
+import { odds } from './utils.js';
+import { rollDice, withModifier } from './dice.js';
+import { getBalance } from './balance.js';
+
+/**
+ * Puts the monster into a defensive stance until its next turn.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Monster} monster - The defending monster.
+ */
+export function monsterDefend(combat, monster) {
+    combat.applyStatus(monster, 'defending');
+    combat.emit(CombatEvent.DEFEND, { combatant: monster });
+}
+
+/**
+ * Attempts to escape from combat.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Monster} monster - The fleeing monster.
+ * @returns {boolean} True if the monster got away.
+ */
+export function monsterFlee(combat, monster) {
+    const escaped = odds(getBalance().combat.monster_flee_chance / 100);
+    combat.emit(CombatEvent.FLEE, { combatant: monster, escaped, from: [] });
+    return escaped;
+}
+
+// How each kind of special ability is resolved (see MonsterAbilityEffect). Each handler
+// receives the fight, the monster, the ability, the player and, for heals and buffs, the
+// monster on its side the ability is for.
+const ABILITY_EFFECTS = {
+    [MonsterAbilityEffect.DAMAGE](combat, monster, ability, player) {
+        combat.attack(monster, player, { dice: withModifier(ability.dice, monster.effects.modifier(ModifierStat.ATTACK)), source: ability.name });
+    },
+
+    [MonsterAbilityEffect.HEAL](combat, monster, ability, player, target) {
+        combat.heal(target, Math.max(1, rollDice(ability.dice)));
+    },
+
+    [MonsterAbilityEffect.BUFF](combat, monster, ability, player, target) {
+        combat.applyStatus(target, 'buff', { key: ability.name, name: ability.name, modifiers: { [ability.stat]: ability.amount }, turns: ability.duration });
+        combat.emit(CombatEvent.MODIFIER, { combatant: target, stat: ability.stat, amount: ability.amount });
+    },
+
+    [MonsterAbilityEffect.DEBUFF](combat, monster, ability, player) {
+        combat.applyStatus(player, 'debuff', { key: ability.name, name: ability.name, modifiers: { [ability.stat]: -ability.amount }, turns: ability.duration });
+        combat.emit(CombatEvent.MODIFIER, { combatant: player, stat: ability.stat, amount: -ability.amount });
+    },
+
+    // Beneficial effects go on the monster itself, harmful ones on the player
+    [MonsterAbilityEffect.STATUS](combat, monster, ability, player) {
+        const target = STATUS_EFFECTS[ability.status].beneficial ? monster : player;
+        combat.applyStatus(target, ability.status, { turns: ability.duration });
+    },
+
+    [MonsterAbilityEffect.SUMMON](combat, monster, ability) {
+        const minion = {
+            name: ability.minion,
+            damageDice: ability.dice,
+            turns: ability.duration,
+            hitChance: getBalance().combat.base_hit_chance,
+            criticalChance: getBalance().combat.base_critical_chance
+        };
+        monster.summons.push(minion);
+        combat.emit(CombatEvent.SUMMON, { combatant: monster, minion });
+    }
+};
+
+/**
+ * Uses one of the monster's special abilities and spends one of its uses.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Monster} monster - The acting monster.
+ * @param {object} ability - One of the monster's available abilities.
+ * @param {Player} player - The player the monster is fighting.
+ * @param {Monster} [target] - For heals and buffs, the monster on its side the ability is for (defaults to itself).
+ */
+export function monsterUseAbility(combat, monster, ability, player, target = monster) {
+    ability.usesLeft--;
+    combat.emit(CombatEvent.ABILITY, { combatant: monster, ability, target });
+    ABILITY_EFFECTS[ability.effect](combat, monster, ability, player, target);
+}
+
+/**
+ * Lets the monster's summoned minions attack, then sends away those whose time is up.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Monster} monster - The monster whose minions act.
+ * @param {Player} player - The player being attacked.
+ */
+function minionsAttack(combat, monster, player) {
+    for (const minion of monster.summons) {
+        if (player.hpBar.isEmpty()) {
+            break;
+        }
+        combat.attack(minion, player, { dice: minion.damageDice });
+        minion.turns--;
+        if (minion.turns <= 0) {
+            combat.emit(CombatEvent.SUMMON_END, { combatant: monster, minion });
+        }
+    }
+    monster.summons = monster.summons.filter(minion => minion.turns > 0);
+}
+
+/**
+ * Runs a monster's turn: its status effects tick, its minions attack, then the monster
+ * chooses an action (with the LLM or the built-in rules) and the action is carried out.
+ * A stunned monster loses its action, but its minions still attack.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Monster} monster - The acting monster.
+ * @param {{stream: boolean}} options - Game options.
+ * @returns {Promise<'done'|'fled'>} How the turn ended.
+ */
+export async function takeMonsterTurn(combat, monster, { stream }) {
+    const { player } = combat;
+    combat.tickEffects(monster); // A defensive stance from the previous turn ends here
+    if (monster.hpBar.isEmpty()) {
+        return 'done';
+    }
+
+    minionsAttack(combat, monster, player);
+    if (player.hpBar.isEmpty()) {
+        return 'done';
+    }
+    if (monster.effects.skipsTurn) {
+        combat.emit(CombatEvent.STUNNED, { combatant: monster });
+        return 'done';
+    }
+
+    const action = await monster.chooseAction(player, { stream });
+    switch (action.type) {
+        case MonsterActionType.ABILITY:
+            monsterUseAbility(combat, monster, action.ability, player, action.target);
+            break;
+        case MonsterActionType.DEFEND:
+            monsterDefend(combat, monster);
+            break;
+        case MonsterActionType.FLEE:
+            return monsterFlee(combat, monster) ? 'fled' : 'done';
+        default:
+            combat.attack(monster, player, { dice: monster.damageDice });
+    }
+    return 'done';
+}
\ No newline at end of file
@@ -0,0 +1,133 @@
+// src/narration.js - Streams LLM narration to the terminal while a structured response is generated.
+
+import { NARRATION_CONFIG } from './config.js';
+import { generateStructured } from './structured_output.js';
+import { LLMErrorKind } from './llm_client.js';
+import { watchKeypress } from './input.js';
+import { COLORS } from './utils.js';
+
+const ESCAPES = { n: '\n', t: '\t', r: '', b: '', f: '', '"': '"', '\\': '\\', '/': '/' };
+
+/**
+ * Creates an incremental scanner that picks the value of one string field out of JSON text
+ * as it streams in, and passes the decoded characters on as soon as they arrive.
+ * @param {string} field - The name of the string field to follow (e.g. 'description').
+ * @param {function(string): void} onText - Receives decoded text of the field.
+ * @returns {{feed: function(string): void, text: function(): string, complete: function(): boolean}}
+ *   feed() takes the next chunk of JSON text; text() returns the decoded value so far;
+ *   complete() tells whether the closing quote has been seen.
+ */
+export function createJsonFieldStreamer(field, onText) {
+    const keyPattern = new RegExp(`"${field}"\\s*:\\s*"`);
+    let raw = '';        // All JSON text received so far
+    let position = -1;   // Index in raw of the next unread character of the value, once found
+    let decoded = '';
+    let done = false;
+
+    return {
+        feed(chunk) {
+            raw += chunk;
+            if (done) {
+                return;
+            }
+            if (position === -1) {
+                const match = keyPattern.exec(raw);
+                if (!match) {
+                    return;
+                }
+                position = match.index + match[0].length;
+            }
+            let output = '';
+            while (position < raw.length) {
+                const ch = raw[position];
+                if (ch === '"') {
+                    done = true;
+                    break;
+                }
+                if (ch === '\\') {
+                    const next = raw[position + 1];
+                    if (next === undefined) {
+                        break; // Wait for the rest of the escape sequence
+                    }
+                    if (next === 'u') {
+                        const hex = raw.substr(position + 2, 4);
+                        if (hex.length < 4) {
+                            break;
+                        }
+                        output += String.fromCharCode(parseInt(hex, 16));
+                        position += 6;
+                        continue;
+                    }
+                    output += ESCAPES[next] ?? next;
+                    position += 2;
+                    continue;
+                }
+                output += ch;
+                position++;
+            }
+            if (output) {
+                decoded += output;
+                onText(output);
+            }
+        },
+        text: () => decoded,
+        complete: () => done
+    };
+}
+
+/**
+ * Reads a complete string field from possibly truncated JSON text (e.g. a cancelled stream).
+ * @param {string} text - The partial JSON text.
+ * @param {string} field - The name of the string field.
+ * @returns {string|null} The field's value, or null if it was not fully received.
+ */
+export function readPartialStringField(text, field) {
+    const streamer = createJsonFieldStreamer(field, () => {});
+    streamer.feed(text || '');
+    return streamer.complete() ? streamer.text() : null;
+}
+
+/**
+ * Generates structured JSON while printing one of its string fields to the terminal token by
+ * token. The player can press any key to cut the narration short, and the request is also
+ * cancelled after NARRATION_CONFIG.TIMEOUT_MS.
+ * @param {string} prompt - The prompt describing the JSON to generate.
+ * @param {object} schema - The schema the response must satisfy.
+ * @param {object} options - Generation options.
+ * @param {string} options.purpose - What is being generated (e.g. 'action').
+ * @param {string} [options.field] - The string field to narrate.
+ * @param {string} [options.color] - The color code for the narrated text.
+ * @returns {Promise<{result: object, narrated: string, narrationComplete: boolean, cancelled: boolean}>}
+ *   The generateStructured() result, the text printed, whether the whole field was printed,
+ *   and whether the request was cancelled.
+ */
+export async function generateNarrated(prompt, schema, { purpose, field = 'description', color = COLORS.CYAN }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), NARRATION_CONFIG.TIMEOUT_MS);
+    const stopWatching = watchKeypress(() => controller.abort());
+
+    let started = false;
+    const streamer = createJsonFieldStreamer(field, text => {
+        if (!started) {
+            process.stdout.write(`[INFO] \n${color}`); // Match the logger's prefix and the blank line of non-streamed narration
+            started = true;
+        }
+        process.stdout.write(text);
+    });
+
+    try {
+        const result = await generateStructured(prompt, schema, { purpose, onToken: chunk => streamer.feed(chunk), signal: controller.signal });
+        return {
+            result,
+            narrated: streamer.text(),
+            narrationComplete: streamer.complete(),
+            cancelled: !result.ok && result.error.kind === LLMErrorKind.CANCELLED
+        };
+    } finally {
+        clearTimeout(timer);
+        stopWatching();
+        if (started) {
+            process.stdout.write(`${controller.signal.aborted && !streamer.complete() ? '...' : ''}${COLORS.RESET}\n`);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,400 @@
+// src/offline_content.js - Procedural monsters, actions and items that need no LLM.
+// Used when the game runs with --offline and whenever the LLM is unavailable or fails.
+
+import { MONSTERS, ItemType, ItemSlot, ItemRarity, StatType, MonsterActionType, MonsterAbilityEffect, ModifierStat, RARITY_CONFIG, QuestType, LOCATIONS, DUNGEON_CONFIG } from './config.js';
+import { choice, odds, getRandomIntInclusive } from './utils.js';
+
+// Name prefixes by difficulty tier (see getTier)
+const MONSTER_VARIANTS = [
+    ['Young', 'Scrawny', 'Hungry', 'Lost'],
+    ['Savage', 'Scarred', 'Feral', 'Veteran'],
+    ['Elder', 'Dread', 'Ancient', 'Alpha']
+];
+
+// Description templates; {variant} and {name} are filled in lower case
+const MONSTER_DESCRIPTIONS = [
+    "A {variant} {name} that prowls the forest paths looking for easy prey.",
+    "A {variant} {name}, eyes gleaming from the undergrowth.",
+    "A {variant} {name} that has claimed this part of the woods as its own.",
+    "A {variant} {name}, bristling with hostility."
+];
+
+const ATTACK_DESCRIPTIONS = [
+    "{monster} lunges at {player}!",
+    "{monster} strikes at {player} with all its might.",
+    "{monster} circles {player}, then attacks.",
+    "{monster} charges straight at {player}!"
+];
+
+const ABILITY_DESCRIPTIONS = [
+    "{monster} unleashes {ability} on {player}!",
+    "{monster} calls upon {ability}!"
+];
+
+const DEFEND_DESCRIPTIONS = [
+    "{monster} backs away and braces itself.",
+    "Wounded, {monster} hunkers down behind its guard."
+];
+
+const FLEE_DESCRIPTIONS = [
+    "{monster} turns tail and bolts for the trees!",
+    "Bleeding, {monster} looks for a way out."
+];
+
+// Weapon bases and their damage dice, by difficulty tier
+const WEAPON_BASES = [
+    [{ name: 'Dagger', damage: '1d4' }, { name: 'Club', damage: '1d4' }, { name: 'Shortsword', damage: '1d6' }, { name: 'Hand Axe', damage: '1d6' }],
+    [{ name: 'Mace', damage: '1d6' }, { name: 'Longsword', damage: '1d8' }, { name: 'Warhammer', damage: '1d8' }, { name: 'Spear', damage: '1d8' }],
+    [{ name: 'Battleaxe', damage: '1d10' }, { name: 'Halberd', damage: '1d10' }, { name: 'Greatsword', damage: '1d12' }, { name: 'Greataxe', damage: '1d12' }]
+];
+
+const WEAPON_MATERIALS = [
+    ['Rusty', 'Wooden', 'Bronze', 'Chipped'],
+    ['Iron', 'Steel', 'Tempered', 'Balanced'],
+    ['Mithril', 'Runed', 'Dragonbone', 'Starforged']
+];
+
+// Effects an item can have, as free text (read by parseItemEffectText); rarer items get more of them
+const ITEM_EFFECTS = [
+    "+1 STR", "+1 DEX", "+1 CON", "+1 WIS", "+1d4 fire damage", "+1d4 cold damage",
+    "10% chance to bleed", "+5% critical chance", "Lifesteal 10%", "Bonus damage to beasts"
+];
+
+// Flavor text for weapons
+const WEAPON_FLAVORS = ["None", "None", "Glows faintly in the dark", "Hums softly when drawn", "Etched with elven runes"];
+
+// Armor bases, where they are worn and their armor class, by difficulty tier
+const ARMOR_BASES = [
+    [{ name: 'Buckler', slot: ItemSlot.OFF_HAND, armor: 1 }, { name: 'Vest', slot: ItemSlot.BODY, armor: 1 }, { name: 'Cap', slot: ItemSlot.HEAD, armor: 1 }, { name: 'Sandals', slot: ItemSlot.FEET, armor: 1 }],
+    [{ name: 'Round Shield', slot: ItemSlot.OFF_HAND, armor: 1 }, { name: 'Chain Shirt', slot: ItemSlot.BODY, armor: 2 }, { name: 'Helm', slot: ItemSlot.HEAD, armor: 1 }, { name: 'Gauntlets', slot: ItemSlot.HANDS, armor: 1 }, { name: 'Boots', slot: ItemSlot.FEET, armor: 1 }],
+    [{ name: 'Tower Shield', slot: ItemSlot.OFF_HAND, armor: 2 }, { name: 'Breastplate', slot: ItemSlot.BODY, armor: 3 }, { name: 'Greathelm', slot: ItemSlot.HEAD, armor: 1 }, { name: 'Gauntlets', slot: ItemSlot.HANDS, armor: 1 }, { name: 'Greaves', slot: ItemSlot.FEET, armor: 1 }]
+];
+
+const ARMOR_MATERIALS = [
+    ['Patched', 'Leather', 'Hide', 'Wicker'],
+    ['Iron', 'Steel', 'Studded', 'Reinforced'],
+    ['Mithril', 'Runed', 'Dragonscale', 'Starforged']
+];
+
+// Accessory bases and the stat each kind of charm strengthens
+const ACCESSORY_BASES = [{ name: 'Ring', slot: ItemSlot.RING }, { name: 'Band', slot: ItemSlot.RING }, { name: 'Amulet', slot: ItemSlot.AMULET }, { name: 'Pendant', slot: ItemSlot.AMULET }];
+
+const ACCESSORY_VIRTUES = {
+    [StatType.STRENGTH]: 'Might',
+    [StatType.DEXTERITY]: 'Grace',
+    [StatType.CONSTITUTION]: 'Vigor',
+    [StatType.INTELLIGENCE]: 'Insight',
+    [StatType.WISDOM]: 'Clarity',
+    [StatType.CHARISMA]: 'Charm'
+};
+
+// Travelling merchants: first names, trades and how they greet and see off customers
+const MERCHANT_NAMES = ['Odo', 'Mirela', 'Grimsby', 'Tansy', 'Fenwick', 'Hesper'];
+const MERCHANT_TRADES = [
+    { title: 'the Peddler', description: "A stooped peddler under a pack twice their size, hung with pots and trinkets." },
+    { title: 'the Tinker', description: "A soot-smudged tinker with a cart of mended blades and dented helms." },
+    { title: 'the Herbalist', description: "A sharp-eyed herbalist whose satchels smell of moss and bitter roots." },
+    { title: 'the Collector', description: "A well-dressed collector of battlefield curios, ledger always in hand." }
+];
+const MERCHANT_GREETINGS = [
+    "Ah, a customer! Coin talks, friend, and my wares listen.",
+    "Survived another one, did you? You'll want to see what I've got.",
+    "Don't mind the bloodstains, they're mostly from previous owners."
+];
+const MERCHANT_FAREWELLS = ["Come back alive, and come back rich.", "Mind the road, it bites.", "Pleasure doing business."];
+
+// Quest templates by type. {target} is a kind of monster (lowercase) or an item ({Target} is
+// capitalized), {place} a location's name.
+const QUEST_TEMPLATES = {
+    [QuestType.KILL]: [
+        { title: "Thin the {Target} Herd", description: "Farmers near town have lost sheep to a {target} pack from {place}. Drive them back." },
+        { title: "Bounty: {Target}", description: "The town guard pays well for every {target} slain in {place}." }
+    ],
+    [QuestType.RETRIEVE]: [
+        { title: "The Lost {Target}", description: "A traveller was robbed in {place}. The monsters there still carry what was taken." },
+        { title: "Recover the {Target}", description: "A scholar will pay well for the {target}, if someone can take it from the monsters of {place}." }
+    ],
+    [QuestType.REACH]: [
+        { title: "Scout {place}", description: "No word has come from {place} in weeks. Go and see what has become of it." },
+        { title: "A Letter for {place}", description: "A sealed letter must reach a hermit who lives in {place}." }
+    ]
+};
+const QUEST_ITEMS = ['Silver Locket', 'Stolen Ledger', 'Carved Idol', "Herbalist's Satchel", 'Old Signet Ring'];
+
+// Titles and descriptions for dungeon bosses built from the MONSTERS table; {name} is the boss's name
+const BOSS_TITLES = ['the Undying', 'Lord of the Deep', 'the Devourer', 'Warden of the Dark', 'the Unbroken'];
+const BOSS_DESCRIPTIONS = [
+    "{name} has ruled this place for longer than anyone remembers, and has been waiting for a challenger.",
+    "Bones of earlier challengers lie scattered around {name}, who rises slowly to meet you."
+];
+
+// Boss phases, one list per phase in the order they are entered (see BOSS_PHASE_SCHEMA); {name}
+// is the boss's name
+const BOSS_PHASES = [
+    [
+        { name: 'Enraged', description: "{name} roars in fury, and its blows come faster and heavier.", stat: ModifierStat.ATTACK, amount: 2 },
+        {
+            name: 'Stoneskin', description: "{name}'s hide hardens like stone as it steadies itself.", stat: ModifierStat.DEFENSE, amount: 2,
+            ability: { name: 'Second Wind', description: "Draws on hidden reserves of strength", effect: MonsterAbilityEffect.HEAL, dice: '2d6', uses: 1 }
+        }
+    ],
+    [
+        {
+            name: 'Desperate Fury', description: "Bloodied and cornered, {name} throws all caution aside.", stat: ModifierStat.ATTACK, amount: 3,
+            ability: { name: 'Death Throes', description: "A wild, all-or-nothing assault", effect: MonsterAbilityEffect.DAMAGE, dice: '2d6', uses: 1 }
+        },
+        {
+            name: 'Last Stand', description: "{name} plants its feet and refuses to fall.", stat: ModifierStat.DEFENSE, amount: 3,
+            ability: { name: 'Unholy Resilience', description: "Its wounds begin to close", effect: MonsterAbilityEffect.STATUS, status: 'regenerating', duration: 3, uses: 1 }
+        }
+    ]
+];
+
+// Stats grow by this fraction of the template's value per level above 1
+const STAT_GROWTH_PER_LEVEL = 0.1;
+
+// Monster types whose base EXP exceeds the band's base EXP by more than this factor are too strong for it
+const TEMPLATE_EXP_MARGIN = 1.5;
+
+/**
+ * Maps a player level to a difficulty tier (0-2), matching the LLM generation bands.
+ * @param {number} playerLevel - The current level of the player.
+ * @returns {number} The tier.
+ */
+function getTier(playerLevel) {
+    if (playerLevel <= 3) {
+        return 0;
+    }
+    return playerLevel <= 7 ? 1 : 2;
+}
+
+/**
+ * Replaces {key} placeholders in a template.
+ * @param {string} template - The template text.
+ * @param {object} values - The placeholder values.
+ * @returns {string} The filled-in text.
+ */
+function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Clamps a number into [min, max].
+ * @param {number} value - The value to clamp.
+ * @param {number} min - The lower bound.
+ * @param {number} max - The upper bound.
+ * @returns {number} The clamped value.
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Builds a level-scaled variant of a random entry of the MONSTERS table that suits the
+ * player's level, or of the entry that matches a requested kind of monster. The result has the
+ * same shape as LLM monster data and stays within the same difficulty band.
+ * @param {number} playerLevel - The current level of the player.
+ * @param {object} band - The difficulty band (see monsterSchema in schemas.js).
+ * @param {number} band.minHp - Minimum HP.
+ * @param {number} band.maxHp - Maximum HP.
+ * @param {number} band.maxStat - Maximum value for each stat.
+ * @param {number} band.baseExp - The base EXP for the band.
+ * @param {string|null} [kind] - A kind of monster that is asked for (e.g. "wolf" matches the Dire Wolf).
+ * @returns {object} Monster data for the Monster constructor.
+ */
+export function generateOfflineMonster(playerLevel, { minHp, maxHp, maxStat, baseExp }, kind = null) {
+    // A kind that is asked for is used whatever its strength; otherwise tougher monster types
+    // only appear once the player's level makes them a fair fight
+    const named = kind ? MONSTERS.filter(monster => monster.name.toLowerCase().includes(kind.toLowerCase())) : [];
+    const suitable = MONSTERS.filter(monster => monster.base_exp <= baseExp * TEMPLATE_EXP_MARGIN);
+    const template = choice(named.length > 0 ? named : suitable.length > 0 ? suitable : MONSTERS);
+    const variant = choice(MONSTER_VARIANTS[getTier(playerLevel)]);
+    const growth = 1 + (playerLevel - 1) * STAT_GROWTH_PER_LEVEL;
+
+    const stats = {};
+    for (const stat of Object.values(StatType)) {
+        stats[stat] = clamp(Math.round(template.base_stats[stat] * growth), 1, maxStat);
+    }
+
+    return {
+        name: `${variant} ${template.name}`,
+        description: fillTemplate(choice(MONSTER_DESCRIPTIONS), { variant: variant.toLowerCase(), name: template.name.toLowerCase() }),
+        hp: clamp(Math.round(template.base_stats.HP * growth) + getRandomIntInclusive(0, playerLevel), minHp, maxHp),
+        base_exp: clamp(Math.round(template.base_exp * growth), Math.max(1, Math.floor(baseExp / 2)), baseExp * 2),
+        drop_chance: template.drop_chance,
+        stats,
+        special_abilities: (template.special_abilities || []).map(ability => ({ ...ability }))
+    };
+}
+
+/**
+ * Builds a dungeon boss from the MONSTERS table: a level-scaled monster (see
+ * generateOfflineMonster) with a title, e.g. "Dread Troll, the Undying". Its phases come from
+ * generateOfflineBossPhases.
+ * @param {number} playerLevel - The level the boss is pitched at.
+ * @param {object} band - The boss's difficulty band (see generateOfflineMonster).
+ * @returns {object} Boss data, like an LLM boss response (see bossSchema in schemas.js).
+ */
+export function generateOfflineBoss(playerLevel, band) {
+    const monster = generateOfflineMonster(playerLevel, band);
+    const name = `${monster.name}, ${choice(BOSS_TITLES)}`;
+    return {
+        ...monster,
+        name,
+        description: fillTemplate(choice(BOSS_DESCRIPTIONS), { name }),
+        base_exp: band.baseExp,
+        drop_chance: 1,
+        phases: generateOfflineBossPhases(name)
+    };
+}
+
+/**
+ * Builds the phases of a dungeon boss from templates, one for each threshold in
+ * DUNGEON_CONFIG.PHASE_THRESHOLDS.
+ * @param {string} bossName - The boss's name, for the phase descriptions.
+ * @returns {object[]} The phases, like those of an LLM boss response (see BOSS_PHASE_SCHEMA).
+ */
+export function generateOfflineBossPhases(bossName) {
+    return DUNGEON_CONFIG.PHASE_THRESHOLDS.map((threshold, i) => {
+        const { ability, ...phase } = choice(BOSS_PHASES[Math.min(i, BOSS_PHASES.length - 1)]);
+        return { ...phase, description: fillTemplate(phase.description, { name: bossName }), ...(ability && { ability: { ...ability } }) };
+    });
+}
+
+/**
+ * Picks a monster's action by simple rules: monsters heal themselves or a wounded ally when
+ * they can, badly wounded ones sometimes defend or flee, monsters with other special abilities
+ * sometimes use them, and everything else attacks.
+ * @param {Monster} monster - The acting monster.
+ * @param {Player} player - The player the monster is fighting.
+ * @returns {{action_type: string, ability?: string, target?: string, description: string}} The action, like an LLM action response.
+ */
+export function chooseOfflineAction(monster, player) {
+    const names = { monster: monster.name, player: player.name };
+    const hpRatio = monster.hpBar.value / monster.hpBar.max;
+    const abilities = monster.availableAbilities;
+    const useAbility = ability => ({
+        action_type: MonsterActionType.ABILITY,
+        ability: ability.name,
+        description: fillTemplate(choice(ABILITY_DESCRIPTIONS), { ...names, ability: ability.name })
+    });
+
+    // Heals go to the most wounded monster on its side, once it is below half HP
+    const heals = abilities.filter(ability => ability.effect === MonsterAbilityEffect.HEAL);
+    const wounded = monster.healTargets[0];
+    if (wounded && wounded.hpBar.value / wounded.hpBar.max < 0.5 && heals.length > 0 && odds(0.5)) {
+        return { ...useAbility(choice(heals)), target: wounded.name };
+    }
+    if (hpRatio < 0.3) {
+        if (odds(0.1)) {
+            return { action_type: MonsterActionType.FLEE, description: fillTemplate(choice(FLEE_DESCRIPTIONS), names) };
+        }
+        if (odds(0.4)) {
+            return { action_type: MonsterActionType.DEFEND, description: fillTemplate(choice(DEFEND_DESCRIPTIONS), names) };
+        }
+    }
+    const others = abilities.filter(ability => ability.effect !== MonsterAbilityEffect.HEAL);
+    if (others.length > 0 && odds(0.3)) {
+        return useAbility(choice(others));
+    }
+    return { action_type: MonsterActionType.ATTACK, description: fillTemplate(choice(ATTACK_DESCRIPTIONS), names) };
+}
+
+/**
+ * Picks different effects from ITEM_EFFECTS and joins them into an effect text.
+ * @param {number} count - How many effects.
+ * @param {string} [flavor] - Flavor text to add after them.
+ * @returns {string} The effect text, or "None".
+ */
+function rollEffectText(count, flavor = "None") {
+    const picked = [];
+    while (picked.length < count) {
+        picked.push(choice(ITEM_EFFECTS.filter(text => !picked.includes(text))));
+    }
+    if (flavor !== "None") {
+        picked.push(flavor);
+    }
+    return picked.join(', ') || "None";
+}
+
+/**
+ * Builds an item drop from name templates: a weapon (half the time), a piece of armor or an
+ * accessory, with damage dice, armor class and stat bonuses scaled to the player's level, and
+ * as many effects as its rarity allows (see RARITY_CONFIG).
+ * @param {number} playerLevel - The current level of the player.
+ * @param {string} [rarity] - The rarity of the item (one of ItemRarity).
+ * @returns {object} The item, like an LLM item response (see itemSchema).
+ */
+export function generateOfflineItem(playerLevel, rarity = ItemRarity.COMMON) {
+    const tier = getTier(playerLevel);
+    const effectCount = RARITY_CONFIG[rarity].max_effects;
+    if (odds(0.5)) {
+        const base = choice(WEAPON_BASES[tier]);
+        return {
+            name: `${choice(WEAPON_MATERIALS[tier])} ${base.name}`,
+            type: ItemType.WEAPON,
+            slot: ItemSlot.MAIN_HAND,
+            rarity,
+            damage: base.damage,
+            effect: rollEffectText(effectCount, choice(WEAPON_FLAVORS))
+        };
+    }
+    if (odds(0.6) || effectCount === 0) {
+        const base = choice(ARMOR_BASES[tier]);
+        return {
+            name: `${choice(ARMOR_MATERIALS[tier])} ${base.name}`,
+            type: ItemType.ARMOR,
+            slot: base.slot,
+            rarity,
+            armor: base.armor,
+            effect: rollEffectText(effectCount)
+        };
+    }
+    // Accessories give +1 to a stat, or +2 from the top tier on, then any further effects their
+    // rarity allows (common ones would have nothing, so they are always armor instead)
+    const base = choice(ACCESSORY_BASES);
+    const stat = choice(Object.values(StatType));
+    return {
+        name: `${base.name} of ${ACCESSORY_VIRTUES[stat]}`,
+        type: ItemType.ACCESSORY,
+        slot: base.slot,
+        rarity,
+        effect: [`+${tier === 2 ? 2 : 1} ${stat}`, rollEffectText(effectCount - 1)].filter(text => text !== "None").join(', ')
+    };
+}
+
+/**
+ * Builds a travelling merchant and their gear from templates.
+ * @param {number} playerLevel - The current level of the player.
+ * @param {string[]} rarities - The rarity of each item for sale (see rollRarity).
+ * @returns {object} The merchant, like an LLM merchant response (see merchantSchema).
+ */
+export function generateOfflineMerchant(playerLevel, rarities) {
+    const trade = choice(MERCHANT_TRADES);
+    return {
+        name: `${choice(MERCHANT_NAMES)} ${trade.title}`,
+        description: trade.description,
+        greeting: choice(MERCHANT_GREETINGS),
+        farewell: choice(MERCHANT_FAREWELLS),
+        items: rarities.map(rarity => generateOfflineItem(playerLevel, rarity))
+    };
+}
+
+/**
+ * Builds quests for the notice board from templates: kill quests target a monster type of the
+ * MONSTERS table, and every quest is in a place that is not safe (see LOCATIONS).
+ * @param {number} count - How many quests.
+ * @returns {object[]} The quests, like an LLM quest response (see QUEST_SCHEMA).
+ */
+export function generateOfflineQuests(count) {
+    const places = Object.keys(LOCATIONS).filter(id => !LOCATIONS[id].safe);
+    return Array.from({ length: count }, () => {
+        const type = choice(Object.values(QuestType));
+        const location = choice(places);
+        const target = type === QuestType.KILL ? choice(MONSTERS).name.toLowerCase()
+            : type === QuestType.RETRIEVE ? choice(QUEST_ITEMS) : location;
+        const template = choice(QUEST_TEMPLATES[type]);
+        const values = { target, Target: target.replace(/\b\w/g, letter => letter.toUpperCase()), place: LOCATIONS[location].name };
+        return { title: fillTemplate(template.title, values), description: fillTemplate(template.description, values), type, target, location };
+    });
+}
\ No newline at end of file
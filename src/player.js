@@ -1,14 +1,28 @@
-// src/player.js - Defines the player character, including weapon equipping and attack power reflection.
+// src/player.js - Defines the player character, including equipment and the stats it affects.
 
-import { StatType, GAME_CONSTANTS, DEFAULT_PLAYER_STATS, DEFAULT_PLAYER_BASE_HP } from './config.js';
+import { StatType, ModifierStat, DEFAULT_PLAYER_STATS, CLASSES, CHARACTER_CONFIG, EQUIPMENT_CONFIG, INVENTORY_CONFIG, LOCATIONS, WORLD_CONFIG } from './config.js';
 import { Bar } from './bar.js';
 import { Stats } from './stats.js';
 import { Level } from './level.js';
+import { StatusEffects } from './status_effects.js';
+import { Equipment, normalizeItem, isEquippable, describeItemStats } from './equipment.js';
+import { Inventory } from './inventory.js';
+import { QuestLog } from './quests.js';
+import { CampaignMemory } from './memory.js';
+import { createConsumable } from './consumables.js';
+import { formatItemName } from './rarity.js';
+import { describeItemEffect } from './item_effects.js';
 import { logger, applyColor, COLORS } from './utils.js';
+import { expectedValue, withModifier } from './dice.js';
+import { getClassAbilities, getAbilitiesUnlockedAt, describeAbility } from './abilities.js';
+import { getBalance } from './balance.js';
 
 export class Player {
-    constructor({ name, stats, hp, mp, exp, level, gold, inventory, equippedWeapon }) {
-        this.name = name || "Elf Warrior"; // Default name
+    constructor({ name, race, characterClass, stats, hp, mp, exp, level, gold, inventory, equipment, location, quests, memory }) {
+        // Race and class names (entries of RACES and CLASSES); racial bonuses are already part of the stats
+        this.race = race || CHARACTER_CONFIG.DEFAULT_RACE;
+        this.characterClass = characterClass || CHARACTER_CONFIG.DEFAULT_CLASS;
+        this.name = name || this.title; // Default name, e.g. "Elf Warrior"
         this.gold = gold || 0;
 
         // Leveling system
@@ -17,83 +31,126 @@ export class Player {
         // Initialize stats
         this.stats = new Stats(stats || DEFAULT_PLAYER_STATS);
 
+        // Worn gear; new players start with a dagger. Its stat bonuses count towards max HP and MP.
+        this.equipment = new Equipment(equipment || { main_hand: EQUIPMENT_CONFIG.DEFAULT_WEAPON });
+        this.stats.setModifiers(this.equipment.statModifiers);
+
         // Initialize HP and MP bars
         const initialMaxHp = hp || this.maxHp;
         this.hpBar = new Bar(initialMaxHp, this.maxHp);
         const initialMaxMp = mp || this.maxMp;
         this.mpBar = new Bar(initialMaxMp, this.maxMp);
 
-        // Inventory and equipped items
-        this.inventory = inventory || [];
-        // Set default weapon for new players or load existing
-        this.equippedWeapon = equippedWeapon || {
-            name: "Worn Dagger",
-            type: "Weapon",
-            damage: "1d4", // Base weapon damage
-            effect: "None"
-        };
-        logger.info(`New player ${this.name} (Elf Warrior, Lv.${this.level.value}) has been created.`);
+        // Carried items; new players start with a few potions (see INVENTORY_CONFIG.STARTING_ITEMS)
+        this.inventory = new Inventory(inventory ?? INVENTORY_CONFIG.STARTING_ITEMS.map(({ id, quantity }) => createConsumable(id, quantity)));
+
+        // Where on the world map the player is (a key of LOCATIONS)
+        this.location = LOCATIONS[location] ? location : WORLD_CONFIG.START_LOCATION;
+        // The quests the player has taken on (see src/quests.js)
+        this.quests = new QuestLog(quests);
+        // What the LLM remembers of the campaign (see src/memory.js)
+        this.memory = new CampaignMemory(memory);
+
+        // Combat state: status effects such as a defensive stance, buffs, debuffs and poison
+        this.effects = new StatusEffects();
+        // Turns left before each ability can be used again, by ability id; cleared after each combat
+        this.cooldowns = {};
+        logger.info(`New player ${this.name} (${this.title}, Lv.${this.level.value}) has been created.`);
         this.printStats();
     }
 
+    // --- Race and Class Getters ---
+    get title() {
+        return `${this.race} ${this.characterClass}`; // e.g. "Dwarf Cleric"
+    }
+
+    get classData() {
+        return CLASSES.find(cls => cls.name === this.characterClass) || CLASSES[0];
+    }
+
+    get attackStat() {
+        // The class's first physical stat powers weapon attacks (e.g. DEX for a Rogue)
+        return this.classData.attr_priority.find(stat => stat === StatType.STRENGTH || stat === StatType.DEXTERITY) || StatType.STRENGTH;
+    }
+
+    get spellStat() {
+        // The class's first mental stat powers MP (e.g. WIS for a Cleric)
+        const mentalStats = [StatType.INTELLIGENCE, StatType.WISDOM, StatType.CHARISMA];
+        return this.classData.attr_priority.find(stat => mentalStats.includes(stat)) || StatType.INTELLIGENCE;
+    }
+
     // --- Stat-related Getters ---
     get maxHp() {
-        return DEFAULT_PLAYER_BASE_HP + (this.level.value * 5) + (this.stats.getBonus(StatType.CONSTITUTION) * 2);
+        // Max HP = Base HP + (Level * Half of the class's hit die) + (Constitution Bonus * 2)
+        return getBalance().player.base_hp + (this.level.value * this.classData.hit_die / 2) + (this.stats.getBonus(StatType.CONSTITUTION) * 2);
     }
 
     get maxMp() {
-        return 10 + (this.level.value * 2) + (this.stats.getBonus(StatType.INTELLIGENCE) * 1);
+        // Max MP = Base MP + (Level * 2) + Spellcasting stat bonus
+        return getBalance().player.base_mp + (this.level.value * 2) + (this.stats.getBonus(this.spellStat) * 1);
     }
 
-    get attackPower() {
-        // Base attack power + Strength stat bonus + equipped weapon damage
-        let baseAttack = 5 + this.stats.getBonus(StatType.STRENGTH);
-        
+    get attackDamage() {
+        // Weapon attack = Equipped weapon's damage dice + Base attack bonus + Attack stat bonus + buffs (e.g., "1d4+5")
+        const bonus = getBalance().combat.base_attack_bonus + this.stats.getBonus(this.attackStat) + this.effects.modifier(ModifierStat.ATTACK);
         if (this.equippedWeapon && this.equippedWeapon.damage) {
-            // Here, we could roll dice on each turn. For simplicity,
-            // we'll use a fixed value based on the weapon's damage die.
-            // Extract the number from the damage string (e.g., "1d6" -> 6)
-            const damageDie = parseInt(this.equippedWeapon.damage.split('d')[1]);
-            baseAttack += damageDie / 2 + 1; // Add approx. average value + 1 for tangible effect
+            return withModifier(this.equippedWeapon.damage, bonus);
         }
-        return Math.floor(Math.max(1, baseAttack));
+        return String(Math.max(1, bonus));
+    }
+
+    get equippedWeapon() {
+        return this.equipment.get('main_hand');
+    }
+
+    get attackPower() {
+        // Average damage of a weapon attack
+        return Math.floor(Math.max(1, expectedValue(this.attackDamage)));
+    }
+
+    get abilities() {
+        // Class abilities unlocked at the current level (see CLASS_ABILITIES)
+        return getClassAbilities(this.characterClass, this.level.value);
     }
 
     get defense() {
-        // Base defense + Dexterity or Constitution stat bonus
-        return 2 + this.stats.getBonus(StatType.DEXTERITY); // Half of Dexterity stat (example)
+        // Base defense + Dexterity stat bonus + armor class of worn gear + status effects
+        return 2 + this.stats.getBonus(StatType.DEXTERITY) + this.equipment.armorClass + this.effects.modifier(ModifierStat.DEFENSE);
     }
 
     get hitChance() {
-        // Hit Chance = Base Hit Chance + (Dexterity Bonus * 2%)
-        return GAME_CONSTANTS.BASE_HIT_CHANCE + (this.stats.getBonus(StatType.DEXTERITY) * 2);
+        // Hit Chance = Base Hit Chance + (Dexterity Bonus * 2%) + status effects
+        return getBalance().combat.base_hit_chance + (this.stats.getBonus(StatType.DEXTERITY) * 2) + this.effects.modifier(ModifierStat.HIT_CHANCE);
     }
 
     get evasionRate() {
-        // Evasion Rate = Base Evasion Rate + (Dexterity Bonus * 1%)
-        return GAME_CONSTANTS.BASE_EVASION_RATE + (this.stats.getBonus(StatType.DEXTERITY) * 1);
+        // Evasion Rate = Base Evasion Rate + (Dexterity Bonus * 1%) + status effects
+        return getBalance().combat.base_evasion_rate + (this.stats.getBonus(StatType.DEXTERITY) * 1) + this.effects.modifier(ModifierStat.EVASION_RATE);
     }
 
     get criticalChance() {
-        // Critical Chance = Base Critical Chance + (Luck/Dexterity Bonus * 0.5%)
+        // Critical Chance = Base Critical Chance + (Luck/Dexterity Bonus * 0.5%) + worn items + status effects
         // Assuming a LUCK stat doesn't exist, fallback to DEXTERITY
-        return GAME_CONSTANTS.BASE_CRITICAL_CHANCE + (this.stats.getBonus(StatType.LUCK || StatType.DEXTERITY) * 0.5);
+        return getBalance().combat.base_critical_chance + (this.stats.getBonus(StatType.LUCK || StatType.DEXTERITY) * 0.5) + this.equipment.criticalBonus + this.effects.modifier(ModifierStat.CRITICAL_CHANCE);
+    }
+
+    get isDefending() {
+        return this.effects.has('defending');
+    }
+
+    get fleeChance() {
+        // Flee Chance = Base Flee Chance + (Dexterity Bonus * 5%)
+        return Math.min(95, getBalance().combat.base_flee_chance + (this.stats.getBonus(StatType.DEXTERITY) * 5));
     }
 
     // --- Action Methods ---
+    // Damage and healing only change the HP; in a fight the CombatEngine reports them (see CombatEngine#damage)
     takeDamage(amount) {
         this.hpBar.value -= amount;
-        logger.info(`${applyColor(this.name, COLORS.GREEN)}: ${applyColor(`Took ${amount} damage.`, COLORS.RED)} Remaining HP: ${this.hpBar.toString()}`);
-        if (this.hpBar.isEmpty()) {
-            logger.info(`${applyColor(this.name, COLORS.RED)} has fallen.`);
-            return true; // Defeated
-        }
-        return false; // Still alive
     }
 
     heal(amount) {
         this.hpBar.value += amount;
-        logger.info(`${applyColor(this.name, COLORS.GREEN)}: Healed for ${amount} HP. Remaining HP: ${this.hpBar.toString()}`);
     }
 
     gainExp(amount) {
@@ -110,56 +167,250 @@ export class Player {
         this.hpBar.value = this.hpBar.max; // Fully heal HP
         this.mpBar.max = this.maxMp; // Increase max MP
         this.mpBar.value = this.mpBar.max; // Fully restore MP
+        for (const ability of getAbilitiesUnlockedAt(this.characterClass, this.level.value)) {
+            logger.info(applyColor(`${this.name} learned ${ability.name}!`, COLORS.BRIGHT + COLORS.CYAN));
+        }
         this.printStats();
         this.printBars();
     }
 
+    // --- Cooldowns ---
     /**
-     * Equips a weapon.
-     * @param {object} weapon - The weapon object to equip.
+     * Returns how many more turns an ability must wait before it can be used.
+     * @param {string} abilityId - The ability's id.
+     * @returns {number} The remaining turns; 0 when the ability is ready.
      */
-    equipWeapon(weapon) {
-        if (weapon.type !== "Weapon") {
-            logger.warn(`${weapon.name} is not a weapon and cannot be equipped.`);
-            return;
+    getCooldown(abilityId) {
+        return this.cooldowns[abilityId] || 0;
+    }
+
+    /**
+     * Starts an ability's cooldown after it has been used.
+     * @param {{id: string, cooldown: number}} ability - The ability used.
+     */
+    startCooldown(ability) {
+        if (ability.cooldown > 0) {
+            // tickCooldowns() runs at the start of the next turn, so count that turn too
+            this.cooldowns[ability.id] = ability.cooldown + 1;
         }
+    }
 
-        // If a weapon is already equipped, return it to the inventory
-        if (this.equippedWeapon) {
-            this.inventory.push(this.equippedWeapon);
-            logger.info(`Returning ${applyColor(this.equippedWeapon.name, COLORS.BRIGHT + COLORS.YELLOW)} to inventory and equipping new weapon.`);
+    /**
+     * Counts down every cooldown by one turn. Called at the start of each of the player's turns.
+     */
+    tickCooldowns() {
+        for (const id of Object.keys(this.cooldowns)) {
+            this.cooldowns[id] -= 1;
+            if (this.cooldowns[id] <= 0) {
+                delete this.cooldowns[id];
+            }
         }
+    }
 
-        this.equippedWeapon = weapon;
-        // Remove the equipped weapon from inventory if it exists there
-        const index = this.inventory.indexOf(weapon);
-        if (index > -1) {
-            this.inventory.splice(index, 1);
+    /**
+     * Makes every ability ready again (after a combat ends).
+     */
+    resetCooldowns() {
+        this.cooldowns = {};
+    }
+
+    // --- Equipment ---
+    /**
+     * Wears an item, returning whatever it replaces to the inventory (or leaving it behind if the
+     * inventory is full). The item is taken out of the inventory if it is there.
+     * @param {object} item - A weapon, armor or accessory.
+     * @param {string} [slotId] - The slot to wear it in (e.g. "ring2"); defaults to an empty slot
+     *   that holds its kind, or the one with the weakest item.
+     * @returns {boolean} True if the item was equipped, false if it cannot be worn.
+     */
+    equip(item, slotId) {
+        if (!isEquippable(item)) {
+            logger.warn(`${item.name} cannot be equipped.`);
+            return false;
+        }
+        const gear = normalizeItem(item);
+        let replaced;
+        try {
+            replaced = this.equipment.equip(gear, slotId);
+        } catch (error) {
+            logger.warn(error.message);
+            return false;
         }
-        logger.info(`${applyColor(this.name, COLORS.GREEN)} equipped ${applyColor(weapon.name, COLORS.BRIGHT + COLORS.YELLOW)}!`);
+
+        // Remove the equipped item from inventory if it exists there
+        this.inventory.remove(item);
+        if (replaced && this.inventory.add(replaced)) {
+            logger.info(`Returning ${formatItemName(replaced)} to inventory.`);
+        } else if (replaced) {
+            logger.warn(`Your inventory is full: ${formatItemName(replaced)} is left behind.`);
+        }
+        logger.info(`${applyColor(this.name, COLORS.GREEN)} equipped ${formatItemName(gear)}!`);
+        this.updateEquipmentBonuses();
         this.printStats(); // Print stats to show changes
+        return true;
+    }
+
+    /**
+     * Takes off the item in a slot and puts it in the inventory.
+     * @param {string} slotId - The slot id (e.g. "head").
+     * @returns {boolean} True if an item was taken off, false if the slot was empty or the inventory is full.
+     */
+    unequip(slotId) {
+        if (!this.equipment.get(slotId)) {
+            logger.warn("Nothing is worn there.");
+            return false;
+        }
+        if (this.inventory.isFull) {
+            logger.warn("Your inventory is full. Drop something first.");
+            return false;
+        }
+        const item = this.equipment.unequip(slotId);
+        this.inventory.add(item);
+        logger.info(`${applyColor(this.name, COLORS.GREEN)} took off ${formatItemName(item)}.`);
+        this.updateEquipmentBonuses();
+        return true;
+    }
+
+    /**
+     * Works out how wearing an item would change the player's numbers, without equipping it.
+     * @param {object} item - A weapon, armor or accessory.
+     * @param {string} [slotId] - The slot it would go into; defaults to the one equip() would pick.
+     * @returns {{slotId: string, replaced: object|null, changes: Array<{name: string, before: number, after: number}>}}
+     *   The slot, the item it would replace and every number, before and after.
+     * @throws {Error} If the slot cannot hold the item.
+     */
+    previewEquip(item, slotId) {
+        const gear = normalizeItem(item);
+        const slot = slotId || this.equipment.slotFor(gear);
+        const snapshot = () => ({
+            'Attack Power': this.attackPower,
+            'Defense': this.defense,
+            'Critical': this.criticalChance,
+            'Max HP': this.maxHp,
+            'Max MP': this.maxMp
+        });
+
+        const before = snapshot();
+        const replaced = this.equipment.equip(gear, slot);
+        this.stats.setModifiers(this.equipment.statModifiers);
+        const after = snapshot();
+        // Put everything back as it was
+        this.equipment.slots[slot] = replaced;
+        this.stats.setModifiers(this.equipment.statModifiers);
+
+        const changes = Object.keys(before).map(name => ({ name, before: before[name], after: after[name] }));
+        return { slotId: slot, replaced, changes };
+    }
+
+    /**
+     * Applies the stat bonuses of the worn gear and adjusts max HP and MP to match.
+     */
+    updateEquipmentBonuses() {
+        this.stats.setModifiers(this.equipment.statModifiers);
+        this.hpBar.max = this.maxHp;
+        this.mpBar.max = this.maxMp;
+    }
+
+    // --- Serialization ---
+    /**
+     * Returns a serializable form of the Player object (for saving/loading).
+     * @returns {object} The serialized data.
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            race: this.race,
+            characterClass: this.characterClass,
+            gold: this.gold,
+            level: this.level.toJSON(),
+            stats: this.stats.toJSON(),
+            hp: this.hpBar.toJSON(),
+            mp: this.mpBar.toJSON(),
+            inventory: this.inventory.toJSON(),
+            equipment: this.equipment.toJSON(),
+            location: this.location,
+            quests: this.quests.toJSON(),
+            memory: this.memory.toJSON()
+        };
+    }
+
+    /**
+     * Restores a player from data produced by toJSON().
+     * @param {object} data - The serialized player data.
+     * @returns {Player} The restored player.
+     */
+    static fromJSON(data) {
+        const player = new Player({
+            name: data.name,
+            race: data.race,
+            characterClass: data.characterClass,
+            stats: data.stats.values,
+            level: data.level.value,
+            exp: data.level.exp,
+            gold: data.gold,
+            inventory: data.inventory,
+            equipment: data.equipment,
+            location: data.location,
+            quests: data.quests,
+            memory: data.memory
+        });
+        // Set current values directly: the constructor treats 0 HP/MP as "use the maximum".
+        player.hpBar.value = data.hp.position;
+        player.mpBar.value = data.mp.position;
+        return player;
     }
 
     // --- Information Display Methods ---
     printStats() {
-        logger.info(`--- Stats ---`);
+        logger.info(`--- Stats (${this.title}) ---`);
         for (const statKey in StatType) {
             const statName = StatType[statKey];
             const statValue = this.stats.get(statName);
             const bonus = this.stats.getBonus(statName);
-            logger.info(`${statName}: ${statValue} (${bonus >= 0 ? '+' : ''}${bonus})`);
+            const gear = statValue - this.stats.getBase(statName);
+            const gearText = gear !== 0 ? ` [${gear > 0 ? '+' : ''}${gear} from gear]` : '';
+            logger.info(`${statName}: ${statValue} (${bonus >= 0 ? '+' : ''}${bonus})${gearText}`);
         }
         logger.info(`-------------`);
-        logger.info(`Attack Power: ${this.attackPower}, Defense: ${this.defense}`);
+        logger.info(`Attack Power: ${this.attackPower} (${this.attackDamage}), Defense: ${this.defense} (Armor: ${this.equipment.armorClass})`);
         logger.info(`Hit: ${this.hitChance.toFixed(1)}%, Evasion: ${this.evasionRate.toFixed(1)}%, Critical: ${this.criticalChance.toFixed(1)}%`);
-        if (this.equippedWeapon) {
-            logger.info(`Equipped Weapon: ${applyColor(this.equippedWeapon.name, COLORS.BRIGHT + COLORS.YELLOW)} (Damage: ${this.equippedWeapon.damage})`);
+        const onHit = this.equipment.onHitEffects;
+        if (onHit.length > 0) {
+            logger.info(`On Weapon Hit: ${onHit.map(({ effect }) => describeItemEffect(effect)).join(', ')}`);
         }
+        this.printEquipment();
+        this.printAbilities();
+    }
+
+    printEquipment() {
+        const worn = this.equipment.worn;
+        if (worn.length === 0) {
+            logger.info("Equipment: (none)");
+            return;
+        }
+        logger.info("Equipment:");
+        for (const { slot, item } of worn) {
+            const details = describeItemStats(item);
+            logger.info(`  ${slot.name}: ${formatItemName(item)}${details ? ` (${details})` : ''}`);
+        }
+    }
+
+    printAbilities() {
+        const abilities = this.abilities;
+        if (abilities.length === 0) {
+            logger.info("Abilities: (none)");
+            return;
+        }
+        logger.info("Abilities:");
+        abilities.forEach((ability, i) => logger.info(`  ${i + 1}. ${describeAbility(this, ability)}`));
     }
 
     printBars() {
         logger.info(`HP: ${this.hpBar.toString()}`);
         logger.info(`MP: ${this.mpBar.toString()}`);
+        if (this.effects.list.length > 0) {
+            logger.info(`Effects: ${this.effects.toString()}`);
+        }
         logger.info(`EXP: ${this.level.exp}/${this.level.expToNextLevel} (To Next: ${this.level.expToNextLevel - this.level.exp})`);
         logger.info(`Gold: ${this.gold}`);
     }
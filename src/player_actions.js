@@ -0,0 +1,543 @@
+// src/player_actions.js - Resolves the actions a player can take on their combat turn, and the
+// inventory commands they can also use between fights.
+
+import { SAVE_CONFIG, EQUIPMENT_SLOTS, INVENTORY_CONFIG, CombatEvent } from './config.js';
+import { COMBAT_COMMANDS, readCommand, printHelp } from './commands.js';
+import { saveGame, loadGame, listSaves } from './save.js';
+import { logger, applyColor, COLORS, odds, restoreRandomState } from './utils.js';
+import { findAbility, useAbility } from './abilities.js';
+import { isEquippable, describeItemStats } from './equipment.js';
+import { describeItemEffect } from './item_effects.js';
+import { getConsumable, describeConsumable, useConsumable } from './consumables.js';
+import { isStackable } from './inventory.js';
+import { formatItemName, rarityName } from './rarity.js';
+import { printQuestLog } from './quests.js';
+
+/**
+ * Performs a basic weapon attack against the monster.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Player} player - The attacking player.
+ * @param {Monster} monster - The target monster.
+ * @returns {boolean} Always true; an attack always uses the turn.
+ */
+export function playerAttack(combat, player, monster) {
+    combat.attack(player, monster, { dice: player.attackDamage, weapon: true });
+    return true;
+}
+
+/**
+ * Uses one of the player's class abilities. Without an ability name, lists the abilities.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Player} player - The player.
+ * @param {Monster} monster - The monster being fought.
+ * @param {string[]} args - Command arguments: the ability's name or number.
+ * @returns {boolean} True if an ability was used, false if none was (the turn is not spent).
+ */
+export function playerCast(combat, player, monster, args) {
+    if (args.length === 0) {
+        player.printAbilities();
+        logger.info("Use one with 'cast <name or #>', e.g. 'cast 1'.");
+        return false;
+    }
+    const ability = findAbility(player, args.join(' '));
+    if (!ability) {
+        logger.warn(`You don't know an ability called '${args.join(' ')}'.`);
+        player.printAbilities();
+        return false;
+    }
+    return useAbility(combat, player, ability, monster);
+}
+
+/**
+ * Picks an inventory item from a 1-based number, warning and listing the inventory if the
+ * number is invalid.
+ * @param {Player} player - The player.
+ * @param {string} input - What the player typed.
+ * @param {string} command - The command, for the usage hint (e.g. 'use').
+ * @returns {object|undefined} The item, or undefined if none was selected.
+ */
+export function selectInventoryItem(player, input, command) {
+    if (player.inventory.length === 0) {
+        logger.warn("Your inventory is empty.");
+        return undefined;
+    }
+    const index = parseInt(input, 10) - 1;
+    if (!Number.isInteger(index) || index < 0 || index >= player.inventory.length) {
+        logger.warn(`Choose an item number between 1 and ${player.inventory.length}, e.g. '${command} 1'.`);
+        printInventory(player);
+        return undefined;
+    }
+    return player.inventory.get(index);
+}
+
+/**
+ * Uses an item from the inventory. Potions and scrolls are used up (see useConsumable);
+ * weapons, armor and accessories are equipped.
+ * @param {Player} player - The player using the item.
+ * @param {string[]} args - Command arguments; the first is the 1-based inventory number.
+ * @param {CombatEngine|null} [combat] - The fight, or null between fights.
+ * @returns {boolean} True if an item was used, false if the selection was invalid or it cannot be used now.
+ */
+export function playerUseItem(player, args, combat = null) {
+    const item = selectInventoryItem(player, args[0], 'use');
+    if (!item) {
+        return false;
+    }
+    if (getConsumable(item)) {
+        return useConsumable(player, item, combat);
+    }
+    if (isEquippable(item)) {
+        return player.equip(item);
+    }
+    logger.warn(`${item.name} cannot be used.`);
+    return false;
+}
+
+/**
+ * Throws away an item, or part of a stack.
+ * @param {Player} player - The player.
+ * @param {string[]} args - Command arguments: the 1-based inventory number, then optionally how
+ *   many to drop from a stack (a number or 'all'; the whole stack by default).
+ * @returns {boolean} True if anything was dropped.
+ */
+export function playerDrop(player, args) {
+    const item = selectInventoryItem(player, args[0], 'drop');
+    if (!item) {
+        return false;
+    }
+    let quantity = item.quantity ?? 1;
+    if (args[1] && args[1] !== 'all') {
+        quantity = parseInt(args[1], 10);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            logger.warn(`How many? e.g. 'drop ${args[0]} 1' or 'drop ${args[0]} all'.`);
+            return false;
+        }
+    }
+    const dropped = player.inventory.remove(item, quantity);
+    logger.info(`${applyColor(player.name, COLORS.GREEN)} dropped ${formatItemName(item)}${isStackable(item) ? ` x${dropped}` : ''}.`);
+    return true;
+}
+
+/**
+ * Prints everything about an item in the inventory: its rarity, type, slot, numbers and flavor.
+ * @param {Player} player - The player.
+ * @param {string[]} args - Command arguments: the 1-based inventory number (optionally after 'item').
+ */
+export function playerInspectItem(player, args) {
+    const number = args[0] === 'item' ? args[1] : args[0];
+    const item = selectInventoryItem(player, number, 'inspect');
+    if (!item) {
+        return;
+    }
+    printItemDetails(item);
+    if (isEquippable(item)) {
+        logger.info(`Use 'compare ${number}' to see how it measures up to what you wear.`);
+    }
+}
+
+/**
+ * Prints everything about an item: its rarity, type, slot, numbers and flavor.
+ * @param {object} item - The item.
+ */
+export function printItemDetails(item) {
+    const slot = isEquippable(item) ? `, ${EQUIPMENT_SLOTS.find(candidate => candidate.holds === item.slot)?.name.replace(/ \d$/, '')}` : '';
+    logger.info(`--- ${formatItemName(item)} ---`);
+    logger.info(`${rarityName(item.rarity)} ${item.type}${slot}${isStackable(item) ? ` (x${item.quantity})` : ''}`);
+    if (getConsumable(item)) {
+        logger.info(describeConsumable(item));
+        logger.info(applyColor(getConsumable(item).description, COLORS.CYAN));
+        return;
+    }
+    if (item.damage) logger.info(`Damage: ${item.damage}`);
+    if (item.armor) logger.info(`Armor: ${item.armor}`);
+    for (const text of (item.effects || []).map(describeItemEffect)) {
+        logger.info(`Effect: ${text}`);
+    }
+    if (item.effect && item.effect !== "None") {
+        logger.info(applyColor(item.effect, COLORS.CYAN));
+    }
+}
+
+/**
+ * Shows how wearing an item from the inventory would change the player's numbers, against the
+ * item it would replace.
+ * @param {Player} player - The player.
+ * @param {string[]} args - Command arguments: the 1-based inventory number.
+ */
+export function playerCompare(player, args) {
+    const item = selectInventoryItem(player, args[0], 'compare');
+    if (item) {
+        printComparison(player, item);
+    }
+}
+
+/**
+ * Shows how wearing an item would change the player's numbers, against the item it would replace.
+ * @param {Player} player - The player.
+ * @param {object} item - The item (from the inventory or a merchant's stock).
+ */
+export function printComparison(player, item) {
+    if (!isEquippable(item)) {
+        logger.warn(`${item.name} cannot be worn, so there is nothing to compare.`);
+        return;
+    }
+    const { slotId, replaced, changes } = player.previewEquip(item);
+    const slot = EQUIPMENT_SLOTS.find(candidate => candidate.id === slotId);
+    logger.info(`${formatItemName(item)} (${describeItemStats(item) || 'no bonuses'})`);
+    logger.info(replaced
+        ? `  vs. ${formatItemName(replaced)} in ${slot.name} (${describeItemStats(replaced) || 'no bonuses'})`
+        : `  ${slot.name} is empty.`);
+    for (const { name, before, after } of changes) {
+        const difference = after - before;
+        const format = value => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+        const color = difference > 0 ? COLORS.GREEN : difference < 0 ? COLORS.RED : COLORS.WHITE;
+        const text = difference === 0 ? 'no change' : `${difference > 0 ? '+' : ''}${format(difference)}`;
+        logger.info(`  ${name}: ${format(before)} -> ${format(after)} (${applyColor(text, color)})`);
+    }
+}
+
+/**
+ * Equips a weapon, armor or accessory from the inventory.
+ * @param {Player} player - The player.
+ * @param {string[]} args - Command arguments: the 1-based inventory number, then optionally the
+ *   slot (e.g. 'equip 2 ring 2' to wear a ring in the second ring slot).
+ * @returns {boolean} True if the item was equipped.
+ */
+export function playerEquip(player, args) {
+    const item = selectInventoryItem(player, args[0], 'equip');
+    if (!item) {
+        return false;
+    }
+    if (args.length < 2) {
+        return player.equip(item);
+    }
+    const slotId = player.equipment.findSlot(args.slice(1).join(' '));
+    if (!slotId) {
+        logger.warn(`Unknown slot '${args.slice(1).join(' ')}'. Slots: ${EQUIPMENT_SLOTS.map(slot => slot.name).join(', ')}.`);
+        return false;
+    }
+    return player.equip(item, slotId);
+}
+
+/**
+ * Takes off a worn item and puts it in the inventory.
+ * @param {Player} player - The player.
+ * @param {string[]} args - Command arguments: the slot (e.g. 'head', 'ring 2') or the item's name.
+ * @returns {boolean} True if an item was taken off.
+ */
+export function playerUnequip(player, args) {
+    const slotId = args.length > 0 ? player.equipment.findSlot(args.join(' ')) : undefined;
+    if (!slotId) {
+        logger.warn(args.length > 0 ? `Nothing matches '${args.join(' ')}'.` : "Which item? e.g. 'unequip head'.");
+        player.printEquipment();
+        return false;
+    }
+    return player.unequip(slotId);
+}
+
+/**
+ * Puts the player into a defensive stance until their next turn.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Player} player - The defending player.
+ * @returns {boolean} Always true.
+ */
+export function playerDefend(combat, player) {
+    combat.applyStatus(player, 'defending');
+    combat.emit(CombatEvent.DEFEND, { combatant: player });
+    return true;
+}
+
+/**
+ * Attempts to escape from combat.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Player} player - The fleeing player.
+ * @param {Monster[]} monsters - The monsters being fled from.
+ * @returns {boolean} True if the escape succeeded.
+ */
+export function playerFlee(combat, player, monsters) {
+    const escaped = odds(player.fleeChance / 100);
+    combat.emit(CombatEvent.FLEE, { combatant: player, escaped, from: monsters });
+    return escaped;
+}
+
+/**
+ * Finds the monster named in a command's arguments, warning and listing the monsters if there
+ * is no such monster. Without arguments, the player's current target is returned.
+ * @param {CombatEngine} combat - The fight.
+ * @param {string[]} args - Command arguments: the monster's number or name.
+ * @returns {Monster|undefined} The monster, or undefined if none matches.
+ */
+function selectMonster(combat, args) {
+    if (args.length === 0) {
+        return combat.target;
+    }
+    const monster = combat.findMonster(args.join(' '));
+    if (!monster) {
+        logger.warn(`There is no monster '${args.join(' ')}' in this fight.`);
+        printMonsters(combat);
+    }
+    return monster;
+}
+
+/**
+ * Aims the player's attacks and abilities at a monster. Without arguments, lists the monsters.
+ * Choosing a target does not use the turn.
+ * @param {CombatEngine} combat - The fight.
+ * @param {string[]} args - Command arguments: the monster's number or name.
+ */
+export function playerTarget(combat, args) {
+    if (args.length === 0) {
+        printMonsters(combat);
+        return;
+    }
+    const monster = selectMonster(combat, args);
+    if (monster) {
+        combat.setTarget(monster);
+        logger.info(`${applyColor(combat.player.name, COLORS.GREEN)} turns to face ${applyColor(monster.name, COLORS.MAGENTA)}.`);
+    }
+}
+
+/**
+ * Prints the numbered list of monsters still in the fight, marking the player's target.
+ * @param {CombatEngine} combat - The fight.
+ */
+export function printMonsters(combat) {
+    logger.info("Monsters:");
+    combat.activeMonsters.forEach((monster, i) => {
+        const role = monster.role ? ` (${monster.role})` : '';
+        const marker = monster === combat.target ? applyColor(' <- target', COLORS.YELLOW) : '';
+        logger.info(`  ${i + 1}. ${applyColor(monster.name, COLORS.MAGENTA)}${role} - HP: ${monster.hpBar.toString()}${marker}`);
+    });
+}
+
+/**
+ * Prints information about a monster the player is fighting.
+ * @param {Monster} monster - The monster to inspect.
+ */
+export function inspectMonster(monster) {
+    logger.info(`--- ${applyColor(monster.name, COLORS.MAGENTA)}${monster.role ? ` (${monster.role})` : ''} ---`);
+    logger.info(applyColor(monster.description, COLORS.MAGENTA));
+    logger.info(`HP: ${monster.hpBar.toString()}, Attack Power: ${monster.attackPower} (${monster.damageDice}), Defense: ${Math.floor(monster.defense)}`);
+    if (monster.specialAbilities.length === 0) {
+        logger.info("Special Abilities: none");
+    } else {
+        logger.info("Special Abilities:");
+        monster.specialAbilities.forEach(ability => logger.info(`  ${monster.describeAbility(ability)}`));
+    }
+    if (monster.effects.list.length > 0) {
+        logger.info(`Effects: ${monster.effects.toString()}`);
+    }
+    if (monster.phases.length > 0) {
+        const next = monster.phases[monster.phase];
+        logger.info(`Phase: ${monster.currentPhase?.name ?? 'none yet'} (${monster.phase}/${monster.phases.length})${next ? `; it changes again at ${Math.round(next.threshold * 100)}% HP` : ''}`);
+    }
+    for (const minion of monster.summons) {
+        logger.info(`Minion: ${applyColor(minion.name, COLORS.MAGENTA)} (${minion.damageDice} damage, ${minion.turns} turn${minion.turns === 1 ? '' : 's'} left)`);
+    }
+}
+
+/**
+ * Prints the numbered contents of the player's inventory, with how many slots are used.
+ * @param {Player} player - The player whose inventory is printed.
+ */
+export function printInventory(player) {
+    const { inventory } = player;
+    if (inventory.length === 0) {
+        logger.info(`Inventory (0/${inventory.capacity}): (empty)`);
+        return;
+    }
+    logger.info(`Inventory (${inventory.length}/${inventory.capacity}):`);
+    inventory.items.forEach((item, i) => {
+        const quantity = isStackable(item) ? ` x${item.quantity}` : '';
+        const description = getConsumable(item) ? describeConsumable(item) : describeItemStats(item);
+        logger.info(`  ${i + 1}. ${formatItemName(item)}${quantity} [${rarityName(item.rarity)} ${item.type}]${description ? ` (${description})` : ''}`);
+    });
+}
+
+/**
+ * Puts a found item into the player's inventory, or leaves it behind if there is no room.
+ * @param {Player} player - The player.
+ * @param {object} item - The item.
+ */
+export function pickUp(player, item) {
+    const added = player.inventory.add(item);
+    const name = `${formatItemName(item)}${isStackable(item) ? ` x${added}` : ''}`;
+    if (added === 0) {
+        logger.warn(`${applyColor(player.name, COLORS.GREEN)}'s inventory is full: ${formatItemName(item)} is left behind. Drop something to make room.`);
+    } else {
+        logger.info(`${applyColor(player.name, COLORS.GREEN)} acquired ${name}! (Inventory: ${player.inventory.length}/${player.inventory.capacity})`);
+    }
+}
+
+/**
+ * Saves the game to the given slot (or the default slot).
+ * @param {{player: Player, combatCount: number}} game - The current game state.
+ * @param {string[]} args - Command arguments; the first is the optional slot name.
+ */
+export async function saveToSlot(game, args) {
+    const slot = args[0] || SAVE_CONFIG.DEFAULT_SLOT;
+    try {
+        const filePath = await saveGame(slot, game);
+        logger.info(applyColor(`Game saved to slot '${slot}' (${filePath}).`, COLORS.CYAN));
+    } catch (error) {
+        logger.error(`Failed to save the game: ${error.message}`);
+    }
+}
+
+/**
+ * Loads a saved game into the current game state.
+ * @param {{player: Player, combatCount: number}} game - The game state to overwrite.
+ * @param {string[]} args - Command arguments; the first is the optional slot name.
+ * @returns {Promise<boolean>} True if the save was loaded.
+ */
+export async function loadFromSlot(game, args) {
+    const slot = args[0] || SAVE_CONFIG.DEFAULT_SLOT;
+    try {
+        const loaded = await loadGame(slot);
+        game.player = loaded.player;
+        game.combatCount = loaded.combatCount;
+        if (loaded.random) {
+            restoreRandomState(loaded.random);
+        }
+        logger.info(applyColor(`Loaded slot '${slot}': ${loaded.player.name}, Lv.${loaded.player.level.value}, after ${loaded.combatCount} combats${loaded.random ? ` (seed ${loaded.random.seed})` : ''}.`, COLORS.CYAN));
+        return true;
+    } catch (error) {
+        logger.error(`Failed to load the game: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Prints the list of saved games.
+ */
+export async function printSaves() {
+    let saves;
+    try {
+        saves = await listSaves();
+    } catch (error) {
+        logger.error(`Failed to list the saved games: ${error.message}`);
+        return;
+    }
+    if (saves.length === 0) {
+        logger.info("No saved games.");
+        return;
+    }
+    logger.info("Saved games:");
+    for (const save of saves) {
+        if (save.error) {
+            logger.info(`  ${save.slot}: ${applyColor(save.error, COLORS.RED)}`);
+        } else {
+            logger.info(`  ${save.slot}: ${save.name}, Lv.${save.level} (saved ${save.savedAt}${save.seed !== undefined ? `, seed ${save.seed}` : ''})`);
+        }
+    }
+}
+
+/**
+ * Runs the player's turn: status effects tick, then commands are read until one that uses the
+ * turn succeeds. Attacks and abilities go to the player's target (see CombatEngine#target).
+ * In auto mode the player always attacks the most wounded monster. A stunned player loses the turn.
+ * @param {CombatEngine} combat - The fight, with the game state for saving and loading.
+ * @param {{auto: boolean}} options - Game options.
+ * @returns {Promise<'done'|'fled'|'loaded'|'quit'>} How the turn ended.
+ */
+export async function takePlayerTurn(combat, { auto }) {
+    const { game, player } = combat;
+    player.tickCooldowns();
+    combat.tickEffects(player); // A defensive stance from the previous turn ends here
+    if (player.hpBar.isEmpty()) {
+        return 'done';
+    }
+    if (player.effects.skipsTurn) {
+        combat.emit(CombatEvent.STUNNED, { combatant: player });
+        return 'done';
+    }
+
+    if (auto) {
+        // Drink a healing potion when badly hurt, otherwise attack
+        const potion = player.inventory.find(item => getConsumable(item)?.effect === 'heal');
+        if (potion && player.hpBar.value < player.hpBar.max * INVENTORY_CONFIG.AUTO_POTION_HP && useConsumable(player, potion, combat)) {
+            return 'done';
+        }
+        const weakest = combat.activeMonsters.reduce((lowest, monster) => monster.hpBar.value < lowest.hpBar.value ? monster : lowest);
+        playerAttack(combat, player, weakest);
+        return 'done';
+    }
+
+    while (true) {
+        const target = combat.activeMonsters.length > 1 ? `, target ${combat.target.name}` : '';
+        const { command, args } = await readCommand(COMBAT_COMMANDS, applyColor(`${player.name} (HP ${player.hpBar.toString()}, MP ${player.mpBar.toString()}${target}) > `, COLORS.GREEN));
+        switch (command.name) {
+            case 'attack': {
+                const monster = selectMonster(combat, args);
+                if (!monster) break;
+                combat.setTarget(monster);
+                playerAttack(combat, player, monster);
+                return 'done';
+            }
+            case 'cast':
+                if (playerCast(combat, player, combat.target, args)) return 'done';
+                break;
+            case 'target':
+                playerTarget(combat, args);
+                break;
+            case 'use':
+                if (playerUseItem(player, args, combat)) return 'done';
+                break;
+            case 'equip':
+                if (playerEquip(player, args)) return 'done';
+                break;
+            case 'unequip':
+                if (playerUnequip(player, args)) return 'done';
+                break;
+            case 'drop':
+                playerDrop(player, args);
+                break;
+            case 'compare':
+                playerCompare(player, args);
+                break;
+            case 'sort':
+                player.inventory.sort();
+                printInventory(player);
+                break;
+            case 'inventory':
+                printInventory(player);
+                break;
+            case 'quests':
+                printQuestLog(player);
+                break;
+            case 'defend':
+                playerDefend(combat, player);
+                return 'done';
+            case 'flee':
+                return playerFlee(combat, player, combat.activeMonsters) ? 'fled' : 'done';
+            case 'inspect': {
+                if (args[0] === 'item') {
+                    playerInspectItem(player, args);
+                    break;
+                }
+                const monster = selectMonster(combat, args);
+                if (monster) inspectMonster(monster);
+                break;
+            }
+            case 'status':
+                player.printStats();
+                player.printBars();
+                printInventory(player);
+                break;
+            case 'save':
+                await saveToSlot(game, args);
+                break;
+            case 'load':
+                if (await loadFromSlot(game, args)) return 'loaded';
+                break;
+            case 'saves':
+                await printSaves();
+                break;
+            case 'help':
+                printHelp(COMBAT_COMMANDS);
+                break;
+            case 'quit':
+                return 'quit';
+        }
+    }
+}
\ No newline at end of file
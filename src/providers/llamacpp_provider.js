@@ -0,0 +1,55 @@
+// src/providers/llamacpp_provider.js - LLM provider for the llama.cpp HTTP server.
+
+import axios from 'axios';
+import { LLMError, LLMErrorKind, toLLMError } from './llm_error.js';
+
+/**
+ * Generates text with the llama.cpp server's native /completion endpoint.
+ * The server hosts a single model, so no model name is sent.
+ */
+export class LlamaCppProvider {
+    /**
+     * @param {object} settings - Provider settings.
+     * @param {string} settings.baseUrl - The llama.cpp server URL (e.g. 'http://localhost:8080').
+     */
+    constructor({ baseUrl }) {
+        this.name = 'llama.cpp server';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    /**
+     * Sends a prompt to the server and returns the completion.
+     * @param {string} prompt - The prompt to send to the model.
+     * @param {object} [options] - Generation options.
+     * @param {object|string} [options.format] - A JSON schema the output must follow, or 'json' for any JSON.
+     * @param {string} [options.system] - A system prompt, prepended to the prompt.
+     * @param {number} [options.temperature] - The sampling temperature.
+     * @param {number} [options.seed] - A sampling seed, for reproducible output.
+     * @param {function(string): void} [options.onToken] - Receives the text once it is complete
+     *   (this provider does not stream).
+     * @param {AbortSignal} [options.signal] - Aborts the request when signalled.
+     * @param {number} [options.timeoutMs] - Fails the request with a timeout error after this long.
+     * @returns {Promise<string>} The response text from the model.
+     * @throws {LLMError} If the request fails or the response is malformed.
+     */
+    async generate(prompt, { format, system, temperature, seed, onToken, signal, timeoutMs } = {}) {
+        let response;
+        try {
+            response = await axios.post(`${this.baseUrl}/completion`, {
+                prompt: system ? `${system}\n\n${prompt}` : prompt,
+                stream: false,
+                json_schema: format === 'json' ? {} : format, // llama.cpp turns the schema into a grammar
+                temperature: temperature,
+                seed: seed
+            }, { signal, timeout: timeoutMs });
+        } catch (error) {
+            throw toLLMError(error, this.name);
+        }
+
+        if (response.data && typeof response.data.content === 'string') {
+            onToken?.(response.data.content);
+            return response.data.content;
+        }
+        throw new LLMError(LLMErrorKind.BAD_RESPONSE, "llama.cpp response format is unexpected.", { provider: this.name });
+    }
+}
\ No newline at end of file
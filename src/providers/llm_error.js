@@ -0,0 +1,73 @@
+// src/providers/llm_error.js - The typed error returned when an LLM call fails.
+
+// Categories of LLM failures, so callers can react without parsing messages.
+export const LLMErrorKind = {
+    CONNECTION: 'connection',     // The server could not be reached
+    HTTP: 'http',                 // The server answered with an error status
+    TIMEOUT: 'timeout',           // The request took too long
+    CANCELLED: 'cancelled',       // The request was aborted by the caller (e.g. the player skipped narration)
+    BAD_RESPONSE: 'bad_response', // The server answered, but not in the expected format
+    CONFIG: 'config',             // The provider is misconfigured (e.g. unknown provider name)
+    UNAVAILABLE: 'unavailable'    // Not attempted: the LLM is offline after repeated failures
+};
+
+/**
+ * An error raised by an LLM provider. Carries a kind and, for HTTP errors, the status code.
+ */
+export class LLMError extends Error {
+    /**
+     * @param {string} kind - One of the LLMErrorKind values.
+     * @param {string} message - A human-readable description of the failure.
+     * @param {object} [details] - Extra information about the failure.
+     * @param {string} [details.provider] - The name of the provider that failed.
+     * @param {number} [details.status] - The HTTP status code, for HTTP errors.
+     * @param {string} [details.partialText] - Text streamed before a cancelled request stopped.
+     */
+    constructor(kind, message, { provider, status, partialText } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.kind = kind;
+        this.provider = provider;
+        this.status = status;
+        this.partialText = partialText;
+    }
+}
+
+/**
+ * Tells whether a failure is likely to go away if the request is retried.
+ * @param {LLMError} error - The failure.
+ * @returns {boolean} True for connection errors, timeouts, rate limiting and server errors.
+ */
+export function isTransientError(error) {
+    switch (error.kind) {
+        case LLMErrorKind.CONNECTION:
+        case LLMErrorKind.TIMEOUT:
+            return true;
+        case LLMErrorKind.HTTP:
+            return error.status === 429 || error.status >= 500;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Converts an error thrown by axios into an LLMError.
+ * @param {Error} error - The error thrown by axios.
+ * @param {string} provider - The name of the provider that made the request.
+ * @returns {LLMError} The equivalent LLMError.
+ */
+export function toLLMError(error, provider) {
+    if (error instanceof LLMError) {
+        return error;
+    }
+    if (error.code === 'ERR_CANCELED') {
+        return new LLMError(LLMErrorKind.CANCELLED, `${provider} request was cancelled.`, { provider });
+    }
+    if (error.response) {
+        return new LLMError(LLMErrorKind.HTTP, `${provider} responded with status ${error.response.status}.`, { provider, status: error.response.status });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new LLMError(LLMErrorKind.TIMEOUT, `${provider} request timed out.`, { provider });
+    }
+    return new LLMError(LLMErrorKind.CONNECTION, `Could not reach ${provider}: ${error.message}`, { provider });
+}
\ No newline at end of file
@@ -0,0 +1,187 @@
+// src/providers/mock_provider.js - Deterministic scripted LLM provider for offline play and tests.
+
+import fs from 'node:fs/promises';
+import { LLMError, LLMErrorKind } from './llm_error.js';
+
+// Built-in responses, keyed by the 'purpose' option callers pass to generateText().
+// Each purpose cycles through its list in order, so runs are fully reproducible.
+const DEFAULT_SCRIPT = {
+    monster: [
+        {
+            name: "Mossback Goblin",
+            description: "A wiry goblin whose back is overgrown with damp forest moss.",
+            hp: 18,
+            base_exp: 10,
+            drop_chance: 0.6,
+            stats: { STR: 7, DEX: 9, CON: 6, INT: 5, WIS: 5, CHA: 5 },
+            special_abilities: [
+                { name: "Dirty Trick", description: "Throws dirt into the eyes of its foe", effect: "debuff", stat: "attack", amount: 2, duration: 2, uses: 1 }
+            ]
+        },
+        "```json\n" + JSON.stringify({
+            name: "Thornhide Boar",
+            description: "A bristling boar with bramble-like spines along its flanks.",
+            hp: 22,
+            base_exp: 12,
+            drop_chance: 0.5,
+            stats: { STR: 9, DEX: 6, CON: 9, INT: 2, WIS: 4, CHA: 3 },
+            special_abilities: [
+                { name: "Gore", description: "A charging tusk attack", effect: "damage", dice: "1d10", uses: 2 }
+            ]
+        }, null, 2) + "\n```",
+        {
+            name: "Gloom Wisp",
+            description: "A flickering ball of pale light that lures travellers off the path.",
+            hp: 14,
+            base_exp: 11,
+            drop_chance: 0.7,
+            stats: { STR: 5, DEX: 11, CON: 5, INT: 9, WIS: 8, CHA: 6 },
+            special_abilities: [
+                { name: "Blinding Flash", description: "A burst of light", effect: "damage", dice: "2d4", uses: 2 },
+                { name: "Fade", description: "Becomes hard to see", effect: "buff", stat: "defense", amount: 2, duration: 2, uses: 1 }
+            ]
+        }
+    ],
+    action: [
+        { action_type: "attack", description: "The monster lunges forward with a vicious strike!" },
+        { action_type: "ability", ability: "Dirty Trick", description: "The monster kicks up a cloud of dirt." },
+        { action_type: "defend", description: "The monster hunkers down, guarding its weak spots." },
+        { action_type: "flee", description: "The monster glances at the treeline, looking for a way out." }
+    ],
+    item: [
+        { name: "Briarwood Shortsword", type: "Weapon", damage: "1d6", effect: "+1 DEX" },
+        { name: "Moonlit Longsword", type: "Weapon", damage: "1d8", effects: [{ type: "elemental", element: "radiant", dice: "1d4" }], effect: "Glows faintly in the dark" },
+        { name: "Mossy Leather Cap", type: "Armor", slot: "head", armor: 1, effect: "None" },
+        { name: "Bent Hatchet", type: "Weapon", damage: "1d4", effect: "None" },
+        { name: "Ring of the Oak", type: "Accessory", slot: "ring", effects: [{ type: "stat_bonus", stat: "CON", amount: 1 }], effect: "Smells of fresh rain" }
+    ],
+    merchant: [
+        {
+            name: "Wendel Thistlecoat",
+            description: "A gnome merchant with a mule-drawn cart and a coat stitched from a hundred patches.",
+            greeting: "Welcome, welcome! Fine goods for fine heroes, and fair prices for the rest.",
+            farewell: "May your purse be heavier next time!",
+            items: [
+                { name: "Hunter's Bow-Knife", type: "Weapon", damage: "1d6", effect: "+1 DEX" },
+                { name: "Patchwork Vest", type: "Armor", slot: "body", armor: 2, effect: "None" },
+                { name: "Copper Charm", type: "Accessory", slot: "amulet", effects: [{ type: "stat_bonus", stat: "WIS", amount: 1 }], effect: "Tarnished green" },
+                { name: "Thornguard Gloves", type: "Armor", slot: "hands", armor: 1, effects: [{ type: "crit_bonus", percent: 5 }], effect: "None" }
+            ]
+        }
+    ],
+    boss: [
+        {
+            name: "The Thorn King",
+            description: "A crowned skeleton bound in living brambles, seated on a throne of roots.",
+            hp: 60,
+            base_exp: 90,
+            stats: { STR: 12, DEX: 8, CON: 12, INT: 9, WIS: 9, CHA: 10 },
+            special_abilities: [
+                { name: "Bramble Lash", description: "Thorned vines whip out from the throne", effect: "damage", dice: "2d6", uses: 2 },
+                { name: "Crown of Thorns", description: "Its crown flares with a sickly light", effect: "status", status: "bleeding", duration: 3, uses: 1 }
+            ],
+            phases: [
+                { name: "Wrath of the Barrow", description: "The Thorn King rises from his throne, and the roots of the barrow writhe with him.", stat: "attack", amount: 2 },
+                {
+                    name: "Heart of Briars", description: "Brambles burst from his ribs and knit into a living shield.", stat: "defense", amount: 3,
+                    ability: { name: "Rootbind", description: "Roots grasp at the intruder's legs", effect: "status", status: "stunned", duration: 1, uses: 1 }
+                }
+            ]
+        }
+    ],
+    quest: [
+        {
+            quests: [
+                { title: "Goblin Trouble", description: "The miller's storehouse keeps getting raided. Teach the goblins a lesson.", type: "kill", target: "goblin", location: "forest" },
+                { title: "The Miller's Locket", description: "The raiders took the miller's silver locket. Bring it back.", type: "retrieve", target: "Silver Locket", location: "forest" },
+                { title: "Echoes Below", description: "Strange lights were seen at the mouth of the caves. Go and look.", type: "reach", target: "caves", location: "caves" }
+            ]
+        }
+    ],
+    memory: [
+        { summary: "The hero cut a path through the goblins and boars of the Whispering Forest, took their first magic gear from the fallen, and more than once only just lived to tell of it." }
+    ]
+};
+
+/**
+ * Returns scripted responses instead of calling a model. Useful for running the whole
+ * game loop offline and for tests, where output must be deterministic.
+ */
+export class MockProvider {
+    /**
+     * @param {object} [settings] - Provider settings.
+     * @param {Object<string, Array<string|object>>} [settings.script] - Responses keyed by purpose.
+     *   Objects are returned as JSON text. A 'default' list is used for purposes without their own list.
+     */
+    constructor({ script = DEFAULT_SCRIPT } = {}) {
+        this.name = 'Mock provider';
+        this.script = script;
+        this.counters = {};   // Next response index per purpose
+        this.lastCall = null; // The most recent { prompt, purpose }, for inspection in tests
+    }
+
+    /**
+     * Returns the next scripted response for the call's purpose.
+     * @param {string} prompt - The prompt (recorded, but otherwise ignored).
+     * @param {object} [options] - Generation options. format, system, temperature and seed are
+     *   accepted for compatibility and ignored.
+     * @param {string} [options.purpose] - What is being generated (e.g. 'monster', 'action', 'item').
+     * @param {function(string): void} [options.onToken] - If given, the response is streamed to it word by word.
+     * @param {AbortSignal} [options.signal] - Cancels a streamed response when signalled.
+     * @returns {Promise<string>} The scripted response text.
+     * @throws {LLMError} If the script has no responses for the purpose, or the stream is cancelled.
+     */
+    async generate(prompt, { purpose = 'default', onToken, signal } = {}) {
+        this.lastCall = { prompt, purpose };
+        const responses = this.script[purpose] || this.script.default;
+        if (!Array.isArray(responses) || responses.length === 0) {
+            throw new LLMError(LLMErrorKind.BAD_RESPONSE, `The mock script has no response for '${purpose}'.`, { provider: this.name });
+        }
+        const index = this.counters[purpose] || 0;
+        this.counters[purpose] = index + 1;
+        const response = responses[index % responses.length];
+        const text = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+        return onToken ? this.streamText(text, onToken, signal) : text;
+    }
+
+    /**
+     * Streams text to a callback in word-sized chunks, yielding to the event loop between chunks.
+     * @param {string} text - The full response text.
+     * @param {function(string): void} onToken - Receives each chunk.
+     * @param {AbortSignal} [signal] - Cancels the stream when signalled.
+     * @returns {Promise<string>} The full response text.
+     * @throws {LLMError} If the stream is cancelled; the error carries the partial text.
+     */
+    async streamText(text, onToken, signal) {
+        let streamed = '';
+        for (const chunk of text.match(/\s*\S+/g) || []) {
+            await new Promise(resolve => setImmediate(resolve));
+            if (signal?.aborted) {
+                throw new LLMError(LLMErrorKind.CANCELLED, "Mock stream was cancelled.", { provider: this.name, partialText: streamed });
+            }
+            streamed += chunk;
+            onToken(chunk);
+        }
+        return text;
+    }
+}
+
+/**
+ * Reads a mock script from a JSON file. The file maps purposes to lists of responses and
+ * is merged over the built-in script, so it only needs to contain the purposes it overrides.
+ * @param {string} filePath - Path to the JSON script file.
+ * @returns {Promise<Object<string, Array<string|object>>>} The merged script.
+ * @throws {LLMError} If the file cannot be read or is not a JSON object.
+ */
+export async function loadMockScript(filePath) {
+    let script;
+    try {
+        script = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        throw new LLMError(LLMErrorKind.CONFIG, `Could not read mock script '${filePath}': ${error.message}`, { provider: 'Mock provider' });
+    }
+    if (!script || typeof script !== 'object' || Array.isArray(script)) {
+        throw new LLMError(LLMErrorKind.CONFIG, `Mock script '${filePath}' must be a JSON object keyed by purpose.`, { provider: 'Mock provider' });
+    }
+    return { ...DEFAULT_SCRIPT, ...script };
+}
\ No newline at end of file
@@ -0,0 +1,113 @@
+// src/providers/ollama_provider.js - LLM provider for a local Ollama server.
+
+import axios from 'axios';
+import { LLMError, LLMErrorKind, toLLMError } from './llm_error.js';
+
+/**
+ * Generates text with Ollama's /api/generate endpoint.
+ */
+export class OllamaProvider {
+    /**
+     * @param {object} settings - Provider settings.
+     * @param {string} settings.baseUrl - The Ollama server URL (e.g. 'http://localhost:11434').
+     * @param {string} settings.model - The model name (e.g. 'gemma3:latest').
+     */
+    constructor({ baseUrl, model }) {
+        this.name = 'Ollama';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+    }
+
+    /**
+     * Sends a prompt to the model and returns its full response.
+     * @param {string} prompt - The prompt to send to the model.
+     * @param {object} [options] - Generation options.
+     * @param {object|string} [options.format] - A JSON schema the output must follow, or 'json' for any JSON.
+     * @param {string} [options.system] - A system prompt.
+     * @param {number} [options.temperature] - The sampling temperature.
+     * @param {number} [options.seed] - A sampling seed, for reproducible output.
+     * @param {function(string): void} [options.onToken] - If given, the response is streamed and
+     *   each chunk of text is passed to this callback as it arrives.
+     * @param {AbortSignal} [options.signal] - Aborts the request when signalled.
+     * @param {number} [options.timeoutMs] - Fails the request with a timeout error after this long.
+     * @returns {Promise<string>} The response text from the model.
+     * @throws {LLMError} If the request fails, is cancelled, or the response is malformed.
+     */
+    async generate(prompt, { format, system, temperature, seed, onToken, signal, timeoutMs } = {}) {
+        const body = {
+            model: this.model,
+            prompt: prompt,
+            stream: Boolean(onToken),
+            format: format,
+            system: system,
+            options: { temperature, seed } // Undefined values are dropped when serialised
+        };
+        if (onToken) {
+            return this.streamResponse(body, onToken, signal, timeoutMs);
+        }
+
+        let response;
+        try {
+            // Receive the response at once, not as a stream
+            response = await axios.post(`${this.baseUrl}/api/generate`, body, { signal, timeout: timeoutMs });
+        } catch (error) {
+            throw toLLMError(error, this.name);
+        }
+
+        // Extract the text from the 'response' field according to the Ollama API structure
+        if (response.data && typeof response.data.response === 'string') {
+            return response.data.response;
+        }
+        throw new LLMError(LLMErrorKind.BAD_RESPONSE, "Ollama response format is unexpected.", { provider: this.name });
+    }
+
+    /**
+     * Streams a response. Ollama sends newline-delimited JSON objects, each carrying the next
+     * piece of text in 'response', until one with 'done: true'.
+     * @param {object} body - The request body (with stream: true).
+     * @param {function(string): void} onToken - Receives each piece of text.
+     * @param {AbortSignal} [signal] - Aborts the stream when signalled.
+     * @param {number} [timeoutMs] - Fails the request if the server stays silent for this long.
+     * @returns {Promise<string>} The complete response text.
+     * @throws {LLMError} If the request fails or is cancelled; a cancelled error carries the partial text.
+     */
+    async streamResponse(body, onToken, signal, timeoutMs) {
+        let text = '';
+        try {
+            const response = await axios.post(`${this.baseUrl}/api/generate`, body, { responseType: 'stream', signal, timeout: timeoutMs });
+            response.data.setEncoding('utf8'); // Don't split multi-byte characters across chunks
+            let buffer = '';
+            for await (const chunk of response.data) {
+                buffer += chunk;
+                let newlineIndex;
+                while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newlineIndex).trim();
+                    buffer = buffer.slice(newlineIndex + 1);
+                    if (!line) {
+                        continue;
+                    }
+                    const data = JSON.parse(line);
+                    if (data.error) {
+                        throw new LLMError(LLMErrorKind.BAD_RESPONSE, `Ollama stream error: ${data.error}`, { provider: this.name });
+                    }
+                    if (data.response) {
+                        text += data.response;
+                        onToken(data.response);
+                    }
+                    if (data.done) {
+                        return text;
+                    }
+                }
+            }
+            return text;
+        } catch (error) {
+            if (signal?.aborted) {
+                throw new LLMError(LLMErrorKind.CANCELLED, "Ollama stream was cancelled.", { provider: this.name, partialText: text });
+            }
+            if (error instanceof SyntaxError) {
+                throw new LLMError(LLMErrorKind.BAD_RESPONSE, "Ollama sent a malformed stream chunk.", { provider: this.name });
+            }
+            throw toLLMError(error, this.name);
+        }
+    }
+}
\ No newline at end of file
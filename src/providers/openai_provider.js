@@ -0,0 +1,72 @@
+// src/providers/openai_provider.js - LLM provider for OpenAI-compatible chat completion servers.
+
+import axios from 'axios';
+import { LLMError, LLMErrorKind, toLLMError } from './llm_error.js';
+
+/**
+ * Generates text with an OpenAI-compatible /v1/chat/completions endpoint
+ * (OpenAI, vLLM, LM Studio, LocalAI, etc.).
+ */
+export class OpenAIProvider {
+    /**
+     * @param {object} settings - Provider settings.
+     * @param {string} settings.baseUrl - The server URL, without the /v1 suffix.
+     * @param {string} settings.model - The model name.
+     * @param {string} [settings.apiKey] - Bearer token sent in the Authorization header, if any.
+     */
+    constructor({ baseUrl, model, apiKey }) {
+        this.name = 'OpenAI-compatible server';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Sends a prompt as a user message and returns the assistant's reply.
+     * @param {string} prompt - The prompt to send to the model.
+     * @param {object} [options] - Generation options.
+     * @param {object|string} [options.format] - A JSON schema the output must follow, or 'json' for any JSON.
+     * @param {string} [options.system] - A system prompt.
+     * @param {number} [options.temperature] - The sampling temperature.
+     * @param {number} [options.seed] - A sampling seed, where the server supports one.
+     * @param {function(string): void} [options.onToken] - Receives the text once it is complete
+     *   (this provider does not stream).
+     * @param {AbortSignal} [options.signal] - Aborts the request when signalled.
+     * @param {number} [options.timeoutMs] - Fails the request with a timeout error after this long.
+     * @returns {Promise<string>} The response text from the model.
+     * @throws {LLMError} If the request fails or the response is malformed.
+     */
+    async generate(prompt, { format, system, temperature, seed, onToken, signal, timeoutMs } = {}) {
+        const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+        const messages = system ? [{ role: 'system', content: system }] : [];
+        messages.push({ role: 'user', content: prompt });
+
+        let responseFormat;
+        if (format === 'json') {
+            responseFormat = { type: 'json_object' };
+        } else if (format) {
+            responseFormat = { type: 'json_schema', json_schema: { name: 'game_content', schema: format } };
+        }
+
+        let response;
+        try {
+            response = await axios.post(`${this.baseUrl}/v1/chat/completions`, {
+                model: this.model,
+                messages: messages,
+                stream: false,
+                response_format: responseFormat,
+                temperature: temperature,
+                seed: seed
+            }, { headers, signal, timeout: timeoutMs });
+        } catch (error) {
+            throw toLLMError(error, this.name);
+        }
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content === 'string') {
+            onToken?.(content);
+            return content;
+        }
+        throw new LLMError(LLMErrorKind.BAD_RESPONSE, "Chat completion response format is unexpected.", { provider: this.name });
+    }
+}
\ No newline at end of file
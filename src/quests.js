@@ -0,0 +1,388 @@
+// src/quests.js - Quests: generating them for the notice board in town, tracking their objectives
+// from fights, loot and travel, and handing out their rewards.
+
+import { QuestType, QUEST_CONFIG, LOCATIONS, CombatEvent, MemoryEventKind } from './config.js';
+import { isLLMOffline, LLMErrorKind } from './llm_client.js';
+import { generateStructured } from './structured_output.js';
+import { QUEST_BOARD_SCHEMA } from './schemas.js';
+import { generateOfflineQuests } from './offline_content.js';
+import { generateLootItem, receiveItem } from './loot.js';
+import { rollRarity } from './rarity.js';
+import { rememberItem } from './memory.js';
+import { logger, applyColor, COLORS, odds, getRandomIntInclusive } from './utils.js';
+
+/**
+ * A quest the player has been offered or has taken on: what it asks, how far along it is and
+ * what it pays.
+ */
+export class Quest {
+    /**
+     * @param {object} data - The quest, as produced by toJSON().
+     * @param {string} data.title - Its title.
+     * @param {string} data.description - What the quest giver says.
+     * @param {string} data.type - What it asks (see QuestType).
+     * @param {string} data.target - The kind of monster, the item, or (for a reach quest) the location id.
+     * @param {string} data.location - Where the objective is (a key of LOCATIONS).
+     * @param {number} [data.count] - How many monsters or items.
+     * @param {number} [data.progress] - How many are done.
+     * @param {{exp: number, gold: number}} data.rewards - What completing it pays; an item is rolled on top.
+     */
+    constructor({ title, description, type, target, location, count = 1, progress = 0, rewards }) {
+        this.title = title;
+        this.description = description;
+        this.type = type;
+        this.target = target;
+        this.location = location;
+        this.count = count;
+        this.progress = progress;
+        this.rewards = rewards;
+    }
+
+    /**
+     * Whether the objective has been met.
+     * @returns {boolean} True if the quest is complete.
+     */
+    get isComplete() {
+        return this.progress >= this.count;
+    }
+
+    /**
+     * Describes the objective, e.g. "Defeat 3 x goblin in Whispering Forest".
+     * @returns {string} The objective.
+     */
+    get objective() {
+        const place = LOCATIONS[this.location]?.name || this.location;
+        return {
+            [QuestType.KILL]: `Defeat ${this.count} x ${this.target} in ${place}`,
+            [QuestType.RETRIEVE]: `Find ${this.count} x ${this.target} in ${place}`,
+            [QuestType.REACH]: `Travel to ${place}`
+        }[this.type];
+    }
+
+    /**
+     * Checks whether a defeated monster counts towards a kill quest: its name includes the
+     * target (e.g. "Young Dire Wolf B" for "dire wolf").
+     * @param {Monster} monster - The monster.
+     * @returns {boolean} True if it counts.
+     */
+    wants(monster) {
+        return this.type === QuestType.KILL && monster.name.toLowerCase().includes(this.target.toLowerCase());
+    }
+
+    /**
+     * Returns a serializable form of the quest (for saving/loading).
+     * @returns {object} The quest data.
+     */
+    toJSON() {
+        const { title, description, type, target, location, count, progress, rewards } = this;
+        return { title, description, type, target, location, count, progress, rewards };
+    }
+}
+
+/**
+ * The quests a player has taken on, and the titles of those they have finished.
+ */
+export class QuestLog {
+    /**
+     * @param {{active: object[], completed: string[]}} [data] - The log, as produced by toJSON().
+     */
+    constructor({ active = [], completed = [] } = {}) {
+        this.active = active.map(quest => new Quest(quest));
+        this.completed = [...completed];
+    }
+
+    /**
+     * Whether the player has as many quests as they can take on (see QUEST_CONFIG.MAX_ACTIVE).
+     * @returns {boolean} True if no more quests can be accepted.
+     */
+    get isFull() {
+        return this.active.length >= QUEST_CONFIG.MAX_ACTIVE;
+    }
+
+    /**
+     * Takes on a quest.
+     * @param {Quest} quest - The quest.
+     * @returns {boolean} True if it was accepted, false if the log is full or it is already in it.
+     */
+    accept(quest) {
+        if (this.isFull || this.active.includes(quest)) {
+            return false;
+        }
+        this.active.push(quest);
+        return true;
+    }
+
+    /**
+     * Gives up a quest; its progress is lost.
+     * @param {Quest} quest - The quest.
+     */
+    abandon(quest) {
+        this.active = this.active.filter(other => other !== quest);
+    }
+
+    /**
+     * Counts a defeated monster towards the kill quests of the place it was fought in.
+     * @param {Monster} monster - The defeated monster.
+     * @param {string} locationId - Where it was defeated.
+     */
+    recordKill(monster, locationId) {
+        for (const quest of this.active.filter(other => other.location === locationId && !other.isComplete && other.wants(monster))) {
+            this.advance(quest, `${monster.name} defeated`);
+        }
+    }
+
+    /**
+     * After a victory, rolls for each retrieve quest of the place whether the monsters carried one
+     * of its items (see QUEST_CONFIG.ITEM_FIND_CHANCE).
+     * @param {string} locationId - Where the fight was won.
+     */
+    searchForItems(locationId) {
+        for (const quest of this.active.filter(other => other.type === QuestType.RETRIEVE && other.location === locationId && !other.isComplete)) {
+            if (odds(QUEST_CONFIG.ITEM_FIND_CHANCE)) {
+                this.advance(quest, `${quest.target} found`);
+            }
+        }
+    }
+
+    /**
+     * Completes the reach quests for a place the player has arrived at.
+     * @param {string} locationId - Where the player is.
+     */
+    recordVisit(locationId) {
+        for (const quest of this.active.filter(other => other.type === QuestType.REACH && other.location === locationId && !other.isComplete)) {
+            this.advance(quest, `Arrived at ${LOCATIONS[locationId].name}`);
+        }
+    }
+
+    /**
+     * Picks the kind of monster the next fight at a place should be, so kill quests can be
+     * finished: if a kill quest there is still open, its target, with a chance of
+     * QUEST_CONFIG.TARGET_ENCOUNTER_CHANCE.
+     * @param {string} locationId - Where the fight is.
+     * @returns {string|null} The kind of monster, or null for any.
+     */
+    wantedKind(locationId) {
+        const quest = this.active.find(other => other.type === QuestType.KILL && other.location === locationId && !other.isComplete);
+        return quest && odds(QUEST_CONFIG.TARGET_ENCOUNTER_CHANCE) ? quest.target : null;
+    }
+
+    /**
+     * Takes the completed quests out of the log; their titles are kept in the completed list.
+     * @returns {Quest[]} The quests that were complete.
+     */
+    takeCompleted() {
+        const done = this.active.filter(quest => quest.isComplete);
+        this.active = this.active.filter(quest => !quest.isComplete);
+        this.completed.push(...done.map(quest => quest.title));
+        return done;
+    }
+
+    /**
+     * Records a step towards a quest and reports it.
+     * @param {Quest} quest - The quest.
+     * @param {string} what - What happened (e.g. "Goblin defeated").
+     */
+    advance(quest, what) {
+        quest.progress = Math.min(quest.count, quest.progress + 1);
+        const status = quest.isComplete ? 'complete!' : `${quest.progress}/${quest.count}`;
+        logger.info(applyColor(`[Quest] ${quest.title}: ${what} (${status})`, COLORS.YELLOW));
+    }
+
+    /**
+     * Returns a serializable form of the log (for saving/loading).
+     * @returns {{active: object[], completed: string[]}} The log data.
+     */
+    toJSON() {
+        return { active: this.active.map(quest => quest.toJSON()), completed: this.completed };
+    }
+}
+
+/**
+ * Works out what a quest pays: EXP and gold per level of the quest (the player's level plus the
+ * level_offset of its place) and per unit of its size (see QUEST_CONFIG).
+ * @param {number} playerLevel - The player's level.
+ * @param {string} type - What the quest asks (see QuestType).
+ * @param {string} location - Where its objective is.
+ * @param {number} count - How many monsters or items.
+ * @returns {{exp: number, gold: number}} The rewards.
+ */
+function questRewards(playerLevel, type, location, count) {
+    const level = playerLevel + (LOCATIONS[location].level_offset || 0);
+    const size = type === QuestType.REACH ? QUEST_CONFIG.REACH_SIZE : count;
+    return { exp: QUEST_CONFIG.EXP_PER_LEVEL * level * size, gold: QUEST_CONFIG.GOLD_PER_LEVEL * level * size };
+}
+
+/**
+ * Creates the quests on the notice board in town. The LLM writes them (what they ask, and
+ * where), with the campaign so far in mind (see CampaignMemory); offline, or if the LLM fails,
+ * they come from templates. How many monsters or items a quest asks for and its rewards are
+ * decided by the game.
+ * @param {Player} player - The player.
+ * @returns {Promise<Quest[]>} The quests on offer.
+ */
+export async function createQuestOffers(player) {
+    const level = player.level.value;
+    const places = Object.entries(LOCATIONS).filter(([, location]) => !location.safe);
+    const memory = player.memory.toPrompt();
+    const prompt = `
+    Please generate ${QUEST_CONFIG.BOARD_SIZE} quests for the notice board of a town in a D&D-style game, in JSON format.
+    They are for ${player.name}, a level ${level} ${player.title}. The places around the town are:
+    ${places.map(([id, location]) => `- "${id}": ${location.name} (recommended level ${location.recommended_level}). ${location.description}`).join('\n    ')}${memory ? `\n    Quests may follow on from the campaign so far.\n${memory}` : ''}
+    Each quest has a "title", a short "description" of who asks and why, a "location" (one of the ids above) and a "type":
+    - "kill": defeat monsters in the location; "target" is the kind of monster, singular and one or two words (e.g. "wolf", "cave spider")
+    - "retrieve": recover items that monsters in the location carry; "target" is the item's name (e.g. "Silver Locket")
+    - "reach": travel to the location; "target" is the location id
+    Prefer places that suit the player's level. Follow this format strictly:
+    {
+      "quests": [
+        { "title": "Quest Title", "description": "A short description", "type": "kill", "target": "wolf", "location": "forest" }
+      ]
+    }
+    Your response must only contain the JSON code block. Do not include any other explanations.
+    `;
+
+    let quests = [];
+    if (!isLLMOffline()) {
+        logger.info(applyColor(`Requesting LLM to generate quests (for Lv.${level})`, COLORS.YELLOW));
+        const result = await generateStructured(prompt, QUEST_BOARD_SCHEMA, { purpose: 'quest' });
+        if (result.ok) {
+            quests = result.data.quests;
+        } else if (result.error.kind !== LLMErrorKind.UNAVAILABLE) {
+            logger.error("Error during quest generation:", result.error.message);
+        }
+    }
+    // Missing quests come from the offline tables
+    quests = [...quests, ...generateOfflineQuests(QUEST_CONFIG.BOARD_SIZE - quests.length)];
+
+    return quests.map(({ title, description, type, target, location }) => {
+        const count = type === QuestType.KILL ? getRandomIntInclusive(...QUEST_CONFIG.KILL_COUNT)
+            : type === QuestType.RETRIEVE ? getRandomIntInclusive(...QUEST_CONFIG.RETRIEVE_COUNT) : 1;
+        return new Quest({
+            title,
+            description,
+            type,
+            target: type === QuestType.REACH ? location : target.trim(),
+            location,
+            count,
+            rewards: questRewards(level, type, location, count)
+        });
+    });
+}
+
+/**
+ * Counts the monsters defeated in a fight towards the player's kill quests.
+ * @param {CombatEngine} combat - The fight.
+ * @param {Player} player - The player.
+ * @param {string} locationId - Where the fight happens.
+ */
+export function trackQuests(combat, player, locationId) {
+    combat.on(CombatEvent.DEFEAT, ({ combatant }) => {
+        if (combatant !== player) {
+            player.quests.recordKill(combatant, locationId);
+        }
+    });
+}
+
+/**
+ * Hands out the rewards of every completed quest: EXP, gold and a generated item whose rarity is
+ * rolled as if the player were QUEST_CONFIG.REWARD_RARITY_LEVELS levels higher.
+ * @param {Player} player - The player.
+ */
+export async function claimQuestRewards(player) {
+    for (const quest of player.quests.takeCompleted()) {
+        logger.info(applyColor(`Quest complete: ${quest.title}! ${player.name} collects the reward.`, COLORS.BRIGHT + COLORS.YELLOW));
+        player.gainExp(quest.rewards.exp);
+        player.gold += quest.rewards.gold;
+        logger.info(`${applyColor(player.name, COLORS.GREEN)} received ${quest.rewards.gold} gold. (Gold: ${player.gold})`);
+        player.memory.record(MemoryEventKind.QUEST, `Completed the quest "${quest.title}": ${quest.objective}.`);
+        const rarity = rollRarity(player.level.value + QUEST_CONFIG.REWARD_RARITY_LEVELS);
+        const item = await generateLootItem(player, rarity, `a reward for completing the quest "${quest.title}", given`);
+        receiveItem(player, item);
+        rememberItem(player, item, `as the reward for "${quest.title}"`);
+    }
+}
+
+/**
+ * Prints one quest with its objective, progress and rewards.
+ * @param {Quest} quest - The quest.
+ * @param {number} number - Its 1-based number in the list.
+ * @param {boolean} [showProgress] - Whether to show the progress (for quests that have been accepted).
+ */
+function printQuest(quest, number, showProgress = false) {
+    const progress = showProgress ? ` [${quest.isComplete ? 'complete' : `${quest.progress}/${quest.count}`}]` : '';
+    logger.info(`  ${number}. ${applyColor(quest.title, COLORS.YELLOW)}: ${quest.objective}${progress}`);
+    logger.info(`     ${quest.description} Reward: ${quest.rewards.exp} EXP, ${quest.rewards.gold} gold and an item.`);
+}
+
+/**
+ * Prints the player's quest log: the quests they have taken on and how many they have finished.
+ * @param {Player} player - The player.
+ */
+export function printQuestLog(player) {
+    const { active, completed } = player.quests;
+    if (active.length === 0) {
+        logger.info(`Quests (0/${QUEST_CONFIG.MAX_ACTIVE}): none. The notice board in town has work for adventurers.`);
+    } else {
+        logger.info(`Quests (${active.length}/${QUEST_CONFIG.MAX_ACTIVE}):`);
+        active.forEach((quest, i) => printQuest(quest, i + 1, true));
+    }
+    if (completed.length > 0) {
+        logger.info(`Completed: ${completed.join(', ')}`);
+    }
+}
+
+/**
+ * Prints the quests on the notice board.
+ * @param {Quest[]} offers - The quests on offer.
+ */
+export function printQuestOffers(offers) {
+    if (offers.length === 0) {
+        logger.info("The notice board is empty.");
+        return;
+    }
+    logger.info("The notice board:");
+    offers.forEach((quest, i) => printQuest(quest, i + 1));
+}
+
+/**
+ * Accepts a quest from the notice board; it is taken off the board.
+ * @param {Player} player - The player.
+ * @param {Quest[]} offers - The quests on offer; the accepted one is removed.
+ * @param {string[]} args - Command arguments; the first is the quest's 1-based number on the board.
+ * @returns {boolean} True if a quest was accepted.
+ */
+export function acceptQuest(player, offers, args) {
+    if (offers.length === 0) {
+        logger.warn("There are no quests on offer here.");
+        return false;
+    }
+    const quest = offers[parseInt(args[0], 10) - 1];
+    if (!quest) {
+        logger.warn(`Choose a number between 1 and ${offers.length}, e.g. 'accept 1'.`);
+        printQuestOffers(offers);
+        return false;
+    }
+    if (!player.quests.accept(quest)) {
+        logger.warn(`${applyColor(player.name, COLORS.GREEN)} already has ${QUEST_CONFIG.MAX_ACTIVE} quests. Finish or abandon one first.`);
+        return false;
+    }
+    offers.splice(offers.indexOf(quest), 1);
+    logger.info(applyColor(`Quest accepted: ${quest.title}. ${quest.objective}.`, COLORS.YELLOW));
+    return true;
+}
+
+/**
+ * Abandons one of the player's quests.
+ * @param {Player} player - The player.
+ * @param {string[]} args - Command arguments; the first is the quest's 1-based number in the log.
+ */
+export function abandonQuest(player, args) {
+    const { active } = player.quests;
+    const quest = active[parseInt(args[0], 10) - 1];
+    if (!quest) {
+        logger.warn(active.length === 0 ? "You have no quests to abandon." : `Choose a number between 1 and ${active.length}, e.g. 'abandon 1'.`);
+        return;
+    }
+    player.quests.abandon(quest);
+    logger.info(applyColor(`Quest abandoned: ${quest.title}.`, COLORS.YELLOW));
+}
\ No newline at end of file
@@ -0,0 +1,73 @@
+// src/random.js - A small seedable pseudo-random number generator for reproducible runs.
+
+/**
+ * Turns a seed given by the user into a 32-bit unsigned integer. Integers are used as they
+ * are; any other text is hashed (FNV-1a), so "--seed goblin" works too.
+ * @param {number|string} seed - The seed.
+ * @returns {number} A 32-bit unsigned integer seed.
+ */
+export function normalizeSeed(seed) {
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) {
+        return Number(text);
+    }
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a fresh seed from Math.random(), for runs started without --seed.
+ * @returns {number} A 32-bit unsigned integer seed.
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * A seedable generator (Mulberry32). Its whole state is a single 32-bit integer,
+ * which makes it easy to store in a save file and resume later.
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - A 32-bit unsigned integer seed (see normalizeSeed).
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Returns the next number in the sequence.
+     * @returns {number} A number in [0, 1), like Math.random().
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Returns a serializable form of the generator (for saving/loading).
+     * @returns {{seed: number, state: number}} The serialized data.
+     */
+    toJSON() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restores a generator from data produced by toJSON().
+     * @param {{seed: number, state: number}} data - The serialized generator.
+     * @returns {SeededRandom} The restored generator.
+     */
+    static fromJSON(data) {
+        const generator = new SeededRandom(data.seed);
+        generator.state = data.state >>> 0;
+        return generator;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,66 @@
+// src/rarity.js - Item rarity tiers: rolling them for drops and showing them.
+
+import { ItemRarity, RARITY_CONFIG } from './config.js';
+import { random, applyColor, COLORS } from './utils.js';
+
+const RARITY_ORDER = Object.values(ItemRarity);
+
+/**
+ * Rolls the rarity of a dropped item. Rarer tiers become more likely as the player levels up
+ * (see RARITY_CONFIG).
+ * @param {number} playerLevel - The current level of the player.
+ * @returns {string} The rarity (one of ItemRarity).
+ */
+export function rollRarity(playerLevel) {
+    const weights = RARITY_ORDER.map(rarity => {
+        const { weight, level_bonus, min_level } = RARITY_CONFIG[rarity];
+        return playerLevel < min_level ? 0 : Math.max(0, weight + level_bonus * playerLevel);
+    });
+    let roll = random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < RARITY_ORDER.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) {
+            return RARITY_ORDER[i];
+        }
+    }
+    return ItemRarity.COMMON;
+}
+
+/**
+ * Compares two rarities.
+ * @param {string} a - A rarity.
+ * @param {string} b - Another rarity.
+ * @returns {number} A positive number if a is rarer than b, negative if it is more common, 0 if equal.
+ */
+export function compareRarity(a, b) {
+    return RARITY_ORDER.indexOf(a) - RARITY_ORDER.indexOf(b);
+}
+
+/**
+ * The lowest rarity that allows a number of item effects; items from before rarity tiers
+ * get theirs this way.
+ * @param {number} effectCount - How many effects the item has.
+ * @returns {string} The rarity.
+ */
+export function rarityForEffects(effectCount) {
+    return RARITY_ORDER.find(rarity => RARITY_CONFIG[rarity].max_effects >= effectCount) || ItemRarity.EPIC;
+}
+
+/**
+ * Colors an item's name by its rarity.
+ * @param {{name: string, rarity?: string}} item - The item.
+ * @returns {string} The colored name.
+ */
+export function formatItemName(item) {
+    const rarity = RARITY_CONFIG[item.rarity] || RARITY_CONFIG[ItemRarity.COMMON];
+    return applyColor(item.name, COLORS.BRIGHT + COLORS[rarity.color]);
+}
+
+/**
+ * The display name of a rarity, e.g. "Rare".
+ * @param {string} rarity - The rarity.
+ * @returns {string} The name.
+ */
+export function rarityName(rarity) {
+    return (RARITY_CONFIG[rarity] || RARITY_CONFIG[ItemRarity.COMMON]).name;
+}
\ No newline at end of file
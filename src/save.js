@@ -0,0 +1,176 @@
+// src/save.js - Versioned save files for persisting a game between sessions.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { SAVE_CONFIG, ItemEffectType, WORLD_CONFIG } from './config.js';
+import { Player } from './player.js';
+import { getRandomState } from './utils.js';
+
+// Current version of the save-file format. Bump it whenever the format changes
+// and add a migration below that upgrades the previous version.
+export const SAVE_VERSION = 8;
+
+/**
+ * Schema migrations, keyed by the version they upgrade FROM.
+ * Each function receives the parsed save data of version N and returns data of version N + 1,
+ * so old saves keep loading as fields are added.
+ * @type {Object<number, function(object): object>}
+ */
+const MIGRATIONS = {
+    // v2 stores the random number generator; older saves continue with the current sequence
+    1: data => ({ ...data, random: null }),
+    // v3 adds the player's race and class; earlier characters were all Elf Warriors
+    2: data => ({ ...data, player: { ...data.player, race: 'Elf', characterClass: 'Warrior' } }),
+    // v4 replaces the single equipped weapon with equipment slots
+    3: data => {
+        const { equippedWeapon, ...player } = data.player;
+        return { ...data, player: { ...player, equipment: equippedWeapon ? { main_hand: equippedWeapon } : {} } };
+    },
+    // v5 turns items' stat bonus maps into structured effects; effect text is read when the item is loaded
+    4: data => {
+        const upgrade = ({ stats, ...item }) => (stats
+            ? { ...item, effects: Object.entries(stats).map(([stat, amount]) => ({ type: ItemEffectType.STAT_BONUS, stat, amount })) }
+            : item);
+        const equipment = Object.fromEntries(Object.entries(data.player.equipment).map(([slot, item]) => [slot, upgrade(item)]));
+        return { ...data, player: { ...data.player, inventory: data.player.inventory.map(upgrade), equipment } };
+    },
+    // v6 adds the player's location on the world map; earlier characters were all in the forest
+    5: data => ({ ...data, player: { ...data.player, location: WORLD_CONFIG.START_LOCATION } }),
+    // v7 adds the quest log
+    6: data => ({ ...data, player: { ...data.player, quests: { active: [], completed: [] } } }),
+    // v8 adds the campaign memory; earlier adventures are forgotten
+    7: data => ({ ...data, player: { ...data.player, memory: { summary: '', events: [] } } })
+};
+
+const SLOT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Resolves the file path of a save slot.
+ * @param {string} slot - The slot name.
+ * @returns {string} The absolute path of the slot's save file.
+ * @throws {Error} If the slot name contains unsupported characters.
+ */
+function getSlotPath(slot) {
+    if (!SLOT_NAME_PATTERN.test(slot)) {
+        throw new Error(`Invalid save slot name '${slot}'. Use up to 32 letters, numbers, '-' or '_'.`);
+    }
+    return path.resolve(SAVE_CONFIG.DIRECTORY, `${slot}.json`);
+}
+
+/**
+ * Upgrades save data to the current SAVE_VERSION by applying migrations in order.
+ * @param {object} data - The parsed save data.
+ * @returns {object} The migrated save data.
+ * @throws {Error} If the save is from a newer version or no migration path exists.
+ */
+export function migrateSave(data) {
+    let migrated = data;
+    if (typeof migrated.version !== 'number') {
+        throw new Error("Save file has no version number.");
+    }
+    if (migrated.version > SAVE_VERSION) {
+        throw new Error(`Save file version ${migrated.version} is newer than this game supports (${SAVE_VERSION}).`);
+    }
+    while (migrated.version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new Error(`No migration available from save version ${migrated.version}.`);
+        }
+        migrated = { ...migrate(migrated), version: migrated.version + 1 };
+    }
+    return migrated;
+}
+
+/**
+ * Writes the game state to a save slot. The file is written atomically
+ * (to a temporary file that is then renamed) so a crash cannot corrupt an existing save.
+ * The random number generator's seed and position are saved too, so a loaded game
+ * continues the same random sequence.
+ * @param {string} slot - The slot name.
+ * @param {{player: Player, combatCount: number}} game - The game state to save.
+ * @returns {Promise<string>} The path of the written save file.
+ */
+export async function saveGame(slot, game) {
+    const filePath = getSlotPath(slot);
+    const data = {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        combatCount: game.combatCount,
+        random: getRandomState(),
+        player: game.player.toJSON()
+    };
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+    return filePath;
+}
+
+/**
+ * Reads and migrates the raw data of a save slot.
+ * @param {string} slot - The slot name.
+ * @returns {Promise<object>} The migrated save data.
+ * @throws {Error} If the slot does not exist or cannot be parsed.
+ */
+async function readSaveData(slot) {
+    const filePath = getSlotPath(slot);
+    let text;
+    try {
+        text = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Save slot '${slot}' does not exist.`);
+        }
+        throw error;
+    }
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Save slot '${slot}' is corrupted: ${error.message}`);
+    }
+    return migrateSave(data);
+}
+
+/**
+ * Loads the game state from a save slot.
+ * @param {string} slot - The slot name.
+ * @returns {Promise<{player: Player, combatCount: number, random: {seed: number, state: number}|null}>}
+ *   The restored game state; random is the saved generator (see getRandomState), or null for older saves.
+ */
+export async function loadGame(slot) {
+    const data = await readSaveData(slot);
+    return {
+        player: Player.fromJSON(data.player),
+        combatCount: data.combatCount,
+        random: data.random
+    };
+}
+
+/**
+ * Lists the existing save slots with a short summary of each.
+ * Unreadable save files are reported with an error message instead of a summary.
+ * @returns {Promise<Array<{slot: string, savedAt?: string, name?: string, level?: number, seed?: number, error?: string}>>} The save slots.
+ */
+export async function listSaves() {
+    let files;
+    try {
+        files = await fs.readdir(path.resolve(SAVE_CONFIG.DIRECTORY));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    const saves = [];
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+        const slot = path.basename(file, '.json');
+        try {
+            const data = await readSaveData(slot);
+            saves.push({ slot, savedAt: data.savedAt, name: data.player.name, level: data.player.level.value, seed: data.random?.seed });
+        } catch (error) {
+            saves.push({ slot, error: error.message });
+        }
+    }
+    return saves;
+}
\ No newline at end of file
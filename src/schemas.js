@@ -0,0 +1,207 @@
+// src/schemas.js - JSON schemas for the content generated by the LLM (see structured_output.js).
+
+import { StatType, ItemType, ItemSlot, ItemEffectType, DamageElement, MonsterActionType, MonsterAbilityEffect, ModifierStat, MONSTER_ABILITY_CONFIG, ABILITY_STATUS_EFFECTS, EQUIPMENT_CONFIG, ITEM_EFFECT_CONFIG, SHOP_CONFIG, QuestType, QUEST_CONFIG, LOCATIONS, DUNGEON_CONFIG } from './config.js';
+import { DICE_PATTERN } from './dice.js'; // Dice expressions accepted for weapon damage (e.g. "1d6", "2d4+1")
+import { maxWeaponAverage } from './equipment.js';
+
+// Schema for a monster's special ability. Which fields matter depends on the effect: dice for
+// damage, heal and summon; stat and amount for buff and debuff; status for status; duration for
+// buff, debuff, summon and status.
+export const MONSTER_ABILITY_SCHEMA = {
+    type: 'object',
+    required: ['name', 'effect'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string', default: "" },
+        effect: { type: 'string', enum: Object.values(MonsterAbilityEffect) },
+        dice: { type: 'string', pattern: DICE_PATTERN, format: 'dice' },
+        stat: { type: 'string', enum: [ModifierStat.ATTACK, ModifierStat.DEFENSE] },
+        status: { type: 'string', enum: ABILITY_STATUS_EFFECTS },
+        amount: { type: 'integer', minimum: 1, maximum: MONSTER_ABILITY_CONFIG.MAX_AMOUNT },
+        duration: { type: 'integer', minimum: 1, maximum: MONSTER_ABILITY_CONFIG.MAX_DURATION },
+        uses: { type: 'integer', minimum: 1, maximum: MONSTER_ABILITY_CONFIG.MAX_USES, default: MONSTER_ABILITY_CONFIG.DEFAULT_USES },
+        minion: { type: 'string' }
+    }
+};
+
+/**
+ * Builds the schema for a generated monster. HP, stats and base EXP are clamped into the
+ * difficulty band that the generation prompt asked for.
+ * @param {object} band - The requested difficulty band.
+ * @param {number} band.minHp - Minimum HP.
+ * @param {number} band.maxHp - Maximum HP.
+ * @param {number} band.minStat - Minimum value for each stat.
+ * @param {number} band.maxStat - Maximum value for each stat.
+ * @param {number} band.baseExp - The suggested base EXP; the model may deviate by up to a factor of two.
+ * @returns {object} The monster schema.
+ */
+export function monsterSchema({ minHp, maxHp, minStat, maxStat, baseExp }) {
+    const statSchema = { type: 'integer', minimum: minStat, maximum: maxStat };
+    return {
+        type: 'object',
+        required: ['name', 'hp', 'stats'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string', default: "An ordinary monster." },
+            hp: { type: 'integer', minimum: minHp, maximum: maxHp },
+            base_exp: { type: 'integer', minimum: Math.max(1, Math.floor(baseExp / 2)), maximum: baseExp * 2, default: baseExp },
+            drop_chance: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+            stats: {
+                type: 'object',
+                required: Object.values(StatType),
+                properties: Object.fromEntries(Object.values(StatType).map(stat => [stat, statSchema]))
+            },
+            special_abilities: { type: 'array', items: MONSTER_ABILITY_SCHEMA, maxItems: MONSTER_ABILITY_CONFIG.MAX_ABILITIES, default: [] }
+        }
+    };
+}
+
+// Schema for one phase of a dungeon boss: what the boss becomes when its HP falls below the
+// phase's threshold (see DUNGEON_CONFIG.PHASE_THRESHOLDS). The boss's attack or defense rises by
+// amount for the rest of the fight, and it may gain a new ability.
+export const BOSS_PHASE_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string', default: "" },
+        stat: { type: 'string', enum: [ModifierStat.ATTACK, ModifierStat.DEFENSE], default: ModifierStat.ATTACK },
+        amount: { type: 'integer', minimum: 1, maximum: MONSTER_ABILITY_CONFIG.MAX_AMOUNT, default: 2 },
+        ability: MONSTER_ABILITY_SCHEMA
+    }
+};
+
+/**
+ * Builds the schema for a dungeon boss: a monster (see monsterSchema) with one phase per
+ * threshold in DUNGEON_CONFIG.PHASE_THRESHOLDS.
+ * @param {object} band - The requested difficulty band (see monsterSchema).
+ * @returns {object} The boss schema.
+ */
+export function bossSchema(band) {
+    const schema = monsterSchema(band);
+    return {
+        ...schema,
+        properties: {
+            ...schema.properties,
+            phases: { type: 'array', items: BOSS_PHASE_SCHEMA, maxItems: DUNGEON_CONFIG.PHASE_THRESHOLDS.length, default: [] }
+        }
+    };
+}
+
+/**
+ * Builds the schema for a monster's chosen action. The 'ability' action is only offered when
+ * the monster has abilities left, and must name one of them. In a group, a heal or buff can
+ * name the monster it is for.
+ * @param {string[]} abilityNames - The names of the abilities the monster can use this turn.
+ * @param {string[]} [targetNames] - The monster's own name and its active allies' names; empty when it fights alone.
+ * @returns {object} The action schema.
+ */
+export function monsterActionSchema(abilityNames, targetNames = []) {
+    const actionTypes = Object.values(MonsterActionType).filter(type => type !== MonsterActionType.ABILITY || abilityNames.length > 0);
+    const properties = {
+        action_type: { type: 'string', enum: actionTypes },
+        description: { type: 'string', minLength: 1 }
+    };
+    if (abilityNames.length > 0) {
+        properties.ability = { type: 'string', enum: abilityNames };
+    }
+    if (targetNames.length > 0) {
+        properties.target = { type: 'string', enum: targetNames };
+    }
+    return { type: 'object', required: ['action_type', 'description'], properties };
+}
+
+// Schema for an item effect. Which fields matter depends on the type: stat and amount for
+// stat_bonus, element and dice for elemental, percent for lifesteal and crit_bonus, status and
+// chance for on_hit_status. Missing numbers are filled in by normalizeItemEffect.
+export const ITEM_EFFECT_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { type: 'string', enum: Object.values(ItemEffectType) },
+        stat: { type: 'string', enum: Object.values(StatType) },
+        amount: { type: 'integer', minimum: -EQUIPMENT_CONFIG.MAX_STAT_BONUS, maximum: EQUIPMENT_CONFIG.MAX_STAT_BONUS },
+        element: { type: 'string', enum: Object.values(DamageElement) },
+        dice: { type: 'string', pattern: DICE_PATTERN, format: 'dice', maxAverage: ITEM_EFFECT_CONFIG.MAX_ELEMENTAL_AVERAGE },
+        percent: { type: 'integer', minimum: 1, maximum: Math.max(ITEM_EFFECT_CONFIG.MAX_LIFESTEAL, ITEM_EFFECT_CONFIG.MAX_CRIT_BONUS) },
+        status: { type: 'string', enum: ITEM_EFFECT_CONFIG.ON_HIT_STATUSES },
+        chance: { type: 'integer', minimum: 1, maximum: ITEM_EFFECT_CONFIG.MAX_STATUS_CHANCE }
+    }
+};
+
+/**
+ * Builds the schema for a dropped item: a weapon, a piece of armor or an accessory. Which fields
+ * matter depends on the type: damage for weapons, armor for armor; any of them may have effects.
+ * Weapon damage may average at most maxWeaponAverage for the player's level. Slots that do not
+ * suit the type and armor above the slot's limit are fixed by normalizeItem.
+ * @param {number} level - The player's level.
+ * @returns {object} The item schema.
+ */
+export function itemSchema(level) {
+    return {
+        type: 'object',
+        required: ['name', 'type'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: [ItemType.WEAPON, ItemType.ARMOR, ItemType.ACCESSORY] },
+            slot: { type: 'string', enum: Object.values(ItemSlot) },
+            damage: { type: 'string', pattern: DICE_PATTERN, format: 'dice', maxDice: EQUIPMENT_CONFIG.MAX_WEAPON_DICE, maxAverage: maxWeaponAverage(level) },
+            armor: { type: 'integer', minimum: 0, maximum: Math.max(...Object.values(EQUIPMENT_CONFIG.MAX_ARMOR)) },
+            effects: { type: 'array', items: ITEM_EFFECT_SCHEMA, maxItems: ITEM_EFFECT_CONFIG.MAX_EFFECTS, default: [] },
+            effect: { type: 'string', default: "None" } // Flavor text
+        }
+    };
+}
+
+/**
+ * Builds the schema for a travelling merchant and the gear they sell (see itemSchema). Rarities
+ * are assigned by the game, so any the model gives are overwritten; missing items are filled in
+ * from the offline tables.
+ * @param {number} level - The player's level.
+ * @returns {object} The merchant schema.
+ */
+export function merchantSchema(level) {
+    return {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string', default: "A travelling merchant with a heavily laden pack." },
+            greeting: { type: 'string', default: "Take a look, friend. Everything's for sale." },
+            farewell: { type: 'string', default: "Safe travels." },
+            items: { type: 'array', items: itemSchema(level), maxItems: SHOP_CONFIG.STOCK_SIZE, default: [] }
+        }
+    };
+}
+
+// Schema for one quest. The target is a kind of monster or an item's name (a reach quest's target
+// is its location); how many, and the rewards, are decided by the game.
+export const QUEST_SCHEMA = {
+    type: 'object',
+    required: ['title', 'type', 'target', 'location'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string', default: "Someone in town needs a capable adventurer." },
+        type: { type: 'string', enum: Object.values(QuestType) },
+        target: { type: 'string', minLength: 1 },
+        location: { type: 'string', enum: Object.keys(LOCATIONS).filter(id => !LOCATIONS[id].safe) }
+    }
+};
+
+// Schema for the quests on the notice board; missing ones are filled in from the offline tables.
+export const QUEST_BOARD_SCHEMA = {
+    type: 'object',
+    required: ['quests'],
+    properties: {
+        quests: { type: 'array', items: QUEST_SCHEMA, maxItems: QUEST_CONFIG.BOARD_SIZE, default: [] }
+    }
+};
+
+// Schema for the summary of the campaign so far (see src/memory.js)
+export const MEMORY_SCHEMA = {
+    type: 'object',
+    required: ['summary'],
+    properties: {
+        summary: { type: 'string', minLength: 1 }
+    }
+};
\ No newline at end of file
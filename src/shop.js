@@ -0,0 +1,380 @@
+// src/shop.js - Travelling merchants: generating them and their goods, pricing items, and
+// buying, selling and haggling with the player.
+
+import { SHOP_CONFIG, RARITY_CONFIG, ItemRarity, StatType, DamageElement, ITEM_EFFECT_CONFIG } from './config.js';
+import { isLLMOffline, LLMErrorKind } from './llm_client.js';
+import { generateStructured } from './structured_output.js';
+import { merchantSchema } from './schemas.js';
+import { generateOfflineMerchant, generateOfflineItem } from './offline_content.js';
+import { normalizeItem, maxWeaponAverage, isEquippable, rateItem, describeItemStats } from './equipment.js';
+import { Inventory, isStackable } from './inventory.js';
+import { getConsumable, createConsumable, describeConsumable, rollConsumableDrop } from './consumables.js';
+import { rollRarity, formatItemName, rarityName } from './rarity.js';
+import { rollDice } from './dice.js';
+import { SHOP_COMMANDS, readCommand, printHelp } from './commands.js';
+import { selectInventoryItem, printItemDetails, printComparison, printInventory } from './player_actions.js';
+import { logger, applyColor, COLORS, getRandomIntInclusive } from './utils.js';
+
+/**
+ * Works out what an item is worth before the merchant's markup: potions and scrolls have a fixed
+ * value (see CONSUMABLES); gear is worth SHOP_CONFIG.BASE_ITEM_VALUE plus VALUE_PER_RATING gold per
+ * point of its rating (see rateItem), times its rarity's value.
+ * @param {object} item - The item.
+ * @returns {number} The value of one item, in gold.
+ */
+export function itemValue(item) {
+    const consumable = getConsumable(item);
+    if (consumable) {
+        return consumable.value;
+    }
+    const rarity = RARITY_CONFIG[item.rarity] || RARITY_CONFIG[ItemRarity.COMMON];
+    const rating = isEquippable(item) ? rateItem(item) : 0;
+    return Math.max(1, Math.round((SHOP_CONFIG.BASE_ITEM_VALUE + rating * SHOP_CONFIG.VALUE_PER_RATING) * rarity.value));
+}
+
+/**
+ * A travelling merchant: their goods, and the prices for one visit. Prices rise with the
+ * player's level (see SHOP_CONFIG.LEVEL_MARKUP) and change once the player has haggled.
+ */
+export class Merchant {
+    /**
+     * @param {object} data - The merchant.
+     * @param {string} data.name - Their name.
+     * @param {string} data.description - What they look like.
+     * @param {string} data.greeting - What they say when the player starts trading.
+     * @param {string} data.farewell - What they say when the player leaves.
+     * @param {object[]} data.stock - The goods for sale.
+     * @param {number} playerLevel - The current level of the player.
+     */
+    constructor({ name, description, greeting, farewell, stock }, playerLevel) {
+        this.name = name;
+        this.description = description;
+        this.greeting = greeting;
+        this.farewell = farewell;
+        this.stock = new Inventory(stock, Infinity); // A merchant's pack has no limit
+        this.levelMarkup = 1 + SHOP_CONFIG.LEVEL_MARKUP * (playerLevel - 1);
+        this.buyModifier = 1;  // Applied to what the player pays
+        this.sellModifier = 1; // Applied to what the player is paid
+        this.haggled = false;
+    }
+
+    /**
+     * The price of one of an item, to buy it from the merchant.
+     * @param {object} item - The item.
+     * @returns {number} The price in gold.
+     */
+    priceOf(item) {
+        return Math.max(1, Math.round(itemValue(item) * this.levelMarkup * this.buyModifier));
+    }
+
+    /**
+     * What the merchant pays for one of an item.
+     * @param {object} item - The item.
+     * @returns {number} The offer in gold.
+     */
+    offerFor(item) {
+        return Math.max(1, Math.round(itemValue(item) * SHOP_CONFIG.SELL_RATIO * this.levelMarkup * this.sellModifier));
+    }
+
+    /**
+     * Haggles over the prices: d20 + the player's CHA bonus against SHOP_CONFIG.HAGGLE_DC. Success
+     * lowers buying prices and raises selling prices by a discount that grows with CHA; failure
+     * raises buying prices. Either way it can only be tried once per visit.
+     * @param {Player} player - The haggling player.
+     * @returns {boolean|null} True if it worked, false if it failed, null if the player already haggled.
+     */
+    haggle(player) {
+        if (this.haggled) {
+            return null;
+        }
+        this.haggled = true;
+        const bonus = player.stats.getBonus(StatType.CHARISMA);
+        const roll = rollDice('1d20');
+        logger.info(`${applyColor(player.name, COLORS.GREEN)} haggles: ${roll} + ${bonus} (CHA) = ${roll + bonus} vs. ${SHOP_CONFIG.HAGGLE_DC}`);
+        if (roll + bonus < SHOP_CONFIG.HAGGLE_DC) {
+            this.buyModifier = 1 + SHOP_CONFIG.FAILED_HAGGLE_MARKUP;
+            return false;
+        }
+        const discount = Math.min(SHOP_CONFIG.MAX_HAGGLE_DISCOUNT, Math.max(0, SHOP_CONFIG.HAGGLE_DISCOUNT + bonus * SHOP_CONFIG.HAGGLE_DISCOUNT_PER_CHA));
+        this.buyModifier = 1 - discount;
+        this.sellModifier = 1 + discount;
+        return true;
+    }
+}
+
+/**
+ * Creates a merchant where the player is: a shopkeeper in town, or a trader visiting their camp.
+ * The LLM names and describes them, with the place in mind, and makes their gear (with rarities
+ * rolled beforehand, see rollRarity), with the campaign so far in mind (see CampaignMemory);
+ * offline, or if the LLM fails, the merchant comes from templates. Healing potions are always for sale, with a few other potions
+ * and scrolls.
+ * @param {Player} player - The player.
+ * @param {object} location - Where the merchant trades (see getLocation): a shop in a safe place,
+ *   or the player's camp anywhere else.
+ * @returns {Promise<Merchant>} The merchant.
+ */
+export async function createMerchant(player, location) {
+    const level = player.level.value;
+    const setting = location.safe
+        ? `They keep a shop in ${location.name}, where ${player.name}, a level ${level} ${player.title}, is staying.`
+        : `They have set up shop at the camp of ${player.name}, a level ${level} ${player.title}, in ${location.name}.`;
+    const rarities = Array.from({ length: SHOP_CONFIG.STOCK_SIZE }, () => rollRarity(level));
+    const memory = player.memory.toPrompt();
+    const prompt = `
+    Please generate a merchant for a D&D-style game in JSON format. ${setting}
+    ${location.name}: ${location.description}
+    Give them a name, a short description, a greeting and a farewell, and ${rarities.length} items for sale that suit the customer.${memory ? `\n${memory}` : ''}
+    Each item is a weapon ("type": "Weapon", "slot": "main_hand", with "damage" dice such as "1d6", averaging at most ${maxWeaponAverage(level)}), armor
+    ("type": "Armor", worn on "head", "body", "hands" or "feet", or a shield on "off_hand", with "armor" up to 3 for
+    body armor, 2 for shields and 1 elsewhere) or an accessory ("type": "Accessory", a "ring" or an "amulet").
+    The items' rarities are, in order: ${rarities.join(', ')}. A common item has no "effects", an uncommon one up to 1,
+    a rare one up to 2, and an epic or legendary one up to 3. Effects are "stat_bonus" (stat and amount, -2 to +2),
+    "elemental" (element: ${Object.values(DamageElement).join(', ')}; dice up to 1d6), "lifesteal" (percent up to 25),
+    "on_hit_status" (status: ${ITEM_EFFECT_CONFIG.ON_HIT_STATUSES.join(', ')}; chance up to 25) and "crit_bonus" (percent up to 10).
+    Follow this format strictly:
+    {
+      "name": "Merchant Name",
+      "description": "A short description of the merchant",
+      "greeting": "What they say to a customer",
+      "farewell": "What they say when the customer leaves",
+      "items": [
+        { "name": "Item Name", "type": "Weapon", "slot": "main_hand", "damage": "1d8", "effects": [{ "type": "stat_bonus", "stat": "STR", "amount": 1 }], "effect": "Flavor text" }
+      ]
+    }
+    Your response must only contain the JSON code block. Do not include any other explanations.
+    `;
+
+    let data = null;
+    if (!isLLMOffline()) {
+        logger.info(applyColor(`Requesting LLM to generate a merchant (for Lv.${level})`, COLORS.YELLOW));
+        const result = await generateStructured(prompt, merchantSchema(level), { purpose: 'merchant' });
+        if (result.ok) {
+            data = result.data;
+        } else if (result.error.kind !== LLMErrorKind.UNAVAILABLE) {
+            logger.error("Error during merchant generation:", result.error.message);
+        }
+    }
+    data ||= generateOfflineMerchant(level, rarities);
+
+    // The rarities are the game's, whatever the LLM said; missing items come from the offline tables
+    const gear = rarities.map((rarity, i) => normalizeItem({ ...(data.items[i] || generateOfflineItem(level, rarity)), rarity }, level));
+    const consumables = [createConsumable('healing_potion', getRandomIntInclusive(2, 5))];
+    for (let i = 0; i < SHOP_CONFIG.CONSUMABLE_STOCK; i++) {
+        consumables.push({ ...rollConsumableDrop(level), quantity: getRandomIntInclusive(1, 3) });
+    }
+    const merchant = new Merchant({ ...data, stock: gear }, level);
+    consumables.forEach(item => merchant.stock.add(item));
+    return merchant;
+}
+
+/**
+ * Picks one of the merchant's goods from a 1-based number, warning and listing the goods if
+ * the number is invalid.
+ * @param {Merchant} merchant - The merchant.
+ * @param {string} input - What the player typed.
+ * @param {string} command - The command, for the usage hint (e.g. 'buy').
+ * @returns {object|undefined} The item, or undefined if none was selected.
+ */
+function selectWares(merchant, input, command) {
+    if (merchant.stock.length === 0) {
+        logger.warn(`${merchant.name} has nothing left to sell.`);
+        return undefined;
+    }
+    const item = merchant.stock.get(parseInt(input, 10) - 1);
+    if (!item) {
+        logger.warn(`Choose a number between 1 and ${merchant.stock.length}, e.g. '${command} 1'.`);
+        printWares(merchant);
+    }
+    return item;
+}
+
+/**
+ * Reads how many of a stack the player means.
+ * @param {object} item - The item.
+ * @param {string|undefined} input - What the player typed: a number, 'all', or nothing.
+ * @returns {number|null} How many (1 if nothing was typed), or null if the input is not a number.
+ */
+function parseQuantity(item, input) {
+    if (!isStackable(item) || input === undefined) {
+        return 1;
+    }
+    if (input === 'all') {
+        return item.quantity;
+    }
+    const quantity = parseInt(input, 10);
+    return Number.isInteger(quantity) && quantity > 0 ? Math.min(quantity, item.quantity) : null;
+}
+
+/**
+ * Prints the merchant's numbered goods with their prices.
+ * @param {Merchant} merchant - The merchant.
+ */
+export function printWares(merchant) {
+    if (merchant.stock.length === 0) {
+        logger.info(`${merchant.name} has nothing left to sell.`);
+        return;
+    }
+    logger.info(`${applyColor(merchant.name, COLORS.CYAN)}'s wares:`);
+    merchant.stock.items.forEach((item, i) => {
+        const quantity = isStackable(item) ? ` x${item.quantity}` : '';
+        const description = getConsumable(item) ? describeConsumable(item) : describeItemStats(item);
+        const price = applyColor(`${merchant.priceOf(item)} gold`, COLORS.YELLOW);
+        logger.info(`  ${i + 1}. ${formatItemName(item)}${quantity} [${rarityName(item.rarity)} ${item.type}]${description ? ` (${description})` : ''} - ${price}`);
+    });
+}
+
+/**
+ * Buys one of the merchant's goods (or several from a stack), if the player can pay and carry them.
+ * @param {Player} player - The buyer.
+ * @param {Merchant} merchant - The merchant.
+ * @param {string[]} args - Command arguments: the 1-based number of the goods, then optionally how many.
+ * @returns {boolean} True if anything was bought.
+ */
+export function buyItem(player, merchant, args) {
+    const item = selectWares(merchant, args[0], 'buy');
+    if (!item) {
+        return false;
+    }
+    const quantity = parseQuantity(item, args[1]);
+    if (quantity === null) {
+        logger.warn(`How many? e.g. 'buy ${args[0]} 2'.`);
+        return false;
+    }
+    const price = merchant.priceOf(item);
+    if (price * quantity > player.gold) {
+        logger.warn(`${formatItemName(item)}${quantity > 1 ? ` x${quantity}` : ''} costs ${price * quantity} gold; you have ${player.gold}.`);
+        return false;
+    }
+    const bought = player.inventory.add(item, quantity);
+    if (bought === 0) {
+        logger.warn("Your inventory is full. Sell or drop something first.");
+        return false;
+    }
+    merchant.stock.remove(item, bought);
+    player.gold -= price * bought;
+    logger.info(`${applyColor(player.name, COLORS.GREEN)} bought ${formatItemName(item)}${isStackable(item) ? ` x${bought}` : ''} for ${price * bought} gold. (Gold: ${player.gold})`);
+    return true;
+}
+
+/**
+ * Sells an item from the player's inventory (or part of a stack) to the merchant, who then
+ * offers it for sale.
+ * @param {Player} player - The seller.
+ * @param {Merchant} merchant - The merchant.
+ * @param {string[]} args - Command arguments: the 1-based inventory number, then optionally how many (or 'all').
+ * @returns {boolean} True if anything was sold.
+ */
+export function sellItem(player, merchant, args) {
+    const item = selectInventoryItem(player, args[0], 'sell');
+    if (!item) {
+        return false;
+    }
+    const quantity = parseQuantity(item, args[1]);
+    if (quantity === null) {
+        logger.warn(`How many? e.g. 'sell ${args[0]} 1' or 'sell ${args[0]} all'.`);
+        return false;
+    }
+    const offer = merchant.offerFor(item);
+    const sold = player.inventory.remove(item, quantity);
+    merchant.stock.add(item, sold);
+    player.gold += offer * sold;
+    logger.info(`${applyColor(player.name, COLORS.GREEN)} sold ${formatItemName(item)}${isStackable(item) ? ` x${sold}` : ''} for ${offer * sold} gold. (Gold: ${player.gold})`);
+    return true;
+}
+
+/**
+ * Haggles with the merchant and reports the outcome (see Merchant#haggle).
+ * @param {Player} player - The player.
+ * @param {Merchant} merchant - The merchant.
+ */
+function haggleWith(player, merchant) {
+    const result = merchant.haggle(player);
+    if (result === null) {
+        logger.warn(`${merchant.name} has already heard your best offer.`);
+    } else if (result) {
+        logger.info(applyColor(`${merchant.name} sighs and agrees: ${Math.round((1 - merchant.buyModifier) * 100)}% off, and better prices for your goods.`, COLORS.GREEN));
+        printWares(merchant);
+    } else {
+        logger.info(applyColor(`${merchant.name} is not amused, and the prices go up by ${Math.round((merchant.buyModifier - 1) * 100)}%.`, COLORS.RED));
+    }
+}
+
+/**
+ * In auto mode, stocks up on healing potions (up to SHOP_CONFIG.AUTO_POTIONS) as far as the
+ * player's gold allows.
+ * @param {Player} player - The player.
+ * @param {Merchant} merchant - The merchant.
+ */
+function autoShop(player, merchant) {
+    const carried = player.inventory.items.filter(item => item.id === 'healing_potion').reduce((sum, item) => sum + item.quantity, 0);
+    const potions = merchant.stock.find(item => item.id === 'healing_potion');
+    if (!potions || carried >= SHOP_CONFIG.AUTO_POTIONS) {
+        return;
+    }
+    const quantity = Math.min(SHOP_CONFIG.AUTO_POTIONS - carried, potions.quantity, Math.floor(player.gold / merchant.priceOf(potions)));
+    if (quantity > 0) {
+        buyItem(player, merchant, [String(merchant.stock.items.indexOf(potions) + 1), String(quantity)]);
+    }
+}
+
+/**
+ * Trades with a merchant: reads commands until the player leaves. In auto mode the player only
+ * buys healing potions.
+ * @param {Player} player - The player.
+ * @param {Merchant} merchant - The merchant.
+ * @param {{auto: boolean}} options - Game options.
+ * @returns {Promise<'leave'|'quit'>} How the visit ended.
+ */
+export async function visitShop(player, merchant, { auto }) {
+    logger.info(applyColor(`${merchant.name}: "${merchant.greeting}"`, COLORS.CYAN));
+    if (auto) {
+        autoShop(player, merchant);
+        return 'leave';
+    }
+    printWares(merchant);
+    logger.info(`You have ${player.gold} gold. Type 'help' for the options, or 'leave' when you are done.`);
+    while (true) {
+        const { command, args } = await readCommand(SHOP_COMMANDS, applyColor(`[Shop] ${player.name} (Gold ${player.gold}) > `, COLORS.YELLOW));
+        switch (command.name) {
+            case 'wares':
+                printWares(merchant);
+                break;
+            case 'buy':
+                buyItem(player, merchant, args);
+                break;
+            case 'sell':
+                sellItem(player, merchant, args);
+                break;
+            case 'haggle':
+                haggleWith(player, merchant);
+                break;
+            case 'inspect': {
+                const item = selectWares(merchant, args[0], 'inspect');
+                if (item) {
+                    printItemDetails(item);
+                    logger.info(`Price: ${merchant.priceOf(item)} gold`);
+                }
+                break;
+            }
+            case 'compare': {
+                const item = selectWares(merchant, args[0], 'compare');
+                if (item) printComparison(player, item);
+                break;
+            }
+            case 'inventory':
+                printInventory(player);
+                if (player.inventory.length > 0) {
+                    logger.info(`${merchant.name} would pay (each): ${player.inventory.items.map((item, i) => `#${i + 1} ${merchant.offerFor(item)} gold`).join(', ')}`);
+                }
+                break;
+            case 'help':
+                printHelp(SHOP_COMMANDS);
+                break;
+            case 'leave':
+                logger.info(applyColor(`${merchant.name}: "${merchant.farewell}"`, COLORS.CYAN));
+                return 'leave';
+            case 'quit':
+                return 'quit';
+        }
+    }
+}
\ No newline at end of file
@@ -1,7 +1,8 @@
 // src/stats.js - A class for managing a character's abilities (stats).
 
-import { StatType } from './config.js';
-import { getRandomIntInclusive, calculateStatBonus } from './utils.js';
+import { StatType, CHARACTER_CONFIG } from './config.js';
+import { calculateStatBonus } from './utils.js';
+import { rollDice } from './dice.js';
 
 /**
  * A class representing a character's stats (abilities).
@@ -15,10 +16,12 @@ export class Stats {
         for (const type of Object.values(StatType)) {
             this._values[type] = values[type] !== undefined ? values[type] : 10; // Initialize with a base stat of 10
         }
+        // Bonuses from worn equipment, by stat; added by get() but never saved
+        this._modifiers = {};
     }
 
     /**
-     * Gets the value of a specific stat.
+     * Gets the value of a specific stat, including equipment modifiers.
      * @param {string} statType - The type of stat to get (use the StatType enum).
      * @returns {number} The value of the stat.
      */
@@ -28,9 +31,29 @@ export class Stats {
             if (statType === 'LUCK') return 10;
             throw new Error(`Invalid stat type: ${statType}`);
         }
+        return Math.max(0, this._values[statType] + (this._modifiers[statType] || 0));
+    }
+
+    /**
+     * Gets the value of a specific stat without equipment modifiers.
+     * @param {string} statType - The type of stat to get.
+     * @returns {number} The base value of the stat.
+     */
+    getBase(statType) {
+        if (!Object.values(StatType).includes(statType)) {
+            throw new Error(`Invalid stat type: ${statType}`);
+        }
         return this._values[statType];
     }
 
+    /**
+     * Replaces the equipment modifiers (see Equipment.statModifiers).
+     * @param {Object<string, number>} modifiers - Bonuses by stat type (e.g. { STR: 1 }).
+     */
+    setModifiers(modifiers) {
+        this._modifiers = { ...modifiers };
+    }
+
     /**
      * Sets the value of a specific stat.
      * @param {string} statType - The type of stat to set.
@@ -73,7 +96,8 @@ export class Stats {
     }
 
     /**
-     * Returns a serializable form of the Stats object.
+     * Returns a serializable form of the Stats object. Only base values are saved; equipment
+     * modifiers are restored from the equipment itself.
      * @returns {object} The serialized data.
      */
     toJSON() {
@@ -83,11 +107,21 @@ export class Stats {
     }
 }
 
+// Dice rolled for each stat of a new character: 4d6, dropping the lowest die
+const STAT_ROLL_DICE = '4d6dl1';
+
 /**
  * A builder class for creating stats for a new character.
- * Simulates the D&D stat rolling method (4d6 drop lowest).
+ * Supports the D&D stat rolling method (4d6 drop lowest), point-buy and racial bonuses.
  */
 export class StatsBuilder {
+    constructor() {
+        this._values = {};
+        for (const type of Object.values(StatType)) {
+            this._values[type] = 10;
+        }
+    }
+
     /**
      * Rolls 4d6 (dropping the lowest roll) for each stat and returns a Stats object.
      * @returns {Stats} A Stats object with the rolled values.
@@ -95,15 +129,86 @@ export class StatsBuilder {
     roll() {
         const rolledValues = {};
         for (const type of Object.values(StatType)) {
-            let rolls = [];
-            for (let i = 0; i < 4; i++) {
-                rolls.push(getRandomIntInclusive(1, 6));
-            }
-            rolls.sort((a, b) => a - b); // Sort in ascending order
-            rolls.shift(); // Remove the lowest value
-            const total = rolls.reduce((sum, val) => sum + val, 0);
-            rolledValues[type] = total;
+            rolledValues[type] = rollDice(STAT_ROLL_DICE);
         }
         return new Stats(rolledValues);
     }
+
+    /**
+     * Rolls one score per stat without assigning them, highest first.
+     * @returns {number[]} The rolled scores.
+     */
+    rollScores() {
+        return Object.values(StatType).map(() => rollDice(STAT_ROLL_DICE)).sort((a, b) => b - a);
+    }
+
+    /**
+     * Assigns scores to stats in order of importance: the best score goes to the first
+     * priority stat, and so on. Stats that are not listed follow, Constitution first
+     * (every character needs HP), then in the usual STR, DEX, ... order.
+     * @param {number[]} scores - One score per stat, in any order.
+     * @param {string[]} priority - The most important stats (a class's attr_priority).
+     * @returns {StatsBuilder} This builder.
+     */
+    assignByPriority(scores, priority = []) {
+        const order = [...new Set([...priority, StatType.CONSTITUTION, ...Object.values(StatType)])];
+        const sorted = [...scores].sort((a, b) => b - a);
+        order.forEach((type, i) => {
+            this._values[type] = sorted[i];
+        });
+        return this;
+    }
+
+    /**
+     * Buys stats with the point-buy method.
+     * @param {Object<string, number>} scores - A score for every stat (e.g. { STR: 15, DEX: 14, ... }).
+     * @returns {StatsBuilder} This builder.
+     * @throws {Error} If a score is out of range or the scores cost more than the budget.
+     */
+    pointBuy(scores) {
+        const { POINT_BUY_MIN, POINT_BUY_MAX, POINT_BUY_BUDGET } = CHARACTER_CONFIG;
+        for (const type of Object.values(StatType)) {
+            const score = scores[type];
+            if (!Number.isInteger(score) || score < POINT_BUY_MIN || score > POINT_BUY_MAX) {
+                throw new Error(`${type} must be a whole number from ${POINT_BUY_MIN} to ${POINT_BUY_MAX}.`);
+            }
+        }
+        const cost = pointBuyCost(scores);
+        if (cost > POINT_BUY_BUDGET) {
+            throw new Error(`Those scores cost ${cost} points, but only ${POINT_BUY_BUDGET} are available.`);
+        }
+        for (const type of Object.values(StatType)) {
+            this._values[type] = scores[type];
+        }
+        return this;
+    }
+
+    /**
+     * Adds a race's stat bonuses.
+     * @param {{attr_bonus: Object<string, number>}} race - An entry of RACES.
+     * @returns {StatsBuilder} This builder.
+     */
+    applyRacialBonus(race) {
+        for (const [type, bonus] of Object.entries(race.attr_bonus)) {
+            this._values[type] += bonus;
+        }
+        return this;
+    }
+
+    /**
+     * Creates the Stats object.
+     * @returns {Stats} The built stats.
+     */
+    build() {
+        return new Stats(this._values);
+    }
+}
+
+/**
+ * Calculates the point-buy cost of a set of scores.
+ * @param {Object<string, number>} scores - A score for every stat.
+ * @returns {number} The total cost, or NaN if a score cannot be bought.
+ */
+export function pointBuyCost(scores) {
+    return Object.values(StatType).reduce((sum, type) => sum + (CHARACTER_CONFIG.POINT_BUY_COSTS[scores[type]] ?? NaN), 0);
 }
\ No newline at end of file
@@ -0,0 +1,142 @@
+// src/status_effects.js - Temporary status effects on a player or monster: buffs and debuffs,
+// damage and healing over time, stuns and the defensive stance.
+
+import { STATUS_EFFECTS, StatusStacking } from './config.js';
+import { applyColor, COLORS } from './utils.js';
+
+/**
+ * Holds the status effects on one combatant. An effect lasts for the rest of the turn it was
+ * applied in plus `turns` of its owner's own turns (Infinity for the rest of the fight); tick()
+ * runs at the start of each of those turns, and all effects are cleared when combat ends.
+ * Nothing here is logged: in a fight, the CombatEngine applies and ticks the effects and
+ * reports them through its events (see CombatEngine#applyStatus and #tickEffects).
+ */
+export class StatusEffects {
+    constructor() {
+        this.list = [];
+    }
+
+    /**
+     * Applies a status effect, following its stacking rule if it is already active.
+     * @param {string} id - A key of STATUS_EFFECTS (e.g. "poisoned").
+     * @param {object} [overrides] - Changes to the definition for this application.
+     * @param {number} [overrides.turns] - The duration, instead of the definition's.
+     * @param {string} [overrides.name] - A display name (e.g. the ability that applied a generic buff).
+     * @param {Object<string, number>} [overrides.modifiers] - Modifiers, instead of the definition's.
+     * @param {string} [overrides.key] - Identifies the effect for stacking; defaults to the id,
+     *   so two differently named buffs can be active at once.
+     * @returns {object} The active effect.
+     * @throws {Error} If the id is unknown.
+     */
+    apply(id, { turns, key = id, ...overrides } = {}) {
+        const definition = STATUS_EFFECTS[id];
+        if (!definition) {
+            throw new Error(`Unknown status effect '${id}'.`);
+        }
+        const maxDuration = definition.max_duration ?? Infinity;
+        const duration = Math.min(maxDuration, turns ?? definition.duration);
+
+        let effect = this.list.find(active => active.key === key);
+        if (!effect) {
+            effect = { ...definition, ...overrides, id, key, turns: duration, stacks: 1 };
+            this.list.push(effect);
+        } else if (definition.stacking === StatusStacking.STACK) {
+            effect.stacks = Math.min(definition.max_stacks ?? Infinity, effect.stacks + 1);
+            effect.turns = Math.max(effect.turns, duration);
+        } else if (definition.stacking === StatusStacking.EXTEND) {
+            effect.turns = Math.min(maxDuration, effect.turns + duration);
+        } else {
+            Object.assign(effect, overrides, { turns: Math.max(effect.turns, duration) });
+        }
+        return effect;
+    }
+
+    /**
+     * Checks whether an effect is active.
+     * @param {string} id - A key of STATUS_EFFECTS.
+     * @returns {boolean} True if an effect with that id is active.
+     */
+    has(id) {
+        return this.list.some(effect => effect.id === id);
+    }
+
+    /**
+     * Returns the total change the active effects make to a combat value.
+     * @param {string} stat - The value (see ModifierStat).
+     * @returns {number} The sum of the modifiers, multiplied by each effect's stacks; 0 if there are none.
+     */
+    modifier(stat) {
+        return this.list.reduce((sum, effect) => sum + (effect.modifiers?.[stat] || 0) * effect.stacks, 0);
+    }
+
+    /**
+     * The largest fraction of incoming damage blocked by an active effect (e.g. 0.5 while defending).
+     * @returns {number} A fraction between 0 and 1.
+     */
+    get damageReduction() {
+        return this.list.reduce((max, effect) => Math.max(max, effect.damage_reduction || 0), 0);
+    }
+
+    /**
+     * Whether an active effect (e.g. a stun) makes the owner lose its turn.
+     * @returns {boolean} True if the owner skips its turn.
+     */
+    get skipsTurn() {
+        return this.list.some(effect => effect.skip_turn);
+    }
+
+    /**
+     * Runs at the start of the owner's turn: removes effects that have run out and counts the
+     * remaining effects down by one turn. Their damage and healing over time is up to the caller
+     * (see CombatEngine#tickEffects).
+     * @returns {{expired: object[], active: object[]}} The effects that ran out, and those still
+     *   active for this turn.
+     */
+    tick() {
+        const expired = this.list.filter(effect => effect.turns <= 0);
+        this.list = this.list.filter(effect => effect.turns > 0);
+        for (const effect of this.list) {
+            effect.turns--;
+        }
+        return { expired, active: [...this.list] };
+    }
+
+    /**
+     * Removes every harmful effect (e.g. poison or a stun), as an antidote does.
+     * @returns {object[]} The effects removed.
+     */
+    removeHarmful() {
+        const removed = this.list.filter(effect => !effect.beneficial);
+        this.list = this.list.filter(effect => effect.beneficial);
+        return removed;
+    }
+
+    /**
+     * Removes every effect (after combat).
+     */
+    clear() {
+        this.list = [];
+    }
+
+    /**
+     * Describes the active effects, e.g. "Poisoned x2 (2 turns), Defending".
+     * @param {boolean} [colored] - Color the effect names (false for LLM prompts).
+     * @returns {string} The description, or an empty string if there are none.
+     */
+    toString(colored = true) {
+        return this.list.map(effect => describeEffect(effect, colored)).join(', ');
+    }
+}
+
+/**
+ * Describes one active effect, e.g. "Poisoned x2 (2 turns)", in green if it is beneficial.
+ * @param {object} effect - An active effect.
+ * @param {boolean} [colored] - Color the effect name.
+ * @returns {string} The description.
+ */
+export function describeEffect(effect, colored = true) {
+    const name = colored ? applyColor(effect.name, effect.beneficial ? COLORS.GREEN : COLORS.RED) : effect.name;
+    const stacks = effect.stacks > 1 ? ` x${effect.stacks}` : '';
+    const turns = Number.isFinite(effect.turns) && effect.turns > 0 ? ` (${effect.turns} turn${effect.turns === 1 ? '' : 's'})` : '';
+    return `${name}${stacks}${turns}`;
+}
\ No newline at end of file
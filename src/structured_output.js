@@ -0,0 +1,313 @@
+// src/structured_output.js - Extracts, validates and repairs JSON produced by the LLM.
+
+import { LLM_CONFIG } from './config.js';
+import { generateText } from './llm_client.js';
+import { nextRequestSeed } from './utils.js';
+import { parseDice, countDice, expectedValue } from './dice.js';
+
+/**
+ * Finds the end of the JSON object or array that starts at `start`, skipping over strings.
+ * @param {string} text - The text to scan.
+ * @param {number} start - Index of the opening '{' or '['.
+ * @returns {number} Index of the matching closing bracket, or -1 if it is never closed.
+ */
+function findClosingBracket(text, start) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') {
+                i++; // Skip the escaped character
+            } else if (ch === '"') {
+                inString = false;
+            }
+        } else if (ch === '"') {
+            inString = true;
+        } else if (ch === '{' || ch === '[') {
+            depth++;
+        } else if (ch === '}' || ch === ']') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Extracts a JSON value from messy model output. Handles markdown code fences, prose before
+ * or after the JSON, "smart" quotes and trailing commas.
+ * @param {string} text - The raw model output.
+ * @returns {*} The parsed JSON value.
+ * @throws {Error} If no parseable JSON object or array is found.
+ */
+export function extractJson(text) {
+    if (typeof text !== 'string') {
+        throw new Error("The response is not text.");
+    }
+    // Prefer the contents of a fenced code block if there is one
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    let candidate = (fenced ? fenced[1] : text).replace(/[“”]/g, '"');
+
+    const start = candidate.search(/[{[]/);
+    if (start === -1) {
+        throw new Error("No JSON object found in the response.");
+    }
+    const end = findClosingBracket(candidate, start);
+    if (end === -1) {
+        throw new Error("The JSON in the response is incomplete.");
+    }
+    candidate = candidate.substring(start, end + 1);
+
+    try {
+        return JSON.parse(candidate);
+    } catch {
+        // Retry once with trailing commas removed, a common model mistake
+        try {
+            return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+        } catch (error) {
+            throw new Error(`The response is not valid JSON: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Checks a JSON type name against a value.
+ * @param {*} value - The value to check.
+ * @param {string} type - A JSON schema type name.
+ * @returns {boolean} True if the value is of that type.
+ */
+function isType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        default: return true;
+    }
+}
+
+/**
+ * Checks a dice expression against a schema with format 'dice': it must be one parseDice accepts,
+ * roll at most maxDice dice and average at most maxAverage (see expectedValue), where given.
+ * @param {string} value - The dice expression.
+ * @param {object} schema - The schema.
+ * @param {string} path - Path of the value, used in messages.
+ * @returns {string[]} The problems found.
+ */
+function checkDice(value, schema, path) {
+    try {
+        parseDice(value);
+    } catch (error) {
+        return [`${path}: ${error.message}`];
+    }
+    if (schema.maxDice !== undefined && countDice(value) > schema.maxDice) {
+        return [`${path} ("${value}") must roll at most ${schema.maxDice} dice`];
+    }
+    if (schema.maxAverage !== undefined && expectedValue(value) > schema.maxAverage) {
+        return [`${path} ("${value}") must average at most ${schema.maxAverage} (e.g. "1d6" averages 3.5)`];
+    }
+    return [];
+}
+
+/**
+ * Validates a value against a JSON-schema subset and normalises it where that is safe:
+ * numeric strings are converted, numbers are rounded or clamped into [minimum, maximum],
+ * enum strings are matched case-insensitively, overly long arrays are truncated and
+ * missing properties with a 'default' are filled in.
+ *
+ * Supported keywords: type, properties, required, default, enum, minimum, maximum,
+ * minLength, pattern, items, minItems, maxItems and additionalProperties (false to reject
+ * unknown properties, or a schema they must match). Dice expressions are checked with
+ * format 'dice', and limited with maxDice and maxAverage (see checkDice).
+ *
+ * @param {*} value - The value to validate.
+ * @param {object} schema - The schema to validate against.
+ * @param {string} [path] - Path of the value, used in messages.
+ * @returns {{value: *, errors: string[], warnings: string[]}} The normalised value, fatal errors and applied corrections.
+ */
+export function validateSchema(value, schema, path = 'response') {
+    const errors = [];
+    const warnings = [];
+
+    // Coerce numeric strings such as "15" into numbers
+    if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        warnings.push(`${path}: converted "${value}" to a number`);
+        value = Number(value);
+    }
+    if (schema.type === 'integer' && isType(value, 'number') && !Number.isInteger(value)) {
+        warnings.push(`${path}: rounded ${value} to an integer`);
+        value = Math.round(value);
+    }
+    if (schema.type && !isType(value, schema.type)) {
+        errors.push(`${path} must be of type ${schema.type}`);
+        return { value, errors, warnings };
+    }
+
+    if (schema.enum) {
+        const match = schema.enum.find(option => option === value || (typeof value === 'string' && typeof option === 'string' && option.toLowerCase() === value.trim().toLowerCase()));
+        if (match === undefined) {
+            errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+        } else {
+            value = match;
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            warnings.push(`${path}: clamped ${value} up to ${schema.minimum}`);
+            value = schema.minimum;
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            warnings.push(`${path}: clamped ${value} down to ${schema.maximum}`);
+            value = schema.maximum;
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push(`${path} must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} ("${value}") must match the pattern ${schema.pattern}`);
+        } else if (schema.format === 'dice') {
+            errors.push(...checkDice(value, schema, path));
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            warnings.push(`${path}: kept only the first ${schema.maxItems} items`);
+            value = value.slice(0, schema.maxItems);
+        }
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must contain at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value = value.map((item, i) => {
+                const result = validateSchema(item, schema.items, `${path}[${i}]`);
+                errors.push(...result.errors);
+                warnings.push(...result.warnings);
+                return result.value;
+            });
+        }
+    }
+
+    if (isType(value, 'object') && schema.properties) {
+        value = { ...value };
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            if (value[key] === undefined || value[key] === null) {
+                if (propertySchema.default !== undefined) {
+                    value[key] = structuredClone(propertySchema.default);
+                }
+                continue;
+            }
+            const result = validateSchema(value[key], propertySchema, `${path}.${key}`);
+            errors.push(...result.errors);
+            warnings.push(...result.warnings);
+            value[key] = result.value;
+        }
+    }
+
+    if (isType(value, 'object') && schema.additionalProperties !== undefined) {
+        value = { ...value };
+        for (const key of Object.keys(value).filter(key => !schema.properties?.[key])) {
+            if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not a known property`);
+                continue;
+            }
+            const result = validateSchema(value[key], schema.additionalProperties, `${path}.${key}`);
+            errors.push(...result.errors);
+            warnings.push(...result.warnings);
+            value[key] = result.value;
+        }
+    }
+
+    return { value, errors, warnings };
+}
+
+/**
+ * Builds the follow-up prompt that asks the model to fix an invalid response.
+ * @param {string} prompt - The original prompt.
+ * @param {string} response - The model's invalid response.
+ * @param {string[]} errors - What was wrong with the response.
+ * @returns {string} The repair prompt.
+ */
+function buildRepairPrompt(prompt, response, errors) {
+    return `${prompt}
+
+Your previous response could not be used:
+${response}
+
+It had these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with only the corrected JSON. Do not include any other explanations.`;
+}
+
+/**
+ * Asks the LLM for JSON matching a schema. The schema is also sent to the provider as a
+ * format constraint, so backends with constrained decoding (Ollama's 'format', OpenAI's
+ * 'response_format', llama.cpp's 'json_schema') only produce matching JSON. Invalid responses
+ * are sent back to the model with the validation errors, up to LLM_CONFIG.REPAIR_RETRIES
+ * times, before giving up.
+ * @param {string} prompt - The prompt describing the JSON to generate.
+ * @param {object} schema - The schema the response must satisfy (see validateSchema).
+ * @param {object} [options] - Generation options.
+ * @param {string} [options.purpose] - What is being generated (e.g. 'monster', 'action', 'item').
+ * @param {number} [options.temperature] - Overrides the purpose's temperature from LLM_CONFIG.TEMPERATURES.
+ * @param {number} [options.seed] - A sampling seed, for reproducible output. Defaults to the next
+ *   request seed (see nextRequestSeed), so a run started with --seed sends the same seeds again
+ *   (a fixed seed for every request would make identical prompts give identical content).
+ *   Repair attempts reuse the seed of the first attempt.
+ * @param {number} [options.retries] - Overrides LLM_CONFIG.REPAIR_RETRIES.
+ * @param {function(string): void} [options.onToken] - Receives the first attempt's text as it is
+ *   streamed. Repair attempts are not streamed.
+ * @param {AbortSignal} [options.signal] - Cancels the request when signalled.
+ * @returns {Promise<{ok: true, data: *, warnings: string[]}|{ok: false, error: Error, text?: string}>}
+ *   The validated data, or the error from the last attempt and its raw (or, if cancelled, partial) text.
+ */
+export async function generateStructured(prompt, schema, { purpose, temperature, seed, retries = LLM_CONFIG.REPAIR_RETRIES, onToken, signal } = {}) {
+    const generationOptions = {
+        purpose,
+        format: schema,
+        system: LLM_CONFIG.SYSTEM_PROMPT,
+        temperature: temperature ?? LLM_CONFIG.TEMPERATURES[purpose] ?? LLM_CONFIG.TEMPERATURES.default,
+        seed: seed ?? nextRequestSeed(),
+        signal
+    };
+    let currentPrompt = prompt;
+    let lastError = null;
+    let lastText;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        const result = await generateText(currentPrompt, { ...generationOptions, onToken: attempt === 0 ? onToken : undefined });
+        if (!result.ok) {
+            // The model could not be reached (or the request was cancelled); re-prompting will not help.
+            return { ok: false, error: result.error, text: result.error.partialText };
+        }
+        lastText = result.text;
+
+        let errors;
+        try {
+            const validation = validateSchema(extractJson(result.text), schema);
+            if (validation.errors.length === 0) {
+                return { ok: true, data: validation.value, warnings: validation.warnings };
+            }
+            errors = validation.errors;
+        } catch (error) {
+            errors = [error.message];
+        }
+        lastError = new Error(`Invalid ${purpose || 'JSON'} response: ${errors.join('; ')}`);
+        currentPrompt = buildRepairPrompt(prompt, result.text, errors);
+    }
+    return { ok: false, error: lastError, text: lastText };
+}
\ No newline at end of file
@@ -1,5 +1,70 @@
 // src/utils.js - Common utility functions
 
+import { SeededRandom, normalizeSeed, createSeed } from './random.js';
+
+// Source of every random decision in the game; reseeded by setRandomSeed() (--seed)
+let rng = new SeededRandom(createSeed());
+
+// Mixed into the game's generator state to start the stream of LLM request seeds
+const REQUEST_SEED_SALT = 0x5EED1E55;
+
+// Source of the sampling seeds sent with LLM requests (see nextRequestSeed). It is kept apart
+// from rng, so the dice of a seeded run do not depend on how many requests (and repairs) it makes.
+let requestRng = new SeededRandom(rng.state ^ REQUEST_SEED_SALT);
+
+/**
+ * Reseeds the game's random number generator.
+ * @param {number|string} seed - The seed; text is hashed into a number.
+ * @returns {number} The numeric seed in use.
+ */
+export function setRandomSeed(seed) {
+    rng = new SeededRandom(normalizeSeed(seed));
+    requestRng = new SeededRandom(rng.state ^ REQUEST_SEED_SALT);
+    return rng.seed;
+}
+
+/**
+ * Returns the seed the current random sequence started from.
+ * @returns {number} The seed.
+ */
+export function getRandomSeed() {
+    return rng.seed;
+}
+
+/**
+ * Returns the generator's seed and current position, so a saved game continues the same sequence.
+ * @returns {{seed: number, state: number}} The serialized generator.
+ */
+export function getRandomState() {
+    return rng.toJSON();
+}
+
+/**
+ * Continues a random sequence saved with getRandomState().
+ * @param {{seed: number, state: number}} state - The serialized generator.
+ */
+export function restoreRandomState(state) {
+    rng = SeededRandom.fromJSON(state);
+    requestRng = new SeededRandom(rng.state ^ REQUEST_SEED_SALT);
+}
+
+/**
+ * Returns a random number from the game's seeded generator. Use this instead of Math.random().
+ * @returns {number} A number in [0, 1).
+ */
+export function random() {
+    return rng.next();
+}
+
+/**
+ * Returns the sampling seed for the next LLM request. The seeds follow from the game's seed (or,
+ * after loading, from the saved position) without drawing from the game's generator.
+ * @returns {number} A non-negative 31-bit integer.
+ */
+export function nextRequestSeed() {
+    return Math.floor(requestRng.next() * 0x80000000);
+}
+
 /**
  * Selects a random element from a given array.
  * @param {Array<T>} arr - The array to select an element from.
@@ -9,7 +74,7 @@ export function choice(arr) {
     if (!arr || arr.length === 0) {
         return undefined;
     }
-    const randomIndex = Math.floor(Math.random() * arr.length);
+    const randomIndex = Math.floor(random() * arr.length);
     return arr[randomIndex];
 }
 
@@ -19,7 +84,7 @@ export function choice(arr) {
  * @returns {number} A random integer.
  */
 export function getRandomInt(max) {
-    return Math.floor(Math.random() * (max + 1));
+    return Math.floor(random() * (max + 1));
 }
 
 /**
@@ -31,23 +96,7 @@ export function getRandomInt(max) {
 export function getRandomIntInclusive(min, max) {
     min = Math.ceil(min);
     max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-/**
- * Simulates a dice roll (e.g., "1d8", "2d6").
- * @param {string} diceNotation - The dice notation string (e.g., "1d8", "2d6").
- * @returns {number} The result of the roll.
- */
-export function rollDice(diceNotation) {
-    const parts = diceNotation.split('d');
-    const numDice = parseInt(parts[0], 10);
-    const dieSides = parseInt(parts[1], 10);
-    let total = 0;
-    for (let i = 0; i < numDice; i++) {
-        total += getRandomIntInclusive(1, dieSides);
-    }
-    return total;
+    return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -56,7 +105,7 @@ export function rollDice(diceNotation) {
  * @returns {boolean} True or false, based on the probability.
  */
 export function odds(probability) {
-    return Math.random() < probability;
+    return random() < probability;
 }
 
 /**
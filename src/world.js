@@ -0,0 +1,174 @@
+// src/world.js - The world map: the places the player can travel between, and the random events
+// that can happen there instead of a fight.
+
+import { LOCATIONS, WORLD_EVENTS, WORLD_CONFIG, DUNGEONS, StatType, MemoryEventKind } from './config.js';
+import { logger, applyColor, COLORS, odds, choice } from './utils.js';
+import { rollDice } from './dice.js';
+import { rollConsumableDrop } from './consumables.js';
+import { pickUp } from './player_actions.js';
+
+/**
+ * Looks up a place on the world map.
+ * @param {string} id - A key of LOCATIONS.
+ * @returns {object} The LOCATIONS entry with its id; the starting location if the id is unknown.
+ */
+export function getLocation(id) {
+    const key = LOCATIONS[id] ? id : WORLD_CONFIG.START_LOCATION;
+    return { id: key, ...LOCATIONS[key] };
+}
+
+/**
+ * Finds a place from what the player typed: its id or name ("caves", "echoing caves") or the
+ * start of either ("echo").
+ * @param {string} input - What the player typed.
+ * @returns {object|undefined} The location (see getLocation), or undefined if none matches.
+ */
+function findLocation(input) {
+    const compact = text => text.toLowerCase().replace(/[\s_-]+/g, '');
+    const text = compact(String(input));
+    if (!text) {
+        return undefined;
+    }
+    const ids = Object.keys(LOCATIONS);
+    const id = ids.find(key => compact(key) === text || compact(LOCATIONS[key].name) === text)
+        || ids.find(key => compact(key).startsWith(text) || compact(LOCATIONS[key].name).startsWith(text));
+    return id ? getLocation(id) : undefined;
+}
+
+/**
+ * Prints where the player is, the dungeon there (if any) and the places they can travel to from there.
+ * @param {Player} player - The player.
+ */
+export function printMap(player) {
+    const here = getLocation(player.location);
+    logger.info(`--- ${applyColor(here.name, COLORS.CYAN)} ---`);
+    logger.info(here.description);
+    for (const dungeon of Object.values(DUNGEONS).filter(candidate => candidate.location === here.id)) {
+        logger.info(`A dungeon lies below: ${applyColor(dungeon.name, COLORS.CYAN)} (${dungeon.floors} floors and a boss, recommended level ${dungeon.recommended_level}; 'delve' to enter).`);
+    }
+    logger.info("Roads lead to:");
+    for (const exit of here.exits.map(getLocation)) {
+        const danger = exit.safe ? 'safe' : `recommended level ${exit.recommended_level}`;
+        const warning = !exit.safe && player.level.value < exit.recommended_level ? applyColor(' - dangerous!', COLORS.RED) : '';
+        logger.info(`  ${exit.name} ('${exit.id}', ${danger})${warning}`);
+    }
+}
+
+/**
+ * Moves the player to a place next to where they are.
+ * @param {Player} player - The player.
+ * @param {string[]} args - Command arguments: the place (its id or name).
+ * @returns {boolean} True if the player set off, false if the place is unknown or out of reach.
+ */
+export function travel(player, args) {
+    const here = getLocation(player.location);
+    if (args.length === 0) {
+        logger.warn("Travel where? Type 'map' to see the roads from here.");
+        return false;
+    }
+    const destination = findLocation(args.join(' '));
+    if (!destination) {
+        logger.warn(`There is no place called '${args.join(' ')}'. Type 'map' to see the roads from here.`);
+        return false;
+    }
+    if (destination.id === here.id) {
+        logger.warn(`${applyColor(player.name, COLORS.GREEN)} is already in ${here.name}.`);
+        return false;
+    }
+    if (!here.exits.includes(destination.id)) {
+        logger.warn(`No road leads from ${here.name} to ${destination.name}. Type 'map' to see the roads from here.`);
+        return false;
+    }
+    player.location = destination.id;
+    player.memory.record(MemoryEventKind.TRAVEL, `Travelled from ${here.name} to ${destination.name}.`);
+    logger.info(applyColor(`${player.name} sets off for ${destination.name}.`, COLORS.CYAN));
+    if (!destination.safe && player.level.value < destination.recommended_level) {
+        logger.warn(`The monsters of ${destination.name} are said to be fearsome. Travellers are advised to be level ${destination.recommended_level} or higher.`);
+    }
+    return true;
+}
+
+/**
+ * Decides whether a random event happens instead of a fight (see WORLD_CONFIG.EVENT_CHANCE).
+ * @param {object} location - The location (see getLocation).
+ * @returns {string|null} A key of WORLD_EVENTS, or null if the player meets monsters as usual.
+ */
+export function rollWorldEvent(location) {
+    if (location.safe || !location.events?.length || !odds(WORLD_CONFIG.EVENT_CHANCE)) {
+        return null;
+    }
+    return choice(location.events);
+}
+
+// How each kind of event plays out. Each handler receives the player and the event's definition.
+const WORLD_EVENT_EFFECTS = {
+    gold(player, event) {
+        const amount = Math.max(1, rollDice(event.dice));
+        player.gold += amount;
+        logger.info(`${applyColor(player.name, COLORS.GREEN)} found ${amount} gold. (Gold: ${player.gold})`);
+    },
+
+    heal(player, event) {
+        if (player.hpBar.value >= player.hpBar.max) {
+            logger.info("It is refreshing, though you were not hurt.");
+            return;
+        }
+        const amount = Math.max(1, rollDice(event.dice));
+        player.heal(amount);
+        logger.info(`${applyColor(player.name, COLORS.GREEN)}: Recovered ${amount} HP. Remaining HP: ${player.hpBar.toString()}`);
+    },
+
+    restore_mp(player, event) {
+        const amount = Math.max(1, rollDice(event.dice));
+        player.mpBar.value += amount;
+        logger.info(`${applyColor(player.name, COLORS.GREEN)}: Recovered ${amount} MP. Remaining MP: ${player.mpBar.toString()}`);
+    },
+
+    exp(player, event) {
+        player.gainExp(Math.max(1, rollDice(event.dice)));
+    },
+
+    item(player) {
+        pickUp(player, rollConsumableDrop(player.level.value));
+    },
+
+    damage(player, event) {
+        const bonus = player.stats.getBonus(StatType.DEXTERITY);
+        const roll = rollDice('1d20');
+        logger.info(`${applyColor(player.name, COLORS.GREEN)} tries to dodge: ${roll} + ${bonus} (DEX) = ${roll + bonus} vs. ${event.dc}`);
+        if (roll + bonus >= event.dc) {
+            logger.info(applyColor(`${player.name} leaps clear just in time!`, COLORS.GREEN));
+            return;
+        }
+        const amount = Math.min(Math.max(1, rollDice(event.dice)), player.hpBar.value - 1);
+        player.takeDamage(amount);
+        logger.info(`${applyColor(player.name, COLORS.GREEN)}: ${applyColor(`Took ${amount} damage.`, COLORS.RED)} Remaining HP: ${player.hpBar.toString()}`);
+    }
+};
+
+/**
+ * Plays out a random event.
+ * @param {Player} player - The player.
+ * @param {string} eventId - A key of WORLD_EVENTS.
+ * @throws {Error} If the event is unknown.
+ */
+export function resolveWorldEvent(player, eventId) {
+    const event = WORLD_EVENTS[eventId];
+    const handler = WORLD_EVENT_EFFECTS[event?.effect];
+    if (!handler) {
+        throw new Error(`Unknown world event '${eventId}'.`);
+    }
+    logger.info(applyColor(event.text, COLORS.CYAN));
+    handler(player, event);
+}
+
+/**
+ * Rests the player at the inn of a safe place, fully restoring their health and mana.
+ * @param {Player} player - The player.
+ * @param {object} location - The location (see getLocation).
+ */
+export function restAtInn(player, location) {
+    player.hpBar.value = player.hpBar.max;
+    player.mpBar.value = player.mpBar.max;
+    logger.info(applyColor(`${player.name} spends the night at the inn of ${location.name}. Health and mana are restored.`, COLORS.BRIGHT + COLORS.GREEN));
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+// test/balance.test.js - Tests for selecting a difficulty preset from the balance file.
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { configureBalance, getBalance } from '../src/balance.js';
+import { logger } from '../src/utils.js';
+
+mock.method(logger, 'warn', () => {});
+
+/**
+ * Writes a copy of balance.json with changes, for a test.
+ * @param {string} dir - The directory to write it to.
+ * @param {function(object): void} change - Changes the balance data.
+ * @returns {string} The path of the copy.
+ */
+function writeBalance(dir, change) {
+    const data = JSON.parse(fs.readFileSync(new URL('../balance.json', import.meta.url), 'utf8'));
+    change(data);
+    const file = path.join(dir, `balance-${fs.readdirSync(dir).length}.json`);
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+}
+
+/**
+ * Renames the difficulty presets of balance data to mixed case ("Story", "Normal", "Hardcore"),
+ * and the default difficulty with them.
+ * @param {object} data - The balance data.
+ */
+function capitalizeDifficulties(data) {
+    const capitalize = name => name[0].toUpperCase() + name.slice(1);
+    data.difficulties = Object.fromEntries(Object.entries(data.difficulties).map(([name, preset]) => [capitalize(name), preset]));
+    data.default_difficulty = capitalize(data.default_difficulty);
+}
+
+describe('configureBalance', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'balance-test-'));
+    });
+
+    after(() => {
+        configureBalance();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('selects a difficulty by name, ignoring case', () => {
+        assert.equal(configureBalance({ difficulty: 'Hardcore' }).difficulty.id, 'hardcore');
+        assert.equal(getBalance().difficulty.id, 'hardcore');
+    });
+
+    it('rejects names that are not difficulties of the file', () => {
+        for (const difficulty of ['nightmare', 'constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+            assert.throws(() => configureBalance({ difficulty }), { message: new RegExp(`^Unknown difficulty '${difficulty}'`) });
+        }
+    });
+
+    it('selects a preset whose name is in mixed case, by any case', () => {
+        const file = writeBalance(dir, capitalizeDifficulties);
+        assert.equal(configureBalance({ file, difficulty: 'hardcore' }).difficulty.id, 'Hardcore');
+        assert.equal(configureBalance({ file, difficulty: 'HARDCORE' }).difficulty.id, 'Hardcore');
+    });
+
+    it('selects a default difficulty in mixed case', () => {
+        const file = writeBalance(dir, capitalizeDifficulties);
+        assert.equal(configureBalance({ file }).difficulty.id, 'Normal');
+    });
+
+    it('names the default difficulty when it is not one of the presets', () => {
+        const file = writeBalance(dir, data => {
+            data.default_difficulty = 'Nightmare';
+        });
+        assert.throws(() => configureBalance({ file }), { message: /default_difficulty 'Nightmare' is not one of the difficulties/ });
+    });
+
+    it('rejects presets whose names differ only in case', () => {
+        const file = writeBalance(dir, data => {
+            data.difficulties.Normal = data.difficulties.normal;
+        });
+        assert.throws(() => configureBalance({ file }), { message: /differ only in case \(normal\)/ });
+    });
+});
\ No newline at end of file
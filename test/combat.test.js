@@ -0,0 +1,162 @@
+// test/combat.test.js - Tests for attack resolution and the outcomes of CombatEngine fights.
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveAttack, CombatEngine } from '../src/combat.js';
+import { CombatEvent, CombatOutcome } from '../src/config.js';
+import { Player } from '../src/player.js';
+import { Monster } from '../src/monster.js';
+import { StatusEffects } from '../src/status_effects.js';
+import { logger, setRandomSeed } from '../src/utils.js';
+
+mock.method(logger, 'info', () => {});
+
+/**
+ * Creates a monster for a test fight.
+ * @param {string} [name] - Its name.
+ * @param {number} [hp] - Its HP.
+ * @returns {Monster} The monster.
+ */
+function createMonster(name = 'Training Dummy', hp = 20) {
+    return new Monster({ name, hp, stats: { STR: 10, DEX: 10, CON: 10 } });
+}
+
+/**
+ * Creates a stand-in defender with fixed numbers.
+ * @param {object} [values] - Its evasion rate and defense.
+ * @returns {{evasionRate: number, defense: number, effects: StatusEffects}} The defender.
+ */
+function createDefender({ evasionRate = 0, defense = 0 } = {}) {
+    return { evasionRate, defense, effects: new StatusEffects() };
+}
+
+// An attacker that always hits and never lands a critical hit
+const SURE_HIT = { hitChance: 100, criticalChance: 0 };
+
+describe('resolveAttack', () => {
+    beforeEach(() => {
+        setRandomSeed(42);
+    });
+
+    it('misses when the attacker has no chance to hit', () => {
+        const result = resolveAttack({ hitChance: 0, criticalChance: 0 }, createDefender(), { dice: '1d6' });
+        assert.deepEqual(result, { type: CombatEvent.MISS, critical: false, damage: 0, guarded: false });
+    });
+
+    it('is dodged by a defender who always evades', () => {
+        const result = resolveAttack(SURE_HIT, createDefender({ evasionRate: 100 }), { dice: '1d6' });
+        assert.equal(result.type, CombatEvent.DODGE);
+        assert.equal(result.damage, 0);
+    });
+
+    it('cannot miss or be dodged when it auto-hits', () => {
+        const result = resolveAttack({ hitChance: 0, criticalChance: 0 }, createDefender({ evasionRate: 100 }), { dice: '6', autoHit: true });
+        assert.equal(result.type, CombatEvent.HIT);
+        assert.equal(result.damage, 6);
+    });
+
+    it('reduces the damage by the defense unless the attack ignores it', () => {
+        const defender = createDefender({ defense: 3.5 });
+        assert.equal(resolveAttack(SURE_HIT, defender, { dice: '10' }).damage, 7);
+        assert.equal(resolveAttack(SURE_HIT, defender, { dice: '10', ignoreDefense: true }).damage, 10);
+    });
+
+    it('halves the damage against a guarded defender', () => {
+        const defender = createDefender();
+        defender.effects.apply('defending');
+        assert.deepEqual(resolveAttack(SURE_HIT, defender, { dice: '9' }), { type: CombatEvent.HIT, critical: false, damage: 4, guarded: true });
+    });
+
+    it('always lets at least 1 damage through', () => {
+        const defender = createDefender({ defense: 20 });
+        defender.effects.apply('defending');
+        assert.equal(resolveAttack(SURE_HIT, defender, { dice: '1d4' }).damage, 1);
+    });
+
+    it('rolls the damage dice twice on a critical hit', () => {
+        for (let i = 0; i < 20; i++) {
+            const result = resolveAttack({ hitChance: 100, criticalChance: 100 }, createDefender(), { dice: '1d4+10' });
+            assert.ok(result.critical);
+            assert.ok(result.damage >= 12 && result.damage <= 18, `damage ${result.damage} is out of range`);
+        }
+    });
+
+    it('gives the same results for the same seed', () => {
+        const attacker = { hitChance: 60, criticalChance: 20 };
+        const rollAll = () => Array.from({ length: 20 }, () => resolveAttack(attacker, createDefender({ evasionRate: 20, defense: 1 }), { dice: '2d6' }));
+        setRandomSeed('goblin');
+        const first = rollAll();
+        setRandomSeed('goblin');
+        assert.deepEqual(rollAll(), first);
+    });
+});
+
+describe('CombatEngine.run', () => {
+    let player;
+
+    beforeEach(() => {
+        setRandomSeed(7);
+        player = new Player({ name: 'Tester' });
+    });
+
+    // Turns that do nothing, and ones that end the fight at once
+    const wait = async () => 'done';
+    const strikeDown = async combat => {
+        combat.attack(combat.player, combat.target, { dice: '1000', autoHit: true, ignoreDefense: true });
+        return 'done';
+    };
+
+    it('ends in victory when every monster is defeated', async () => {
+        const monsters = [createMonster('Goblin A'), createMonster('Goblin B')];
+        const defeats = [];
+        const combat = new CombatEngine({ player, monsters, playerTurn: strikeDown, monsterTurn: wait });
+        combat.on(CombatEvent.DEFEAT, ({ combatant }) => defeats.push(combatant));
+
+        const result = await combat.run();
+        assert.equal(result.outcome, CombatOutcome.VICTORY);
+        assert.deepEqual(result.defeated.map(monster => monster.name), ['Goblin A', 'Goblin B']);
+        assert.deepEqual(defeats, result.defeated);
+    });
+
+    it('ends in defeat when the player falls', async () => {
+        const monsterTurn = async (combat, monster) => {
+            combat.attack(monster, combat.player, { dice: '1000', autoHit: true });
+            return 'done';
+        };
+        const result = await new CombatEngine({ player, monsters: [createMonster()], playerTurn: wait, monsterTurn }).run();
+        assert.equal(result.outcome, CombatOutcome.DEFEAT);
+        assert.ok(player.hpBar.isEmpty());
+        assert.deepEqual(result.defeated, []);
+    });
+
+    it('ends when the player flees, clearing their status effects', async () => {
+        player.effects.apply('poisoned');
+        const result = await new CombatEngine({ player, monsters: [createMonster()], playerTurn: async () => 'fled', monsterTurn: wait }).run();
+        assert.equal(result.outcome, CombatOutcome.FLED);
+        assert.equal(result.rounds, 1);
+        assert.deepEqual(player.effects.list, []);
+    });
+
+    it('ends when every monster gets away', async () => {
+        const monsters = [createMonster('Goblin A'), createMonster('Goblin B')];
+        const result = await new CombatEngine({ player, monsters, playerTurn: wait, monsterTurn: async () => 'fled' }).run();
+        assert.equal(result.outcome, CombatOutcome.MONSTER_FLED);
+        assert.ok(monsters.every(monster => monster.fled));
+    });
+
+    it('keeps the player\'s status effects when the game is quit mid-fight', async () => {
+        player.effects.apply('poisoned');
+        const result = await new CombatEngine({ player, monsters: [createMonster()], playerTurn: async () => 'quit', monsterTurn: wait }).run();
+        assert.equal(result.outcome, CombatOutcome.QUIT);
+        assert.equal(player.effects.list.length, 1);
+    });
+
+    it('reports every change to HP through events', async () => {
+        const damage = [];
+        const combat = new CombatEngine({ player, monsters: [createMonster('Goblin', 5)], playerTurn: strikeDown, monsterTurn: wait });
+        combat.on(CombatEvent.DAMAGE, ({ combatant, amount }) => damage.push([combatant.name, amount]));
+
+        await combat.run();
+        assert.deepEqual(damage, [['Goblin', 1000]]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,158 @@
+// test/dice.test.js - Tests for parsing, rolling and averaging dice expressions.
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDice, isValidDice, countDice, roll, rollDice, expectedValue, compareDice, withModifier, DICE_PATTERN } from '../src/dice.js';
+import { setRandomSeed } from '../src/utils.js';
+
+/**
+ * Computes the average of one dice term by trying every roll, to check expectedValue against.
+ * @param {number} count - The number of dice.
+ * @param {number} sides - Their sides.
+ * @param {number} keep - How many dice count.
+ * @param {boolean} keepHighest - Whether the highest dice count (else the lowest).
+ * @returns {number} The average.
+ */
+function bruteForceAverage(count, sides, keep, keepHighest) {
+    let total = 0;
+    const outcomes = sides ** count;
+    for (let i = 0; i < outcomes; i++) {
+        const values = Array.from({ length: count }, (_, die) => Math.floor(i / sides ** die) % sides + 1);
+        values.sort((a, b) => keepHighest ? b - a : a - b);
+        total += values.slice(0, keep).reduce((sum, value) => sum + value, 0);
+    }
+    return total / outcomes;
+}
+
+describe('parseDice', () => {
+    it('parses dice, keep and drop terms and flat modifiers', () => {
+        assert.deepEqual(parseDice('2d6+1d4-2'), {
+            dice: [{ sign: 1, count: 2, sides: 6, keep: 2, keepHighest: true }, { sign: 1, count: 1, sides: 4, keep: 1, keepHighest: true }],
+            modifier: -2
+        });
+        assert.deepEqual(parseDice('D20').dice, [{ sign: 1, count: 1, sides: 20, keep: 1, keepHighest: true }]);
+        assert.deepEqual(parseDice('4d6dl1').dice[0], { sign: 1, count: 4, sides: 6, keep: 3, keepHighest: true });
+        assert.deepEqual(parseDice('2d20kl1').dice[0], { sign: 1, count: 2, sides: 20, keep: 1, keepHighest: false });
+        assert.deepEqual(parseDice(' 1d8 + 2 ').modifier, 2);
+        assert.deepEqual(parseDice('-1d4+3').dice[0].sign, -1);
+        assert.deepEqual(parseDice('5'), { dice: [], modifier: 5 });
+    });
+
+    it('rejects malformed expressions', () => {
+        for (const notation of ['', '   ', 'd', '0d6', '1d0', '2d6 3', '1d6++2', '1d6+', 'fireball', '1d6\t+2', '2d6kh3', '2d6dl3', null, 6]) {
+            assert.throws(() => parseDice(notation), /Invalid dice expression/, `"${notation}" should be rejected`);
+            assert.equal(isValidDice(notation), false);
+        }
+    });
+});
+
+describe('DICE_PATTERN', () => {
+    const pattern = new RegExp(DICE_PATTERN);
+
+    it('agrees with parseDice, except on keeping more dice than are rolled', () => {
+        const expressions = ['1d6', 'd20', '2d6+3', ' 1d8 + 2 ', '-1d4+3', '4d6dl1', '2d20KH1', '7', '1d6 -1d4',
+            '', '0d6', '1d0', '2d6 3', '1d6++2', '1d6\t+2', '1d6+\n2', '2d6x', 'fireball'];
+        for (const notation of expressions) {
+            assert.equal(pattern.test(notation), isValidDice(notation), `"${notation}"`);
+        }
+        assert.equal(pattern.test('2d6kh3'), true);
+        assert.equal(isValidDice('2d6kh3'), false);
+    });
+});
+
+describe('countDice', () => {
+    it('counts every die rolled, including dropped ones', () => {
+        assert.equal(countDice('2d6+1d4'), 3);
+        assert.equal(countDice('4d6dl1'), 4);
+        assert.equal(countDice('1d20-1d4'), 2);
+        assert.equal(countDice('5'), 0);
+    });
+});
+
+describe('roll', () => {
+    beforeEach(() => {
+        setRandomSeed(11);
+    });
+
+    it('stays within the range of the expression and keeps the right dice', () => {
+        for (let i = 0; i < 200; i++) {
+            const result = roll('4d6dl1+1');
+            const [{ values, kept }] = result.rolls;
+            assert.equal(values.length, 4);
+            assert.deepEqual(kept, [...values].sort((a, b) => b - a).slice(0, 3));
+            assert.equal(result.total, kept.reduce((sum, value) => sum + value, 1));
+        }
+    });
+
+    it('rolls twice as many dice on a critical hit, but not the modifier', () => {
+        for (let i = 0; i < 200; i++) {
+            const result = roll('1d4+10', { critical: true });
+            assert.equal(result.rolls[0].values.length, 2);
+            assert.ok(result.total >= 12 && result.total <= 18);
+        }
+    });
+
+    it('keeps the better total with advantage and the worse with disadvantage', () => {
+        for (let i = 0; i < 100; i++) {
+            const advantage = roll('1d20', { advantage: true });
+            assert.ok(advantage.total >= advantage.discarded);
+            const disadvantage = roll('1d20', { disadvantage: true });
+            assert.ok(disadvantage.total <= disadvantage.discarded);
+        }
+        assert.equal(roll('1d20', { advantage: true, disadvantage: true }).discarded, undefined);
+    });
+
+    it('can go below zero with negative modifiers', () => {
+        assert.equal(rollDice('1d1-3'), -2);
+    });
+
+    it('gives the same rolls for the same seed', () => {
+        const first = Array.from({ length: 20 }, () => rollDice('3d6'));
+        setRandomSeed(11);
+        assert.deepEqual(Array.from({ length: 20 }, () => rollDice('3d6')), first);
+    });
+});
+
+describe('expectedValue', () => {
+    it('averages dice and modifiers', () => {
+        assert.equal(expectedValue('1d8'), 4.5);
+        assert.equal(expectedValue('2d4+2'), 7);
+        assert.equal(expectedValue('1d8+1d6+3'), 11);
+        assert.equal(expectedValue('1d6-2'), 1.5);
+        assert.equal(expectedValue('1d10-1d4'), 3);
+        assert.equal(expectedValue('3'), 3);
+    });
+
+    it('averages kept and dropped dice by their order statistics', () => {
+        const cases = [['2d20kh1', 2, 20, 1, true], ['2d20kl1', 2, 20, 1, false], ['4d6dl1', 4, 6, 3, true], ['3d4dh1', 3, 4, 2, false], ['3d6kh0', 3, 6, 0, true]];
+        for (const [notation, count, sides, keep, keepHighest] of cases) {
+            assert.ok(Math.abs(expectedValue(notation) - bruteForceAverage(count, sides, keep, keepHighest)) < 1e-9, notation);
+        }
+    });
+
+    it('doubles the dice, kept dice included, but not the modifier for a critical hit', () => {
+        assert.equal(expectedValue('1d6+2', { critical: true }), 9);
+        assert.ok(Math.abs(expectedValue('2d20kh1', { critical: true }) - bruteForceAverage(4, 20, 2, true)) < 1e-9);
+    });
+});
+
+describe('compareDice', () => {
+    it('compares expressions by their average', () => {
+        assert.ok(compareDice('1d8', '1d6') > 0);
+        assert.ok(compareDice('1d6', '2d4') < 0);
+        assert.equal(compareDice('2d6', '1d12'), 0.5);
+        assert.equal(compareDice('1d4+1', '2d2'), 0.5);
+        assert.equal(compareDice('1d6', '1d6+0'), 0);
+    });
+});
+
+describe('withModifier', () => {
+    it('appends a positive or negative modifier, and leaves the expression alone at zero', () => {
+        assert.equal(withModifier('1d6', 3), '1d6+3');
+        assert.equal(withModifier('1d6', -2), '1d6-2');
+        assert.equal(withModifier('1d6', 0), '1d6');
+        assert.equal(withModifier('1d6', -0), '1d6');
+        assert.ok(isValidDice(withModifier('2d4+1', -5)));
+        assert.equal(expectedValue(withModifier('2d4+1', -5)), 1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+// test/equipment.test.js - Tests for the limits normalizeItem puts on weapon damage.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeItem, maxWeaponAverage } from '../src/equipment.js';
+import { itemSchema } from '../src/schemas.js';
+import { validateSchema } from '../src/structured_output.js';
+import { EQUIPMENT_CONFIG } from '../src/config.js';
+
+/**
+ * Creates a weapon with the given damage dice.
+ * @param {string} damage - The damage dice.
+ * @returns {object} The weapon.
+ */
+function weapon(damage) {
+    return { name: 'Test Blade', type: 'Weapon', slot: 'main_hand', rarity: 'common', damage };
+}
+
+const { DEFAULT_WEAPON } = EQUIPMENT_CONFIG;
+
+describe('normalizeItem', () => {
+    it('keeps weapon dice within the limits of the player\'s level', () => {
+        assert.equal(normalizeItem(weapon('1d8'), 1).damage, '1d8');
+        assert.equal(normalizeItem(weapon('2d6'), 6).damage, '2d6');
+    });
+
+    it('replaces weapon dice too strong for the player\'s level with the default weapon\'s', () => {
+        assert.equal(normalizeItem(weapon('2d6'), 1).damage, DEFAULT_WEAPON.damage);
+        assert.equal(normalizeItem(weapon('1d4+100'), 20).damage, DEFAULT_WEAPON.damage);
+    });
+
+    it('always limits the number of dice, even without a level', () => {
+        assert.equal(normalizeItem(weapon('4d6')).damage, '4d6');
+        assert.equal(normalizeItem(weapon('10d6')).damage, DEFAULT_WEAPON.damage);
+        assert.equal(normalizeItem(weapon('5d1'), 50).damage, DEFAULT_WEAPON.damage);
+    });
+
+    it('raises the highest average damage with the level', () => {
+        assert.equal(maxWeaponAverage(1), EQUIPMENT_CONFIG.MAX_WEAPON_AVERAGE);
+        assert.ok(maxWeaponAverage(10) > maxWeaponAverage(5));
+    });
+});
+
+describe('itemSchema', () => {
+    it('asks for a repair of weapon dice too strong for the player\'s level', () => {
+        const item = { name: 'Test Blade', type: 'Weapon', damage: '3d6' };
+        assert.equal(validateSchema(item, itemSchema(1)).errors.length, 1);
+        assert.deepEqual(validateSchema(item, itemSchema(20)).errors, []);
+    });
+});
\ No newline at end of file
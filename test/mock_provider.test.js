@@ -0,0 +1,121 @@
+// test/mock_provider.test.js - Drives structured generation and monster creation through a
+// scripted MockProvider.
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockProvider } from '../src/providers/mock_provider.js';
+import { setProvider, LLMError, LLMErrorKind } from '../src/llm_client.js';
+import { generateStructured } from '../src/structured_output.js';
+import { createLLMMonster } from '../src/monster.js';
+import { itemSchema } from '../src/schemas.js';
+import { EncounterFormation, LLM_CONFIG } from '../src/config.js';
+import { logger, setRandomSeed } from '../src/utils.js';
+
+mock.method(logger, 'info', () => {});
+mock.method(logger, 'error', () => {});
+
+// A monster that fits the difficulty band of a level 1 player
+const GOBLIN = {
+    name: "Test Goblin",
+    description: "A goblin made for testing.",
+    hp: 18,
+    base_exp: 10,
+    stats: { STR: 7, DEX: 9, CON: 6, INT: 5, WIS: 5, CHA: 5 },
+    special_abilities: [{ name: "Dirty Trick", effect: "debuff", stat: "attack", amount: 2, duration: 2 }]
+};
+
+/**
+ * Creates a MockProvider with a script and makes it the active provider.
+ * @param {Object<string, Array<string|object>>} script - Responses keyed by purpose.
+ * @returns {MockProvider} The provider.
+ */
+function useScript(script) {
+    const provider = new MockProvider({ script });
+    setProvider(provider);
+    return provider;
+}
+
+describe('generateStructured with a MockProvider', () => {
+    beforeEach(() => {
+        setRandomSeed(1);
+    });
+
+    it('returns a valid response, extracted from a code fence', async () => {
+        const provider = useScript({ item: ["```json\n" + JSON.stringify({ name: "Oak Staff", type: "weapon", damage: "1d6" }) + "\n```"] });
+        const result = await generateStructured("An item, please.", itemSchema(1), { purpose: 'item' });
+
+        assert.equal(result.ok, true);
+        assert.equal(result.data.type, 'Weapon');
+        assert.equal(result.data.effect, "None");
+        assert.deepEqual(provider.lastCall, { prompt: "An item, please.", purpose: 'item' });
+    });
+
+    it('sends an invalid response back with its problems and uses the repaired one', async () => {
+        const provider = useScript({
+            item: [
+                { name: "Doom Blade", type: "Weapon", damage: "10d6" },
+                { name: "Doom Blade", type: "Weapon", damage: "1d6" }
+            ]
+        });
+        const result = await generateStructured("An item, please.", itemSchema(1), { purpose: 'item' });
+
+        assert.equal(result.ok, true);
+        assert.equal(result.data.damage, "1d6");
+        assert.equal(provider.counters.item, 2);
+        assert.match(provider.lastCall.prompt, /^An item, please\./);
+        assert.match(provider.lastCall.prompt, /must roll at most 4 dice/);
+    });
+
+    it('gives up after the repair retries and returns the last response', async () => {
+        const provider = useScript({ item: ["Sorry, I cannot help with that."] });
+        const result = await generateStructured("An item, please.", itemSchema(1), { purpose: 'item' });
+
+        assert.equal(result.ok, false);
+        assert.equal(provider.counters.item, LLM_CONFIG.REPAIR_RETRIES + 1);
+        assert.equal(result.text, "Sorry, I cannot help with that.");
+    });
+
+    it('returns the typed error, without retrying, when the script has nothing for the purpose', async () => {
+        const provider = useScript({ monster: [GOBLIN] });
+        const result = await generateStructured("An item, please.", itemSchema(1), { purpose: 'item' });
+
+        assert.equal(result.ok, false);
+        assert.ok(result.error instanceof LLMError);
+        assert.equal(result.error.kind, LLMErrorKind.BAD_RESPONSE);
+        assert.match(result.error.message, /no response for 'item'/);
+        assert.deepEqual(provider.counters, {});
+    });
+});
+
+describe('createLLMMonster with a MockProvider', () => {
+    beforeEach(() => {
+        setRandomSeed(1);
+    });
+
+    it('creates the scripted monster', async () => {
+        useScript({ monster: [GOBLIN] });
+        const [monster, ...others] = await createLLMMonster(1, "A small forest monster", "Elf Mage", { formation: EncounterFormation.SOLO });
+
+        assert.deepEqual(others, []);
+        assert.equal(monster.name, "Test Goblin");
+        assert.equal(monster.hpBar.max, 18);
+        assert.deepEqual(monster.specialAbilities.map(ability => ability.name), ["Dirty Trick"]);
+    });
+
+    it('creates the repaired monster when the first response is invalid', async () => {
+        const provider = useScript({ monster: [{ ...GOBLIN, stats: undefined }, GOBLIN] });
+        const [monster] = await createLLMMonster(1, "A small forest monster", "Elf Mage", { formation: EncounterFormation.SOLO });
+
+        assert.equal(monster.name, "Test Goblin");
+        assert.equal(provider.counters.monster, 2);
+    });
+
+    it('falls back to a built-in monster when the script has no monsters', async () => {
+        useScript({});
+        const monsters = await createLLMMonster(1, "A small forest monster", "Elf Mage", { formation: EncounterFormation.SOLO });
+
+        assert.equal(monsters.length, 1);
+        assert.notEqual(monsters[0].name, "Test Goblin");
+        assert.ok(monsters[0].hpBar.max > 0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+// test/random.test.js - Tests that a seed makes a run reproducible.
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom, normalizeSeed } from '../src/random.js';
+import { logger, random, setRandomSeed, getRandomSeed, nextRequestSeed } from '../src/utils.js';
+import { MockProvider } from '../src/providers/mock_provider.js';
+import { setProvider } from '../src/llm_client.js';
+import { generateStructured } from '../src/structured_output.js';
+import { itemSchema } from '../src/schemas.js';
+
+mock.method(logger, 'info', () => {});
+
+/**
+ * Draws numbers from the game's generator.
+ * @param {number} count - How many.
+ * @returns {number[]} The numbers.
+ */
+function draw(count) {
+    return Array.from({ length: count }, () => random());
+}
+
+describe('normalizeSeed', () => {
+    it('uses integers as they are and hashes any other text', () => {
+        assert.equal(normalizeSeed(42), 42);
+        assert.equal(normalizeSeed(' 42 '), 42);
+        assert.equal(normalizeSeed('goblin'), normalizeSeed('goblin'));
+        assert.notEqual(normalizeSeed('goblin'), normalizeSeed('goblins'));
+        assert.ok(Number.isInteger(normalizeSeed('goblin')) && normalizeSeed('goblin') >= 0);
+    });
+});
+
+describe('SeededRandom', () => {
+    it('continues the same sequence when restored from toJSON', () => {
+        const generator = new SeededRandom(7);
+        generator.next();
+        const restored = SeededRandom.fromJSON(JSON.parse(JSON.stringify(generator)));
+        assert.deepEqual(restored.toJSON(), generator.toJSON());
+        assert.equal(restored.next(), generator.next());
+    });
+});
+
+describe('setRandomSeed', () => {
+    it('gives the same sequence for the same seed', () => {
+        setRandomSeed('goblin');
+        const first = draw(50);
+        setRandomSeed('goblin');
+        assert.deepEqual(draw(50), first);
+        assert.equal(getRandomSeed(), normalizeSeed('goblin'));
+    });
+
+    it('gives a different sequence for a different seed', () => {
+        setRandomSeed(1);
+        const first = draw(10);
+        setRandomSeed(2);
+        assert.notDeepEqual(draw(10), first);
+    });
+
+    it('restarts the request seeds with the game\'s', () => {
+        setRandomSeed(9);
+        const first = [nextRequestSeed(), nextRequestSeed()];
+        setRandomSeed(9);
+        assert.deepEqual([nextRequestSeed(), nextRequestSeed()], first);
+    });
+});
+
+describe('nextRequestSeed', () => {
+    it('leaves the game\'s draws unchanged', () => {
+        setRandomSeed(5);
+        const expected = draw(20);
+
+        setRandomSeed(5);
+        const drawn = [];
+        for (let i = 0; i < 20; i++) {
+            nextRequestSeed();
+            drawn.push(random());
+        }
+        assert.deepEqual(drawn, expected);
+    });
+
+    it('leaves the game\'s draws unchanged however many requests (and repairs) are made', async () => {
+        setRandomSeed(5);
+        const expected = draw(3);
+
+        setProvider(new MockProvider({ script: { item: ["not JSON", { name: "Oak Staff", type: "Weapon", damage: "1d6" }] } }));
+        setRandomSeed(5);
+        const drawn = [random()];
+        await generateStructured("An item, please.", itemSchema(1), { purpose: 'item' }); // Repaired once
+        drawn.push(random());
+        await generateStructured("An item, please.", itemSchema(1), { purpose: 'item' });
+        drawn.push(random());
+        assert.deepEqual(drawn, expected);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+// test/save.test.js - Tests for save files: migrating old saves and the random sequence a loaded
+// game continues.
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { saveGame, loadGame, migrateSave, SAVE_VERSION } from '../src/save.js';
+import { Player } from '../src/player.js';
+import { ItemEffectType, WORLD_CONFIG, SAVE_CONFIG } from '../src/config.js';
+import { logger, random, setRandomSeed, restoreRandomState } from '../src/utils.js';
+
+mock.method(logger, 'info', () => {});
+
+// A save written by the first version of the game: no random state, race, class, location, quests
+// or memory, a single equipped weapon, and stat bonuses as maps
+const VERSION_1_SAVE = {
+    version: 1,
+    savedAt: '2024-01-01T00:00:00.000Z',
+    combatCount: 4,
+    player: {
+        name: 'Old Timer',
+        gold: 42,
+        level: { value: 3, exp: 10 },
+        stats: { values: { STR: 12, DEX: 11, CON: 13, INT: 8, WIS: 9, CHA: 10 } },
+        hp: { max: 30, position: 17 },
+        mp: { max: 12, position: 5 },
+        inventory: [
+            { id: 'healing_potion', name: 'Healing Potion', type: 'Potion', quantity: 2 },
+            { name: 'Lucky Charm', type: 'Accessory', slot: 'amulet', stats: { CHA: 1 }, effect: 'None' }
+        ],
+        equippedWeapon: { name: 'Old Axe', type: 'Weapon', damage: '1d8', stats: { STR: 2 }, effect: 'Notched' }
+    }
+};
+
+describe('migrateSave', () => {
+    it('upgrades a version 1 save to the current version', () => {
+        assert.equal(SAVE_VERSION, 8);
+        const migrated = migrateSave(structuredClone(VERSION_1_SAVE));
+
+        assert.equal(migrated.version, SAVE_VERSION);
+        assert.equal(migrated.random, null);
+        assert.equal(migrated.combatCount, 4);
+        const { player } = migrated;
+        assert.equal(player.race, 'Elf');
+        assert.equal(player.characterClass, 'Warrior');
+        assert.equal(player.equippedWeapon, undefined);
+        assert.deepEqual(player.equipment.main_hand.effects, [{ type: ItemEffectType.STAT_BONUS, stat: 'STR', amount: 2 }]);
+        assert.deepEqual(player.inventory[1].effects, [{ type: ItemEffectType.STAT_BONUS, stat: 'CHA', amount: 1 }]);
+        assert.equal(player.location, WORLD_CONFIG.START_LOCATION);
+        assert.deepEqual(player.quests, { active: [], completed: [] });
+        assert.deepEqual(player.memory, { summary: '', events: [] });
+    });
+
+    it('gives a player that can be loaded', () => {
+        const player = Player.fromJSON(migrateSave(structuredClone(VERSION_1_SAVE)).player);
+        assert.equal(player.name, 'Old Timer');
+        assert.equal(player.level.value, 3);
+        assert.equal(player.hpBar.value, 17);
+        assert.equal(player.equipment.get('main_hand').damage, '1d8');
+        assert.equal(player.stats.get('STR'), 14); // The axe's STR +2 counts
+    });
+
+    it('leaves a current save unchanged', () => {
+        const data = { version: SAVE_VERSION, combatCount: 0, random: null, player: {} };
+        assert.deepEqual(migrateSave(data), data);
+    });
+
+    it('rejects a save newer than the game supports', () => {
+        assert.throws(() => migrateSave({ ...VERSION_1_SAVE, version: SAVE_VERSION + 1 }),
+            { message: `Save file version ${SAVE_VERSION + 1} is newer than this game supports (${SAVE_VERSION}).` });
+    });
+
+    it('rejects a save without a version', () => {
+        const { version, ...data } = VERSION_1_SAVE;
+        assert.throws(() => migrateSave(data), /no version number/);
+    });
+});
+
+describe('saveGame and loadGame', () => {
+    const cwd = process.cwd();
+    let dir;
+
+    // Save files go to SAVE_CONFIG.DIRECTORY under the working directory
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'save-test-'));
+        process.chdir(dir);
+    });
+
+    after(() => {
+        process.chdir(cwd);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('continues the same random sequence after loading', async () => {
+        setRandomSeed('goblin');
+        random();
+        await saveGame('test', { player: new Player({ name: 'Tester' }), combatCount: 3 });
+        const expected = Array.from({ length: 20 }, () => random());
+
+        setRandomSeed('something else');
+        const loaded = await loadGame('test');
+        restoreRandomState(loaded.random);
+        assert.deepEqual(Array.from({ length: 20 }, () => random()), expected);
+        assert.equal(loaded.combatCount, 3);
+        assert.equal(loaded.player.name, 'Tester');
+    });
+
+    it('loads a version 1 save file, and refuses one from a newer game', async () => {
+        fs.mkdirSync(SAVE_CONFIG.DIRECTORY, { recursive: true });
+        fs.writeFileSync(path.join(SAVE_CONFIG.DIRECTORY, 'old.json'), JSON.stringify(VERSION_1_SAVE));
+        const loaded = await loadGame('old');
+        assert.equal(loaded.player.name, 'Old Timer');
+        assert.equal(loaded.random, null);
+
+        fs.writeFileSync(path.join(SAVE_CONFIG.DIRECTORY, 'future.json'), JSON.stringify({ ...VERSION_1_SAVE, version: SAVE_VERSION + 1 }));
+        await assert.rejects(loadGame('future'), /is newer than this game supports/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+// test/status_effects.test.js - Tests for status effects and how they tick in a fight.
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { StatusEffects } from '../src/status_effects.js';
+import { CombatEngine } from '../src/combat.js';
+import { CombatEvent } from '../src/config.js';
+import { Player } from '../src/player.js';
+import { Monster } from '../src/monster.js';
+import { logger, setRandomSeed } from '../src/utils.js';
+
+mock.method(logger, 'info', () => {});
+
+describe('StatusEffects', () => {
+    let effects;
+
+    beforeEach(() => {
+        effects = new StatusEffects();
+    });
+
+    it('lasts for the given number of the owner\'s turns, then expires on the next tick', () => {
+        effects.apply('burning'); // 2 turns
+        assert.deepEqual(effects.tick().expired, []);
+        assert.deepEqual(effects.tick().expired, []);
+        const { expired, active } = effects.tick();
+        assert.deepEqual(expired.map(effect => effect.id), ['burning']);
+        assert.deepEqual(active, []);
+        assert.equal(effects.has('burning'), false);
+    });
+
+    it('stacks up to max_stacks, while refreshing an effect does not stack it', () => {
+        for (let i = 0; i < 5; i++) {
+            effects.apply('poisoned');
+        }
+        assert.equal(effects.list[0].stacks, 3);
+
+        effects.apply('weakened');
+        effects.apply('weakened');
+        assert.equal(effects.modifier('attack'), -2);
+    });
+
+    it('extends an effect up to its max_duration', () => {
+        effects.apply('regenerating');
+        effects.apply('regenerating');
+        effects.apply('regenerating');
+        assert.equal(effects.list[0].turns, 6);
+    });
+
+    it('removes only harmful effects when cured', () => {
+        effects.apply('poisoned');
+        effects.apply('fortified');
+        assert.deepEqual(effects.removeHarmful().map(effect => effect.id), ['poisoned']);
+        assert.deepEqual(effects.list.map(effect => effect.id), ['fortified']);
+    });
+});
+
+describe('CombatEngine.tickEffects', () => {
+    let player;
+    let combat;
+    let events;
+
+    beforeEach(() => {
+        setRandomSeed(3);
+        player = new Player({ name: 'Tester' });
+        combat = new CombatEngine({ player, monsters: [new Monster({ name: 'Goblin', hp: 10, stats: {} })] });
+        events = [];
+        for (const type of [CombatEvent.DAMAGE, CombatEvent.HEAL, CombatEvent.STATUS_END]) {
+            combat.on(type, event => events.push({ type, ...event }));
+        }
+    });
+
+    it('deals damage over time, named after the effect', () => {
+        combat.applyStatus(player, 'burning');
+        const before = player.hpBar.value;
+        combat.tickEffects(player);
+
+        assert.equal(events.length, 1);
+        const [{ type, amount, source }] = events;
+        assert.equal(type, CombatEvent.DAMAGE);
+        assert.equal(source, 'Burning');
+        assert.ok(amount >= 1 && amount <= 6);
+        assert.equal(player.hpBar.value, before - amount);
+    });
+
+    it('multiplies damage over time by the stacks', () => {
+        for (let i = 0; i < 3; i++) {
+            combat.applyStatus(player, 'poisoned');
+        }
+        combat.tickEffects(player);
+        assert.ok(events[0].amount >= 3 && events[0].amount <= 12);
+    });
+
+    it('heals over time', () => {
+        player.hpBar.value = 1;
+        combat.applyStatus(player, 'regenerating');
+        combat.tickEffects(player);
+        assert.equal(events[0].type, CombatEvent.HEAL);
+        assert.equal(player.hpBar.value, 1 + events[0].amount);
+    });
+
+    it('announces effects that wear off, except quiet ones', () => {
+        combat.applyStatus(player, 'defending');
+        combat.applyStatus(player, 'stunned');
+        combat.tickEffects(player);
+        assert.deepEqual(events, []);
+
+        combat.tickEffects(player);
+        assert.deepEqual(events.map(({ type, effect }) => [type, effect.id]), [[CombatEvent.STATUS_END, 'stunned']]);
+        assert.deepEqual(player.effects.list, []);
+    });
+
+    it('stops once the combatant has fallen', () => {
+        player.hpBar.value = 1;
+        combat.applyStatus(player, 'burning');
+        combat.applyStatus(player, 'regenerating');
+        combat.tickEffects(player);
+        assert.deepEqual(events.map(({ type }) => type), [CombatEvent.DAMAGE]);
+        assert.ok(player.hpBar.isEmpty());
+    });
+});
\ No newline at end of file
@@ -0,0 +1,132 @@
+// test/structured_output.test.js - Tests for extracting JSON from model output and validating it.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson, validateSchema } from '../src/structured_output.js';
+import { DICE_PATTERN } from '../src/dice.js';
+
+describe('extractJson', () => {
+    it('parses plain JSON objects and arrays', () => {
+        assert.deepEqual(extractJson('{"name": "Goblin", "hp": 7}'), { name: 'Goblin', hp: 7 });
+        assert.deepEqual(extractJson('[1, 2, 3]'), [1, 2, 3]);
+    });
+
+    it('finds JSON wrapped in prose', () => {
+        const text = 'Sure! Here is your monster: {"name": "Goblin", "note": "likes {braces} and \\"quotes\\""} Enjoy the fight.';
+        assert.deepEqual(extractJson(text), { name: 'Goblin', note: 'likes {braces} and "quotes"' });
+    });
+
+    it('prefers the contents of a code fence', () => {
+        const text = 'Ignore {this}.\n```json\n{"name": "Goblin"}\n```\nAnd {"name": "not this"}';
+        assert.deepEqual(extractJson(text), { name: 'Goblin' });
+        assert.deepEqual(extractJson('```\n{"name": "Goblin"}\n```'), { name: 'Goblin' });
+    });
+
+    it('repairs trailing commas and smart quotes', () => {
+        assert.deepEqual(extractJson('{"items": [1, 2, ], "name": "Goblin",\n}'), { items: [1, 2], name: 'Goblin' });
+        assert.deepEqual(extractJson('{“name”: “Goblin”}'), { name: 'Goblin' });
+    });
+
+    it('rejects responses without usable JSON', () => {
+        assert.throws(() => extractJson('I cannot help with that.'), /No JSON object found/);
+        assert.throws(() => extractJson('{"name": "Goblin"'), /incomplete/);
+        assert.throws(() => extractJson('{name: Goblin}'), /not valid JSON/);
+        assert.throws(() => extractJson(undefined), /not text/);
+    });
+});
+
+describe('validateSchema', () => {
+    const schema = {
+        type: 'object',
+        required: ['name', 'type'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: ['Weapon', 'Armor'] },
+            hp: { type: 'integer', minimum: 1, maximum: 50 },
+            chance: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+            tags: { type: 'array', items: { type: 'string' }, maxItems: 2, default: [] }
+        }
+    };
+
+    it('accepts a valid value and fills in defaults', () => {
+        const result = validateSchema({ name: 'Club', type: 'Weapon', hp: 10 }, schema);
+        assert.deepEqual(result, { value: { name: 'Club', type: 'Weapon', hp: 10, chance: 0.5, tags: [] }, errors: [], warnings: [] });
+    });
+
+    it('matches enum values ignoring case and surrounding spaces', () => {
+        const { value, errors } = validateSchema({ name: 'Club', type: ' weapon ' }, schema);
+        assert.deepEqual(errors, []);
+        assert.equal(value.type, 'Weapon');
+        assert.deepEqual(validateSchema({ name: 'Club', type: 'Shield' }, schema).errors, ['response.type must be one of: Weapon, Armor']);
+    });
+
+    it('converts numeric strings and rounds integers, with a warning', () => {
+        const { value, errors, warnings } = validateSchema({ name: 'Club', type: 'Weapon', hp: '12.6', chance: '0.25' }, schema);
+        assert.deepEqual(errors, []);
+        assert.equal(value.hp, 13);
+        assert.equal(value.chance, 0.25);
+        assert.deepEqual(warnings, [
+            'response.hp: converted "12.6" to a number',
+            'response.hp: rounded 12.6 to an integer',
+            'response.chance: converted "0.25" to a number'
+        ]);
+    });
+
+    it('clamps numbers into range and truncates long arrays, with a warning', () => {
+        const { value, errors, warnings } = validateSchema({ name: 'Club', type: 'Weapon', hp: 500, chance: -1, tags: ['a', 'b', 'c'] }, schema);
+        assert.deepEqual(errors, []);
+        assert.deepEqual([value.hp, value.chance, value.tags], [50, 0, ['a', 'b']]);
+        assert.deepEqual(warnings, [
+            'response.hp: clamped 500 down to 50',
+            'response.chance: clamped -1 up to 0',
+            'response.tags: kept only the first 2 items'
+        ]);
+    });
+
+    it('reports missing, empty and mistyped values with their paths', () => {
+        const { errors } = validateSchema({ name: ' ', hp: 'lots', tags: ['a', 3] }, schema);
+        assert.deepEqual(errors, [
+            'response.type is required',
+            'response.name must not be empty',
+            'response.hp must be of type integer',
+            'response.tags[1] must be of type string'
+        ]);
+    });
+
+    it('rejects unknown properties when additionalProperties is false', () => {
+        const strict = { ...schema, additionalProperties: false };
+        assert.deepEqual(validateSchema({ name: 'Club', type: 'Weapon', weight: 3 }, strict).errors, ['response.weight is not a known property']);
+    });
+
+    describe("the 'dice' format", () => {
+        const dice = { type: 'string', pattern: DICE_PATTERN, format: 'dice', maxDice: 4, maxAverage: 7 };
+
+        it('accepts dice the game can roll within the limits', () => {
+            for (const notation of ['1d6', '2d6', '3d4-1', '1d12', '3d4dl1']) {
+                assert.deepEqual(validateSchema(notation, dice).errors, [], notation);
+            }
+        });
+
+        it('rejects text that is not dice', () => {
+            assert.match(validateSchema('a big sword', dice).errors[0], /must match the pattern/);
+        });
+
+        it('rejects dice that match the pattern but cannot be rolled', () => {
+            assert.deepEqual(validateSchema('2d6kh3', dice, 'damage').errors, ['damage: Invalid dice expression: "2d6kh3" (cannot keep or drop more dice than are rolled)']);
+        });
+
+        it('rejects too many dice, counting dropped ones', () => {
+            assert.deepEqual(validateSchema('5d1', dice, 'damage').errors, ['damage ("5d1") must roll at most 4 dice']);
+            assert.deepEqual(validateSchema('6d4dl3', dice, 'damage').errors, ['damage ("6d4dl3") must roll at most 4 dice']);
+        });
+
+        it('rejects dice that average too much', () => {
+            assert.deepEqual(validateSchema('1d4+10', dice, 'damage').errors, ['damage ("1d4+10") must average at most 7 (e.g. "1d6" averages 3.5)']);
+            assert.deepEqual(validateSchema('2d6', dice).errors, []); // Exactly 7
+        });
+
+        it('has no limits unless the schema sets them', () => {
+            assert.deepEqual(validateSchema('10d10+50', { type: 'string', format: 'dice' }).errors, []);
+        });
+    });
+});
\ No newline at end of file